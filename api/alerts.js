@@ -0,0 +1,81 @@
+// Alert definitions and the triggered-alert inbox
+//
+//   GET    /api/alerts                 list alerts
+//   POST   /api/alerts                 create (see lib/alerts.js for the shapes, or { query: "alert me when TSLA drops below 200" })
+//   DELETE /api/alerts/:id             delete
+//   GET    /api/alerts/inbox           triggered alerts (?unread=true for unread only)
+//   POST   /api/alerts/inbox           mark read { ids? } (all when ids is omitted)
+//   POST   /api/alerts/check           evaluate all alerts now (GET too, for cron callers)
+import {
+  listAlerts,
+  createAlert,
+  deleteAlert,
+  getInbox,
+  markInboxRead,
+  evaluateAlerts
+} from '../lib/alerts.js';
+import { analyzeAsset } from './analyze.js';
+import { parseQuery } from '../lib/intent.js';
+import { ApiError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, unread } = req.query || {};
+  const body = req.body || {};
+
+  try {
+    if (id === 'inbox') {
+      if (req.method === 'GET') {
+        return res.status(200).json({ inbox: await getInbox({ unreadOnly: unread === 'true' }) });
+      }
+      if (req.method === 'POST') {
+        return res.status(200).json(await markInboxRead(Array.isArray(body.ids) ? body.ids : undefined));
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (id === 'check') {
+      if (req.method !== 'POST' && req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return res.status(200).json({ triggered: await evaluateAlerts(analyzeAsset) });
+    }
+
+    if (id) {
+      if (req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return res.status(200).json(await deleteAlert(id));
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ alerts: await listAlerts() });
+    }
+    if (req.method === 'POST') {
+      return res.status(201).json(await createAlert(body.query && !body.type ? alertFromQuery(body.query) : body));
+    }
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Alerts error:', error);
+    return res.status(500).json({ error: 'Alerts request failed' });
+  }
+}
+
+function alertFromQuery(query) {
+  const { symbols, alert } = parseQuery(query);
+  if (symbols.length === 0 || !alert) {
+    throw new ApiError(400, 'Could not tell what the alert should watch. Try "alert me when TSLA drops below 200".');
+  }
+  return { ...alert, symbol: symbols[0] };
+}
@@ -1,4 +1,25 @@
 // Using built-in fetch instead of axios for better Vercel compatibility
+import { rangePerformance } from '../lib/indicators.js';
+import { buildTechnical } from '../lib/technical.js';
+import { priceChart } from '../lib/chart.js';
+import { getMarketDataProvider, getNewsProvider, RateLimitError } from '../lib/providers/index.js';
+import { remember, recall } from '../lib/lastKnown.js';
+import { upstreamCache, TTL } from '../lib/cache.js';
+import { getProfile } from '../lib/scoring.js';
+import { generateRecommendation, formatAge } from '../lib/recommendation.js';
+import { analyzeFinancials, describeFinancials } from '../lib/fundamentals.js';
+import { summarizeEvents, describeEvents } from '../lib/events.js';
+import { computeRisk, describeRisk } from '../lib/risk.js';
+import { analyzeSentiment } from '../lib/sentiment/index.js';
+import { parseQuery, INTENT_SECTIONS } from '../lib/intent.js';
+import { createAlert } from '../lib/alerts.js';
+import { newsTerms } from '../lib/symbols.js';
+import { ASSET_CLASSES, classifyAsset, normalizeSymbol, priceDecimals, getCurrency } from '../lib/assets.js';
+import { getContext, recordTurn } from '../lib/sessions.js';
+import { getPositionContext, addLot } from '../lib/portfolio.js';
+import { portfolioReport } from './portfolio.js';
+import { runScreen } from './screen.js';
+import { ApiError } from '../lib/errors.js';
 
 export default async function handler(req, res) {
   // Enable CORS
@@ -15,88 +36,402 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { symbol, query, context, isFollowUp } = req.body;
-    
-    if (!symbol) {
-      return res.status(400).json({ error: 'Symbol is required' });
+    const { symbol, symbols, query, sessionId, isFollowUp, profile } = req.body;
+    // Fail fast on an unknown scoring profile; without one, each asset class scores
+    // with its own default (see assetProfiles in config/scoring-profiles.json)
+    const options = { profile: profile ? getProfile(profile).name : undefined };
+    // Earlier turns come from the server-side session, never from the client
+    const session = await getContext(sessionId);
+
+    // Every answer is stored in the session; the (possibly new) id goes back to the client
+    const reply = async (status, data) => {
+      const { id, turn } = await recordTurn(session.sessionId, query || '', data);
+      return res.status(status).json({ ...data, sessionId: id, turn });
+    };
+
+    // Side-by-side comparison of several symbols
+    if (Array.isArray(symbols) && symbols.length > 0) {
+      const comparison = await compareAssets(normalizeComparison(symbols), query, options);
+      return reply(200, comparison);
     }
 
-    const analysis = await analyzeAsset(symbol.toUpperCase(), query, context, isFollowUp);
-    
-    return res.status(200).json(analysis);
+    // What the user asked for, which symbols and over what period
+    const intent = parseQuery(query || '', { lastSymbol: session.symbols[0] });
+    if (symbol) {
+      intent.symbols = [normalizeSymbol(symbol)];
+      intent.isFollowUp = Boolean(isFollowUp);
+    }
+    if (intent.intent === 'compare' && intent.symbols.length < 2) {
+      intent.intent = 'analysis';
+      intent.sections = INTENT_SECTIONS.analysis;
+    }
+
+    // "alphabet" (GOOGL or GOOG?) or a typo such as "microsft"
+    if (intent.ambiguous.length > 0) {
+      return reply(200, {
+        type: 'clarification',
+        timestamp: new Date().toISOString(),
+        summary: intent.ambiguous.map(({ text, candidates }) =>
+          `Did you mean ${candidates.map(c => `${c.name} (${c.symbol})`).join(' or ')} for "${text}"?`).join('\n'),
+        ambiguous: intent.ambiguous,
+        intent
+      });
+    }
+
+    // "Screen for P/E under 15 and dividend over 3%", answered as a table
+    if (intent.intent === 'screen') {
+      const { expression, sort, limit } = intent.screen;
+      return reply(200, { ...(await runScreen(expression, { sort, limit })), intent });
+    }
+
+    // "Show my portfolio" / "I bought 10 AAPL at 150"
+    if (intent.intent === 'portfolio') {
+      if (intent.portfolio.action === 'show') {
+        return reply(200, { ...(await portfolioReport()), intent });
+      }
+      if (intent.symbols.length !== 1) {
+        return res.status(400).json({
+          error: 'Record one purchase at a time, e.g. "I bought 10 AAPL at 150 on 2024-03-01".',
+          intent
+        });
+      }
+      const lot = await addLot({ ...intent.portfolio.lot, symbol: intent.symbols[0], date: intent.portfolio.lot.date || undefined });
+      return reply(201, {
+        type: 'portfolio',
+        action: 'add',
+        symbol: lot.symbol,
+        timestamp: new Date().toISOString(),
+        lot,
+        summary: `📒 Recorded ${lot.quantity} ${lot.symbol} at $${lot.costBasis} on ${lot.date}.`,
+        intent
+      });
+    }
+
+    if (intent.symbols.length === 0) {
+      return res.status(400).json({ error: 'Please specify a symbol (e.g., AAPL, SPY, BTC-USD, EUR/USD)', intent });
+    }
+
+    if (intent.intent === 'compare') {
+      const comparison = await compareAssets(normalizeComparison(intent.symbols), query, options);
+      return reply(200, { ...comparison, intent });
+    }
+
+    if (intent.intent === 'alert') {
+      if (!intent.alert) {
+        return res.status(400).json({
+          error: 'Could not tell what the alert should watch. Try "alert me when TSLA drops below 200".',
+          intent
+        });
+      }
+      const alert = await createAlert({ ...intent.alert, symbol: intent.symbols[0] });
+      return reply(201, {
+        type: 'alert',
+        symbol: alert.symbol,
+        timestamp: new Date().toISOString(),
+        alert,
+        summary: `🔔 Alert set: ${alert.description}`,
+        intent
+      });
+    }
+
+    const target = intent.symbols[0];
+
+    // Server-Sent Events: start, then one event per section as it completes, then done
+    if (wantsStream(req)) {
+      const send = openEventStream(res);
+      // pending: the section events to expect, so the client can show what is still loading
+      const sections = planSections(intent, classifyAsset(target));
+      const pending = ['explain', 'risk'].includes(intent.intent) ? [] : [...sections];
+      if (pending.length > 0 && signalPossible(sections, classifyAsset(target))) pending.push('recommendation');
+      send('start', { symbol: target, timestamp: new Date().toISOString(), isFollowUp: intent.isFollowUp, intent, pending });
+      try {
+        const analysis = await analyzeAsset(target, query, session.analyses[target], intent.isFollowUp, { ...options, intent, onSection: send });
+        const { id, turn } = await recordTurn(session.sessionId, query || '', analysis);
+        send('done', { ...analysis, sessionId: id, turn });
+      } catch (error) {
+        console.error('Analysis stream error:', error);
+        send('error', { error: error instanceof ApiError ? error.message : 'Analysis failed' });
+      }
+      return res.end();
+    }
+
+    const analysis = await analyzeAsset(target, query, session.analyses[target], intent.isFollowUp, { ...options, intent });
+
+    if (analysis.cache) {
+      const sections = Object.values(analysis.cache).filter(Boolean);
+      res.setHeader('X-Cache', sections.length > 0 && sections.every(meta => meta.hit) ? 'HIT' : 'MISS');
+    }
+
+    return reply(200, analysis);
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Analysis error:', error);
     return res.status(500).json({ error: 'Analysis failed' });
   }
 }
 
-async function analyzeAsset(symbol, userQuery, context, isFollowUp) {
+// POST /api/analyze?stream=true or Accept: text/event-stream. Only single-symbol
+// analyses stream; comparisons, alerts, clarifications and errors stay plain JSON.
+function wantsStream(req) {
+  const accept = (req.headers && req.headers.accept) || '';
+  return (req.query && req.query.stream === 'true') || accept.includes('text/event-stream');
+}
+
+function openEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.status(200);
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+const MAX_COMPARE_SYMBOLS = 5;
+
+function normalizeComparison(symbols) {
+  const unique = [...new Set(symbols.map(normalizeSymbol).filter(Boolean))];
+  if (unique.length < 2) {
+    throw new ApiError(400, 'At least two symbols are required for a comparison');
+  }
+  if (unique.length > MAX_COMPARE_SYMBOLS) {
+    throw new ApiError(400, `At most ${MAX_COMPARE_SYMBOLS} symbols can be compared at once`);
+  }
+  return unique;
+}
+
+async function compareAssets(symbols, userQuery, options = {}) {
+  // The comparison table has no charts; skip the price series for each asset
+  const analyses = await Promise.all(symbols.map(symbol => analyzeAsset(symbol, userQuery, null, false, { profile: options.profile, chart: false })));
+
+  const assets = analyses.map(analysis => ({
+    symbol: analysis.symbol,
+    asset: analysis.asset,
+    price: analysis.technical.price,
+    changePercent: analysis.technical.changePercent || 'N/A',
+    performance: analysis.technical.performance || {},
+    // Only stocks have a P/E; crypto and indices have no fundamental section at all
+    valuation: {
+      peRatio: (analysis.fundamental && analysis.fundamental.peRatio) || 'N/A',
+      marketCap: (analysis.fundamental && analysis.fundamental.marketCap) || 'N/A',
+      dividendYield: (analysis.fundamental && analysis.fundamental.dividendYield) || 'N/A',
+      eps: (analysis.fundamental && analysis.fundamental.eps) || 'N/A'
+    },
+    sentiment: {
+      score: analysis.sentiment.score,
+      message: analysis.sentiment.message
+    },
+    risk: analysis.risk,
+    recommendation: analysis.recommendation,
+    technical: analysis.technical,
+    fundamental: analysis.fundamental,
+    dataStatus: analysis.technical.dataStatus
+  }));
+
+  const ranking = rankAssets(assets);
+
+  const comparison = {
+    type: 'comparison',
+    symbols,
+    timestamp: new Date().toISOString(),
+    assets,
+    ranking,
+    verdict: generateComparisonVerdict(ranking),
+    summary: ''
+  };
+  comparison.summary = generateComparisonSummary(comparison);
+
+  return comparison;
+}
+
+// Highest recommendation score first; withheld signals always rank last.
+// Ties are broken by news sentiment, then by 3-month performance.
+function rankAssets(assets) {
+  const ordered = [...assets].sort((a, b) => {
+    const scoreA = a.recommendation.score === null ? -Infinity : a.recommendation.score;
+    const scoreB = b.recommendation.score === null ? -Infinity : b.recommendation.score;
+    if (scoreA !== scoreB) return scoreB - scoreA;
+    if (a.sentiment.score !== b.sentiment.score) return b.sentiment.score - a.sentiment.score;
+    return (parseFloat(b.performance.threeMonth) || 0) - (parseFloat(a.performance.threeMonth) || 0);
+  });
+
+  return ordered.map((asset, index) => ({
+    rank: index + 1,
+    symbol: asset.symbol,
+    score: asset.recommendation.score,
+    recommendation: asset.recommendation.recommendation,
+    action: asset.recommendation.action
+  }));
+}
+
+function generateComparisonVerdict(ranking) {
+  const [leader, ...rest] = ranking;
+  if (leader.score === null) {
+    return 'No verdict - live price data is unavailable for every symbol.';
+  }
+
+  let verdict = `${leader.symbol} ranks first (${leader.action}, score ${leader.score})`;
+  if (rest.length > 0) {
+    verdict += `, ahead of ${rest.map(entry => `${entry.symbol} (${entry.action}${entry.score === null ? '' : `, score ${entry.score}`})`).join(', ')}`;
+  }
+  verdict += '.';
+
+  if (rest.length > 0 && rest[0].score === leader.score) {
+    verdict += ` ${leader.symbol} and ${rest[0].symbol} score the same; the tie is broken on sentiment and recent performance.`;
+  }
+  return verdict;
+}
+
+function generateComparisonSummary(comparison) {
+  const { assets } = comparison;
+  const row = (label, value) => `| ${label} | ${assets.map(value).join(' | ')} |\n`;
+  const percent = value => (value === null || value === undefined || value === 'N/A' ? 'N/A' : `${value > 0 ? '+' : ''}${value}%`);
+
+  let summary = `**Comparison: ${comparison.symbols.join(' vs ')}**\n\n`;
+  summary += `| Metric | ${assets.map(asset => asset.symbol).join(' | ')} |\n`;
+  summary += `|---|${assets.map(() => '---').join('|')}|\n`;
+  summary += row('Signal', asset => asset.recommendation.action);
+  summary += row('Score', asset => (asset.recommendation.score === null ? 'N/A' : asset.recommendation.score));
+  summary += row('Price', asset => formatPrice(asset.asset, asset.price));
+  summary += row('1D', asset => percent(asset.changePercent));
+  summary += row('1M', asset => percent(asset.performance.month));
+  summary += row('3M', asset => percent(asset.performance.threeMonth));
+  summary += row('1Y', asset => percent(asset.performance.year));
+  summary += row('P/E', asset => asset.valuation.peRatio);
+  summary += row('Sentiment', asset => asset.sentiment.score);
+  summary += `\n🏆 **Verdict:** ${comparison.verdict}\n`;
+
+  return summary;
+}
+
+// Sections to fetch: what the intent asks for that the asset class has (no P/E
+// for bitcoin). A question only about a section the class lacks ("fundamentals of
+// BTC") gets the class's full analysis instead.
+export function planSections(intent, asset) {
+  const classSections = ASSET_CLASSES[asset.assetClass].sections;
+  const wanted = intent.sections.filter(section => classSections.includes(section));
+  return wanted.length > 0 ? wanted : classSections;
+}
+
+// A signal needs every input the asset class has
+function signalPossible(sections, asset) {
+  return ASSET_CLASSES[asset.assetClass].sections.every(section => sections.includes(section));
+}
+
+// Callers without a parsed query (comparisons, watchlists) get the full analysis
+const FULL_ANALYSIS = { intent: 'analysis', sections: INTENT_SECTIONS.analysis, metrics: [], timeRange: null };
+
+export async function analyzeAsset(symbol, userQuery, context, isFollowUp, options = {}) {
+  const intent = options.intent || FULL_ANALYSIS;
+  const asset = classifyAsset(symbol);
   const analysis = {
     symbol: symbol,
+    asset: { assetClass: asset.assetClass, label: asset.label, name: asset.name, currency: asset.currency, proxy: asset.proxy },
     timestamp: new Date().toISOString(),
     sentiment: null,
     news: null,
     technical: null,
     fundamental: null,
+    events: null,
+    risk: null,
     recommendation: null,
     summary: '',
-    isFollowUp: isFollowUp || false
+    isFollowUp: isFollowUp || false,
+    intent: intent
   };
 
   try {
-    // Handle follow-up questions
-    if (isFollowUp && context) {
-      console.log('Follow-up detected:', userQuery);
-      
-      // Return focused response based on question
-      const lowerQuery = userQuery.toLowerCase();
-      let followUpResponse = '';
-      
-      if (lowerQuery.includes('why')) {
-        followUpResponse = `Here's why I recommend ${context.recommendation?.action || 'this position'} for ${symbol}:\n\n`;
-        if (context.recommendation?.reasons?.length > 0) {
-          followUpResponse += context.recommendation.reasons.map(r => `• ${r}`).join('\n');
-        } else {
-          followUpResponse += 'Based on current market conditions and technical indicators.';
-        }
-      } else if (lowerQuery.includes('risk')) {
-        followUpResponse = `Risk assessment for ${symbol}:\n\n`;
-        followUpResponse += `Risk Level: ${context.recommendation?.riskLevel || 'Medium'}\n\n`;
-        if (context.recommendation?.riskFactors?.length > 0) {
-          followUpResponse += context.recommendation.riskFactors.map(r => `⚠️ ${r}`).join('\n');
-        } else {
-          followUpResponse += 'No major risk factors identified at this time.';
-        }
-      } else {
-        followUpResponse = `Based on my analysis of ${symbol}, ${context.recommendation?.message || 'the current position looks stable.'}`;
-      }
+    // "Why?" and "what are the risks?" are answered from the analysis stored in the
+    // session for this symbol, otherwise from a fresh one
+    if (intent.intent === 'explain' || intent.intent === 'risk') {
+      const basis = context && context.symbol === symbol && context.recommendation
+        ? context
+        : await analyzeAsset(symbol, userQuery, null, false, { profile: options.profile });
       
       return {
+        type: 'explanation',
         symbol,
+        asset: analysis.asset,
         timestamp: new Date().toISOString(),
-        summary: followUpResponse,
-        isFollowUp: true,
-        technical: context.technical,
-        fundamental: context.fundamental,
-        sentiment: context.sentiment,
-        news: context.news,
-        recommendation: context.recommendation
+        summary: explain(symbol, intent.intent, basis.recommendation, basis.risk),
+        isFollowUp: isFollowUp || false,
+        intent,
+        technical: basis.technical,
+        fundamental: basis.fundamental,
+        sentiment: basis.sentiment,
+        news: basis.news,
+        events: basis.events,
+        risk: basis.risk,
+        recommendation: basis.recommendation
       };
     }
 
-    // Fresh analysis for new queries or stale context
-    const [technicalData, fundamentalData, newsData] = await Promise.all([
-      getTechnicalAnalysis(symbol),
-      getFundamentalAnalysis(symbol),
-      getNewsAnalysis(symbol)
+    // Only fetch what the intent needs. Each section is filled in (and passed to
+    // options.onSection, for streaming callers) as soon as it arrives.
+    const sections = planSections(intent, asset);
+    // The signal needs neither the statements (three calls) nor the earnings
+    // calendar and split history (two more); they are fetched for questions about
+    // them and for reports (options.detailed). Statements still cached from such a
+    // question are scored in every analysis of the symbol.
+    const statements = options.detailed || intent.intent === 'fundamental';
+    const detailedEvents = options.detailed || intent.intent === 'events';
+    const emit = options.onSection || (() => {});
+    const [technicalData, fundamentalData, newsData, eventsData, riskData] = await Promise.all([
+      sections.includes('technical') ? getTechnicalAnalysis(symbol, { range: intent.timeRange, chart: options.chart !== false }).then(data => {
+        if (intent.intent === 'price') {
+          analysis.quote = toQuote(data);
+          emit('technical', { quote: analysis.quote });
+        } else {
+          analysis.technical = data;
+          emit('technical', { technical: data });
+        }
+        return data;
+      }) : null,
+      sections.includes('fundamental') ? getFundamentalAnalysis(symbol, { statements }).then(data => {
+        analysis.fundamental = data;
+        emit('fundamental', { fundamental: data });
+        return data;
+      }) : null,
+      sections.includes('news') ? getNewsAnalysis(symbol).then(data => {
+        analysis.news = data;
+        analysis.sentiment = getSentimentFromNews(data);
+        emit('news', { news: data, sentiment: analysis.sentiment });
+        return data;
+      }) : null,
+      sections.includes('events') ? getEventsAnalysis(symbol, { detailed: detailedEvents }).then(data => {
+        analysis.events = data;
+        emit('events', { events: data });
+        return data;
+      }) : null,
+      sections.includes('risk') ? getRiskAnalysis(symbol).then(data => {
+        analysis.risk = data;
+        emit('risk', { risk: data });
+        return data;
+      }) : null
     ]);
 
-    analysis.technical = technicalData;
-    analysis.fundamental = fundamentalData;
-    analysis.sentiment = getSentimentFromNews(newsData);
-    analysis.news = newsData;
-    analysis.recommendation = generateRecommendation(technicalData, fundamentalData, getSentimentFromNews(newsData));
+    // The advice takes any holding in the symbol, upcoming earnings and the measured
+    // risk into account
+    if (signalPossible(sections, asset)) {
+      const position = await getPositionContext(symbol, parseFloat(technicalData.price));
+      if (position) {
+        analysis.position = position;
+      }
+      analysis.recommendation = generateRecommendation(technicalData, fundamentalData, analysis.sentiment, {
+        ...options, position, events: eventsData, risk: riskData, assetClass: asset.assetClass
+      });
+      emit('recommendation', { recommendation: analysis.recommendation });
+    }
     analysis.summary = generateSummary(analysis, userQuery);
+    analysis.cache = {
+      technical: technicalData ? technicalData.cache || null : null,
+      fundamental: fundamentalData ? fundamentalData.cache || null : null,
+      news: newsData ? newsData.cache || null : null,
+      events: eventsData ? eventsData.cache || null : null,
+      risk: riskData ? riskData.cache || null : null
+    };
 
     return analysis;
   } catch (error) {
@@ -105,135 +440,361 @@ async function analyzeAsset(symbol, userQuery, context, isFollowUp) {
   }
 }
 
-async function getTechnicalAnalysis(symbol) {
-  try {
-    const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('Alpha Vantage API key not configured');
+function explain(symbol, kind, recommendation, risk) {
+  if (kind === 'risk') {
+    let response = `Risk assessment for ${symbol}:\n\n`;
+    response += `Risk Level: ${recommendation?.riskLevel || 'Unknown'}\n\n`;
+    if (risk && risk.volatility !== undefined && risk.volatility !== null) {
+      response += riskFigures(risk) + '\n\n';
     }
-
-    const response = await fetch(`https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${symbol}&apikey=${apiKey}`);
-    
-    if (!response.ok) {
-      throw new Error(`Alpha Vantage API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    // Check for rate limit
-    if (data.Information && data.Information.includes('rate limit')) {
-      console.log('API rate limit hit, using demo data for', symbol);
-      return {
-        price: "232.14",
-        change: "-0.42", 
-        changePercent: "-0.18",
-        volume: "39418437",
-        indicators: { sma20: "225.76", trend: "Bullish" },
-        message: "Demo data - API rate limit reached"
-      };
-    }
-
-    const quote = data['Global Quote'];
-    if (!quote || Object.keys(quote).length === 0) {
-      throw new Error('No quote data available');
+    if (recommendation?.riskFactors?.length > 0) {
+      response += recommendation.riskFactors.map(r => `⚠️ ${r}`).join('\n');
+    } else {
+      response += 'No major risk factors identified at this time.';
     }
+    return response;
+  }
 
-    const dates = Object.keys(timeSeries).sort().reverse();
-    const latestDate = dates[0];
-    const previousDate = dates[1];
+  let response = `Here's why I recommend ${recommendation?.action || 'this position'} for ${symbol}:\n\n`;
+  if (recommendation?.reasons?.length > 0) {
+    response += recommendation.reasons.map(r => `• ${r}`).join('\n');
+  } else {
+    response += 'Based on current market conditions and technical indicators.';
+  }
+  return response;
+}
 
-    const latest = timeSeries[latestDate];
-    const previous = timeSeries[previousDate];
+// The measured risk, one line per figure
+function riskFigures(risk) {
+  const lines = [
+    `📉 Volatility: ${risk.volatility}% annualized (downside deviation ${risk.downsideDeviation}%)`,
+    `📉 Max drawdown: ${risk.maxDrawdown.percent}% (${risk.maxDrawdown.peakDate} → ${risk.maxDrawdown.troughDate}); ` +
+      (risk.currentDrawdown < 0 ? `now ${Math.abs(risk.currentDrawdown)}% below the peak` : 'now at the high'),
+    `📉 1-day VaR 95%: ${risk.var95.historical}% historical / ${risk.var95.parametric}% parametric ` +
+      `(CVaR ${risk.cvar95.historical}% / ${risk.cvar95.parametric}%)`,
+    `📉 1-day VaR 99%: ${risk.var99.historical}% historical / ${risk.var99.parametric}% parametric ` +
+      `(CVaR ${risk.cvar99.historical}% / ${risk.cvar99.parametric}%)`
+  ];
+  if (risk.benchmark && risk.benchmark.beta !== null) {
+    lines.push(`📈 Beta vs ${risk.benchmark.symbol}: ${risk.benchmark.beta} (correlation ${risk.benchmark.correlation})`);
+  }
+  lines.push(`Based on ${risk.observations} daily returns, ${risk.from} to ${risk.to}.`);
+  return lines.join('\n');
+}
 
-    const currentPrice = parseFloat(latest['4. close']);
-    const previousPrice = parseFloat(previous['4. close']);
-    const change = currentPrice - previousPrice;
-    const changePercent = (change / previousPrice) * 100;
+// Price-only view of the technical section
+function toQuote(technical) {
+  const { indicators, message, ...quote } = technical;
+  return quote;
+}
 
-    const prices = dates.slice(0, 20).map(date => parseFloat(timeSeries[date]['4. close']));
-    const sma20 = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+// "$187.20" for dollar prices, "1.1432" for exchange rates, "0.0421 EUR" otherwise
+export function formatPrice(asset, price) {
+  if (price === 'N/A' || price === undefined || price === null) return 'N/A';
+  if (asset && asset.assetClass === 'forex') return String(price);
+  return !asset || asset.currency === 'USD' ? `$${price}` : `${price} ${asset.currency}`;
+}
 
-    return {
-      price: currentPrice.toFixed(2),
-      change: change.toFixed(2),
-      changePercent: changePercent.toFixed(2),
-      volume: latest['5. volume'],
-      indicators: {
-        sma20: sma20.toFixed(2),
-        trend: currentPrice > sma20 ? 'Bullish' : 'Bearish'
-      },
-      message: interpretTechnicalAnalysis(changePercent, currentPrice, sma20)
-    };
+export async function getTechnicalAnalysis(symbol, { range, chart = true } = {}) {
+  try {
+    const asset = classifyAsset(symbol);
+    const provider = getMarketDataProvider();
+    const { value: bars, meta: cache } = await upstreamCache.get(
+      `${provider.name}:daily:${symbol}`, TTL.quote, () => provider.getDailySeries(symbol)
+    );
+
+    const decimals = priceDecimals(asset, bars[bars.length - 1].close);
+    const technical = { ...buildTechnical(bars, { decimals }), cache };
+    // Indices are priced through an ETF that tracks them
+    if (asset.proxy) {
+      technical.proxy = asset.proxy;
+      technical.message = `Prices are for ${asset.proxy}, which tracks ${symbol}. ${technical.message}`;
+    }
+    // Currencies and coins have no earnings to anchor them; volatility is the risk
+    const volatility = technical.indicators.realizedVolatility;
+    if ((asset.assetClass === 'forex' || asset.assetClass === 'crypto') && volatility) {
+      technical.message += ` 30-day realized volatility is ${volatility}% annualized.`;
+    }
+    if (chart) {
+      technical.chart = priceChart(bars, { decimals, currency: asset.currency });
+    }
+    remember('technical', symbol, technical);
+    if (range) {
+      technical.range = { label: range.label, ...rangePerformance(bars, range.from, { decimals }) };
+    }
+    return technical;
   } catch (error) {
     console.error('Technical analysis error:', error);
-    return {
+    return degrade('technical', symbol, error, {
       price: 'N/A',
       change: 'N/A',
       volume: 'N/A',
       indicators: {},
       message: 'Unable to fetch technical data: ' + error.message
-    };
+    });
   }
 }
 
-async function getFundamentalAnalysis(symbol) {
-  try {
-    const alphaVantageKey = process.env.ALPHA_VANTAGE_API_KEY;
-    
-    if (!alphaVantageKey) {
-      return {
-        marketCap: 'N/A',
-        peRatio: 'N/A',
-        dividendYield: 'N/A',
-        message: 'Alpha Vantage API key not configured'
-      };
-    }
-
-    const url = `https://www.alphavantage.co/query?function=OVERVIEW&symbol=${symbol}&apikey=${alphaVantageKey}`;
-    const response = await fetch(url);
-    const data = await response.json();
+// Upstream calls getTechnicalAnalysis and getFundamentalAnalysis would make for the
+// symbol right now; cached answers cost nothing
+export function uncachedCalls(symbol, { fundamental = false, statements = false } = {}) {
+  const provider = getMarketDataProvider();
+  const { assetClass } = classifyAsset(symbol);
+  const missing = (kind, calls) => (upstreamCache.has(`${provider.name}:${kind}:${symbol}`) ? 0 : calls);
+
+  let calls = missing('daily', 1);
+  if (fundamental && assetClass === 'equity') {
+    calls += missing('overview', 1) + (statements ? missing('financials', 3) : 0);
+  } else if (fundamental && assetClass === 'etf') {
+    calls += missing('etf', 1);
+  }
+  return calls;
+}
 
-    if (data['Error Message']) {
-      throw new Error(data['Error Message']);
-    }
+// The fundamental section depends on the asset class: company overview and
+// statements for a stock, the fund profile for an ETF and interest-rate carry for
+// a currency pair. Crypto and indices have none (null). The statements cost three
+// calls, so they are only fetched with { statements: true }; otherwise they are
+// used when still cached from an earlier question.
+export async function getFundamentalAnalysis(symbol, { statements: withStatements = false } = {}) {
+  const asset = classifyAsset(symbol);
+  if (asset.assetClass === 'etf') return getFundProfile(symbol);
+  if (asset.assetClass === 'forex') return getCarryAnalysis(asset);
+  if (asset.assetClass !== 'equity') return null;
 
-    return {
-      marketCap: data['MarketCapitalization'] || 'N/A',
-      peRatio: data['PERatio'] || 'N/A',
-      dividendYield: data['DividendYield'] || 'N/A',
-      eps: data['EPS'] || 'N/A',
-      bookValue: data['BookValue'] || 'N/A',
-      message: interpretFundamentals(data)
+  try {
+    const provider = getMarketDataProvider();
+    const financialsKey = `${provider.name}:financials:${symbol}`;
+    const useStatements = withStatements || upstreamCache.has(financialsKey);
+    // Statements are optional: without them the overview alone still makes a live section
+    const [{ value: overview, meta: cache }, statements] = await Promise.all([
+      upstreamCache.get(`${provider.name}:overview:${symbol}`, TTL.overview, () => provider.getOverview(symbol)),
+      useStatements ? upstreamCache.get(financialsKey, TTL.financials, () => provider.getFinancials(symbol))
+        .then(({ value }) => value)
+        .catch(error => {
+          console.error('Financial statements error:', error);
+          return null;
+        }) : null
+    ]);
+    const financials = statements ? analyzeFinancials(statements, overview) : null;
+
+    const fundamental = {
+      marketCap: overview.marketCap || 'N/A',
+      peRatio: overview.peRatio || 'N/A',
+      dividendYield: overview.dividendYield || 'N/A',
+      eps: overview.eps || 'N/A',
+      bookValue: overview.bookValue || 'N/A',
+      ratios: financials ? financials.ratios : null,
+      statements: financials ? { basis: financials.basis, asOf: financials.asOf, currency: statements.currency } : null,
+      trends: financials ? financials.trends : null,
+      message: interpretFundamentals(overview, financials, useStatements),
+      dataStatus: 'live',
+      cache
     };
+    remember('fundamental', symbol, fundamental);
+    return fundamental;
   } catch (error) {
     console.error('Fundamental analysis error:', error);
-    return {
+    return degrade('fundamental', symbol, error, {
       marketCap: 'N/A',
       peRatio: 'N/A',
       dividendYield: 'N/A',
+      ratios: null,
       message: 'Unable to fetch fundamental data: ' + error.message
+    });
+  }
+}
+
+const toPercent = fraction => (fraction === null ? null : Math.round(fraction * 10000) / 100);
+
+async function getFundProfile(symbol) {
+  try {
+    const provider = getMarketDataProvider();
+    const { value: fund, meta: cache } = await upstreamCache.get(
+      `${provider.name}:etf:${symbol}`, TTL.overview, () => provider.getEtfProfile(symbol)
+    );
+
+    // Same shape as a stock's dividend yield (a fraction string) so scoring reads both
+    const fundamental = {
+      expenseRatio: toPercent(fund.expenseRatio),
+      netAssets: fund.netAssets === null ? 'N/A' : String(fund.netAssets),
+      dividendYield: fund.dividendYield === null ? 'N/A' : String(fund.dividendYield),
+      turnover: toPercent(fund.turnover),
+      inceptionDate: fund.inceptionDate,
+      leveraged: fund.leveraged,
+      holdings: fund.holdings.slice(0, 10).map(holding => ({ ...holding, weight: toPercent(holding.weight) })),
+      sectors: fund.sectors.map(sector => ({ ...sector, weight: toPercent(sector.weight) })),
+      message: interpretFundProfile(fund),
+      dataStatus: 'live',
+      cache
     };
+    remember('fundamental', symbol, fundamental);
+    return fundamental;
+  } catch (error) {
+    console.error('Fund profile error:', error);
+    return degrade('fundamental', symbol, error, {
+      expenseRatio: null,
+      dividendYield: 'N/A',
+      holdings: [],
+      sectors: [],
+      message: 'Unable to fetch fund profile: ' + error.message
+    });
   }
 }
 
-function interpretTechnicalAnalysis(changePercent, currentPrice, sma20) {
+function interpretFundProfile(fund) {
   let message = '';
-  if (changePercent > 2) message = 'Strong upward momentum today. ';
-  else if (changePercent > 0) message = 'Positive movement today. ';
-  else if (changePercent < -2) message = 'Significant decline today. ';
-  else if (changePercent < 0) message = 'Slight downward pressure. ';
-  else message = 'Flat trading today. ';
+  if (fund.expenseRatio !== null) {
+    const expense = fund.expenseRatio * 100;
+    if (expense <= 0.2) message += `Low expense ratio (${expense.toFixed(2)}%). `;
+    else if (expense >= 0.75) message += `High expense ratio (${expense.toFixed(2)}%) eats into returns. `;
+    else message += `Expense ratio ${expense.toFixed(2)}%. `;
+  }
+
+  const top = fund.holdings.slice(0, 10).reduce((sum, holding) => sum + (holding.weight || 0), 0);
+  if (fund.holdings.length > 0) {
+    message += `Top ${Math.min(fund.holdings.length, 10)} holdings make up ${(top * 100).toFixed(1)}% of the fund`;
+    message += top > 0.5 ? ', a concentrated portfolio. ' : '. ';
+  }
+  if (fund.sectors.length > 0 && fund.sectors[0].weight) {
+    message += `Largest sector: ${fund.sectors[0].sector} (${(fund.sectors[0].weight * 100).toFixed(1)}%). `;
+  }
+  if (fund.leveraged) {
+    message += 'Leveraged fund: daily rebalancing makes long holds decay. ';
+  }
+
+  return message.trim() || 'Fund profile analysis complete.';
+}
+
+// Interest-rate differential of a currency pair from the configured policy rates
+// (config/currencies.json). Holding the base currency earns its rate and pays the
+// quote currency's, so a positive carry favours a long position.
+function getCarryAnalysis(asset) {
+  const base = getCurrency(asset.base);
+  const quote = getCurrency(asset.quote);
+  if (!base || !quote) {
+    return {
+      carry: null,
+      message: `No interest rates configured for ${asset.symbol}.`,
+      dataStatus: 'unavailable',
+      unavailableReason: 'not_configured'
+    };
+  }
+
+  const carry = Math.round((base.policyRate - quote.policyRate) * 100) / 100;
+  let message = `${base.name} policy rate ${base.policyRate}% vs ${quote.name} ${quote.policyRate}% `;
+  message += `(as of ${base.ratesAsOf}): `;
+  if (carry > 0) message += `long ${asset.symbol} earns a ${carry}% carry.`;
+  else if (carry < 0) message += `long ${asset.symbol} costs ${Math.abs(carry)}% a year in carry.`;
+  else message += 'no carry either way.';
+
+  return {
+    base: { code: base.code, name: base.name, rate: base.policyRate },
+    quote: { code: quote.code, name: quote.name, rate: quote.policyRate },
+    carry,
+    ratesAsOf: base.ratesAsOf,
+    message,
+    dataStatus: 'live'
+  };
+}
+
+// Earnings, dividends and splits for stocks; funds only pay dividends and split.
+// Other classes have no corporate events (null). { detailed: true } adds the
+// earnings calendar and the split history (see getCorporateEvents).
+export async function getEventsAnalysis(symbol, { detailed = false } = {}) {
+  const asset = classifyAsset(symbol);
+  if (asset.assetClass !== 'equity' && asset.assetClass !== 'etf') return null;
+
+  try {
+    const provider = getMarketDataProvider();
+    const { value: raw, meta: cache } = await upstreamCache.get(
+      `${provider.name}:events${detailed ? '-detailed' : ''}:${symbol}`, TTL.events,
+      () => provider.getCorporateEvents(symbol, { earnings: asset.assetClass === 'equity', detailed })
+    );
+
+    // Days-until counts are relative to today, so they are derived after the cache
+    const summary = summarizeEvents(raw);
+    const events = { ...summary, message: describeEvents(summary), dataStatus: 'live', cache };
+    remember('events', symbol, events);
+    return events;
+  } catch (error) {
+    console.error('Corporate events error:', error);
+    return degrade('events', symbol, error, {
+      earnings: null,
+      dividends: null,
+      splits: [],
+      message: 'Unable to fetch corporate events: ' + error.message
+    });
+  }
+}
 
-  if (currentPrice > sma20) message += 'Price is above 20-day average, indicating short-term strength.';
-  else message += 'Price is below 20-day average, suggesting short-term weakness.';
+// Volatility, drawdown, VaR and beta from the symbol's daily series (shared with
+// the technical section's cache) and the benchmark's. Beta is left out when the
+// benchmark cannot be fetched rather than failing the section.
+export async function getRiskAnalysis(symbol) {
+  try {
+    const provider = getMarketDataProvider();
+    const benchmarkSymbol = process.env.RISK_BENCHMARK || 'SPY';
+    const { value: bars, meta: cache } = await upstreamCache.get(
+      `${provider.name}:daily:${symbol}`, TTL.quote, () => provider.getDailySeries(symbol)
+    );
+    // A day-old benchmark is close enough for a year of returns
+    const benchmark = symbol === benchmarkSymbol ? bars : await upstreamCache.get(
+      `${provider.name}:benchmark:${benchmarkSymbol}`, TTL.overview, () => provider.getDailySeries(benchmarkSymbol)
+    ).then(({ value }) => value, error => {
+      console.error('Risk benchmark error:', error);
+      return null;
+    });
 
-  return message;
+    const metrics = computeRisk(bars, { benchmark, benchmarkSymbol });
+    if (!metrics) {
+      return {
+        level: null,
+        message: 'Not enough price history to measure risk.',
+        dataStatus: 'unavailable',
+        unavailableReason: 'insufficient_history'
+      };
+    }
+    const risk = { ...metrics, message: describeRisk(metrics), dataStatus: 'live', cache };
+    remember('risk', symbol, risk);
+    return risk;
+  } catch (error) {
+    console.error('Risk analysis error:', error);
+    return degrade('risk', symbol, error, {
+      level: null,
+      message: 'Unable to measure risk: ' + error.message
+    });
+  }
 }
 
-function interpretFundamentals(data) {
-  const pe = parseFloat(data['PERatio']);
-  const divYield = parseFloat(data['DividendYield']);
+// When a live fetch fails, fall back to the last real value for the symbol
+// (marked stale with its age) or, failing that, a typed "unavailable" result.
+// Never substitute made-up numbers.
+function degrade(kind, symbol, error, unavailable) {
+  const reason = error instanceof RateLimitError ? 'rate_limited' : 'upstream_error';
+  const cached = recall(kind, symbol);
+
+  if (cached) {
+    return {
+      ...cached.value,
+      dataStatus: 'stale',
+      staleReason: reason,
+      cache: null,
+      cachedAt: cached.storedAt,
+      ageSeconds: cached.ageSeconds
+    };
+  }
+
+  return {
+    ...unavailable,
+    dataStatus: 'unavailable',
+    unavailableReason: reason
+  };
+}
+
+function interpretFundamentals(overview, financials, withStatements) {
+  const pe = parseFloat(overview.peRatio);
+  const divYield = parseFloat(overview.dividendYield);
   
   let message = '';
   if (pe && pe > 0) {
@@ -248,7 +809,15 @@ function interpretFundamentals(data) {
     else message += 'Low dividend yield.';
   }
 
-  return message || 'Fundamental data analysis complete.';
+  if (financials) {
+    message = `${message.trim()} ${describeFinancials(financials)}`;
+  } else if (!withStatements) {
+    message += ' Ask about the fundamentals for growth and ratio analysis from the financial statements.';
+  } else {
+    message += ' Financial statements are unavailable, so growth and ratio analysis is skipped.';
+  }
+
+  return message.trim() || 'Fundamental data analysis complete.';
 }
 
 function generateSummary(analysis, userQuery) {
@@ -261,14 +830,39 @@ function generateSummary(analysis, userQuery) {
     summary += `${analysis.recommendation.message}\n\n`;
   }
   
+  if (analysis.quote && analysis.quote.price !== 'N/A') {
+    summary += `💵 **Price:** ${formatPrice(analysis.asset, analysis.quote.price)} (${analysis.quote.changePercent > 0 ? '+' : ''}${analysis.quote.changePercent}%)\n`;
+    if (analysis.quote.range && analysis.quote.range.changePercent) {
+      summary += `${analysis.quote.range.label}: ${analysis.quote.range.changePercent}%\n`;
+    }
+    summary += '\n';
+  }
+  
   if (analysis.technical && analysis.technical.price !== 'N/A') {
-    summary += `📈 **Technical:** $${analysis.technical.price} (${analysis.technical.changePercent > 0 ? '+' : ''}${analysis.technical.changePercent}%)\n`;
+    const staleNote = analysis.technical.dataStatus === 'stale' ? ` _(stale, ${formatAge(analysis.technical.ageSeconds)} old)_` : '';
+    summary += `📈 **Technical:** ${formatPrice(analysis.asset, analysis.technical.price)} (${analysis.technical.changePercent > 0 ? '+' : ''}${analysis.technical.changePercent}%)${staleNote}\n`;
     summary += `${analysis.technical.message}\n\n`;
   }
   
-  if (analysis.fundamental && analysis.fundamental.peRatio !== 'N/A') {
-    summary += `📊 **Fundamentals:** P/E ${analysis.fundamental.peRatio}, Market Cap ${analysis.fundamental.marketCap}\n`;
-    summary += `${analysis.fundamental.message}\n\n`;
+  const assetClass = analysis.asset ? analysis.asset.assetClass : 'equity';
+  if (assetClass === 'etf' && fundamental && fundamental.dataStatus !== 'unavailable') {
+    summary += `📊 **Fund:** expense ratio ${fundamental.expenseRatio ?? 'N/A'}%\n`;
+    summary += `${fundamental.message}\n\n`;
+  } else if (assetClass === 'forex' && fundamental && fundamental.carry !== null) {
+    summary += `📊 **Carry:** ${fundamental.carry > 0 ? '+' : ''}${fundamental.carry}%\n`;
+    summary += `${fundamental.message}\n\n`;
+  } else if (fundamental && fundamental.peRatio && fundamental.peRatio !== 'N/A') {
+    summary += `📊 **Fundamentals:** P/E ${fundamental.peRatio}, Market Cap ${fundamental.marketCap}\n`;
+    summary += `${fundamental.message}\n\n`;
+  }
+  
+  if (analysis.events && analysis.events.earnings) {
+    summary += `📅 **Events:** ${analysis.events.message}\n\n`;
+  }
+
+  if (analysis.risk && analysis.risk.level) {
+    summary += `⚖️ **Risk:** ${analysis.risk.level}\n`;
+    summary += `${analysis.risk.message}\n\n`;
   }
   
   if (analysis.sentiment) {
@@ -280,268 +874,65 @@ function generateSummary(analysis, userQuery) {
 
 // Removed - now handled inline above
 
-async function getNewsAnalysis(symbol) {
+export async function getNewsAnalysis(symbol) {
   try {
-    const newsApiKey = process.env.NEWS_API_KEY;
-    
-    if (!newsApiKey) {
-      return {
-        articles: [],
-        summary: 'News API key not configured. Please add NEWS_API_KEY to environment variables.'
-      };
-    }
-
-    // Get company name for better news search
-    const companyNames = {
-      'AAPL': 'Apple Inc',
-      'TSLA': 'Tesla',
-      'MSFT': 'Microsoft',
-      'GOOGL': 'Google',
-      'AMZN': 'Amazon',
-      'META': 'Meta Facebook',
-      'NVDA': 'NVIDIA',
-      'NFLX': 'Netflix'
-    };
-    
-    const companyName = companyNames[symbol] || symbol;
+    // Company name from the listings for a better news search
+    const { name: companyName, keywords } = newsTerms(symbol);
     const searchQuery = `"${companyName}" OR "${symbol}"`;
 
-    const response = await fetch(`https://newsapi.org/v2/everything?q=${encodeURIComponent(searchQuery)}&sortBy=publishedAt&pageSize=8&language=en&apiKey=${newsApiKey}`);
-    
-    if (!response.ok) {
-      throw new Error(`News API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const provider = getNewsProvider();
+    const { value: articles, meta: cache } = await upstreamCache.get(
+      `${provider.name}:news:${symbol}`, TTL.news, () => provider.getArticles(symbol, { query: searchQuery, pageSize: 8 })
+    );
     
     // Filter for more relevant articles
-    const relevantArticles = data.articles.filter(article => {
-      const title = article.title.toLowerCase();
-      const description = (article.description || '').toLowerCase();
-      const symbolLower = symbol.toLowerCase();
-      const companyLower = companyName.toLowerCase();
-      
-      return title.includes(symbolLower) || title.includes(companyLower) ||
-             description.includes(symbolLower) || description.includes(companyLower);
+    const relevantArticles = articles.filter(article => {
+      const text = `${article.title || ''} ${article.description || ''}`.toLowerCase();
+      return keywords.some(keyword => text.includes(keyword));
     });
     
-    return {
-      articles: relevantArticles.slice(0, 5).map(article => ({
-        title: article.title,
-        description: article.description,
-        url: article.url,
-        publishedAt: article.publishedAt,
-        source: article.source.name
-      })),
-      summary: `Found ${relevantArticles.length} relevant news articles about ${symbol}`
+    const news = {
+      articles: relevantArticles.slice(0, 5),
+      summary: `Found ${relevantArticles.length} relevant news articles about ${symbol}`,
+      dataStatus: 'live',
+      cache
     };
+    remember('news', symbol, news);
+    return news;
   } catch (error) {
     console.error('News analysis error:', error);
-    return {
+    return degrade('news', symbol, error, {
       articles: [],
       summary: 'Unable to fetch news data: ' + error.message
-    };
+    });
   }
 }
 
-function getSentimentFromNews(newsData) {
+export function getSentimentFromNews(newsData) {
   if (!newsData.articles || newsData.articles.length === 0) {
     return {
       score: 0,
-      message: 'No news articles available for sentiment analysis'
+      message: 'No news articles available for sentiment analysis',
+      articleCount: 0,
+      headlines: []
     };
   }
 
-  // Simple sentiment analysis based on keywords
-  let positiveWords = ['growth', 'profit', 'increase', 'rise', 'gain', 'strong', 'beat', 'exceed', 'positive', 'up'];
-  let negativeWords = ['loss', 'decline', 'fall', 'drop', 'weak', 'miss', 'negative', 'down', 'concern', 'risk'];
-  
-  let totalScore = 0;
-  let headlines = [];
-
-  newsData.articles.forEach(article => {
-    if (article.title) {
-      const title = article.title.toLowerCase();
-      let score = 0;
-      
-      positiveWords.forEach(word => {
-        if (title.includes(word)) score += 1;
-      });
-      
-      negativeWords.forEach(word => {
-        if (title.includes(word)) score -= 1;
-      });
-      
-      totalScore += score;
-      headlines.push({
-        title: article.title,
-        sentiment: score,
-        url: article.url
-      });
-    }
-  });
-
-  const avgScore = newsData.articles.length > 0 ? totalScore / newsData.articles.length : 0;
+  // Lexicon model: per-article scores in [-1, 1], weighted by recency and source
+  const sentiment = analyzeSentiment(newsData.articles);
   
   let message;
-  if (avgScore > 0.5) message = 'Very Positive sentiment in recent news';
-  else if (avgScore > 0) message = 'Positive sentiment in recent news';
-  else if (avgScore === 0) message = 'Neutral sentiment in recent news';
-  else if (avgScore > -0.5) message = 'Negative sentiment in recent news';
+  if (sentiment.score > 0.35) message = 'Very Positive sentiment in recent news';
+  else if (sentiment.score > 0.05) message = 'Positive sentiment in recent news';
+  else if (sentiment.score >= -0.05) message = 'Neutral sentiment in recent news';
+  else if (sentiment.score >= -0.35) message = 'Negative sentiment in recent news';
   else message = 'Very Negative sentiment in recent news';
 
   return {
-    score: Math.round(avgScore * 100) / 100,
+    score: sentiment.score,
     message: message,
-    headlines: headlines.slice(0, 5)
-  };
-}
-
-function generateRecommendation(technical, fundamental, sentiment) {
-  let score = 0;
-  let reasons = [];
-  let riskFactors = [];
-  
-  // Technical Analysis Scoring (40% weight)
-  if (technical.price !== 'N/A') {
-    const changePercent = parseFloat(technical.changePercent);
-    const currentPrice = parseFloat(technical.price);
-    const sma20 = parseFloat(technical.indicators.sma20);
-    
-    // Price momentum
-    if (changePercent > 3) {
-      score += 2;
-      reasons.push('Strong upward momentum (+3%)');
-    } else if (changePercent > 0) {
-      score += 1;
-      reasons.push('Positive price movement');
-    } else if (changePercent < -3) {
-      score -= 2;
-      reasons.push('Significant price decline (-3%)');
-      riskFactors.push('Recent sharp decline');
-    } else if (changePercent < 0) {
-      score -= 1;
-      reasons.push('Negative price movement');
-    }
-    
-    // Trend analysis
-    if (currentPrice > sma20 * 1.02) {
-      score += 1;
-      reasons.push('Price above 20-day average');
-    } else if (currentPrice < sma20 * 0.98) {
-      score -= 1;
-      reasons.push('Price below 20-day average');
-      riskFactors.push('Below short-term trend');
-    }
-  }
-  
-  // Fundamental Analysis Scoring (40% weight)
-  if (fundamental.peRatio !== 'N/A') {
-    const pe = parseFloat(fundamental.peRatio);
-    if (pe > 0) {
-      if (pe < 15) {
-        score += 2;
-        reasons.push('Attractive P/E ratio (value play)');
-      } else if (pe < 25) {
-        score += 1;
-        reasons.push('Reasonable P/E ratio');
-      } else if (pe > 40) {
-        score -= 1;
-        reasons.push('High P/E ratio (expensive)');
-        riskFactors.push('High valuation risk');
-      }
-    }
-  }
-  
-  // Dividend yield consideration
-  if (fundamental.dividendYield !== 'N/A') {
-    const divYield = parseFloat(fundamental.dividendYield);
-    if (divYield > 3) {
-      score += 1;
-      reasons.push('Good dividend yield');
-    }
-  }
-  
-  // Sentiment Analysis Scoring (20% weight)
-  if (sentiment.score > 0.5) {
-    score += 1;
-    reasons.push('Positive market sentiment');
-  } else if (sentiment.score < -0.5) {
-    score -= 1;
-    reasons.push('Negative market sentiment');
-    riskFactors.push('Poor news sentiment');
-  }
-  
-  // Generate recommendation
-  let recommendation, confidence, action;
-  
-  if (score >= 3) {
-    recommendation = 'BUY';
-    action = '🟢 Strong Buy';
-    confidence = 'High';
-  } else if (score >= 1) {
-    recommendation = 'BUY';
-    action = '🟢 Buy';
-    confidence = 'Medium';
-  } else if (score >= -1) {
-    recommendation = 'HOLD';
-    action = '🟡 Hold';
-    confidence = 'Medium';
-  } else if (score >= -3) {
-    recommendation = 'SELL';
-    action = '🔴 Sell';
-    confidence = 'Medium';
-  } else {
-    recommendation = 'SELL';
-    action = '🔴 Strong Sell';
-    confidence = 'High';
-  }
-  
-  // Risk Assessment
-  let riskLevel;
-  if (riskFactors.length >= 3) {
-    riskLevel = 'High';
-  } else if (riskFactors.length >= 1) {
-    riskLevel = 'Medium';
-  } else {
-    riskLevel = 'Low';
-  }
-  
-  return {
-    recommendation: recommendation,
-    action: action,
-    confidence: confidence,
-    score: score,
-    riskLevel: riskLevel,
-    reasons: reasons.slice(0, 4),
-    riskFactors: riskFactors.slice(0, 3),
-    message: generateRecommendationMessage(recommendation, confidence, riskLevel)
+    articleCount: sentiment.articleCount,
+    distribution: sentiment.distribution,
+    headlines: sentiment.articles
   };
 }
-
-function generateRecommendationMessage(recommendation, confidence, riskLevel) {
-  let message = '';
-  
-  if (recommendation === 'BUY') {
-    message = `${confidence} confidence buy recommendation. `;
-    if (riskLevel === 'Low') {
-      message += 'Low risk investment with good upside potential.';
-    } else if (riskLevel === 'Medium') {
-      message += 'Moderate risk - consider position sizing carefully.';
-    } else {
-      message += 'Higher risk - suitable for aggressive investors only.';
-    }
-  } else if (recommendation === 'HOLD') {
-    message = `Hold current position. `;
-    message += 'Mixed signals suggest waiting for clearer direction.';
-  } else {
-    message = `${confidence} confidence sell recommendation. `;
-    if (riskLevel === 'High') {
-      message += 'High risk of further decline - consider exit strategy.';
-    } else {
-      message += 'Consider taking profits or reducing exposure.';
-    }
-  }
-  
-  return message;
-}
@@ -0,0 +1,43 @@
+// Backtest of the recommendation model over local price history.
+// GET /api/backtest?symbol=AAPL&from=2024-01-01&warmup=50&horizon=5&allowShort=true&profile=value
+// (POST with the same fields in a JSON body also works)
+import { backtestSymbol } from '../lib/backtest.js';
+import { ApiError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const params = req.method === 'GET' ? req.query || {} : req.body || {};
+  if (!params.symbol) {
+    return res.status(400).json({ error: 'Symbol is required' });
+  }
+
+  try {
+    const result = await backtestSymbol(String(params.symbol).toUpperCase(), {
+      from: params.from,
+      to: params.to,
+      warmup: params.warmup === undefined ? undefined : parseInt(params.warmup, 10),
+      horizon: params.horizon === undefined ? undefined : parseInt(params.horizon, 10),
+      allowShort: params.allowShort === true || params.allowShort === 'true',
+      profile: params.profile
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Backtest error:', error);
+    return res.status(500).json({ error: 'Backtest failed' });
+  }
+}
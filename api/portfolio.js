@@ -0,0 +1,148 @@
+// Portfolio holdings
+//
+//   GET    /api/portfolio              positions valued at current prices, P&L, allocation, concentration
+//   GET    /api/portfolio/lots         recorded purchase lots
+//   POST   /api/portfolio/lots         record a lot { symbol, quantity, costBasis, date? }
+//   DELETE /api/portfolio/lots/:id     delete a lot
+//   GET    /api/portfolio/transactions         the ledger behind the lots (buys, sells, dividends, splits)
+//   POST   /api/portfolio/transactions         record one { type, symbol, date?, quantity?, price?, fees?, amount?, ratio? }
+//   DELETE /api/portfolio/transactions/:id     delete a transaction
+//   GET    /api/portfolio/import       available broker CSV templates
+//   POST   /api/portfolio/import       import a broker export { csv, template?, dryRun? }
+import {
+  getPortfolio,
+  listLots,
+  addLot,
+  deleteLot,
+  listTransactions,
+  addTransaction,
+  deleteTransaction,
+  importTransactions
+} from '../lib/portfolio.js';
+import { listImportTemplates, parseBrokerCsv } from '../lib/portfolioImport.js';
+import { ApiError } from '../lib/errors.js';
+import { getTechnicalAnalysis } from './analyze.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { resource, id } = req.query || {};
+
+  try {
+    if (!resource) {
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return res.status(200).json(await portfolioReport());
+    }
+
+    if (resource === 'import') {
+      switch (req.method) {
+        case 'GET':
+          return res.status(200).json({ templates: listImportTemplates() });
+        case 'POST': {
+          const report = await importCsv(req.body || {});
+          return res.status(report.dryRun ? 200 : 201).json(report);
+        }
+        default:
+          return res.status(405).json({ error: 'Method not allowed' });
+      }
+    }
+
+    const collections = {
+      lots: { list: listLots, add: addLot, remove: deleteLot },
+      transactions: { list: listTransactions, add: addTransaction, remove: deleteTransaction }
+    };
+    const collection = collections[resource];
+    if (!collection) {
+      return res.status(404).json({ error: `Unknown portfolio resource "${resource}"` });
+    }
+
+    if (id) {
+      if (req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return res.status(200).json(await collection.remove(id));
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json({ [resource]: await collection.list() });
+      case 'POST':
+        return res.status(201).json(await collection.add(req.body));
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Portfolio error:', error);
+    return res.status(500).json({ error: 'Portfolio request failed' });
+  }
+}
+
+// Parses the export, then adds whatever was not imported before. Rows that fail
+// validation are reported by line and do not stop the others.
+async function importCsv({ csv, template, dryRun }) {
+  const parsed = parseBrokerCsv(csv, template || undefined);
+  const result = await importTransactions(parsed.transactions, {
+    source: `import:${parsed.template}`,
+    dryRun: Boolean(dryRun)
+  });
+  return {
+    template: parsed.template,
+    dryRun: Boolean(dryRun),
+    rows: parsed.rows,
+    imported: result.imported.length,
+    duplicates: result.duplicates,
+    errors: parsed.errors,
+    skipped: parsed.skipped,
+    warnings: result.warnings,
+    transactions: result.imported
+  };
+}
+
+// The valued portfolio as a chat response
+export async function portfolioReport() {
+  const portfolio = await getPortfolio(getTechnicalAnalysis);
+  return {
+    type: 'portfolio',
+    ...portfolio,
+    summary: generatePortfolioSummary(portfolio)
+  };
+}
+
+function generatePortfolioSummary(portfolio) {
+  if (portfolio.positions.length === 0) {
+    return 'Your portfolio is empty. Record a purchase with e.g. "I bought 10 AAPL at 150 on 2024-03-01", or import a broker CSV export.';
+  }
+
+  const money = value => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const percent = value => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value}%`);
+  const { totals, concentration } = portfolio;
+
+  let summary = '**Portfolio:**\n\n';
+  summary += '| Symbol | Shares | Avg Cost | Price | Value | P&L | Weight |\n|---|---|---|---|---|---|---|\n';
+  portfolio.positions.forEach(position => {
+    summary += `| ${position.symbol} | ${position.quantity} | ${money(position.averageCost)} | ${position.price === null ? 'N/A' : money(position.price)} | ` +
+      `${money(position.marketValue)} | ${percent(position.unrealizedPnlPercent)} | ${position.allocationPercent}% |\n`;
+  });
+  summary += `\nTotal value ${money(totals.marketValue)} on a cost basis of ${money(totals.costBasis)} ` +
+    `(${totals.unrealizedPnl >= 0 ? '+' : '-'}${money(Math.abs(totals.unrealizedPnl))}, ${percent(totals.unrealizedPnlPercent)}).\n`;
+  summary += `Concentration: ${concentration.level} (largest ${concentration.largest.symbol} at ${concentration.largest.allocationPercent}%, HHI ${concentration.hhi}).`;
+  if (totals.realizedPnl || totals.dividends) {
+    summary += `\nRealized P&L ${totals.realizedPnl >= 0 ? '+' : '-'}${money(Math.abs(totals.realizedPnl))}, dividends received ${money(totals.dividends)}.`;
+  }
+  [...concentration.warnings, ...portfolio.warnings].forEach(warning => {
+    summary += `\n⚠️ ${warning}`;
+  });
+  return summary;
+}
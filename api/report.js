@@ -0,0 +1,123 @@
+// Downloadable analysis reports
+//
+//   GET /api/report?symbol=AAPL                 a fresh analysis of one symbol
+//   GET /api/report?session=<id>&turn=<n>       one answer from a chat session
+//   GET /api/report?session=<id>                every answer in a chat session
+//   GET /api/report?watchlist=<name>            every member of a watchlist, freshly analyzed
+//
+// format: md (default) | json | csv | html. Sent as an attachment unless
+// disposition=inline (the chat opens the printable HTML in a new tab).
+import { analyzeAsset, getTechnicalAnalysis } from './analyze.js';
+import { getSession, sessionTurns } from '../lib/sessions.js';
+import { getWatchlist } from '../lib/watchlists.js';
+import { buildReport, renderReport, reportSymbols, REPORT_FORMATS } from '../lib/report.js';
+import { normalizeSymbol } from '../lib/assets.js';
+import { ApiError } from '../lib/errors.js';
+
+const SYMBOL_PATTERN = /^[A-Z0-9.^=\/-]{1,15}$/;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { format = 'md', disposition } = req.query || {};
+
+  try {
+    const output = REPORT_FORMATS[format];
+    if (!output) {
+      throw new ApiError(400, `format must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+
+    const { source, turns, name } = await collectTurns(req.query, format === 'html');
+    const report = buildReport(source, turns);
+    const charts = format === 'html' ? await priceSeries(report, turns) : {};
+    const body = renderReport(report, format, charts);
+
+    const filename = `${name}-${report.generatedAt.slice(0, 10)}.${output.extension}`;
+    res.setHeader('Content-Type', output.contentType);
+    res.setHeader('Content-Disposition', `${disposition === 'inline' ? 'inline' : 'attachment'}; filename="${filename}"`);
+    return res.status(200).send(body);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Report error:', error);
+    return res.status(500).json({ error: 'Report generation failed' });
+  }
+}
+
+const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+
+// The answers a report covers, as [{ query, response }], plus its title and file name
+async function collectTurns(query, withCharts) {
+  if (query.symbol) {
+    const symbol = normalizeSymbol(query.symbol);
+    if (!SYMBOL_PATTERN.test(symbol)) {
+      throw new ApiError(400, 'symbol is not a valid ticker');
+    }
+    const analysis = await analyzeAsset(symbol, `Report ${symbol}`, null, false, { chart: withCharts, detailed: true });
+    return {
+      source: { kind: 'analysis', id: symbol, title: `${symbol} Analysis Report` },
+      turns: [{ query: null, response: analysis }],
+      name: slug(symbol)
+    };
+  }
+
+  if (query.session) {
+    const session = await getSession(query.session);
+    let turns = sessionTurns(session);
+    if (query.turn !== undefined) {
+      turns = turns.filter(entry => entry.turn === parseInt(query.turn, 10));
+      if (turns.length === 0) {
+        throw new ApiError(404, `Turn ${query.turn} not found in this session`);
+      }
+    }
+    return {
+      source: { kind: 'session', id: session.id, title: turns.length === 1 ? turns[0].query || session.title : session.title },
+      turns,
+      name: slug(turns.length === 1 ? `${session.title}-${turns[0].turn}` : session.title)
+    };
+  }
+
+  if (query.watchlist) {
+    const watchlist = await getWatchlist(query.watchlist);
+    const analyses = await Promise.all(watchlist.symbols.map(symbol =>
+      analyzeAsset(symbol, `Report ${watchlist.name}`, null, false, { chart: withCharts, detailed: true })));
+    return {
+      source: { kind: 'watchlist', id: watchlist.name, title: `${watchlist.name} Watchlist Report` },
+      turns: analyses.map(analysis => ({ query: null, response: analysis })),
+      name: slug(`watchlist-${watchlist.name}`)
+    };
+  }
+
+  throw new ApiError(400, 'Pass symbol, session (optionally with turn) or watchlist');
+}
+
+// Daily series to draw in the HTML report. Fresh analyses carry their chart;
+// sessions store answers without it, so those symbols are fetched (usually
+// from the upstream cache).
+async function priceSeries(report, turns) {
+  const charts = {};
+  turns.forEach(({ response }) => {
+    const technical = response.technical || response.quote;
+    if (response.symbol && technical && technical.chart) {
+      charts[response.symbol] = technical.chart.daily;
+    }
+  });
+  const missing = reportSymbols(report).filter(symbol => !charts[symbol]);
+  const technicals = await Promise.all(missing.map(symbol => getTechnicalAnalysis(symbol)));
+  missing.forEach((symbol, i) => {
+    if (technicals[i].chart) charts[symbol] = technicals[i].chart.daily;
+  });
+  return charts;
+}
@@ -0,0 +1,166 @@
+// Stock screener over the local universe (lib/screen.js)
+//
+//   GET  /api/screen?filter=pe < 15 and dividend > 3%&sort=dividend yield&limit=10
+//   POST /api/screen { filter, sort?, limit? }
+//
+// sort is a field with an optional direction ("market cap desc", "-pe"); without
+// one, matches keep the universe's order.
+import { getTechnicalAnalysis, getFundamentalAnalysis, uncachedCalls } from './analyze.js';
+import { compileScreen, matches, screenRow, parseSort, loadUniverse, formatValue, FIELDS, DEFAULT_LIMIT, MAX_LIMIT } from '../lib/screen.js';
+import { getListing } from '../lib/symbols.js';
+import { classifyAsset } from '../lib/assets.js';
+import { getMarketDataProvider } from '../lib/providers/index.js';
+import { getRateLimiter, hasRateLimits } from '../lib/rateLimiter.js';
+import { ApiError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const params = req.method === 'GET' ? req.query || {} : req.body || {};
+
+  try {
+    return res.status(200).json(await runScreen(params.filter, { sort: params.sort, limit: params.limit }));
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Screen error:', error);
+    return res.status(500).json({ error: 'Screen failed' });
+  }
+}
+
+function parseLimit(limit) {
+  if (limit === undefined || limit === null || limit === '') return DEFAULT_LIMIT;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+    throw new ApiError(400, `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  return value;
+}
+
+// A screen touches every symbol in the universe, so it is refused up front when the
+// calls it needs beyond the cache would not all get through the quota, rather
+// than spending the day's allowance on a partial answer
+function checkQuota(universe, needs) {
+  const provider = getMarketDataProvider();
+  if (!hasRateLimits(provider.name)) return;
+
+  const calls = universe.symbols.reduce((sum, symbol) => sum + uncachedCalls(symbol, needs), 0);
+  const limiter = getRateLimiter(provider.name);
+  const available = limiter.capacity();
+  if (calls > available) {
+    const { remaining } = limiter.status();
+    throw new ApiError(429, `Screening the ${universe.symbols.length} symbols in ${universe.name} needs ${calls} ` +
+      `${limiter.name} calls for data that is not cached, but only ${available} can be made now ` +
+      `(${remaining.day} left today). Screen a smaller universe (SCREEN_UNIVERSE) or raise the quota ` +
+      'settings if your plan allows more calls.');
+  }
+}
+
+export async function runScreen(expression, { sort, limit } = {}) {
+  const screen = compileScreen(expression);
+  const order = sort ? parseSort(sort) : null;
+  const max = parseLimit(limit);
+  const universe = loadUniverse();
+
+  // Price is always shown; fundamentals (and the statements behind the ratio
+  // fields) are only fetched when a condition or the sort needs them. Both come
+  // through the upstream cache, so repeated screens reuse earlier answers.
+  const sortFields = order ? [order.field] : [];
+  const needs = {
+    fundamental: [...screen.fields, ...sortFields].some(field => field.section === 'fundamental'),
+    statements: [...screen.fields, ...sortFields].some(field => field.statements)
+  };
+  checkQuota(universe, needs);
+
+  const evaluated = await Promise.all(universe.symbols.map(async symbol => {
+    const [technical, fundamental] = await Promise.all([
+      getTechnicalAnalysis(symbol, { chart: false }),
+      needs.fundamental ? getFundamentalAnalysis(symbol, { statements: needs.statements }) : null
+    ]);
+    const unavailable = [['Price', technical], ['Fundamental', fundamental]]
+      .filter(([, section]) => section && section.dataStatus === 'unavailable')
+      .map(([label]) => label);
+    if (unavailable.length > 0) {
+      return { symbol, skipped: `${unavailable.join(' and ')} data unavailable` };
+    }
+    const values = screenRow(technical, fundamental);
+    const stale = [technical, fundamental].some(section => section && section.dataStatus === 'stale');
+    return { symbol, technical, values, dataStatus: stale ? 'stale' : 'live', matched: matches(screen, values) };
+  }));
+
+  let matched = evaluated.filter(entry => entry.matched);
+  if (order) {
+    const { key } = order.field;
+    const sign = order.direction === 'asc' ? 1 : -1;
+    // Symbols without the value go last either way
+    matched = [...matched].sort((a, b) => {
+      if (a.values[key] === null || b.values[key] === null) return (a.values[key] === null) - (b.values[key] === null);
+      return sign * (a.values[key] - b.values[key]) || a.symbol.localeCompare(b.symbol);
+    });
+  }
+
+  // Columns: price, then every field the filter or the sort mentions
+  const columns = [...new Set(['price', ...screen.fields.map(field => field.key), ...(order ? [order.field.key] : [])])];
+  const rows = matched.slice(0, max).map(({ symbol, technical, values, dataStatus }) => {
+    const listing = getListing(symbol);
+    return {
+      symbol,
+      name: listing ? listing.name : null,
+      assetClass: classifyAsset(symbol).assetClass,
+      changePercent: technical.changePercent,
+      values: Object.fromEntries(columns.map(key => [key, values[key]])),
+      dataStatus
+    };
+  });
+
+  const result = {
+    type: 'screen',
+    timestamp: new Date().toISOString(),
+    expression: screen.expression,
+    filter: screen.filter,
+    universe: { name: universe.name, size: universe.symbols.length },
+    sort: order ? { field: order.field.key, direction: order.direction } : null,
+    limit: max,
+    columns: columns.map(key => {
+      const { label, unit } = FIELDS.find(field => field.key === key);
+      return { key, label, unit };
+    }),
+    matched: matched.length,
+    rows,
+    skipped: evaluated.filter(entry => entry.skipped).map(({ symbol, skipped }) => ({ symbol, reason: skipped }))
+  };
+  result.summary = generateScreenSummary(result);
+  return result;
+}
+
+function generateScreenSummary(result) {
+  const fields = result.columns.map(column => FIELDS.find(field => field.key === column.key));
+  let summary = `**Screen:** ${result.filter}\n\n`;
+  summary += `${result.matched} of ${result.universe.size} symbols in ${result.universe.name} match`;
+  summary += result.matched > result.rows.length ? ` (showing ${result.rows.length}).\n\n` : '.\n\n';
+
+  if (result.rows.length > 0) {
+    summary += `| Symbol | ${fields.map(field => field.label).join(' | ')} |\n`;
+    summary += `|---|${fields.map(() => '---').join('|')}|\n`;
+    result.rows.forEach(row => {
+      summary += `| ${row.symbol} | ${fields.map(field => formatValue(field, row.values[field.key])).join(' | ')} |\n`;
+    });
+  }
+  if (result.skipped.length > 0) {
+    // Vendor errors or symbols the vendor has no data for
+    summary += `\n_Skipped for missing data: ${result.skipped.map(entry => entry.symbol).join(', ')}._\n`;
+  }
+  return summary;
+}
@@ -0,0 +1,67 @@
+// Chat sessions
+//
+//   GET    /api/sessions?ids=   summaries of the caller's own sessions (comma-separated
+//                               ids, at most 20), most recent first
+//   POST   /api/sessions        start an empty session
+//   GET    /api/sessions/:id    one session with its full history (to restore the chat)
+//   DELETE /api/sessions/:id    delete
+import {
+  listSessions,
+  getSession,
+  createSession,
+  deleteSession,
+  sessionTurns
+} from '../lib/sessions.js';
+import { ApiError } from '../lib/errors.js';
+
+const MAX_LISTED = 20;
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { id, ids } = req.query || {};
+
+  try {
+    if (!id) {
+      if (req.method === 'GET') {
+        // Session ids are the only key to a conversation, so there is no listing of all of them
+        const wanted = String(ids || '').split(',').map(value => value.trim()).filter(Boolean);
+        if (wanted.length === 0) {
+          throw new ApiError(400, 'Pass the ids of your sessions as ?ids=');
+        }
+        if (wanted.length > MAX_LISTED) {
+          throw new ApiError(400, `At most ${MAX_LISTED} session ids can be listed at once`);
+        }
+        return res.status(200).json({ sessions: await listSessions(wanted) });
+      }
+      if (req.method === 'POST') {
+        return res.status(201).json(await createSession());
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    switch (req.method) {
+      case 'GET': {
+        const session = await getSession(id);
+        return res.status(200).json({ ...session, history: sessionTurns(session) });
+      }
+      case 'DELETE':
+        return res.status(200).json(await deleteSession(id));
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Session error:', error);
+    return res.status(500).json({ error: 'Session request failed' });
+  }
+}
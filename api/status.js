@@ -0,0 +1,29 @@
+// Service status: remaining upstream quota, scheduler queue depth and cache stats
+import { getQuotaStatus } from '../lib/rateLimiter.js';
+import { upstreamCache } from '../lib/cache.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  return res.status(200).json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    providers: {
+      marketData: process.env.MARKET_DATA_PROVIDER || 'alphavantage',
+      news: process.env.NEWS_PROVIDER || 'newsapi'
+    },
+    quota: getQuotaStatus(),
+    cache: upstreamCache.getStats()
+  });
+}
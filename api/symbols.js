@@ -0,0 +1,31 @@
+// Symbol search over the local listings file
+// GET /api/symbols?q=micro&limit=10
+import { searchSymbols } from '../lib/symbols.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { q, limit } = req.query || {};
+  if (!q || !String(q).trim()) {
+    return res.status(400).json({ error: 'Query parameter "q" is required' });
+  }
+
+  try {
+    const results = searchSymbols(q, { limit: limit === undefined ? undefined : parseInt(limit, 10) || 10 });
+    return res.status(200).json({ query: q, results });
+  } catch (error) {
+    console.error('Symbol search error:', error);
+    return res.status(500).json({ error: 'Symbol search failed' });
+  }
+}
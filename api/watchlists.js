@@ -0,0 +1,116 @@
+// Watchlist CRUD and batch refresh
+//
+//   GET    /api/watchlists                 list all watchlists
+//   POST   /api/watchlists                 create { name, symbols }
+//   GET    /api/watchlists/:name           one watchlist
+//   PUT    /api/watchlists/:name           update { name?, symbols? }
+//   DELETE /api/watchlists/:name           delete
+//   POST   /api/watchlists/:name/refresh   analyze every member, return a summary table
+import { analyzeAsset, formatPrice } from './analyze.js';
+import {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist
+} from '../lib/watchlists.js';
+import { ApiError } from '../lib/errors.js';
+
+export default async function handler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const { name, action } = req.query || {};
+  const body = req.body || {};
+
+  try {
+    if (!name) {
+      if (req.method === 'GET') {
+        return res.status(200).json({ watchlists: await listWatchlists() });
+      }
+      if (req.method === 'POST') {
+        return res.status(201).json(await createWatchlist(body.name, body.symbols));
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (action) {
+      if (action !== 'refresh') {
+        return res.status(404).json({ error: `Unknown watchlist action "${action}"` });
+      }
+      if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      return res.status(200).json(await refreshWatchlist(await getWatchlist(name)));
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.status(200).json(await getWatchlist(name));
+      case 'PUT':
+        return res.status(200).json(await updateWatchlist(name, body));
+      case 'DELETE':
+        return res.status(200).json(await deleteWatchlist(name));
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Watchlist error:', error);
+    return res.status(500).json({ error: 'Watchlist request failed' });
+  }
+}
+
+async function refreshWatchlist(watchlist) {
+  const rows = await Promise.all(watchlist.symbols.map(async symbol => {
+    try {
+      const analysis = await analyzeAsset(symbol, `Refresh ${watchlist.name}`, null, false, { chart: false });
+      return {
+        symbol,
+        asset: analysis.asset,
+        price: analysis.technical.price,
+        changePercent: analysis.technical.changePercent || 'N/A',
+        recommendation: analysis.recommendation.recommendation,
+        action: analysis.recommendation.action,
+        score: analysis.recommendation.score,
+        riskLevel: analysis.recommendation.riskLevel,
+        sentiment: analysis.sentiment.score,
+        dataStatus: analysis.technical.dataStatus,
+        ageSeconds: analysis.technical.ageSeconds
+      };
+    } catch (error) {
+      console.error(`Watchlist refresh failed for ${symbol}:`, error);
+      return { symbol, error: 'Analysis failed' };
+    }
+  }));
+
+  return {
+    type: 'watchlist',
+    name: watchlist.name,
+    timestamp: new Date().toISOString(),
+    rows,
+    summary: generateWatchlistSummary(watchlist.name, rows)
+  };
+}
+
+function generateWatchlistSummary(name, rows) {
+  let summary = `**${name} Watchlist:**\n\n`;
+  summary += '| Symbol | Price | Change | Signal | Risk |\n|---|---|---|---|---|\n';
+  rows.forEach(row => {
+    if (row.error) {
+      summary += `| ${row.symbol} | N/A | N/A | ${row.error} | N/A |\n`;
+    } else {
+      const change = row.changePercent === 'N/A' ? 'N/A' : `${row.changePercent > 0 ? '+' : ''}${row.changePercent}%`;
+      summary += `| ${row.symbol} | ${formatPrice(row.asset, row.price)} | ${change} | ${row.action} | ${row.riskLevel} |\n`;
+    }
+  });
+  return summary;
+}
@@ -0,0 +1,301 @@
+// Price and signal alerts. Definitions and the triggered-alert inbox live in
+// data/alerts.json; evaluateAlerts(analyzeAsset) is run periodically by server.js.
+// The analysis is passed in rather than imported: api/analyze.js creates alerts
+// from chat queries, so importing it here would be circular.
+//
+// Checks share the Alpha Vantage quota with the chat. Each symbol's data is reused
+// for a whole check interval, the default interval is as long as a fifth of the
+// daily quota allows (see alertCheckInterval), and checks are skipped while the
+// day's remaining calls are down to ALERT_QUOTA_RESERVE.
+//
+// Alert kinds:
+//   { type: 'price', symbol, operator: 'above' | 'below', value }
+//   { type: 'indicator', symbol, indicator: 'rsi14' | 'macd.histogram' | ..., operator, value }
+//   { type: 'recommendation', symbol, from?: 'BUY' | 'HOLD' | 'SELL', to: 'BUY' | 'HOLD' | 'SELL' }
+import { randomUUID } from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+import { ApiError } from './errors.js';
+import { normalizeSymbol } from './assets.js';
+import { createCache } from './cache.js';
+import { getRateLimiter, hasRateLimits } from './rateLimiter.js';
+import { getMarketDataProvider } from './providers/index.js';
+
+const MAX_INBOX = 200;
+const OPERATORS = ['above', 'below'];
+const RECOMMENDATIONS = ['BUY', 'HOLD', 'SELL'];
+const INDICATORS = [
+  'sma20', 'sma50', 'sma200', 'ema20', 'ema50', 'ema200', 'rsi14', 'atr14', 'atrPercent',
+  'macd.macd', 'macd.signal', 'macd.histogram', 'bollinger.percentB', 'realizedVolatility',
+  'week52.fromHighPercent', 'week52.fromLowPercent'
+];
+// Price and indicator alerts only need the price history
+const TECHNICAL_ONLY = { intent: 'technical', sections: ['technical'], metrics: [], timeRange: null, isFollowUp: false };
+
+// Share of the daily quota the default check interval plans for, and the calls
+// left for the chat when checks stop
+const QUOTA_SHARE = 0.2;
+const DEFAULT_QUOTA_RESERVE = 10;
+const UNLIMITED_INTERVAL = 300;
+
+const store = createJsonStore('alerts.json', { alerts: [], inbox: [] });
+const snapshotCache = createCache();
+
+function quotaLimiter() {
+  const provider = getMarketDataProvider();
+  return hasRateLimits(provider.name) ? getRateLimiter(provider.name) : null;
+}
+
+// Seconds between checks: ALERT_CHECK_INTERVAL, or by default time for a fifth of
+// the daily quota to refresh one symbol once per check (every 4.8 hours on the
+// free tier's 25 calls a day; Alpha Vantage's daily series only moves once a day
+// there anyway). Every 5 minutes for providers without quotas.
+export function alertCheckInterval() {
+  const configured = parseInt(process.env.ALERT_CHECK_INTERVAL, 10);
+  if (configured > 0) return configured;
+  const limiter = quotaLimiter();
+  if (!limiter) return UNLIMITED_INTERVAL;
+  return Math.ceil((24 * 3600) / (limiter.status().limits.perDay * QUOTA_SHARE));
+}
+
+function quotaReserve() {
+  const reserve = parseInt(process.env.ALERT_QUOTA_RESERVE, 10);
+  return Number.isFinite(reserve) && reserve >= 0 ? reserve : DEFAULT_QUOTA_RESERVE;
+}
+
+function describe(alert) {
+  switch (alert.type) {
+    case 'price':
+      return `${alert.symbol} ${alert.operator} ${alert.value}`;
+    case 'indicator':
+      return `${alert.indicator.toUpperCase()} of ${alert.symbol} ${alert.operator} ${alert.value}`;
+    default:
+      return `${alert.symbol} recommendation changes ${alert.from ? `from ${alert.from} ` : ''}to ${alert.to}`;
+  }
+}
+
+function validate(input) {
+  const symbol = normalizeSymbol(input.symbol);
+  if (!symbol) {
+    throw new ApiError(400, 'symbol is required');
+  }
+
+  const alert = { type: input.type, symbol, repeat: Boolean(input.repeat) };
+
+  if (input.type === 'price' || input.type === 'indicator') {
+    if (!OPERATORS.includes(input.operator)) {
+      throw new ApiError(400, `operator must be one of: ${OPERATORS.join(', ')}`);
+    }
+    const value = parseFloat(input.value);
+    if (!Number.isFinite(value)) {
+      throw new ApiError(400, 'value must be a number');
+    }
+    alert.operator = input.operator;
+    alert.value = value;
+
+    if (input.type === 'indicator') {
+      if (!INDICATORS.includes(input.indicator)) {
+        throw new ApiError(400, `indicator must be one of: ${INDICATORS.join(', ')}`);
+      }
+      alert.indicator = input.indicator;
+    }
+  } else if (input.type === 'recommendation') {
+    const to = String(input.to || '').toUpperCase();
+    const from = input.from ? String(input.from).toUpperCase() : null;
+    if (!RECOMMENDATIONS.includes(to) || (from && !RECOMMENDATIONS.includes(from))) {
+      throw new ApiError(400, `from/to must be one of: ${RECOMMENDATIONS.join(', ')}`);
+    }
+    alert.from = from;
+    alert.to = to;
+  } else {
+    throw new ApiError(400, 'type must be one of: price, indicator, recommendation');
+  }
+
+  return alert;
+}
+
+export async function listAlerts() {
+  return (await store.read()).alerts;
+}
+
+export function createAlert(input) {
+  const alert = validate(input || {});
+  const now = new Date().toISOString();
+
+  return store.update(data => {
+    const created = {
+      id: randomUUID(),
+      ...alert,
+      description: describe(alert),
+      active: true,
+      createdAt: now,
+      lastCheckedAt: null,
+      lastValue: null,
+      conditionMet: false,
+      triggeredAt: null
+    };
+    data.alerts.push(created);
+    return created;
+  });
+}
+
+export function deleteAlert(id) {
+  return store.update(data => {
+    const index = data.alerts.findIndex(alert => alert.id === id);
+    if (index === -1) {
+      throw new ApiError(404, `Alert "${id}" not found`);
+    }
+    data.alerts.splice(index, 1);
+    return { deleted: id };
+  });
+}
+
+export async function getInbox({ unreadOnly = false } = {}) {
+  const { inbox } = await store.read();
+  return unreadOnly ? inbox.filter(entry => !entry.read) : inbox;
+}
+
+// Marks the given inbox entries (or all, when ids is omitted) as read
+export function markInboxRead(ids) {
+  return store.update(data => {
+    let count = 0;
+    data.inbox.forEach(entry => {
+      if (!entry.read && (!ids || ids.includes(entry.id))) {
+        entry.read = true;
+        count++;
+      }
+    });
+    return { marked: count };
+  });
+}
+
+function readPath(object, path) {
+  return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+// Current observation for an alert: { value, met } or null when it can't be judged
+function observe(alert, snapshot) {
+  if (alert.type === 'recommendation') {
+    if (!snapshot.recommendation || snapshot.recommendation.recommendation === 'WITHHELD') return null;
+    const current = snapshot.recommendation.recommendation;
+    // The first observation only establishes the baseline
+    const previous = alert.lastValue;
+    const met = previous !== null && previous !== current && current === alert.to &&
+      (!alert.from || previous === alert.from);
+    return { value: current, met };
+  }
+
+  const raw = alert.type === 'price'
+    ? snapshot.technical.price
+    : readPath(snapshot.technical.indicators, alert.indicator);
+  const value = parseFloat(raw);
+  if (!Number.isFinite(value)) return null;
+
+  return { value, met: alert.operator === 'above' ? value > alert.value : value < alert.value };
+}
+
+// A recommendation alert watches the same signal the chat gives, so it runs the
+// full analysis (events, risk and any holding included)
+async function takeSnapshot(analyzeAsset, symbol, needsRecommendation) {
+  const analysis = await analyzeAsset(symbol, '', null, false, {
+    intent: needsRecommendation ? undefined : TECHNICAL_ONLY,
+    chart: false
+  });
+
+  // Never fire on stale or missing prices
+  if (analysis.technical.dataStatus !== 'live') return null;
+
+  return { technical: analysis.technical, recommendation: analysis.recommendation };
+}
+
+async function sendWebhook(event) {
+  const webhookUrl = process.env.ALERT_WEBHOOK_URL;
+  if (!webhookUrl) return;
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // "text" keeps the payload readable by Slack/Teams-style incoming webhooks
+      body: JSON.stringify({ text: `🔔 ${event.message}`, event })
+    });
+    if (!response.ok) {
+      console.error(`Alert webhook responded with ${response.status}`);
+    }
+  } catch (error) {
+    console.error('Alert webhook error:', error);
+  }
+}
+
+// Checks every active alert once; returns the inbox entries that fired.
+// analyzeAsset is the chat's analysis (see api/analyze.js).
+export async function evaluateAlerts(analyzeAsset) {
+  const alerts = (await listAlerts()).filter(alert => alert.active);
+  if (alerts.length === 0) return [];
+
+  // One snapshot per symbol, shared by all of its alerts and reused until the next
+  // interval. Symbols are checked one at a time so the quota is read before each.
+  const symbols = [...new Set(alerts.map(alert => alert.symbol))];
+  const snapshots = {};
+  const limiter = quotaLimiter();
+  const maxAge = alertCheckInterval() * 1000;
+  for (const symbol of symbols) {
+    const needsRecommendation = alerts.some(alert => alert.symbol === symbol && alert.type === 'recommendation');
+    const key = `${symbol}:${needsRecommendation ? 'full' : 'technical'}`;
+    if (limiter && !snapshotCache.has(key) && limiter.status().remaining.day <= quotaReserve()) {
+      console.warn(`Alert check for ${symbol} skipped: the ${limiter.name} calls left today are kept for the chat`);
+      continue;
+    }
+    try {
+      const { value } = await snapshotCache.get(key, maxAge, () => takeSnapshot(analyzeAsset, symbol, needsRecommendation));
+      snapshots[symbol] = value;
+    } catch (error) {
+      console.error(`Alert check failed for ${symbol}:`, error);
+      snapshots[symbol] = null;
+    }
+  }
+
+  const fired = await store.update(data => {
+    const events = [];
+    const now = new Date().toISOString();
+
+    data.alerts.forEach(alert => {
+      const snapshot = snapshots[alert.symbol];
+      if (!alert.active || !snapshot) return;
+
+      const observation = observe(alert, snapshot);
+      if (!observation) return;
+
+      // Fire on the transition into the condition, not on every check while it holds
+      const fire = observation.met && !alert.conditionMet;
+      const previousValue = alert.lastValue;
+      alert.conditionMet = observation.met;
+      alert.lastValue = observation.value;
+      alert.lastCheckedAt = now;
+
+      if (!fire) return;
+
+      alert.triggeredAt = now;
+      if (!alert.repeat) alert.active = false;
+
+      const detail = alert.type === 'recommendation'
+        ? `${alert.symbol} recommendation changed from ${previousValue} to ${observation.value}`
+        : `${alert.description} (now ${observation.value})`;
+      events.push({
+        id: randomUUID(),
+        alertId: alert.id,
+        symbol: alert.symbol,
+        message: `Alert triggered: ${detail}`,
+        value: observation.value,
+        triggeredAt: now,
+        read: false
+      });
+    });
+
+    data.inbox.unshift(...events);
+    data.inbox.splice(MAX_INBOX);
+    return events;
+  });
+
+  await Promise.all(fired.map(sendWebhook));
+  return fired;
+}
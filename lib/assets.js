@@ -0,0 +1,90 @@
+// Asset classes: what kind of instrument a symbol is and which analysis fits it.
+//
+// Listings (config/listings.json) may carry a "type" — etf, crypto, forex or
+// index; anything else is an equity — and an index names the ETF whose prices
+// stand in for it ("proxy"), since the market-data vendor has no index series.
+// Unlisted symbols are classified by shape: two currencies ("EUR/USD", "EURUSD=X")
+// are forex, a coin against a currency ("BTC-USD", "ETH/USD") is crypto, "^GSPC"
+// is an index. Currencies and the policy rates behind FX carry live in
+// config/currencies.json (override with CURRENCIES_FILE).
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { getListing } from './symbols.js';
+
+const DEFAULT_CURRENCIES = fileURLToPath(new URL('../config/currencies.json', import.meta.url));
+
+// Sections of the analysis each class gets. The fundamental section is the company
+// overview and statements for equities, the fund profile for ETFs and the interest
+// rates behind the carry for forex; crypto and indices have none. Only stocks and
+// funds have corporate events (earnings, dividends, splits). Every class gets the
+// risk measures from its price history.
+export const ASSET_CLASSES = {
+  equity: { label: 'Stock', sections: ['technical', 'fundamental', 'news', 'events', 'risk'] },
+  etf: { label: 'ETF', sections: ['technical', 'fundamental', 'news', 'events', 'risk'] },
+  crypto: { label: 'Crypto', sections: ['technical', 'news', 'risk'] },
+  forex: { label: 'Forex', sections: ['technical', 'fundamental', 'news', 'risk'] },
+  index: { label: 'Index', sections: ['technical', 'news', 'risk'] }
+};
+
+let currencies = null;
+
+export function loadCurrencies(file = process.env.CURRENCIES_FILE || DEFAULT_CURRENCIES) {
+  currencies = JSON.parse(readFileSync(file, 'utf8'));
+  return currencies;
+}
+
+function getCurrencies() {
+  return currencies || loadCurrencies();
+}
+
+// { code, name, policyRate, ratesAsOf } or null for an unknown code
+export function getCurrency(code) {
+  const { ratesAsOf, currencies: all } = getCurrencies();
+  const currency = all[code];
+  return currency ? { code, ...currency, ratesAsOf } : null;
+}
+
+const isCurrency = code => getCurrency(code) !== null;
+
+// "eur-usd", "EURUSD=X" -> "EUR/USD"; "btc/usd" -> "BTC-USD"; anything else upper-cased
+export function normalizeSymbol(value) {
+  const symbol = String(value || '').trim().toUpperCase();
+  const pair = symbol.match(/^([A-Z0-9]{2,10})[-/]([A-Z]{3})$/) || symbol.match(/^([A-Z]{3})([A-Z]{3})=X$/);
+  if (!pair || !isCurrency(pair[2])) return symbol;
+  return isCurrency(pair[1]) ? `${pair[1]}/${pair[2]}` : `${pair[1]}-${pair[2]}`;
+}
+
+// { symbol, assetClass, label, name, base, quote, currency, proxy }. base and
+// quote are set for pairs; currency is what the price is quoted in.
+export function classifyAsset(value) {
+  const symbol = normalizeSymbol(value);
+  const listing = getListing(symbol);
+  const pair = symbol.match(/^([A-Z0-9]+)[-/]([A-Z]{3})$/);
+
+  let assetClass = listing ? listing.type : null;
+  if (!assetClass) {
+    if (symbol.startsWith('^')) assetClass = 'index';
+    else if (pair && isCurrency(pair[2])) assetClass = symbol.includes('/') ? 'forex' : 'crypto';
+    else assetClass = 'equity';
+  }
+  const isPair = Boolean(pair) && (assetClass === 'forex' || assetClass === 'crypto');
+
+  return {
+    symbol,
+    assetClass,
+    label: ASSET_CLASSES[assetClass].label,
+    name: listing ? listing.name : null,
+    base: isPair ? pair[1] : null,
+    quote: isPair ? pair[2] : null,
+    currency: isPair ? pair[2] : 'USD',
+    proxy: listing ? listing.proxy : null
+  };
+}
+
+// Decimals to show for a price: cents for stocks and funds, more for exchange
+// rates and low-priced coins
+export function priceDecimals(asset, price) {
+  if (asset.assetClass !== 'forex' && asset.assetClass !== 'crypto') return 2;
+  if (price >= 10) return 2;
+  return price >= 1 ? 4 : 6;
+}
@@ -0,0 +1,183 @@
+// Backtest for the generateRecommendation scoring model. Daily bars are
+// replayed one day at a time through the same technical pipeline the live
+// analysis uses; the signal at each close sets the position held over the
+// next day, so no future data ever leaks into a decision.
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildTechnical } from './technical.js';
+import { generateRecommendation } from './recommendation.js';
+import { getProfile } from './scoring.js';
+import { parseDailySeries } from './providers/alphaVantage.js';
+import { parseCsv } from './csv.js';
+import { ApiError } from './errors.js';
+
+const DEFAULT_HISTORY_DIR = fileURLToPath(new URL('../fixtures/history/', import.meta.url));
+const TRADING_DAYS = 252;
+
+// No point-in-time fundamentals or news exist for past days, so those inputs are neutral
+const NEUTRAL_FUNDAMENTAL = { peRatio: 'N/A', dividendYield: 'N/A', dataStatus: 'live' };
+const NEUTRAL_SENTIMENT = { score: 0 };
+
+export function parseCsvBars(text) {
+  const [header = [], ...rows] = parseCsv(text).map(record => record.cells.map(cell => cell.trim()));
+  const columns = header.map(name => name.toLowerCase());
+  const column = name => columns.indexOf(name);
+  const dateColumn = column('date') !== -1 ? column('date') : column('timestamp');
+
+  if (dateColumn === -1 || ['open', 'high', 'low', 'close'].some(name => column(name) === -1)) {
+    throw new Error('CSV needs date (or timestamp), open, high, low and close columns');
+  }
+
+  return rows.map(cells => ({
+    date: cells[dateColumn],
+    open: parseFloat(cells[column('open')]),
+    high: parseFloat(cells[column('high')]),
+    low: parseFloat(cells[column('low')]),
+    close: parseFloat(cells[column('close')]),
+    volume: column('volume') === -1 ? 0 : parseInt(cells[column('volume')], 10)
+  })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Looks for <SYMBOL>.csv, then <SYMBOL>.json (a bar array or a raw Alpha Vantage payload)
+export async function loadHistory(symbol, dir = process.env.HISTORY_DIR || DEFAULT_HISTORY_DIR) {
+  if (!/^[A-Z0-9.^=-]+$/.test(symbol)) {
+    throw new ApiError(400, `"${symbol}" is not a valid symbol`);
+  }
+
+  for (const extension of ['csv', 'json']) {
+    let text;
+    try {
+      text = await readFile(path.join(dir, `${symbol}.${extension}`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    if (extension === 'csv') return parseCsvBars(text);
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data.sort((a, b) => a.date.localeCompare(b.date)) : parseDailySeries(data);
+  }
+
+  throw new ApiError(404, `No price history file for ${symbol} (expected ${symbol}.csv or ${symbol}.json)`);
+}
+
+function maxDrawdown(equity) {
+  let peak = equity[0];
+  let worst = 0;
+  equity.forEach(value => {
+    peak = Math.max(peak, value);
+    worst = Math.min(worst, (value - peak) / peak);
+  });
+  return worst;
+}
+
+function sharpe(returns) {
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const deviation = Math.sqrt(variance);
+  return deviation === 0 ? null : (mean / deviation) * Math.sqrt(TRADING_DAYS);
+}
+
+function annualize(totalReturn, days) {
+  return days > 0 ? (1 + totalReturn) ** (TRADING_DAYS / days) - 1 : null;
+}
+
+const percent = value => (value === null ? null : Math.round(value * 10000) / 100);
+
+// options: warmup (bars before the first signal), horizon (days used for hit rate),
+// allowShort (SELL goes short instead of flat), from/to (ISO dates), profile (scoring profile)
+export function runBacktest(allBars, { warmup = 50, horizon = 5, allowShort = false, from, to, profile } = {}) {
+  // Bars before "from" still feed the indicators as warmup
+  const bars = allBars.filter(bar => !to || bar.date <= to);
+  const fromIndex = from ? bars.findIndex(bar => bar.date >= from) : 0;
+  const start = Math.max(warmup, fromIndex, 2);
+
+  if (fromIndex === -1 || bars.length - start < 2) {
+    throw new ApiError(400, `Not enough history: need more than ${warmup + 1} bars in range`);
+  }
+
+  let position = 0;
+  let strategyEquity = 1;
+  let holdEquity = 1;
+  const equity = [1];
+  const holdCurve = [1];
+  const dailyReturns = [];
+  const signals = { BUY: 0, HOLD: 0, SELL: 0 };
+  const hits = { BUY: { calls: 0, hits: 0 }, SELL: { calls: 0, hits: 0 } };
+  const trades = [];
+  let daysInMarket = 0;
+
+  for (let i = start; i < bars.length - 1; i++) {
+    const history = bars.slice(0, i + 1);
+    const recommendation = generateRecommendation(buildTechnical(history), NEUTRAL_FUNDAMENTAL, NEUTRAL_SENTIMENT, { profile });
+    const signal = recommendation.recommendation;
+    signals[signal]++;
+
+    // HOLD keeps whatever position is already open
+    let target = position;
+    if (signal === 'BUY') target = 1;
+    if (signal === 'SELL') target = allowShort ? -1 : 0;
+    if (target !== position) {
+      trades.push({ date: bars[i].date, action: signal, price: bars[i].close, position: target });
+      position = target;
+    }
+
+    // Forward return for the hit rate; calls too close to the end to see the whole
+    // horizon are not scored
+    if (signal !== 'HOLD' && i + horizon < bars.length) {
+      const ahead = bars[i + horizon].close / bars[i].close - 1;
+      hits[signal].calls++;
+      if ((signal === 'BUY' && ahead > 0) || (signal === 'SELL' && ahead < 0)) hits[signal].hits++;
+    }
+
+    const dayReturn = bars[i + 1].close / bars[i].close - 1;
+    const strategyReturn = position * dayReturn;
+    if (position !== 0) daysInMarket++;
+
+    strategyEquity *= 1 + strategyReturn;
+    holdEquity *= 1 + dayReturn;
+    dailyReturns.push(strategyReturn);
+    equity.push(strategyEquity);
+    holdCurve.push(holdEquity);
+  }
+
+  const days = dailyReturns.length;
+  const calls = hits.BUY.calls + hits.SELL.calls;
+  const holdReturns = holdCurve.slice(1).map((value, i) => value / holdCurve[i] - 1);
+
+  return {
+    profile: getProfile(profile).name,
+    period: { from: bars[start].date, to: bars[bars.length - 1].date, tradingDays: days },
+    settings: { warmup, horizon, allowShort },
+    signals,
+    hitRate: {
+      overall: calls > 0 ? percent((hits.BUY.hits + hits.SELL.hits) / calls) : null,
+      buy: hits.BUY.calls > 0 ? percent(hits.BUY.hits / hits.BUY.calls) : null,
+      sell: hits.SELL.calls > 0 ? percent(hits.SELL.hits / hits.SELL.calls) : null,
+      horizonDays: horizon
+    },
+    strategy: {
+      totalReturn: percent(strategyEquity - 1),
+      annualizedReturn: percent(annualize(strategyEquity - 1, days)),
+      maxDrawdown: percent(maxDrawdown(equity)),
+      sharpe: sharpe(dailyReturns) === null ? null : Math.round(sharpe(dailyReturns) * 100) / 100,
+      exposure: percent(daysInMarket / days),
+      trades: trades.length
+    },
+    buyAndHold: {
+      totalReturn: percent(holdEquity - 1),
+      annualizedReturn: percent(annualize(holdEquity - 1, days)),
+      maxDrawdown: percent(maxDrawdown(holdCurve)),
+      sharpe: sharpe(holdReturns) === null ? null : Math.round(sharpe(holdReturns) * 100) / 100
+    },
+    excessReturn: percent(strategyEquity - holdEquity),
+    trades: trades.slice(-50)
+  };
+}
+
+export async function backtestSymbol(symbol, options = {}) {
+  const bars = await loadHistory(symbol, options.dir);
+  return { symbol, ...runBacktest(bars, options) };
+}
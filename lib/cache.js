@@ -0,0 +1,88 @@
+// In-process TTL cache for upstream responses. Concurrent lookups of the same
+// key share one in-flight load, and failed loads are never cached.
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+export function createCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+  const inFlight = new Map();
+  const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+  function describe(entry, hit, coalesced) {
+    return {
+      hit,
+      coalesced,
+      ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+      ttlSeconds: Math.round(entry.ttlMs / 1000),
+      storedAt: new Date(entry.storedAt).toISOString()
+    };
+  }
+
+  // Resolves to { value, meta } where meta describes the cache outcome
+  async function get(key, ttlMs, loader) {
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.storedAt < entry.ttlMs) {
+      stats.hits++;
+      return { value: entry.value, meta: describe(entry, true, false) };
+    }
+
+    if (inFlight.has(key)) {
+      stats.coalesced++;
+      const shared = await inFlight.get(key);
+      return { value: shared.value, meta: describe(shared, false, true) };
+    }
+
+    stats.misses++;
+    const pending = (async () => {
+      const value = await loader();
+      const stored = { value, storedAt: Date.now(), ttlMs };
+      entries.delete(key);
+      entries.set(key, stored);
+      // Maps iterate in insertion order, so the first key is the oldest
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return stored;
+    })();
+
+    inFlight.set(key, pending);
+    try {
+      const stored = await pending;
+      return { value: stored.value, meta: describe(stored, false, false) };
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  // Whether get() would answer from the cache right now
+  function has(key) {
+    const entry = entries.get(key);
+    return Boolean(entry) && Date.now() - entry.storedAt < entry.ttlMs;
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  function getStats() {
+    return { ...stats, size: entries.size, inFlight: inFlight.size };
+  }
+
+  return { get, has, clear, getStats };
+}
+
+function ttlFromEnv(name, fallbackSeconds) {
+  const seconds = parseInt(process.env[name], 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : fallbackSeconds) * 1000;
+}
+
+// Per-endpoint TTLs, overridable in seconds through the environment
+export const TTL = {
+  quote: ttlFromEnv('CACHE_TTL_QUOTE', 60),
+  overview: ttlFromEnv('CACHE_TTL_OVERVIEW', 6 * 60 * 60),
+  financials: ttlFromEnv('CACHE_TTL_FINANCIALS', 24 * 60 * 60),
+  events: ttlFromEnv('CACHE_TTL_EVENTS', 12 * 60 * 60),
+  news: ttlFromEnv('CACHE_TTL_NEWS', 15 * 60)
+};
+
+export const upstreamCache = createCache();
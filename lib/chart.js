@@ -0,0 +1,118 @@
+// Price series for the chat's chart.
+//
+// priceChart(bars) -> { decimals, currency, months, daily, weekly }, the series as parallel arrays
+//   { dates, open, high, low, close, volume, sma20, sma50, sma200, bollingerUpper, bollingerLower }
+// daily covers the last year (1M/3M/1Y views), weekly the last five (5Y view),
+// which keeps the payload to a few hundred points per series. Overlays are
+// computed on daily closes and sampled at each week's last session. months is the
+// span of the history, rounded to months, so the chart only offers ranges it can fill.
+
+const DAILY_BARS = 252;
+const WEEKLY_YEARS = 5;
+const AVERAGE_MONTH_MS = 30.44 * 24 * 60 * 60 * 1000;
+
+const rounder = decimals => value => (value === null || value === undefined ? null : Number(value.toFixed(decimals)));
+
+// Rolling simple moving average aligned with the input; null until the window is full
+export function smaSeries(values, period) {
+  const series = [];
+  let sum = 0;
+  values.forEach((value, i) => {
+    sum += value;
+    if (i >= period) sum -= values[i - period];
+    series.push(i >= period - 1 ? sum / period : null);
+  });
+  return series;
+}
+
+export function bollingerSeries(closes, period = 20, multiplier = 2) {
+  const middle = smaSeries(closes, period);
+  const upper = [];
+  const lower = [];
+  middle.forEach((mean, i) => {
+    if (mean === null) {
+      upper.push(null);
+      lower.push(null);
+      return;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+    upper.push(mean + multiplier * deviation);
+    lower.push(mean - multiplier * deviation);
+  });
+  return { upper, lower };
+}
+
+// Monday of the bar's week, as an ISO date
+function weekKey(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+function toSeries(points, round) {
+  const fields = ['open', 'high', 'low', 'close', 'volume', 'sma20', 'sma50', 'sma200', 'bollingerUpper', 'bollingerLower'];
+  const series = { dates: points.map(point => point.date) };
+  fields.forEach(field => {
+    series[field] = points.map(point => (field === 'volume' ? point.volume : round(point[field])));
+  });
+  return series;
+}
+
+// decimals: price precision (see priceDecimals in lib/assets.js); it and the quote
+// currency are passed on so the chart labels prices the same way
+export function priceChart(bars, { decimals = 2, currency = 'USD' } = {}) {
+  if (bars.length === 0) return null;
+
+  const closes = bars.map(bar => bar.close);
+  const sma20 = smaSeries(closes, 20);
+  const sma50 = smaSeries(closes, 50);
+  const sma200 = smaSeries(closes, 200);
+  const bands = bollingerSeries(closes);
+  const points = bars.map((bar, i) => ({
+    ...bar,
+    sma20: sma20[i],
+    sma50: sma50[i],
+    sma200: sma200[i],
+    bollingerUpper: bands.upper[i],
+    bollingerLower: bands.lower[i]
+  }));
+
+  const lastDate = new Date(`${bars[bars.length - 1].date}T00:00:00Z`);
+  const yearAgo = new Date(lastDate);
+  yearAgo.setUTCFullYear(yearAgo.getUTCFullYear() - 1);
+  const cutoff = new Date(lastDate);
+  cutoff.setUTCFullYear(cutoff.getUTCFullYear() - WEEKLY_YEARS);
+  const weeks = [];
+  points.filter(point => point.date >= cutoff.toISOString().slice(0, 10)).forEach(point => {
+    const week = weeks[weeks.length - 1];
+    if (week && week.key === weekKey(point.date)) {
+      week.high = Math.max(week.high, point.high);
+      week.low = Math.min(week.low, point.low);
+      week.volume += point.volume;
+      Object.assign(week, {
+        date: point.date,
+        close: point.close,
+        sma20: point.sma20,
+        sma50: point.sma50,
+        sma200: point.sma200,
+        bollingerUpper: point.bollingerUpper,
+        bollingerLower: point.bollingerLower
+      });
+    } else {
+      weeks.push({ ...point, key: weekKey(point.date) });
+    }
+  });
+
+  // A year of sessions: ~252 for stocks, 365 for coins that trade every day
+  const round = rounder(decimals);
+  const daily = points.filter(point => point.date > yearAgo.toISOString().slice(0, 10));
+  const months = Math.round((lastDate - new Date(`${bars[0].date}T00:00:00Z`)) / AVERAGE_MONTH_MS);
+  return {
+    decimals,
+    currency,
+    months,
+    daily: toSeries(daily.length >= 2 ? daily : points.slice(-DAILY_BARS), round),
+    weekly: toSeries(weeks, round)
+  };
+}
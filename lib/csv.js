@@ -0,0 +1,52 @@
+// CSV reading shared by the broker import, the earnings calendar and the backtest
+// history files.
+//
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes.
+// Returns [{ line, cells }] with the line each record starts on.
+export function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+  const source = String(text).replace(/^\uFEFF/, '');
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) {
+      records.push({ line: start, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      start = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) endRecord();
+  return records;
+}
@@ -0,0 +1,9 @@
+// Errors that map directly onto an HTTP response in the API handlers
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
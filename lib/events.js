@@ -0,0 +1,102 @@
+// Corporate events around an analysis: the next and recent earnings reports,
+// dividends and splits (see getCorporateEvents in providers/alphaVantage.js).
+//
+// Dates are ISO days compared in UTC; daysUntil counts calendar days from today
+// (0 = today). Surprises are in percent of the estimate. History lists are
+// newest first.
+
+const HISTORY_QUARTERS = 4;
+const RECENT_DIVIDENDS = 4;
+const RECENT_SPLITS = 3;
+// A split this recent still distorts per-share comparisons, so it is worth a mention
+const RECENT_SPLIT_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// raw: { earnings, upcomingEarnings, dividends, splits } from the provider, oldest first
+export function summarizeEvents(raw, { asOf = today() } = {}) {
+  const { earnings = [], upcomingEarnings = [], dividends = [], splits = [] } = raw || {};
+
+  const reported = earnings.filter(quarter => quarter.reportedEps !== null && quarter.reportedDate && quarter.reportedDate <= asOf);
+  const history = reported.slice(-HISTORY_QUARTERS).reverse();
+  const scored = history.filter(quarter => quarter.surprise !== null);
+  // The calendar's estimate when it was fetched, otherwise the scheduled quarter
+  // EARNINGS lists ahead of the reported ones
+  const scheduled = earnings.find(quarter => quarter.reportedEps === null && quarter.reportedDate && quarter.reportedDate >= asOf);
+  const next = upcomingEarnings.find(entry => entry.reportDate >= asOf) || (scheduled && {
+    reportDate: scheduled.reportedDate,
+    fiscalDateEnding: scheduled.fiscalDateEnding,
+    estimate: scheduled.estimatedEps
+  }) || null;
+
+  const nextDividend = dividends.find(dividend => dividend.exDate >= asOf) || null;
+  const pastDividends = dividends.filter(dividend => dividend.exDate < asOf);
+  const trailingYear = pastDividends.filter(dividend => daysBetween(dividend.exDate, asOf) <= 365);
+
+  return {
+    asOf,
+    earnings: {
+      next: next && {
+        date: next.reportDate,
+        fiscalDateEnding: next.fiscalDateEnding,
+        estimate: next.estimate,
+        daysUntil: daysBetween(asOf, next.reportDate)
+      },
+      history,
+      beats: scored.filter(quarter => quarter.surprise > 0).length,
+      misses: scored.filter(quarter => quarter.surprise < 0).length
+    },
+    dividends: {
+      next: nextDividend && { ...nextDividend, daysUntil: daysBetween(asOf, nextDividend.exDate) },
+      recent: pastDividends.slice(-RECENT_DIVIDENDS).reverse(),
+      trailingAnnual: trailingYear.length > 0
+        ? Math.round(trailingYear.reduce((sum, dividend) => sum + (dividend.amount || 0), 0) * 10000) / 10000
+        : null
+    },
+    splits: splits.slice(-RECENT_SPLITS).reverse().map(split => ({ ...split, daysAgo: daysBetween(split.date, asOf) }))
+  };
+}
+
+const when = days => (days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`);
+
+// Narrative for the events section, most time-critical first
+export function describeEvents(events) {
+  if (!events || !events.earnings) return '';
+  const { earnings, dividends, splits } = events;
+  const sentences = [];
+
+  if (earnings.next) {
+    let sentence = `Next earnings report ${when(earnings.next.daysUntil)} (${earnings.next.date})`;
+    if (earnings.next.estimate !== null) sentence += `, EPS estimate ${earnings.next.estimate.toFixed(2)}`;
+    sentences.push(`${sentence}.`);
+  }
+
+  const last = earnings.history[0];
+  if (last && last.estimatedEps !== null) {
+    const outcome = last.surprise > 0 ? 'beat' : last.surprise < 0 ? 'missed' : 'matched';
+    let sentence = `Last quarter EPS ${last.reportedEps.toFixed(2)} ${outcome} the ${last.estimatedEps.toFixed(2)} estimate`;
+    if (last.surprisePercent !== null && last.surprise !== 0) {
+      sentence += ` (${last.surprisePercent > 0 ? '+' : ''}${last.surprisePercent.toFixed(1)}%)`;
+    }
+    const scored = earnings.beats + earnings.misses;
+    if (scored > 1) sentence += `; beat in ${earnings.beats} of the last ${earnings.history.length} quarters`;
+    sentences.push(`${sentence}.`);
+  }
+
+  if (dividends.next) {
+    const amount = dividends.next.amount === null ? '' : ` ($${dividends.next.amount} a share)`;
+    sentences.push(`Goes ex-dividend ${when(dividends.next.daysUntil)} (${dividends.next.exDate})${amount}.`);
+  } else if (dividends.recent.length > 0 && dividends.trailingAnnual !== null) {
+    sentences.push(`Last went ex-dividend on ${dividends.recent[0].exDate}; $${dividends.trailingAnnual} a share paid over the past year.`);
+  }
+
+  const split = splits[0];
+  if (split && split.daysAgo <= RECENT_SPLIT_DAYS && split.factor) {
+    sentences.push(`Split ${split.factor < 1 ? `1-for-${Math.round(1 / split.factor)}` : `${split.factor}-for-1`} on ${split.date}.`);
+  }
+
+  return sentences.join(' ') || 'No upcoming earnings, dividends or splits on record.';
+}
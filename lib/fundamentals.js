@@ -0,0 +1,185 @@
+// Ratio analysis over the financial statements (see parseFinancials in
+// providers/alphaVantage.js).
+//
+// Margins, returns and cash flow use the trailing twelve months when four
+// quarters are reported, otherwise the latest fiscal year; balance-sheet ratios
+// use the latest report. Growth compares the trailing year with the one before
+// it, and the multi-year trends (3-year revenue and EPS CAGR, operating-margin
+// change) come from the annual reports. Percentages are in percent, ratios are
+// plain multiples, and anything that cannot be computed is null.
+
+const FLOW_FIELDS = [
+  'revenue', 'grossProfit', 'operatingIncome', 'incomeBeforeTax', 'incomeTaxExpense', 'netIncome',
+  'operatingCashflow', 'capitalExpenditures', 'dividendPayout'
+];
+const TREND_YEARS = 3;
+// Used for NOPAT when the effective rate cannot be derived
+const DEFAULT_TAX_RATE = 0.21;
+
+const round = value => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+
+function ratio(numerator, denominator) {
+  return numerator === null || !denominator ? null : numerator / denominator;
+}
+
+function percent(numerator, denominator) {
+  const value = ratio(numerator, denominator);
+  return value === null ? null : value * 100;
+}
+
+// Growth of a positive base; a loss-making base has no meaningful growth rate
+function growth(current, previous) {
+  return current === null || previous === null || previous <= 0 ? null : ((current - previous) / previous) * 100;
+}
+
+function cagr(current, previous, years) {
+  return current === null || previous === null || current <= 0 || previous <= 0
+    ? null
+    : ((current / previous) ** (1 / years) - 1) * 100;
+}
+
+const eps = period => ratio(period.netIncome, period.sharesOutstanding);
+
+// Four quarters summed into one period; balance-sheet fields from the last of them
+function trailingYear(quarters) {
+  const latest = quarters[quarters.length - 1];
+  const period = { ...latest };
+  FLOW_FIELDS.forEach(field => {
+    const values = quarters.map(quarter => quarter[field]);
+    period[field] = values.some(value => value === null) ? null : values.reduce((sum, value) => sum + value, 0);
+  });
+  return period;
+}
+
+function margins(period) {
+  return {
+    grossMargin: percent(period.grossProfit, period.revenue),
+    operatingMargin: percent(period.operatingIncome, period.revenue),
+    netMargin: percent(period.netIncome, period.revenue)
+  };
+}
+
+function freeCashFlow(period) {
+  if (period.operatingCashflow === null) return null;
+  // Alpha Vantage reports capital expenditures as a positive outflow
+  return period.operatingCashflow - Math.abs(period.capitalExpenditures || 0);
+}
+
+// financials: { annual, quarterly } oldest first. market: { marketCap, peRatio }
+// from the overview, for the yield and PEG.
+export function analyzeFinancials(financials, market = {}) {
+  const { annual = [], quarterly = [] } = financials || {};
+  if (annual.length === 0) return null;
+
+  const useTtm = quarterly.length >= 4;
+  const current = useTtm ? trailingYear(quarterly.slice(-4)) : annual[annual.length - 1];
+  const previous = useTtm
+    ? (quarterly.length >= 8 ? trailingYear(quarterly.slice(-8, -4)) : null)
+    : annual[annual.length - 2] || null;
+
+  const latestYear = annual[annual.length - 1];
+  const baseYear = annual.length > TREND_YEARS ? annual[annual.length - 1 - TREND_YEARS] : null;
+
+  const taxRate = current.incomeBeforeTax > 0 && current.incomeTaxExpense !== null
+    ? Math.min(Math.max(current.incomeTaxExpense / current.incomeBeforeTax, 0), 0.5)
+    : DEFAULT_TAX_RATE;
+  const nopat = current.operatingIncome === null ? null : current.operatingIncome * (1 - taxRate);
+  const investedCapital = current.equity === null
+    ? null
+    : current.equity + (current.totalDebt || 0) - (current.cash || 0);
+  const fcf = freeCashFlow(current);
+  const marketCap = parseFloat(market.marketCap);
+  const peRatio = parseFloat(market.peRatio);
+
+  const currentEps = eps(current);
+  const epsGrowth = previous ? growth(currentEps, eps(previous)) : null;
+  const epsCagr3y = baseYear ? cagr(eps(latestYear), eps(baseYear), TREND_YEARS) : null;
+  // PEG on the multi-year EPS growth rate when there is one
+  const pegBasis = epsCagr3y ?? epsGrowth;
+  const latestMargins = margins(latestYear);
+
+  const ratios = {
+    revenueGrowth: previous ? growth(current.revenue, previous.revenue) : null,
+    epsGrowth,
+    revenueCagr3y: baseYear ? cagr(latestYear.revenue, baseYear.revenue, TREND_YEARS) : null,
+    epsCagr3y,
+    ...margins(current),
+    operatingMarginTrend: baseYear && latestMargins.operatingMargin !== null && margins(baseYear).operatingMargin !== null
+      ? latestMargins.operatingMargin - margins(baseYear).operatingMargin
+      : null,
+    roe: current.equity > 0 ? percent(current.netIncome, current.equity) : null,
+    roic: investedCapital > 0 ? percent(nopat, investedCapital) : null,
+    debtToEquity: current.equity > 0 ? ratio(current.totalDebt, current.equity) : null,
+    currentRatio: ratio(current.currentAssets, current.currentLiabilities),
+    freeCashFlow: fcf,
+    fcfYield: marketCap > 0 ? percent(fcf, marketCap) : null,
+    peg: peRatio > 0 && pegBasis > 0 ? peRatio / pegBasis : null
+  };
+
+  const trend = period => ({
+    fiscalDateEnding: period.fiscalDateEnding,
+    revenue: period.revenue,
+    eps: round(eps(period)),
+    ...Object.fromEntries(Object.entries(margins(period)).map(([name, value]) => [name, round(value)])),
+    freeCashFlow: freeCashFlow(period)
+  });
+
+  return {
+    basis: useTtm ? 'ttm' : 'annual',
+    asOf: current.fiscalDateEnding,
+    ratios: Object.fromEntries(Object.entries(ratios).map(([name, value]) => [name, round(value)])),
+    trends: {
+      annual: annual.map(trend),
+      quarterly: quarterly.map(trend)
+    }
+  };
+}
+
+const pct = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+// Narrative for the fundamentals message, one sentence per theme that has data
+export function describeFinancials(analysis) {
+  if (!analysis) return '';
+  const r = analysis.ratios;
+  const sentences = [];
+
+  if (r.revenueGrowth !== null) {
+    let sentence = `Revenue ${r.revenueGrowth >= 0 ? 'grew' : 'fell'} ${Math.abs(r.revenueGrowth).toFixed(1)}% over the last year`;
+    if (r.revenueCagr3y !== null) sentence += ` (${pct(r.revenueCagr3y)} a year over three years)`;
+    if (r.epsGrowth !== null) sentence += ` and EPS ${r.epsGrowth >= 0 ? 'rose' : 'dropped'} ${Math.abs(r.epsGrowth).toFixed(1)}%`;
+    sentences.push(`${sentence}.`);
+  }
+
+  if (r.operatingMargin !== null) {
+    let sentence = `Operating margin is ${r.operatingMargin.toFixed(1)}%`;
+    if (r.operatingMarginTrend !== null && Math.abs(r.operatingMarginTrend) >= 1) {
+      sentence += `, ${r.operatingMarginTrend > 0 ? 'up' : 'down'} ${Math.abs(r.operatingMarginTrend).toFixed(1)} points over three years`;
+    }
+    sentences.push(`${sentence}.`);
+  }
+
+  if (r.roic !== null) {
+    if (r.roic >= 15) sentences.push(`High return on invested capital (${r.roic.toFixed(1)}%).`);
+    else if (r.roic < 5) sentences.push(`Weak return on invested capital (${r.roic.toFixed(1)}%).`);
+  }
+
+  if (r.debtToEquity !== null) {
+    if (r.debtToEquity > 2) sentences.push(`Heavily leveraged (debt/equity ${r.debtToEquity.toFixed(2)}).`);
+    else if (r.debtToEquity < 0.5) sentences.push(`Conservative balance sheet (debt/equity ${r.debtToEquity.toFixed(2)}).`);
+  }
+  if (r.currentRatio !== null && r.currentRatio < 1) {
+    sentences.push(`Current liabilities exceed current assets (current ratio ${r.currentRatio.toFixed(2)}).`);
+  }
+
+  if (r.fcfYield !== null) {
+    sentences.push(r.freeCashFlow < 0
+      ? 'Free cash flow is negative.'
+      : `Free-cash-flow yield ${r.fcfYield.toFixed(1)}%.`);
+  }
+  if (r.peg !== null) {
+    if (r.peg < 1) sentences.push(`PEG ${r.peg.toFixed(2)} looks cheap for its growth.`);
+    else if (r.peg > 2) sentences.push(`PEG ${r.peg.toFixed(2)} prices in a lot of growth.`);
+  }
+
+  return sentences.join(' ');
+}
@@ -0,0 +1,236 @@
+// Technical indicators computed from a daily OHLCV series.
+// Bars are expected oldest-first: { date, open, high, low, close, volume }.
+// Every function returns null when there is not enough history for the period.
+
+export function sma(values, period) {
+  if (values.length < period) return null;
+  const window = values.slice(-period);
+  return window.reduce((sum, value) => sum + value, 0) / period;
+}
+
+export function emaSeries(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  // Seed with the simple average of the first full window
+  let current = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+  const series = [current];
+  for (let i = period; i < values.length; i++) {
+    current = values[i] * k + current * (1 - k);
+    series.push(current);
+  }
+  return series;
+}
+
+export function ema(values, period) {
+  const series = emaSeries(values, period);
+  return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// Wilder's RSI
+export function rsi(closes, period = 14) {
+  if (closes.length <= period) return null;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const delta = closes[i] - closes[i - 1];
+    if (delta > 0) avgGain += delta;
+    else avgLoss -= delta;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  for (let i = period + 1; i < closes.length; i++) {
+    const delta = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(delta, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-delta, 0)) / period;
+  }
+
+  if (avgLoss === 0) return 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  if (closes.length < slow + signalPeriod - 1) return null;
+
+  const fastSeries = emaSeries(closes, fast);
+  const slowSeries = emaSeries(closes, slow);
+  // Align the fast EMA with the slow one, which starts (slow - fast) bars later
+  const offset = slow - fast;
+  const macdLine = slowSeries.map((value, i) => fastSeries[i + offset] - value);
+  const signalSeries = emaSeries(macdLine, signalPeriod);
+
+  const macdValue = macdLine[macdLine.length - 1];
+  const signalValue = signalSeries[signalSeries.length - 1];
+  return {
+    macd: macdValue,
+    signal: signalValue,
+    histogram: macdValue - signalValue
+  };
+}
+
+export function bollingerBands(closes, period = 20, multiplier = 2) {
+  const middle = sma(closes, period);
+  if (middle === null) return null;
+
+  const window = closes.slice(-period);
+  const variance = window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
+  const deviation = Math.sqrt(variance);
+  const upper = middle + multiplier * deviation;
+  const lower = middle - multiplier * deviation;
+  const last = closes[closes.length - 1];
+
+  return {
+    upper,
+    middle,
+    lower,
+    // Where the last close sits inside the bands: 0 = lower band, 1 = upper band
+    percentB: upper === lower ? 0.5 : (last - lower) / (upper - lower)
+  };
+}
+
+// Wilder's Average True Range
+export function atr(bars, period = 14) {
+  if (bars.length <= period) return null;
+
+  const trueRanges = [];
+  for (let i = 1; i < bars.length; i++) {
+    const { high, low } = bars[i];
+    const prevClose = bars[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let value = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    value = (value * (period - 1) + trueRanges[i]) / period;
+  }
+  return value;
+}
+
+// 52-week range over the last 252 trading days; null with less history than that
+// (a compact series or a recent listing) rather than a shorter range under the same name
+export function yearRange(bars, lookback = 252) {
+  if (bars.length < lookback) return null;
+
+  const window = bars.slice(-lookback);
+  const high = Math.max(...window.map(bar => bar.high));
+  const low = Math.min(...window.map(bar => bar.low));
+  const last = bars[bars.length - 1].close;
+
+  return {
+    high,
+    low,
+    fromHighPercent: ((last - high) / high) * 100,
+    fromLowPercent: ((last - low) / low) * 100
+  };
+}
+
+// Trading bars in a year, counted from the last year of history so coins trading
+// every day annualize over 365 and stocks over ~252; 252 for shorter histories
+export function barsPerYear(bars) {
+  const lastDate = new Date(`${bars[bars.length - 1].date}T00:00:00Z`);
+  const yearAgo = new Date(lastDate.getTime() - 365 * 86400000).toISOString().slice(0, 10);
+  return bars[0].date <= yearAgo ? bars.filter(bar => bar.date > yearAgo).length : 252;
+}
+
+// Annualized standard deviation of daily log returns over the last `period` bars,
+// in percent
+export function realizedVolatility(bars, period = 30) {
+  if (bars.length <= period) return null;
+
+  const window = bars.slice(-period - 1);
+  const returns = window.slice(1).map((bar, i) => Math.log(bar.close / window[i].close));
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * barsPerYear(bars)) * 100;
+}
+
+// Trailing returns in percent over common trading-day windows
+export function performance(bars) {
+  const closes = bars.map(bar => bar.close);
+  const last = closes[closes.length - 1];
+  const windows = { week: 5, month: 21, threeMonth: 63, sixMonth: 126, year: 252 };
+
+  const result = {};
+  for (const [name, days] of Object.entries(windows)) {
+    result[name] = closes.length > days
+      ? round(((last - closes[closes.length - 1 - days]) / closes[closes.length - 1 - days]) * 100)
+      : null;
+  }
+  return result;
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : value.toFixed(2);
+}
+
+// decimals: precision of price-level values (exchange rates need more than cents)
+export function computeIndicators(bars, { decimals = 2 } = {}) {
+  const price = value => (value === null || value === undefined ? null : value.toFixed(decimals));
+  const closes = bars.map(bar => bar.close);
+  const last = closes[closes.length - 1];
+
+  const sma20 = sma(closes, 20);
+  const sma50 = sma(closes, 50);
+  const sma200 = sma(closes, 200);
+  const macdResult = macd(closes);
+  const bands = bollingerBands(closes);
+  const atr14 = atr(bars);
+  const range = yearRange(bars);
+  const volatility = realizedVolatility(bars);
+
+  let trend = null;
+  if (sma20 !== null) {
+    trend = last > sma20 ? 'Bullish' : 'Bearish';
+  }
+
+  return {
+    sma20: price(sma20),
+    sma50: price(sma50),
+    sma200: price(sma200),
+    ema20: price(ema(closes, 20)),
+    ema50: price(ema(closes, 50)),
+    ema200: price(ema(closes, 200)),
+    rsi14: round(rsi(closes)),
+    macd: macdResult && {
+      macd: price(macdResult.macd),
+      signal: price(macdResult.signal),
+      histogram: price(macdResult.histogram)
+    },
+    bollinger: bands && {
+      upper: price(bands.upper),
+      middle: price(bands.middle),
+      lower: price(bands.lower),
+      percentB: round(bands.percentB)
+    },
+    atr14: price(atr14),
+    atrPercent: atr14 === null ? null : round((atr14 / last) * 100),
+    realizedVolatility: round(volatility),
+    week52: range && {
+      high: price(range.high),
+      low: price(range.low),
+      fromHighPercent: round(range.fromHighPercent),
+      fromLowPercent: round(range.fromLowPercent)
+    },
+    trend
+  };
+}
+
+// Price change over the bars on or after an ISO date ("last 3 months" queries)
+export function rangePerformance(bars, from, { decimals = 2 } = {}) {
+  const price = value => value.toFixed(decimals);
+  const window = bars.filter(bar => bar.date >= from);
+  if (window.length < 2) return null;
+
+  const first = window[0];
+  const last = window[window.length - 1];
+  return {
+    from: first.date,
+    to: last.date,
+    startPrice: price(first.close),
+    endPrice: price(last.close),
+    changePercent: round(((last.close - first.close) / first.close) * 100),
+    high: price(Math.max(...window.map(bar => bar.high))),
+    low: price(Math.min(...window.map(bar => bar.low)))
+  };
+}
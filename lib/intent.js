@@ -0,0 +1,287 @@
+// Natural-language query parser for the chat.
+//
+// parseQuery("Give me technical analysis for MSFT over the last 3 months") ->
+//   { intent: 'technical', symbols: ['MSFT'], isFollowUp: false,
+//     timeRange: { label: 'last 3 months', from: '2026-07-19', days: 92 },
+//     metrics: [], alert: null }
+//
+// Intents: analysis (default), price, technical, fundamental, news, events, risk,
+// compare, explain, alert, portfolio, screen. When no symbol is named the query is
+// treated as a follow-up about context.lastSymbol. Symbols are resolved against the
+// listings in lib/symbols.js.
+import { findMentions } from './symbols.js';
+import { normalizeSymbol } from './assets.js';
+
+// Which analysis sections each intent needs
+export const INTENT_SECTIONS = {
+  analysis: ['technical', 'fundamental', 'news', 'events', 'risk'],
+  price: ['technical'],
+  technical: ['technical'],
+  fundamental: ['fundamental'],
+  news: ['news'],
+  events: ['events'],
+  risk: ['technical', 'fundamental', 'news', 'events', 'risk'],
+  explain: ['technical', 'fundamental', 'news', 'events', 'risk'],
+  compare: ['technical', 'fundamental', 'news', 'events', 'risk'],
+  alert: [],
+  portfolio: [],
+  screen: []
+};
+
+export const INTENTS = Object.keys(INTENT_SECTIONS);
+
+// Uppercase words that are not tickers
+const nonSymbolWords = new Set([
+  'I', 'A', 'AND', 'OR', 'VS', 'THE', 'AI', 'CEO', 'CFO', 'ETF', 'EPS', 'IPO', 'PE', 'RSI',
+  'SMA', 'EMA', 'MACD', 'ATR', 'USA', 'US', 'YTD', 'BUY', 'SELL', 'HOLD', 'ME', 'IF', 'IS',
+  'IT', 'OK', 'GDP', 'FED', 'SEC', 'NEWS', 'P', 'AT', 'ON', 'TO', 'OF', 'ROE', 'ROIC',
+  'PEG', 'FCF', 'CAGR', 'TTM', 'USD'
+]);
+
+// Metric keywords; "indicator" is the path an indicator alert would watch
+const METRICS = [
+  { id: 'rsi14', category: 'technical', pattern: /\brsi\b|relative strength/, indicator: 'rsi14' },
+  { id: 'macd', category: 'technical', pattern: /\bmacd\b/, indicator: 'macd.histogram' },
+  { id: 'sma', category: 'technical', pattern: /\bsma\b|moving averages?|\b(20|50|200)[- ]day\b/, indicator: 'sma50' },
+  { id: 'ema', category: 'technical', pattern: /\bema\b|exponential/, indicator: 'ema50' },
+  { id: 'bollinger', category: 'technical', pattern: /bollinger/, indicator: 'bollinger.percentB' },
+  { id: 'atr', category: 'technical', pattern: /\batr\b|average true range/, indicator: 'atrPercent' },
+  { id: 'volatility', category: 'technical', pattern: /realized vol(atility)?|historical volatility/, indicator: 'realizedVolatility' },
+  { id: 'week52', category: 'technical', pattern: /52[- ]week|yearly (high|low)/, indicator: 'week52.fromHighPercent' },
+  { id: 'volume', category: 'technical', pattern: /\bvolume\b/ },
+  { id: 'peRatio', category: 'fundamental', pattern: /\bp\/?e\b|price[- ]to[- ]earnings|pe ratio/ },
+  { id: 'marketCap', category: 'fundamental', pattern: /market cap/ },
+  { id: 'dividendYield', category: 'fundamental', pattern: /dividend/ },
+  { id: 'eps', category: 'fundamental', pattern: /\beps\b|earnings per share/ },
+  { id: 'bookValue', category: 'fundamental', pattern: /book value/ },
+  { id: 'growth', category: 'fundamental', pattern: /\b(revenue|sales|earnings|eps) growth\b|\bcagr\b/ },
+  { id: 'margins', category: 'fundamental', pattern: /\bmargins?\b/ },
+  { id: 'returnOnCapital', category: 'fundamental', pattern: /\bro(e|ic)\b|return on (equity|invested capital|capital)/ },
+  { id: 'leverage', category: 'fundamental', pattern: /\bdebt\b|leverage|current ratio/ },
+  { id: 'freeCashFlow', category: 'fundamental', pattern: /free[- ]cash[- ]flow|\bfcf\b/ },
+  { id: 'peg', category: 'fundamental', pattern: /\bpeg\b/ },
+  { id: 'sentiment', category: 'news', pattern: /sentiment/ }
+];
+
+// First match wins
+const INTENT_PATTERNS = [
+  ['alert', /\b(alert|notify|ping|warn) me\b|\bset (an? )?alert\b|\b(let me know|tell me) (when|if)\b/],
+  ['explain', /\b(why|explain|reasons?|reasoning|how come|justify)\b/],
+  ['risk', /\b(risks?|risky|safe|downside|drawdown|volatile|volatility)\b/],
+  ['news', /\b(news|headlines?|sentiment|articles?|press)\b/],
+  ['events', /\b(earnings (date|report|call|release|season)s?|reports? earnings|report(ing)? date|ex[- ]?dividend|dividend (date|dates|payment|schedule|calendar)|next dividend|(stock )?splits?|corporate events?|events|calendar)\b|\bwhen (does|do|will|is) .*\b(report|earnings)\b/],
+  ['technical', /\b(technicals?|charts?|indicators?|trend|momentum|rsi|macd|sma|ema|bollinger|atr|moving averages?|support|resistance)\b/],
+  ['fundamental', /\b(fundamentals?|valuation|p\/?e|pe ratio|eps|earnings per share|market cap|dividends?|book value|balance sheet|financials|income statement|cash flow|revenue|margins?|debt|roe|roic|peg)\b/],
+  ['price', /\b(price|quote|trading at|worth|how much|cost|performing|performance|return|returns)\b/]
+];
+
+// "I bought 10 shares of AAPL at $150 on 2024-03-01"
+const LOT_PATTERN = /\b(?:bought|purchased|added|add|record)\s+(\d+(?:\.\d+)?)\b.*?(?:\bat\b|@)\s*\$?\s*(\d+(?:\.\d+)?)(?:.*?\bon\s+(\d{4}-\d{2}-\d{2}))?/;
+const PORTFOLIO_PATTERN = /\b(portfolio|holdings|my positions?)\b/;
+
+// "Screen for P/E under 15 and dividend over 3%", "show me stocks with RSI below 30"
+const SCREEN_PATTERN = /^\s*(?:please\s+)?(?:run\s+a\s+)?(?:screen|scan|screener)(?:\s+(?:the market|stocks|tickers))?(?:\s+for)?\b|\b(?:show|find|list|give)\s+(?:me\s+)?(?:all\s+)?(?:the\s+)?(?:top\s+\d+\s+)?(?:stocks|tickers|symbols|companies|shares|names)\s+(?:with|where|that|whose|having)\b/;
+const SCREEN_SORT = /[,;]?\s*\b(?:sort(?:ed)?|order(?:ed)?|rank(?:ed)?)\s+by\s+(.+?)\s*(?=[,;]|\b(?:top|first|limit)\b|[?.!]*$)/;
+const SCREEN_LIMIT = /[,;]?\s*\b(?:top|first|limit(?:ed)?(?:\s+to)?)\s+(\d+)\b(?:\s+(?:results|matches|stocks|tickers|symbols|companies|names))?/;
+
+const COMPARISON_CUE = /\b(vs\.?|versus|compare|compared|comparison|against|or|and|better|which)\b|,/;
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, nine: 9, twelve: 12 };
+const UNIT_DAYS = { day: 1, week: 7, month: 30, quarter: 91, year: 365 };
+const SHORT_UNITS = { d: 'day', w: 'week', m: 'month', mo: 'month', q: 'quarter', y: 'year', yr: 'year' };
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, now) {
+  return Math.max(1, Math.round((now - from) / 86400000));
+}
+
+function rangeFromUnit(amount, unit, now) {
+  const from = new Date(now);
+  if (unit === 'month') from.setUTCMonth(from.getUTCMonth() - amount);
+  else if (unit === 'quarter') from.setUTCMonth(from.getUTCMonth() - amount * 3);
+  else if (unit === 'year') from.setUTCFullYear(from.getUTCFullYear() - amount);
+  else from.setUTCDate(from.getUTCDate() - amount * UNIT_DAYS[unit]);
+  return from;
+}
+
+export function parseTimeRange(text, now = new Date()) {
+  const lower = text.toLowerCase();
+  let match;
+
+  if ((match = lower.match(/\b(?:last|past|previous|trailing)\s+(\d+|a|an|one|two|three|four|five|six|nine|twelve)?\s*(day|week|month|quarter|year)s?\b/))) {
+    const amount = match[1] ? (NUMBER_WORDS[match[1]] || parseInt(match[1], 10)) : 1;
+    const from = rangeFromUnit(amount, match[2], now);
+    return { label: `last ${amount} ${match[2]}${amount === 1 ? '' : 's'}`, from: isoDate(from), days: daysBetween(from, now) };
+  }
+
+  if ((match = lower.match(/\b(\d+)\s*(d|w|mo|m|q|y|yr)\b/))) {
+    const amount = parseInt(match[1], 10);
+    const unit = SHORT_UNITS[match[2]];
+    const from = rangeFromUnit(amount, unit, now);
+    return { label: `last ${amount} ${unit}${amount === 1 ? '' : 's'}`, from: isoDate(from), days: daysBetween(from, now) };
+  }
+
+  if (/\b(ytd|year[- ]to[- ]date|this year)\b/.test(lower)) {
+    const from = new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+    return { label: 'year to date', from: isoDate(from), days: daysBetween(from, now) };
+  }
+
+  if ((match = lower.match(/\bthis (week|month)\b/))) {
+    const from = rangeFromUnit(1, match[1], now);
+    return { label: `this ${match[1]}`, from: isoDate(from), days: daysBetween(from, now) };
+  }
+
+  if ((match = lower.match(/\bsince (\d{4}-\d{2}-\d{2}|\d{4})\b/))) {
+    const from = new Date(match[1].length === 4 ? `${match[1]}-01-01T00:00:00Z` : `${match[1]}T00:00:00Z`);
+    if (!Number.isNaN(from.getTime()) && from < now) {
+      return { label: `since ${match[1]}`, from: isoDate(from), days: daysBetween(from, now) };
+    }
+  }
+
+  if (/\btoday\b/.test(lower)) {
+    const from = rangeFromUnit(1, 'day', now);
+    return { label: 'today', from: isoDate(from), days: 1 };
+  }
+
+  return null;
+}
+
+// Symbols named in a query (tickers, company names, aliases) plus names that
+// need a "did you mean" because they fit several listings or look like a typo
+export function extractSymbols(text) {
+  // "P/E" would otherwise yield the ticker "E"
+  const mentions = findMentions(text.replace(/\bP\/E\b/gi, '   '), { nonSymbolWords });
+  // Pairs in their canonical form ("EUR-USD" -> "EUR/USD", "BTC/USD" -> "BTC-USD")
+  return { ...mentions, symbols: [...new Set(mentions.symbols.map(normalizeSymbol))] };
+}
+
+export function extractMetrics(text) {
+  const lower = text.toLowerCase();
+  return METRICS.filter(metric => metric.pattern.test(lower)).map(metric => metric.id);
+}
+
+function parseAlert(lower, metrics) {
+  const recommendation = lower.match(/\b(?:from (buy|hold|sell) )?to (buy|hold|sell)\b/) ||
+    lower.match(/\b(?:turns?|becomes?|goes|flips?|changes?|moves?)\s+(?:to\s+)?()(buy|hold|sell)\b/);
+  if (recommendation) {
+    return {
+      type: 'recommendation',
+      from: recommendation[1] ? recommendation[1].toUpperCase() : null,
+      to: recommendation[2].toUpperCase()
+    };
+  }
+
+  const condition = lower.match(/\b(above|over|exceeds?|greater than|higher than|rises? (?:above|over|past)|crosses (?:above|over)|below|under|less than|lower than|(?:drops?|falls?|dips?|sinks?)(?: below| under| to)?)\s*\$?\s*(\d+(?:\.\d+)?)/);
+  if (!condition) return null;
+
+  const operator = /above|over|exceed|greater|higher|rise|crosses/.test(condition[1]) ? 'above' : 'below';
+  const value = parseFloat(condition[2]);
+  const metric = METRICS.find(entry => entry.indicator && metrics.includes(entry.id));
+
+  return metric
+    ? { type: 'indicator', indicator: metric.indicator, operator, value }
+    : { type: 'price', operator, value };
+}
+
+// Recording a purchase lot, or viewing the portfolio
+function parsePortfolio(lower) {
+  const lot = lower.match(LOT_PATTERN);
+  if (lot) {
+    return {
+      action: 'add',
+      lot: { quantity: parseFloat(lot[1]), costBasis: parseFloat(lot[2]), date: lot[3] || null }
+    };
+  }
+  return PORTFOLIO_PATTERN.test(lower) ? { action: 'show' } : null;
+}
+
+// The filter after the screen cue, with "sorted by ..." and "top N" taken out
+function parseScreen(query, lower) {
+  const cue = lower.match(SCREEN_PATTERN);
+  if (!cue) return null;
+
+  const limit = lower.match(SCREEN_LIMIT);
+  let rest = query.slice(cue.index + cue[0].length);
+  const sort = rest.toLowerCase().match(SCREEN_SORT);
+  // Cut out with a space left behind, so "15 sorted by yield top 5" still reads "15 top 5"
+  if (sort) rest = `${rest.slice(0, sort.index)} ${rest.slice(sort.index + sort[0].length)}`;
+  const restLimit = rest.toLowerCase().match(SCREEN_LIMIT);
+  if (restLimit) rest = `${rest.slice(0, restLimit.index)} ${rest.slice(restLimit.index + restLimit[0].length)}`;
+
+  return {
+    expression: rest.replace(/^[\s:]+|[\s?.!,;]+$/g, ''),
+    sort: sort ? sort[1] : null,
+    limit: limit ? parseInt(limit[1], 10) : null
+  };
+}
+
+// context: { lastSymbol } from the previous turn of the conversation
+export function parseQuery(text, context = {}, now = new Date()) {
+  const query = String(text || '').trim();
+  const lower = query.toLowerCase();
+
+  // A screen's filter names metrics, not symbols ("P/E" is not a ticker here)
+  const screen = parseScreen(query, lower);
+  if (screen) {
+    return {
+      query,
+      intent: 'screen',
+      symbols: [],
+      ambiguous: [],
+      isFollowUp: false,
+      timeRange: null,
+      metrics: [],
+      alert: null,
+      portfolio: null,
+      screen,
+      sections: INTENT_SECTIONS.screen
+    };
+  }
+
+  const { symbols, ambiguous } = extractSymbols(query);
+  const metrics = extractMetrics(query);
+  const timeRange = parseTimeRange(query, now);
+
+  let isFollowUp = false;
+  if (symbols.length === 0 && ambiguous.length === 0 && context.lastSymbol) {
+    symbols.push(context.lastSymbol);
+    isFollowUp = true;
+  }
+
+  const portfolio = INTENT_PATTERNS[0][1].test(lower) ? null : parsePortfolio(lower);
+
+  let intent = 'analysis';
+  if (portfolio) {
+    intent = 'portfolio';
+  } else if (symbols.length >= 2 && COMPARISON_CUE.test(lower) && !INTENT_PATTERNS[0][1].test(lower)) {
+    intent = 'compare';
+  } else {
+    const matched = INTENT_PATTERNS.find(([, pattern]) => pattern.test(lower));
+    if (matched) intent = matched[0];
+  }
+
+  // "Full analysis" overrides a stray keyword such as "price"
+  if (/\b(full|complete|overall|in[- ]depth) (analysis|picture|review)\b|\boutlook\b|\bshould i (buy|sell)\b/.test(lower) &&
+      !['alert', 'compare', 'portfolio'].includes(intent)) {
+    intent = 'analysis';
+  }
+
+  const alert = intent === 'alert' ? parseAlert(lower, metrics) : null;
+
+  return {
+    query,
+    intent,
+    symbols,
+    ambiguous,
+    isFollowUp,
+    timeRange,
+    metrics,
+    alert,
+    portfolio,
+    screen: null,
+    sections: INTENT_SECTIONS[intent]
+  };
+}
@@ -0,0 +1,54 @@
+// Small JSON-file store for server-side state (watchlists, alerts, ...).
+// Writes are serialized and go through a temp file + rename so a crash
+// mid-write never leaves a truncated file behind.
+import { readFile, writeFile, rename, mkdir, rm } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DATA_DIR = fileURLToPath(new URL('../data/', import.meta.url));
+
+export function dataPath(fileName) {
+  return path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, fileName);
+}
+
+export function createJsonStore(fileName, defaultValue) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await readFile(dataPath(fileName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return structuredClone(defaultValue);
+      throw error;
+    }
+  }
+
+  async function write(value) {
+    const file = dataPath(fileName);
+    await mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(value, null, 2) + '\n');
+    await rename(temp, file);
+  }
+
+  // Read-modify-write under the store's lock; resolves to the mutator's return value
+  function update(mutate) {
+    const result = queue.then(async () => {
+      const value = await read();
+      const returned = await mutate(value);
+      await write(value);
+      return returned;
+    });
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Deletes the file, after any pending writes
+  function remove() {
+    const result = queue.then(() => rm(dataPath(fileName), { force: true }));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { read, update, remove };
+}
@@ -0,0 +1,18 @@
+// Last successfully fetched value per section and symbol, used to serve
+// clearly-marked stale data when an upstream call fails.
+
+const entries = new Map();
+
+export function remember(kind, symbol, value) {
+  entries.set(`${kind}:${symbol}`, { value, storedAt: Date.now() });
+}
+
+export function recall(kind, symbol) {
+  const entry = entries.get(`${kind}:${symbol}`);
+  if (!entry) return null;
+  return {
+    value: entry.value,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000)
+  };
+}
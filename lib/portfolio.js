@@ -0,0 +1,417 @@
+// Portfolio holdings persisted in data/portfolio.json as a transaction ledger:
+//   { id, type, symbol, date, source, fingerprint?, createdAt, ...fields }
+//   buy, sell   quantity, price (per share), fees
+//   dividend    amount (cash received)
+//   split       ratio (new shares per old share), or quantity (shares added,
+//               negative for a reverse split) when the export only has that
+//
+// Holdings are derived by replaying the ledger in date order: a buy opens a lot,
+// a sell closes lots first-in first-out and realizes P&L, a split rescales the
+// open lots and dividends accumulate as income. Lots stored before the ledger
+// existed ({ lots: [...] }) are read as buys.
+//
+// getPortfolio(getTechnicalAnalysis) values every position at the current price
+// and adds P&L, allocation and concentration. The price lookup is passed in rather
+// than imported: api/analyze.js reads positions from here, so importing it would
+// be circular. getPositionContext() is the cheap variant used while analyzing
+// one symbol: other holdings are valued at their last fetched price (or at
+// cost), so no extra upstream calls are made.
+import { randomUUID } from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+import { ApiError } from './errors.js';
+import { recall } from './lastKnown.js';
+import { normalizeSymbol } from './assets.js';
+import { CONCENTRATION_LIMIT } from './recommendation.js';
+
+const SYMBOL_PATTERN = /^[A-Z0-9.^=\/-]{1,15}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const TRANSACTION_TYPES = ['buy', 'sell', 'dividend', 'split'];
+
+// Same-day transactions replay splits first (they take effect at the open), then trades
+const REPLAY_ORDER = { split: 0, buy: 1, sell: 2, dividend: 3 };
+// Share quantities below this are rounding noise from splits and partial sells
+const EPSILON = 1e-6;
+
+// Above CONCENTRATION_LIMIT the concentration is moderate, above this it is high
+const HIGH_CONCENTRATION = 40;
+
+const store = createJsonStore('portfolio.json', { transactions: [] });
+
+const round = value => Math.round(value * 100) / 100;
+const roundQuantity = value => Math.round(value * 1e6) / 1e6;
+
+// Moves lots from the pre-ledger format into the ledger as buys
+function migrate(data) {
+  if (data.lots) {
+    const buys = data.lots.map(({ costBasis, ...lot }) => ({ ...lot, type: 'buy', price: costBasis, fees: 0, source: 'manual' }));
+    data.transactions = [...buys, ...(data.transactions || [])];
+    delete data.lots;
+  }
+  return data;
+}
+
+async function readLedger() {
+  return migrate(await store.read()).transactions;
+}
+
+function requireSymbol(value) {
+  const symbol = normalizeSymbol(value);
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new ApiError(400, 'symbol is required');
+  }
+  return symbol;
+}
+
+function requireDate(value) {
+  const today = new Date().toISOString().slice(0, 10);
+  const date = value ? String(value) : today;
+  if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date)) || date > today) {
+    throw new ApiError(400, 'date must be a past YYYY-MM-DD date');
+  }
+  return date;
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return parseFloat(value);
+}
+
+function validateLot(input) {
+  const symbol = requireSymbol(input.symbol);
+  const quantity = parseFloat(input.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    throw new ApiError(400, 'quantity must be a positive number');
+  }
+  const costBasis = parseFloat(input.costBasis);
+  if (!Number.isFinite(costBasis) || costBasis < 0) {
+    throw new ApiError(400, 'costBasis must be the price paid per share');
+  }
+  return { symbol, quantity, costBasis, date: requireDate(input.date) };
+}
+
+// input: { type, symbol, date?, quantity?, price?, fees?, amount?, ratio? }
+export function validateTransaction(input) {
+  const type = String(input.type || '').trim().toLowerCase();
+  if (!TRANSACTION_TYPES.includes(type)) {
+    throw new ApiError(400, `type must be one of ${TRANSACTION_TYPES.join(', ')}`);
+  }
+  const transaction = { type, symbol: requireSymbol(input.symbol), date: requireDate(input.date) };
+
+  if (type === 'buy' || type === 'sell') {
+    const quantity = parseFloat(input.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new ApiError(400, 'quantity must be a positive number');
+    }
+    const price = parseFloat(input.price);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new ApiError(400, 'price must be the price per share');
+    }
+    const fees = optionalNumber(input.fees) ?? 0;
+    if (!Number.isFinite(fees) || fees < 0) {
+      throw new ApiError(400, 'fees must not be negative');
+    }
+    return { ...transaction, quantity, price, fees };
+  }
+
+  if (type === 'dividend') {
+    const amount = parseFloat(input.amount);
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new ApiError(400, 'amount must be the cash received');
+    }
+    return { ...transaction, amount };
+  }
+
+  const ratio = optionalNumber(input.ratio);
+  if (ratio !== null) {
+    if (!Number.isFinite(ratio) || ratio <= 0) {
+      throw new ApiError(400, 'ratio must be a positive number of new shares per old share');
+    }
+    return { ...transaction, ratio };
+  }
+  const quantity = optionalNumber(input.quantity);
+  if (quantity === null || !Number.isFinite(quantity) || quantity === 0) {
+    throw new ApiError(400, 'a split needs a ratio or the quantity of shares added');
+  }
+  return { ...transaction, quantity };
+}
+
+// Replays the ledger into open lots { id, symbol, quantity, costBasis, date },
+// realized P&L and dividends per symbol, and warnings for entries that do not
+// add up (selling more than was held, splitting a position that is not held)
+export function replayTransactions(transactions) {
+  const sorted = [...transactions].sort((a, b) => a.date.localeCompare(b.date) ||
+    REPLAY_ORDER[a.type] - REPLAY_ORDER[b.type] ||
+    (a.createdAt || '').localeCompare(b.createdAt || ''));
+
+  const open = new Map();
+  const realizedPnl = {};
+  const dividends = {};
+  const warnings = [];
+
+  sorted.forEach(transaction => {
+    const { symbol } = transaction;
+    const lots = open.get(symbol) || [];
+    open.set(symbol, lots);
+    const held = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+    switch (transaction.type) {
+      case 'buy':
+        lots.push({
+          id: transaction.id,
+          symbol,
+          quantity: transaction.quantity,
+          costBasis: transaction.price + (transaction.fees || 0) / transaction.quantity,
+          date: transaction.date
+        });
+        break;
+
+      case 'sell': {
+        const proceeds = transaction.price - (transaction.fees || 0) / transaction.quantity;
+        let remaining = transaction.quantity;
+        while (remaining > EPSILON && lots.length > 0) {
+          const lot = lots[0];
+          const sold = Math.min(lot.quantity, remaining);
+          realizedPnl[symbol] = (realizedPnl[symbol] || 0) + sold * (proceeds - lot.costBasis);
+          lot.quantity -= sold;
+          remaining -= sold;
+          if (lot.quantity <= EPSILON) lots.shift();
+        }
+        if (remaining > EPSILON) {
+          warnings.push(`${transaction.date}: sold ${transaction.quantity} ${symbol} but only ${roundQuantity(held)} were held`);
+        }
+        break;
+      }
+
+      case 'split': {
+        const ratio = transaction.ratio || (held > EPSILON ? (held + transaction.quantity) / held : 0);
+        if (ratio <= 0) {
+          warnings.push(`${transaction.date}: split of ${symbol} ignored, no shares were held`);
+          break;
+        }
+        lots.forEach(lot => {
+          lot.quantity *= ratio;
+          lot.costBasis /= ratio;
+        });
+        break;
+      }
+
+      case 'dividend':
+        dividends[symbol] = (dividends[symbol] || 0) + transaction.amount;
+        break;
+    }
+  });
+
+  const lots = [...open.values()].flat()
+    .filter(lot => lot.quantity > EPSILON)
+    .map(lot => ({ ...lot, quantity: roundQuantity(lot.quantity), costBasis: Math.round(lot.costBasis * 1e4) / 1e4 }));
+  return { lots, realizedPnl, dividends, warnings };
+}
+
+// Open lots after sells and splits
+export async function listLots() {
+  const { lots } = replayTransactions(await readLedger());
+  return lots.sort((a, b) => a.symbol.localeCompare(b.symbol) || a.date.localeCompare(b.date));
+}
+
+export async function listTransactions() {
+  const transactions = await readLedger();
+  return [...transactions].sort((a, b) => a.date.localeCompare(b.date) || a.symbol.localeCompare(b.symbol));
+}
+
+export function addLot(input) {
+  const { costBasis, ...lot } = validateLot(input || {});
+  return store.update(data => {
+    migrate(data);
+    const created = { id: randomUUID(), type: 'buy', ...lot, price: costBasis, fees: 0, source: 'manual', createdAt: new Date().toISOString() };
+    data.transactions.push(created);
+    return { id: created.id, symbol: created.symbol, quantity: created.quantity, costBasis, date: created.date, createdAt: created.createdAt };
+  });
+}
+
+export function addTransaction(input) {
+  const transaction = validateTransaction(input || {});
+  return store.update(data => {
+    migrate(data);
+    const created = { id: randomUUID(), ...transaction, source: 'manual', createdAt: new Date().toISOString() };
+    data.transactions.push(created);
+    return created;
+  });
+}
+
+function removeTransaction(id, matches, label) {
+  return store.update(data => {
+    migrate(data);
+    const index = data.transactions.findIndex(transaction => transaction.id === id && matches(transaction));
+    if (index === -1) {
+      throw new ApiError(404, `${label} "${id}" not found`);
+    }
+    data.transactions.splice(index, 1);
+    return { deleted: id };
+  });
+}
+
+// A lot is the buy that opened it
+export function deleteLot(id) {
+  return removeTransaction(id, transaction => transaction.type === 'buy', 'Lot');
+}
+
+export function deleteTransaction(id) {
+  return removeTransaction(id, () => true, 'Transaction');
+}
+
+// Adds parsed import rows ({ line, fingerprint, ...transaction }) to the ledger.
+// A row whose fingerprint is already stored was imported before and is reported
+// as a duplicate instead. With dryRun nothing is written.
+export async function importTransactions(rows, { source, dryRun = false } = {}) {
+  const apply = data => {
+    migrate(data);
+    const known = new Set(data.transactions.map(transaction => transaction.fingerprint).filter(Boolean));
+    const imported = [];
+    const duplicates = [];
+    const createdAt = new Date().toISOString();
+
+    rows.forEach(({ line, ...transaction }) => {
+      if (known.has(transaction.fingerprint)) {
+        duplicates.push(line);
+        return;
+      }
+      known.add(transaction.fingerprint);
+      const created = { id: randomUUID(), ...transaction, source, createdAt };
+      data.transactions.push(created);
+      imported.push({ line, ...created });
+    });
+
+    return { imported, duplicates, warnings: replayTransactions(data.transactions).warnings };
+  };
+
+  return dryRun ? apply(await store.read()) : store.update(apply);
+}
+
+// Lots grouped into one entry per symbol
+function aggregate(lots) {
+  const positions = new Map();
+  lots.forEach(lot => {
+    const position = positions.get(lot.symbol) || { symbol: lot.symbol, quantity: 0, costBasis: 0, lots: [] };
+    position.quantity += lot.quantity;
+    position.costBasis += lot.quantity * lot.costBasis;
+    position.lots.push(lot);
+    positions.set(lot.symbol, position);
+  });
+  return [...positions.values()];
+}
+
+// prices: { SYMBOL: number | null }; positions without a price are carried at cost
+export function valuePositions(lots, prices) {
+  const positions = aggregate(lots).map(position => {
+    const price = prices[position.symbol];
+    const priced = Number.isFinite(price);
+    const marketValue = priced ? position.quantity * price : position.costBasis;
+    const unrealizedPnl = marketValue - position.costBasis;
+    return {
+      symbol: position.symbol,
+      quantity: roundQuantity(position.quantity),
+      averageCost: round(position.costBasis / position.quantity),
+      costBasis: round(position.costBasis),
+      price: priced ? price : null,
+      marketValue: round(marketValue),
+      unrealizedPnl: round(unrealizedPnl),
+      unrealizedPnlPercent: position.costBasis > 0 ? round((unrealizedPnl / position.costBasis) * 100) : null,
+      lots: position.lots
+    };
+  });
+
+  const marketValue = positions.reduce((sum, position) => sum + position.marketValue, 0);
+  const costBasis = positions.reduce((sum, position) => sum + position.costBasis, 0);
+  positions.forEach(position => {
+    position.allocationPercent = marketValue > 0 ? round((position.marketValue / marketValue) * 100) : 0;
+  });
+  positions.sort((a, b) => b.marketValue - a.marketValue);
+
+  return {
+    positions,
+    totals: {
+      marketValue: round(marketValue),
+      costBasis: round(costBasis),
+      unrealizedPnl: round(marketValue - costBasis),
+      unrealizedPnlPercent: costBasis > 0 ? round(((marketValue - costBasis) / costBasis) * 100) : null
+    },
+    concentration: concentration(positions)
+  };
+}
+
+function concentration(positions) {
+  if (positions.length === 0) return null;
+  const [largest] = positions;
+  const top3 = positions.slice(0, 3).reduce((sum, position) => sum + position.allocationPercent, 0);
+  // Herfindahl-Hirschman index on a 0-10,000 scale; 10,000 = everything in one name
+  const hhi = positions.reduce((sum, position) => sum + position.allocationPercent ** 2, 0);
+
+  let level = 'Low';
+  if (largest.allocationPercent > HIGH_CONCENTRATION) level = 'High';
+  else if (largest.allocationPercent > CONCENTRATION_LIMIT) level = 'Moderate';
+
+  const warnings = positions
+    .filter(position => position.allocationPercent > CONCENTRATION_LIMIT)
+    .map(position => `${position.symbol} is ${position.allocationPercent}% of the portfolio`);
+
+  return {
+    largest: { symbol: largest.symbol, allocationPercent: largest.allocationPercent },
+    top3Percent: round(top3),
+    hhi: Math.round(hhi),
+    level,
+    warnings
+  };
+}
+
+function livePrice(technical) {
+  if (!technical || technical.dataStatus === 'unavailable') return null;
+  const price = parseFloat(technical.price);
+  return Number.isFinite(price) ? price : null;
+}
+
+// Every position valued at the current price; getTechnicalAnalysis is the
+// analyzer's (see api/analyze.js)
+export async function getPortfolio(getTechnicalAnalysis) {
+  const { lots, realizedPnl, dividends, warnings } = replayTransactions(await readLedger());
+  const symbols = [...new Set(lots.map(lot => lot.symbol))];
+  const technicals = await Promise.all(symbols.map(symbol => getTechnicalAnalysis(symbol, { chart: false })));
+
+  const prices = {};
+  const dataStatus = {};
+  symbols.forEach((symbol, i) => {
+    prices[symbol] = livePrice(technicals[i]);
+    dataStatus[symbol] = technicals[i].dataStatus;
+  });
+
+  const portfolio = valuePositions(lots, prices);
+  portfolio.positions.forEach(position => {
+    position.dataStatus = dataStatus[position.symbol];
+    position.realizedPnl = round(realizedPnl[position.symbol] || 0);
+    position.dividends = round(dividends[position.symbol] || 0);
+  });
+  // Totals include symbols that have since been sold off entirely
+  const sum = values => round(Object.values(values).reduce((total, value) => total + value, 0));
+  portfolio.totals.realizedPnl = sum(realizedPnl);
+  portfolio.totals.dividends = sum(dividends);
+  return { timestamp: new Date().toISOString(), ...portfolio, warnings };
+}
+
+// The holding in one symbol, for position-aware advice. Resolves to undefined
+// when the portfolio is empty (nothing is known about what we hold), null when
+// the symbol is not held, otherwise the position with its share of the portfolio.
+export async function getPositionContext(symbol, price) {
+  const lots = await listLots();
+  if (lots.length === 0) return undefined;
+  if (!lots.some(lot => lot.symbol === symbol)) return null;
+
+  const prices = {};
+  lots.forEach(lot => {
+    if (lot.symbol in prices) return;
+    const cached = recall('technical', lot.symbol);
+    prices[lot.symbol] = lot.symbol === symbol ? price : livePrice(cached && cached.value);
+  });
+
+  const { positions } = valuePositions(lots, prices);
+  const { lots: heldLots, ...position } = positions.find(entry => entry.symbol === symbol);
+  return { ...position, lotCount: heldLots.length };
+}
@@ -0,0 +1,221 @@
+// Broker CSV exports turned into portfolio transactions.
+//
+// Templates live in config/import-templates.json (override with IMPORT_TEMPLATES).
+// Each names the header(s) holding every field and, for transaction exports, the
+// case-insensitive patterns that classify the action column as a buy, sell,
+// dividend or split; rows matching none of them (transfers, interest, fees) are
+// skipped rather than rejected. A template with a defaultType instead of a type
+// column reads a holdings snapshot, one buy per row. When no template is named,
+// the first whose "detect" headers (or, failing that, required columns) appear in
+// one of the first rows is used, so a title line above the header is fine.
+//
+// Every accepted row carries a fingerprint of its content and of how many
+// identical rows precede it in the file, so importing the same or an overlapping
+// export again adds nothing twice.
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { ApiError } from './errors.js';
+import { parseCsv } from './csv.js';
+import { validateTransaction } from './portfolio.js';
+
+const DEFAULT_TEMPLATES = fileURLToPath(new URL('../config/import-templates.json', import.meta.url));
+const HEADER_SCAN_ROWS = 10;
+const FIELDS = ['date', 'type', 'symbol', 'quantity', 'price', 'fees', 'amount', 'ratio', 'totalCost'];
+
+let templates = null;
+
+export function loadImportTemplates(file = process.env.IMPORT_TEMPLATES || DEFAULT_TEMPLATES) {
+  templates = JSON.parse(readFileSync(file, 'utf8')).templates;
+  return templates;
+}
+
+function getTemplates() {
+  return templates || loadImportTemplates();
+}
+
+export function listImportTemplates() {
+  return Object.entries(getTemplates()).map(([name, template]) => ({
+    name,
+    description: template.description,
+    kind: template.defaultType ? 'positions' : 'transactions'
+  }));
+}
+
+const normalizeHeader = value => value.trim().toLowerCase();
+
+// field -> column indexes in this header row (fees may span several columns)
+function resolveColumns(template, header) {
+  const names = header.map(normalizeHeader);
+  const columns = {};
+  FIELDS.forEach(field => {
+    const indexes = [].concat(template.columns[field] || [])
+      .map(name => names.indexOf(normalizeHeader(name)))
+      .filter(index => index !== -1);
+    if (indexes.length > 0) columns[field] = field === 'fees' ? indexes : indexes.slice(0, 1);
+  });
+  return columns;
+}
+
+function requiredFields(template) {
+  const fields = ['symbol', 'quantity'];
+  if (!template.defaultType) fields.push('date', 'type');
+  return fields;
+}
+
+function matchesHeader(template, header) {
+  if (template.detect) {
+    const names = header.map(normalizeHeader);
+    return template.detect.every(name => names.includes(normalizeHeader(name)));
+  }
+  const columns = resolveColumns(template, header);
+  return requiredFields(template).every(field => columns[field]) &&
+    (!template.defaultType || Boolean(columns.price || columns.totalCost));
+}
+
+function findHeader(records, name) {
+  const all = getTemplates();
+  if (name && !all[name]) {
+    throw new ApiError(400, `Unknown template "${name}". Available: ${Object.keys(all).join(', ')}`);
+  }
+  const candidates = name ? [name] : Object.keys(all);
+  for (let index = 0; index < Math.min(records.length, HEADER_SCAN_ROWS); index++) {
+    const match = candidates.find(candidate => matchesHeader(all[candidate], records[index].cells));
+    if (match) return { index, name: match, template: all[match] };
+  }
+  throw new ApiError(400, name
+    ? `The CSV does not have the columns of the "${name}" template`
+    : `Could not recognize the CSV layout; pass a template (one of ${Object.keys(all).join(', ')})`);
+}
+
+// "$1,234.50" -> 1234.5; "(12.00)", "-$12.00", "$-12.00" and "12.00-" -> -12;
+// blanks and placeholders -> null
+export function parseNumber(value) {
+  const text = String(value ?? '').trim();
+  if (text === '' || /^(--|n\/a)$/i.test(text)) return null;
+  // The sign may sit on either side of the currency symbol, or trail the amount
+  const bare = text.replace(/[$,\s]/g, '');
+  const negative = /^\(.*\)$/.test(bare) || bare.startsWith('-') || bare.endsWith('-');
+  const number = parseFloat(bare.replace(/[()+-]/g, ''));
+  if (!Number.isFinite(number)) return NaN;
+  return negative ? -number : number;
+}
+
+const DATE_FORMATS = {
+  'YYYY-MM-DD': [/(\d{4})-(\d{1,2})-(\d{1,2})/, match => [match[1], match[2], match[3]]],
+  'MM/DD/YYYY': [/(\d{1,2})\/(\d{1,2})\/(\d{4})/, match => [match[3], match[1], match[2]]],
+  'DD/MM/YYYY': [/(\d{1,2})\/(\d{1,2})\/(\d{4})/, match => [match[3], match[2], match[1]]]
+};
+
+// The first date in the cell (Schwab writes "08/15/2024 as of 08/14/2024"), as YYYY-MM-DD
+export function parseDate(value, format = 'auto') {
+  const formats = format === 'auto' ? ['YYYY-MM-DD', 'MM/DD/YYYY'] : [format];
+  for (const name of formats) {
+    const [pattern, parts] = DATE_FORMATS[name];
+    const match = String(value || '').match(pattern);
+    if (!match) continue;
+    const [year, month, day] = parts(match).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+function classify(template, action) {
+  const text = String(action || '').trim();
+  return Object.keys(template.types || {}).find(type =>
+    template.types[type].some(pattern => new RegExp(pattern, 'i').test(text))) || null;
+}
+
+// One CSV record -> validateTransaction input, or { skip } for rows that are
+// not holdings activity
+function toTransaction(template, columns, cells) {
+  const cell = field => (columns[field] ? cells[columns[field][0]] ?? '' : '');
+  const number = field => parseNumber(cell(field));
+
+  const action = cell('type');
+  const type = template.defaultType || classify(template, action);
+  if (!type) {
+    return { skip: action.trim() ? `Unsupported action "${action.trim()}"` : 'No action' };
+  }
+
+  const input = { type, symbol: cell('symbol').trim() };
+  // Snapshots may leave the acquisition date blank; the lot is then dated today
+  if (columns.date && (cell('date').trim() || !template.defaultType)) {
+    const raw = cell('date');
+    input.date = parseDate(raw, template.dateFormat);
+    if (!input.date) {
+      throw new ApiError(400, `Unreadable date "${raw}"`);
+    }
+  }
+
+  const quantity = number('quantity');
+  const price = number('price');
+  const amount = number('amount');
+  [['quantity', quantity], ['price', price], ['amount', amount]].forEach(([field, value]) => {
+    if (Number.isNaN(value)) throw new ApiError(400, `Unreadable ${field} "${cell(field)}"`);
+  });
+
+  if (type === 'buy' || type === 'sell') {
+    // Sells often come with negative share counts
+    input.quantity = quantity === null ? null : Math.abs(quantity);
+    const totalCost = number('totalCost');
+    if (price !== null) {
+      input.price = Math.abs(price);
+    } else if (Number.isFinite(totalCost) && input.quantity) {
+      input.price = Math.abs(totalCost) / input.quantity;
+    } else if (amount !== null && input.quantity) {
+      input.price = Math.abs(amount) / input.quantity;
+    }
+    input.fees = (columns.fees || []).reduce((sum, index) => sum + Math.abs(parseNumber(cells[index]) || 0), 0);
+  } else if (type === 'dividend') {
+    input.amount = amount;
+  } else {
+    input.ratio = number('ratio');
+    input.quantity = quantity;
+  }
+  return input;
+}
+
+function fingerprint(key, occurrence) {
+  return createHash('sha256').update(`${key}#${occurrence}`).digest('hex').slice(0, 24);
+}
+
+// Parses an export into transactions ready for importTransactions, plus the
+// rows that were rejected ({ line, error }) or skipped ({ line, reason })
+export function parseBrokerCsv(text, templateName) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ApiError(400, 'csv must be the contents of the exported file');
+  }
+  const records = parseCsv(text);
+  const header = findHeader(records, templateName);
+  const columns = resolveColumns(header.template, records[header.index].cells);
+
+  const transactions = [];
+  const errors = [];
+  const skipped = [];
+  const occurrences = new Map();
+
+  records.slice(header.index + 1).forEach(({ line, cells }) => {
+    try {
+      const input = toTransaction(header.template, columns, cells);
+      if (input.skip) {
+        skipped.push({ line, reason: input.skip });
+        return;
+      }
+      const transaction = validateTransaction(input);
+      // An undated snapshot row is the same lot whenever it is imported
+      const key = JSON.stringify(['type', 'symbol', 'date', 'quantity', 'price', 'fees', 'amount', 'ratio']
+        .map(field => (field === 'date' && !input.date ? '' : transaction[field] ?? '')));
+      const occurrence = occurrences.get(key) || 0;
+      occurrences.set(key, occurrence + 1);
+      transactions.push({ line, ...transaction, fingerprint: fingerprint(key, occurrence) });
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      errors.push({ line, error: error.message });
+    }
+  });
+
+  return { template: header.name, rows: records.length - header.index - 1, transactions, errors, skipped };
+}
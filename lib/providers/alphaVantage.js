@@ -0,0 +1,305 @@
+// Alpha Vantage market-data adapter. Daily series come from the function that
+// fits the asset class: TIME_SERIES_DAILY, DIGITAL_CURRENCY_DAILY or FX_DAILY.
+import { RateLimitError } from './errors.js';
+import { getRateLimiter } from '../rateLimiter.js';
+import { classifyAsset } from '../assets.js';
+import { parseCsv } from '../csv.js';
+
+const BASE_URL = 'https://www.alphavantage.co/query';
+
+// Oldest-first OHLCV bars from one of the vendor's daily series. Fields are
+// numbered ("1. open"); older crypto payloads suffix them per market ("1a. open (USD)").
+// Exchange rates have no volume, which is reported as 0.
+function parseBars(data, seriesKey) {
+  checkPayload(data);
+
+  const timeSeries = data[seriesKey];
+  if (!timeSeries || Object.keys(timeSeries).length < 2) {
+    throw new Error('No price history available');
+  }
+
+  const field = (entry, number) => {
+    const key = Object.keys(entry).find(name => name.startsWith(`${number}. `) || name.startsWith(`${number}a. `));
+    return key === undefined ? null : entry[key];
+  };
+  return Object.keys(timeSeries).sort().map(date => ({
+    date,
+    open: parseFloat(field(timeSeries[date], 1)),
+    high: parseFloat(field(timeSeries[date], 2)),
+    low: parseFloat(field(timeSeries[date], 3)),
+    close: parseFloat(field(timeSeries[date], 4)),
+    volume: Math.round(parseFloat(field(timeSeries[date], 5)) || 0)
+  }));
+}
+
+export function parseDailySeries(data) {
+  return parseBars(data, 'Time Series (Daily)');
+}
+
+export function parseCryptoSeries(data) {
+  return parseBars(data, 'Time Series (Digital Currency Daily)');
+}
+
+export function parseFxSeries(data) {
+  return parseBars(data, 'Time Series FX (Daily)');
+}
+
+// The query behind an asset's daily series (see classifyAsset in lib/assets.js):
+// crypto and forex have their own functions, an index uses its proxy ETF.
+// outputSize 'compact' is the latest 100 sessions; 'full' (the whole history) is
+// premium-only for stocks. Coins always come with their full history.
+export function seriesQuery(asset, { outputSize = 'compact' } = {}) {
+  if (asset.assetClass === 'crypto') {
+    return { params: { function: 'DIGITAL_CURRENCY_DAILY', symbol: asset.base, market: asset.quote }, parse: parseCryptoSeries };
+  }
+  if (asset.assetClass === 'forex') {
+    return { params: { function: 'FX_DAILY', from_symbol: asset.base, to_symbol: asset.quote, outputsize: outputSize }, parse: parseFxSeries };
+  }
+  if (asset.assetClass === 'index' && !asset.proxy) {
+    throw new Error(`No price series for ${asset.symbol}; list the index with a proxy ETF`);
+  }
+  return { params: { function: 'TIME_SERIES_DAILY', symbol: asset.proxy || asset.symbol, outputsize: outputSize }, parse: parseDailySeries };
+}
+
+// Vendor payload -> company overview; missing fields are null
+export function parseOverview(data) {
+  checkPayload(data);
+
+  const field = name => (data[name] && data[name] !== 'None' ? data[name] : null);
+  return {
+    name: field('Name'),
+    sector: field('Sector'),
+    marketCap: field('MarketCapitalization'),
+    peRatio: field('PERatio'),
+    dividendYield: field('DividendYield'),
+    eps: field('EPS'),
+    bookValue: field('BookValue')
+  };
+}
+
+// ETF_PROFILE payload -> fund facts. Ratios and weights stay fractions as the
+// vendor reports them (0.0009 = 0.09%); holdings and sectors are largest first.
+export function parseEtfProfile(data) {
+  checkPayload(data);
+  if (!data.net_assets && !data.holdings) {
+    throw new Error('No fund profile available');
+  }
+
+  const number = value => {
+    const parsed = value && value !== 'n/a' && value !== 'None' ? parseFloat(value) : NaN;
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const byWeight = (a, b) => (b.weight ?? 0) - (a.weight ?? 0);
+  return {
+    netAssets: number(data.net_assets),
+    expenseRatio: number(data.net_expense_ratio),
+    turnover: number(data.portfolio_turnover),
+    dividendYield: number(data.dividend_yield),
+    inceptionDate: data.inception_date || null,
+    leveraged: data.leveraged === 'YES',
+    sectors: (data.sectors || []).map(entry => ({ sector: entry.sector, weight: number(entry.weight) })).sort(byWeight),
+    holdings: (data.holdings || []).map(entry => ({
+      symbol: entry.symbol && entry.symbol !== 'n/a' ? entry.symbol : null,
+      name: entry.description || null,
+      weight: number(entry.weight)
+    })).sort(byWeight)
+  };
+}
+
+// INCOME_STATEMENT, BALANCE_SHEET and CASH_FLOW payloads -> one record per
+// fiscal period, oldest first: { annual: [...], quarterly: [...] }. Periods come
+// from the income statement; balance sheet and cash flow fields are null when the
+// vendor has no matching report. Amounts are numbers, missing ones null.
+export function parseFinancials(income, balance, cashFlow) {
+  [income, balance, cashFlow].forEach(checkPayload);
+  if (!income.annualReports || income.annualReports.length === 0) {
+    throw new Error('No financial statements available');
+  }
+
+  const amount = (report, name) => {
+    const value = report && report[name];
+    const parsed = value && value !== 'None' ? parseFloat(value) : NaN;
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+
+  const periods = key => {
+    const byDate = reports => new Map((reports || []).map(report => [report.fiscalDateEnding, report]));
+    const balances = byDate(balance[key]);
+    const flows = byDate(cashFlow[key]);
+
+    return (income[key] || []).map(report => {
+      const sheet = balances.get(report.fiscalDateEnding);
+      const flow = flows.get(report.fiscalDateEnding);
+      const shortTermDebt = amount(sheet, 'shortTermDebt');
+      const longTermDebt = amount(sheet, 'longTermDebt');
+      const totalDebt = amount(sheet, 'shortLongTermDebtTotal') ??
+        (shortTermDebt === null && longTermDebt === null ? null : (shortTermDebt || 0) + (longTermDebt || 0));
+
+      return {
+        fiscalDateEnding: report.fiscalDateEnding,
+        revenue: amount(report, 'totalRevenue'),
+        grossProfit: amount(report, 'grossProfit'),
+        operatingIncome: amount(report, 'operatingIncome'),
+        incomeBeforeTax: amount(report, 'incomeBeforeTax'),
+        incomeTaxExpense: amount(report, 'incomeTaxExpense'),
+        netIncome: amount(report, 'netIncome'),
+        totalAssets: amount(sheet, 'totalAssets'),
+        currentAssets: amount(sheet, 'totalCurrentAssets'),
+        currentLiabilities: amount(sheet, 'totalCurrentLiabilities'),
+        totalLiabilities: amount(sheet, 'totalLiabilities'),
+        cash: amount(sheet, 'cashAndCashEquivalentsAtCarryingValue'),
+        totalDebt,
+        equity: amount(sheet, 'totalShareholderEquity'),
+        sharesOutstanding: amount(sheet, 'commonStockSharesOutstanding'),
+        operatingCashflow: amount(flow, 'operatingCashflow'),
+        capitalExpenditures: amount(flow, 'capitalExpenditures'),
+        dividendPayout: amount(flow, 'dividendPayout')
+      };
+    }).sort((a, b) => a.fiscalDateEnding.localeCompare(b.fiscalDateEnding));
+  };
+
+  return {
+    currency: income.annualReports[0].reportedCurrency || null,
+    annual: periods('annualReports'),
+    quarterly: periods('quarterlyReports')
+  };
+}
+
+const amountOf = value => {
+  const parsed = value && value !== 'None' ? parseFloat(value) : NaN;
+  return Number.isFinite(parsed) ? parsed : null;
+};
+const dateOf = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : null);
+
+// EARNINGS payload -> reported quarters, oldest first
+export function parseEarnings(data) {
+  checkPayload(data);
+  return (data.quarterlyEarnings || []).map(quarter => ({
+    fiscalDateEnding: quarter.fiscalDateEnding,
+    reportedDate: dateOf(quarter.reportedDate),
+    reportTime: quarter.reportTime || null,
+    estimatedEps: amountOf(quarter.estimatedEPS),
+    reportedEps: amountOf(quarter.reportedEPS),
+    surprise: amountOf(quarter.surprise),
+    surprisePercent: amountOf(quarter.surprisePercentage)
+  })).sort((a, b) => a.fiscalDateEnding.localeCompare(b.fiscalDateEnding));
+}
+
+// EARNINGS_CALENDAR is the one function that answers in CSV; errors still come as JSON
+export function parseEarningsCalendar(text) {
+  if (String(text).trim().startsWith('{')) {
+    checkPayload(JSON.parse(text));
+  }
+  const [header, ...rows] = parseCsv(text).map(record => record.cells.map(cell => cell.trim()));
+  if (!header) return [];
+  const column = name => header.indexOf(name);
+  return rows.map(cells => ({
+    symbol: cells[column('symbol')],
+    reportDate: dateOf(cells[column('reportDate')]),
+    fiscalDateEnding: dateOf(cells[column('fiscalDateEnding')]),
+    estimate: amountOf(cells[column('estimate')]),
+    currency: cells[column('currency')] || null
+  })).filter(row => row.reportDate).sort((a, b) => a.reportDate.localeCompare(b.reportDate));
+}
+
+// DIVIDENDS payload -> declared dividends, oldest first
+export function parseDividends(data) {
+  checkPayload(data);
+  return (data.data || []).map(entry => ({
+    exDate: dateOf(entry.ex_dividend_date),
+    declarationDate: dateOf(entry.declaration_date),
+    recordDate: dateOf(entry.record_date),
+    paymentDate: dateOf(entry.payment_date),
+    amount: amountOf(entry.amount)
+  })).filter(entry => entry.exDate).sort((a, b) => a.exDate.localeCompare(b.exDate));
+}
+
+// SPLITS payload -> splits, oldest first; factor is new shares per old share
+export function parseSplits(data) {
+  checkPayload(data);
+  return (data.data || []).map(entry => ({
+    date: dateOf(entry.effective_date),
+    factor: amountOf(entry.split_factor)
+  })).filter(entry => entry.date).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function checkPayload(data) {
+  // Alpha Vantage answers throttled calls with HTTP 200 and an Information/Note message
+  const notice = data.Information || data.Note;
+  if (notice && /rate limit|call frequency|requests per/i.test(notice)) {
+    throw new RateLimitError('Alpha Vantage', notice, /per day|daily/i.test(notice) ? 'day' : 'minute');
+  }
+  if (data['Error Message']) {
+    throw new Error(data['Error Message']);
+  }
+  // Any other notice without data (e.g. premium-only parameters) is an error too
+  if (notice && Object.keys(data).length === 1) {
+    throw new Error(notice);
+  }
+}
+
+// baseUrl points the adapter at another host, such as the mock upstream in the tests.
+// outputSize 'full' needs a premium key; see seriesQuery.
+export function createAlphaVantageProvider({
+  apiKey = process.env.ALPHA_VANTAGE_API_KEY,
+  baseUrl = process.env.ALPHA_VANTAGE_BASE_URL || BASE_URL,
+  outputSize = process.env.ALPHA_VANTAGE_OUTPUTSIZE === 'full' ? 'full' : 'compact'
+} = {}) {
+  async function query(params, { csv = false } = {}) {
+    if (!apiKey) {
+      throw new Error('Alpha Vantage API key not configured');
+    }
+
+    const search = new URLSearchParams({ ...params, apikey: apiKey });
+    return getRateLimiter('alphavantage').schedule(async () => {
+      const response = await fetch(`${baseUrl}?${search}`);
+
+      if (!response.ok) {
+        throw new Error(`Alpha Vantage API error: ${response.status}`);
+      }
+
+      const text = await response.text();
+      const data = csv && !text.trim().startsWith('{') ? null : JSON.parse(text);
+      // Surface throttling inside the scheduler so it can back off and retry
+      if (data) checkPayload(data);
+      return csv ? text : data;
+    });
+  }
+
+  return {
+    name: 'alphavantage',
+
+    async getDailySeries(symbol) {
+      const { params, parse } = seriesQuery(classifyAsset(symbol), { outputSize });
+      return parse(await query(params));
+    },
+
+    async getEtfProfile(symbol) {
+      return parseEtfProfile(await query({ function: 'ETF_PROFILE', symbol }));
+    },
+
+    async getOverview(symbol) {
+      return parseOverview(await query({ function: 'OVERVIEW', symbol }));
+    },
+
+    async getFinancials(symbol) {
+      const [income, balance, cashFlow] = await Promise.all(
+        ['INCOME_STATEMENT', 'BALANCE_SHEET', 'CASH_FLOW'].map(name => query({ function: name, symbol }))
+      );
+      return parseFinancials(income, balance, cashFlow);
+    },
+
+    // Funds report no earnings, so { earnings: false } skips those calls. EARNINGS
+    // already lists the next scheduled quarter; { detailed: true } adds the
+    // EARNINGS_CALENDAR estimate and the split history for questions about events.
+    async getCorporateEvents(symbol, { earnings = true, detailed = false } = {}) {
+      const [history, calendar, dividends, splits] = await Promise.all([
+        earnings ? query({ function: 'EARNINGS', symbol }).then(parseEarnings) : [],
+        earnings && detailed ? query({ function: 'EARNINGS_CALENDAR', symbol, horizon: '3month' }, { csv: true }).then(parseEarningsCalendar) : [],
+        query({ function: 'DIVIDENDS', symbol }).then(parseDividends),
+        detailed ? query({ function: 'SPLITS', symbol }).then(parseSplits) : []
+      ]);
+      return { earnings: history, upcomingEarnings: calendar, dividends, splits };
+    }
+  };
+}
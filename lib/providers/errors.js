@@ -0,0 +1,11 @@
+// Errors raised by market-data providers
+
+// scope is 'minute' for short-term throttling and 'day' once the daily quota is spent
+export class RateLimitError extends Error {
+  constructor(provider, message, scope = 'minute') {
+    super(message || `${provider} rate limit reached`);
+    this.name = 'RateLimitError';
+    this.provider = provider;
+    this.scope = scope;
+  }
+}
@@ -0,0 +1,80 @@
+// File-based provider that replays recorded vendor responses from disk.
+// Layout: <dir>/alphavantage/<FUNCTION>/<SYMBOL>.json (.csv for EARNINGS_CALENDAR)
+// and <dir>/newsapi/<SYMBOL>.json,
+// with "/" in pair symbols written as "-" (EUR/USD -> EUR-USD.json). An index
+// replays its proxy ETF's series.
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  seriesQuery, parseOverview, parseFinancials, parseEtfProfile, parseEarnings, parseEarningsCalendar, parseDividends, parseSplits
+} from './alphaVantage.js';
+import { classifyAsset } from '../assets.js';
+import { parseArticles } from './newsApi.js';
+
+const DEFAULT_DIR = fileURLToPath(new URL('../../fixtures/', import.meta.url));
+
+const fileName = (symbol, extension = 'json') => `${symbol.replace(/\//g, '-')}.${extension}`;
+
+export function createFixtureProvider({ dir = process.env.FIXTURE_DIR || DEFAULT_DIR } = {}) {
+  // Resolved once, so a relative FIXTURE_DIR passes the guard below
+  const root = path.resolve(dir);
+
+  async function loadText(...segments) {
+    const file = path.join(root, ...segments);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error('Invalid fixture path');
+    }
+    try {
+      return await readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No fixture recorded at ${path.relative(root, file)}`);
+      }
+      throw error;
+    }
+  }
+
+  async function load(...segments) {
+    return JSON.parse(await loadText(...segments));
+  }
+
+  return {
+    name: 'fixture',
+
+    async getDailySeries(symbol) {
+      const asset = classifyAsset(symbol);
+      const { params, parse } = seriesQuery(asset);
+      return parse(await load('alphavantage', params.function, fileName(asset.proxy || asset.symbol)));
+    },
+
+    async getEtfProfile(symbol) {
+      return parseEtfProfile(await load('alphavantage', 'ETF_PROFILE', fileName(symbol)));
+    },
+
+    async getOverview(symbol) {
+      return parseOverview(await load('alphavantage', 'OVERVIEW', fileName(symbol)));
+    },
+
+    async getFinancials(symbol) {
+      const [income, balance, cashFlow] = await Promise.all(
+        ['INCOME_STATEMENT', 'BALANCE_SHEET', 'CASH_FLOW'].map(name => load('alphavantage', name, fileName(symbol)))
+      );
+      return parseFinancials(income, balance, cashFlow);
+    },
+
+    async getCorporateEvents(symbol, { earnings = true, detailed = false } = {}) {
+      const [history, calendar, dividends, splits] = await Promise.all([
+        earnings ? load('alphavantage', 'EARNINGS', fileName(symbol)).then(parseEarnings) : [],
+        earnings && detailed ? loadText('alphavantage', 'EARNINGS_CALENDAR', fileName(symbol, 'csv')).then(parseEarningsCalendar) : [],
+        load('alphavantage', 'DIVIDENDS', fileName(symbol)).then(parseDividends),
+        detailed ? load('alphavantage', 'SPLITS', fileName(symbol)).then(parseSplits) : []
+      ]);
+      return { earnings: history, upcomingEarnings: calendar, dividends, splits };
+    },
+
+    async getArticles(symbol) {
+      return parseArticles(await load('newsapi', fileName(symbol)));
+    }
+  };
+}
@@ -0,0 +1,38 @@
+// Provider registry. MARKET_DATA_PROVIDER and NEWS_PROVIDER pick the adapter;
+// the analysis code only talks to the interfaces below.
+//
+// Market data: getDailySeries(symbol) for any asset class (see lib/assets.js),
+//              getOverview(symbol), getFinancials(symbol), getEtfProfile(symbol),
+//              getCorporateEvents(symbol, { earnings, detailed })
+// News:        getArticles(symbol, { query, pageSize })
+import { createAlphaVantageProvider } from './alphaVantage.js';
+import { createNewsApiProvider } from './newsApi.js';
+import { createFixtureProvider } from './fixture.js';
+
+const marketDataProviders = {
+  alphavantage: createAlphaVantageProvider,
+  fixture: createFixtureProvider
+};
+
+const newsProviders = {
+  newsapi: createNewsApiProvider,
+  fixture: createFixtureProvider
+};
+
+function select(registry, name, kind) {
+  const factory = registry[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown ${kind} provider "${name}" (expected one of: ${Object.keys(registry).join(', ')})`);
+  }
+  return factory();
+}
+
+export function getMarketDataProvider() {
+  return select(marketDataProviders, process.env.MARKET_DATA_PROVIDER || 'alphavantage', 'market data');
+}
+
+export function getNewsProvider() {
+  return select(newsProviders, process.env.NEWS_PROVIDER || 'newsapi', 'news');
+}
+
+export { RateLimitError } from './errors.js';
@@ -0,0 +1,60 @@
+// NewsAPI news adapter
+import { RateLimitError } from './errors.js';
+import { getRateLimiter } from '../rateLimiter.js';
+
+const BASE_URL = 'https://newsapi.org/v2/everything';
+
+// Vendor payload -> plain article list
+export function parseArticles(data) {
+  if (data.status === 'error') {
+    throw new Error(data.message || 'News API error');
+  }
+
+  return (data.articles || []).map(article => ({
+    title: article.title,
+    description: article.description,
+    url: article.url,
+    publishedAt: article.publishedAt,
+    source: article.source ? article.source.name : null
+  }));
+}
+
+export function createNewsApiProvider({
+  apiKey = process.env.NEWS_API_KEY,
+  baseUrl = process.env.NEWS_API_BASE_URL || BASE_URL
+} = {}) {
+  return {
+    name: 'newsapi',
+
+    async getArticles(symbol, { query, pageSize = 8 } = {}) {
+      if (!apiKey) {
+        throw new Error('News API key not configured. Please add NEWS_API_KEY to environment variables.');
+      }
+
+      const search = new URLSearchParams({
+        q: query || symbol,
+        sortBy: 'publishedAt',
+        pageSize: String(pageSize),
+        language: 'en',
+        apiKey
+      });
+      const data = await getRateLimiter('newsapi').schedule(async () => {
+        const response = await fetch(`${baseUrl}?${search}`);
+
+        // NewsAPI quotas are rolling 24-hour windows, so a 429 means the day is spent
+        if (response.status === 429) {
+          const body = await response.json().catch(() => ({}));
+          throw new RateLimitError('News API', body.message, 'day');
+        }
+
+        if (!response.ok) {
+          throw new Error(`News API error: ${response.status}`);
+        }
+
+        return response.json();
+      });
+
+      return parseArticles(data);
+    }
+  };
+}
@@ -0,0 +1,178 @@
+// Token-bucket scheduler for upstream APIs. Calls are queued so each provider
+// stays under its per-minute and per-day quota; throttling responses from the
+// vendor trigger an exponential back-off and a bounded number of retries.
+import { RateLimitError } from './providers/errors.js';
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  alphavantage: { label: 'Alpha Vantage', perMinute: 5, perDay: 25, env: 'ALPHA_VANTAGE' },
+  newsapi: { label: 'News API', perMinute: 30, perDay: 100, env: 'NEWS_API' }
+};
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function createRateLimiter({ name, perMinute, perDay, maxRetries = 2, maxWaitMs = 30 * 1000, now = Date.now }) {
+  const queue = [];
+  let minuteTokens = perMinute;
+  let lastRefill = now();
+  let dayKey = utcDay(now());
+  let dayCount = 0;
+  let backoffUntil = 0;
+  let inFlight = 0;
+  let timer = null;
+
+  function refill() {
+    const time = now();
+    minuteTokens = Math.min(perMinute, minuteTokens + ((time - lastRefill) * perMinute) / MINUTE);
+    lastRefill = time;
+    if (utcDay(time) !== dayKey) {
+      dayKey = utcDay(time);
+      dayCount = 0;
+    }
+  }
+
+  function msUntilNextToken() {
+    refill();
+    const time = now();
+    if (time < backoffUntil) return backoffUntil - time;
+    if (minuteTokens >= 1) return 0;
+    return Math.ceil(((1 - minuteTokens) * MINUTE) / perMinute);
+  }
+
+  function dailyQuotaError() {
+    return new RateLimitError(name, `${name} daily quota of ${perDay} calls exhausted`);
+  }
+
+  function pump() {
+    if (timer) return;
+
+    while (queue.length > 0) {
+      const wait = msUntilNextToken();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+        return;
+      }
+
+      const job = queue.shift();
+      if (dayCount >= perDay) {
+        job.reject(dailyQuotaError());
+        continue;
+      }
+      if (now() - job.enqueuedAt > maxWaitMs) {
+        job.reject(job.lastError || new RateLimitError(name, `${name} request waited too long in the queue`));
+        continue;
+      }
+
+      minuteTokens -= 1;
+      dayCount += 1;
+      run(job);
+    }
+  }
+
+  async function run(job) {
+    inFlight++;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) {
+        job.reject(error);
+      } else if (error.scope === 'day') {
+        // The vendor knows better than our counter: treat the day as spent
+        dayCount = perDay;
+        job.reject(error);
+      } else if (job.attempts < maxRetries) {
+        job.attempts++;
+        job.lastError = error;
+        minuteTokens = 0;
+        backoffUntil = Math.max(backoffUntil, now() + (MINUTE / perMinute) * 2 ** (job.attempts - 1));
+        queue.unshift(job);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      inFlight--;
+      pump();
+    }
+  }
+
+  function schedule(task) {
+    refill();
+    if (dayCount >= perDay) {
+      return Promise.reject(dailyQuotaError());
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject, attempts: 0, enqueuedAt: now(), lastError: null });
+      pump();
+    });
+  }
+
+  // Calls that can still start before a newly queued one would give up waiting
+  function capacity() {
+    refill();
+    const withinWait = Math.floor(minuteTokens) + Math.floor((maxWaitMs * perMinute) / MINUTE);
+    return Math.max(0, Math.min(perDay - dayCount, withinWait) - queue.length);
+  }
+
+  function status() {
+    refill();
+    const tomorrow = new Date(`${dayKey}T00:00:00Z`);
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+
+    return {
+      limits: { perMinute, perDay },
+      remaining: {
+        minute: Math.max(0, Math.floor(minuteTokens)),
+        day: Math.max(0, perDay - dayCount)
+      },
+      used: { day: dayCount },
+      queueDepth: queue.length,
+      inFlight,
+      backoffUntil: backoffUntil > now() ? new Date(backoffUntil).toISOString() : null,
+      dayResetsAt: tomorrow.toISOString()
+    };
+  }
+
+  return { name, schedule, capacity, status };
+}
+
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const limiters = new Map();
+
+// Providers without quotas (the fixture provider) are never scheduled
+export function hasRateLimits(provider) {
+  return Object.hasOwn(DEFAULT_LIMITS, provider);
+}
+
+export function getRateLimiter(provider) {
+  if (!limiters.has(provider)) {
+    const defaults = DEFAULT_LIMITS[provider];
+    if (!defaults) {
+      throw new Error(`No rate limits configured for provider "${provider}"`);
+    }
+    limiters.set(provider, createRateLimiter({
+      name: defaults.label,
+      perMinute: limitFromEnv(`${defaults.env}_CALLS_PER_MINUTE`, defaults.perMinute),
+      perDay: limitFromEnv(`${defaults.env}_CALLS_PER_DAY`, defaults.perDay)
+    }));
+  }
+  return limiters.get(provider);
+}
+
+export function getQuotaStatus() {
+  const status = {};
+  for (const provider of Object.keys(DEFAULT_LIMITS)) {
+    status[provider] = getRateLimiter(provider).status();
+  }
+  return status;
+}
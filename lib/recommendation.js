@@ -0,0 +1,199 @@
+// Buy/hold/sell advice from the analysis sections, shared by the chat, alerts and
+// the backtest. The score comes from the weighted rules in lib/scoring.js; the
+// message takes any holding in the symbol into account.
+import { getProfile, extractMetrics, scoreMetrics } from './scoring.js';
+
+// Share of the portfolio in one position above which it counts as concentrated
+export const CONCENTRATION_LIMIT = 25;
+
+export function generateRecommendation(technical, fundamental, sentiment, options = {}) {
+  // Without a real price there is nothing to base a signal on
+  if (technical.dataStatus === 'unavailable') {
+    return {
+      recommendation: 'WITHHELD',
+      action: '⚪ Withheld',
+      confidence: 'None',
+      score: null,
+      riskLevel: 'Unknown',
+      reasons: [],
+      riskFactors: ['Live price data unavailable'],
+      dataQuality: 'unavailable',
+      message: 'Recommendation withheld - price data is currently unavailable. Please try again shortly.'
+    };
+  }
+
+  // Weighted, rule-based score (0-100) from the configured profile
+  // Crypto and indices have no fundamental section; their profiles score without it
+  const profile = getProfile(options.profile, options.assetClass);
+  fundamental = fundamental || {};
+  const scoring = scoreMetrics(extractMetrics(technical, fundamental, sentiment, options.events), profile);
+  const score = scoring.score;
+  const thresholds = profile.thresholds;
+  const reasons = scoring.reasons;
+  const riskFactors = [...scoring.riskFactors];
+  
+  // Generate recommendation
+  let recommendation, confidence, action;
+  
+  if (score >= thresholds.strongBuy) {
+    recommendation = 'BUY';
+    action = '🟢 Strong Buy';
+    confidence = 'High';
+  } else if (score >= thresholds.buy) {
+    recommendation = 'BUY';
+    action = '🟢 Buy';
+    confidence = 'Medium';
+  } else if (score > thresholds.sell) {
+    recommendation = 'HOLD';
+    action = '🟡 Hold';
+    confidence = 'Medium';
+  } else if (score > thresholds.strongSell) {
+    recommendation = 'SELL';
+    action = '🔴 Sell';
+    confidence = 'Medium';
+  } else {
+    recommendation = 'SELL';
+    action = '🔴 Strong Sell';
+    confidence = 'High';
+  }
+
+  // A score built from less than half of the rules deserves less trust
+  if (scoring.coverage < 0.5) {
+    confidence = confidence === 'High' ? 'Medium' : 'Low';
+  }
+
+  // Downgrade anything built on stale or missing inputs
+  const staleSections = [['Price', technical], ['Fundamental', fundamental]]
+    .filter(([, section]) => section.dataStatus === 'stale');
+  const dataQuality = staleSections.length > 0 || fundamental.dataStatus === 'unavailable' ? 'degraded' : 'live';
+  if (dataQuality === 'degraded') {
+    confidence = confidence === 'High' ? 'Medium' : 'Low';
+    staleSections.reverse().forEach(([label, section]) => {
+      riskFactors.unshift(`${label} data is ${formatAge(section.ageSeconds)} old`);
+    });
+    if (fundamental.dataStatus === 'unavailable') {
+      riskFactors.unshift('Fundamental data unavailable');
+    }
+  }
+  
+  // Risk Assessment: from the measured volatility, drawdown, VaR and beta when
+  // there are enough prices, otherwise from the number of risk factors
+  let riskLevel;
+  if (options.risk && options.risk.level) {
+    riskLevel = options.risk.level;
+  } else if (riskFactors.length >= 3) {
+    riskLevel = 'High';
+  } else if (riskFactors.length >= 1) {
+    riskLevel = 'Medium';
+  } else {
+    riskLevel = 'Low';
+  }
+  
+  return {
+    recommendation: recommendation,
+    action: action,
+    confidence: confidence,
+    score: score,
+    riskLevel: riskLevel,
+    reasons: reasons.slice(0, 4),
+    riskFactors: riskFactors.slice(0, 3),
+    dataQuality: dataQuality,
+    profile: scoring.profile,
+    breakdown: {
+      categories: scoring.categories,
+      rules: scoring.rules,
+      coverage: scoring.coverage
+    },
+    message: generateRecommendationMessage(recommendation, confidence, riskLevel, options.position) +
+      (dataQuality === 'degraded' ? ' Note: based partly on stale or missing data.' : '')
+  };
+}
+
+export function formatAge(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+  return `${Math.round(seconds / 86400)}d`;
+}
+
+// position: the holding in this symbol (see getPositionContext in lib/portfolio.js);
+// null when it is not held, undefined when the portfolio is unknown or empty
+function generateRecommendationMessage(recommendation, confidence, riskLevel, position) {
+  if (position !== undefined) {
+    return positionAdvice(recommendation, confidence, riskLevel, position);
+  }
+
+  let message = '';
+  
+  if (recommendation === 'BUY') {
+    message = `${confidence} confidence buy recommendation. `;
+    if (riskLevel === 'Low') {
+      message += 'Low risk investment with good upside potential.';
+    } else if (riskLevel === 'Medium') {
+      message += 'Moderate risk - consider position sizing carefully.';
+    } else {
+      message += 'Higher risk - suitable for aggressive investors only.';
+    }
+  } else if (recommendation === 'HOLD') {
+    message = `Hold current position. `;
+    message += 'Mixed signals suggest waiting for clearer direction.';
+  } else {
+    message = `${confidence} confidence sell recommendation. `;
+    if (riskLevel === 'High') {
+      message += 'High risk of further decline - consider exit strategy.';
+    } else {
+      message += 'Consider taking profits or reducing exposure.';
+    }
+  }
+  
+  return message;
+}
+
+function positionAdvice(recommendation, confidence, riskLevel, position) {
+  if (position === null) {
+    if (recommendation === 'BUY') {
+      return `${confidence} confidence buy recommendation. You don't hold this yet - ` +
+        (riskLevel === 'Low' ? 'a new position looks reasonable.' : 'if you open a position, start small given the ' + riskLevel.toLowerCase() + ' risk.');
+    }
+    if (recommendation === 'HOLD') {
+      return 'You don\'t hold this. Mixed signals suggest waiting for clearer direction before opening a position.';
+    }
+    return `${confidence} confidence sell recommendation. You don't hold this - avoid opening a position for now.`;
+  }
+
+  const shares = `${position.quantity} share${position.quantity === 1 ? '' : 's'}`;
+  const pnl = position.unrealizedPnlPercent === null ? '' : ` (${position.unrealizedPnlPercent > 0 ? '+' : ''}${position.unrealizedPnlPercent}%)`;
+  const weight = `${position.allocationPercent}% of your portfolio`;
+  const concentrated = position.allocationPercent > CONCENTRATION_LIMIT;
+
+  if (recommendation === 'BUY') {
+    let message = `${confidence} confidence buy recommendation. You hold ${shares}${pnl}, ${weight}. `;
+    if (concentrated) {
+      message += 'It is already a large position - keep it rather than adding more.';
+    } else if (riskLevel === 'High') {
+      message += 'Higher risk - add only in small increments, if at all.';
+    } else {
+      message += 'There is room to add to the position.';
+    }
+    return message;
+  }
+  if (recommendation === 'HOLD') {
+    let message = `Hold your ${shares}${pnl}. Mixed signals suggest waiting for clearer direction.`;
+    if (concentrated) {
+      message += ` At ${weight} it is a concentrated position; consider trimming toward ${CONCENTRATION_LIMIT}%.`;
+    }
+    return message;
+  }
+
+  let message = `${confidence} confidence sell recommendation for your ${shares}${pnl}, ${weight}. `;
+  if (position.unrealizedPnl > 0) {
+    message += riskLevel === 'High' || concentrated
+      ? 'Consider taking profits on most of the position.'
+      : 'Consider taking partial profits.';
+  } else {
+    message += riskLevel === 'High'
+      ? 'High risk of further decline - consider cutting the position.'
+      : 'Consider reducing exposure rather than waiting for a recovery.';
+  }
+  return message;
+}
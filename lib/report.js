@@ -0,0 +1,783 @@
+// Exportable reports: Markdown, canonical JSON, CSV metrics and a standalone
+// printable HTML page.
+//
+// buildReport() turns chat responses (fresh, or stored in a session) into the
+// canonical shape below, and every renderer works from that shape only:
+//   { schema, version, generatedAt, source: { kind, id, title },
+//     entries: [{ type, query, timestamp, summary, verdict, ranking, analyses: [analysis] }] }
+//   analysis: { symbol, assetClass, currency, asOf, dataStatus, price, performance,
+//               indicators, fundamentals, financials, fund, carry, events, risk,
+//               sentiment, recommendation, position, news }
+// Numbers are numbers (null when unavailable) and dates are ISO strings. Price
+// series are attached separately (charts: { SYMBOL: daily series }) and only
+// drawn by the HTML renderer.
+
+export const REPORT_SCHEMA = 'financial-chat-analyzer/report';
+export const REPORT_VERSION = 1;
+export const REPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const MAX_NEWS = 10;
+
+const num = value => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+function toAnalysis(response) {
+  const technical = response.technical || response.quote || {};
+  const indicators = technical.indicators || {};
+  const macd = indicators.macd || {};
+  const bollinger = indicators.bollinger || {};
+  const week52 = indicators.week52 || {};
+  const fundamental = response.fundamental || {};
+  const sentiment = response.sentiment || null;
+  const recommendation = response.recommendation || null;
+  const performance = technical.performance || response.performance || {};
+  const articles = (response.news && response.news.articles) || [];
+  const asset = response.asset || {};
+  const scores = new Map(((sentiment && sentiment.headlines) || []).map(headline => [headline.url, headline.score]));
+
+  return {
+    symbol: response.symbol,
+    // Analyses stored before multi-asset support are stocks
+    assetClass: asset.assetClass || 'equity',
+    currency: asset.currency || 'USD',
+    asOf: technical.asOf || null,
+    dataStatus: {
+      technical: technical.dataStatus || null,
+      fundamental: fundamental.dataStatus || null,
+      news: response.news ? response.news.dataStatus || null : null
+    },
+    price: {
+      last: num(technical.price),
+      change: num(technical.change),
+      changePercent: num(technical.changePercent),
+      volume: num(technical.volume)
+    },
+    performance: {
+      week: num(performance.week),
+      month: num(performance.month),
+      threeMonth: num(performance.threeMonth),
+      sixMonth: num(performance.sixMonth),
+      year: num(performance.year)
+    },
+    indicators: {
+      sma20: num(indicators.sma20),
+      sma50: num(indicators.sma50),
+      sma200: num(indicators.sma200),
+      ema20: num(indicators.ema20),
+      ema50: num(indicators.ema50),
+      ema200: num(indicators.ema200),
+      rsi14: num(indicators.rsi14),
+      macd: num(macd.macd),
+      macdSignal: num(macd.signal),
+      macdHistogram: num(macd.histogram),
+      bollingerUpper: num(bollinger.upper),
+      bollingerLower: num(bollinger.lower),
+      bollingerPercentB: num(bollinger.percentB),
+      atr14: num(indicators.atr14),
+      atrPercent: num(indicators.atrPercent),
+      week52High: num(week52.high),
+      week52Low: num(week52.low),
+      realizedVolatility: num(indicators.realizedVolatility),
+      trend: indicators.trend || null
+    },
+    fundamentals: {
+      marketCap: num(fundamental.marketCap),
+      peRatio: num(fundamental.peRatio),
+      dividendYield: num(fundamental.dividendYield),
+      eps: num(fundamental.eps),
+      bookValue: num(fundamental.bookValue)
+    },
+    // Statement ratios and the annual trend (lib/fundamentals.js), when statements were available
+    financials: fundamental.ratios ? {
+      basis: fundamental.statements ? fundamental.statements.basis : null,
+      asOf: fundamental.statements ? fundamental.statements.asOf : null,
+      ratios: fundamental.ratios,
+      annual: fundamental.trends ? fundamental.trends.annual : []
+    } : null,
+    // ETF profile (percentages in percent) and forex carry, for those classes
+    fund: asset.assetClass === 'etf' && response.fundamental ? {
+      expenseRatio: num(fundamental.expenseRatio),
+      netAssets: num(fundamental.netAssets),
+      turnover: num(fundamental.turnover),
+      holdings: fundamental.holdings || [],
+      sectors: fundamental.sectors || []
+    } : null,
+    carry: asset.assetClass === 'forex' && fundamental.base ? {
+      base: fundamental.base,
+      quote: fundamental.quote,
+      carry: num(fundamental.carry),
+      ratesAsOf: fundamental.ratesAsOf || null
+    } : null,
+    // Next earnings and ex-dividend dates plus the recent earnings history (lib/events.js)
+    events: response.events && response.events.earnings ? {
+      nextEarnings: response.events.earnings.next,
+      earningsHistory: response.events.earnings.history,
+      nextDividend: response.events.dividends.next,
+      lastSplit: response.events.splits[0] || null
+    } : null,
+    // Volatility, drawdown, 1-day VaR/CVaR (losses in percent) and beta (lib/risk.js)
+    risk: response.risk && response.risk.level ? {
+      level: response.risk.level,
+      from: response.risk.from,
+      to: response.risk.to,
+      volatility: response.risk.volatility,
+      downsideDeviation: response.risk.downsideDeviation,
+      maxDrawdown: response.risk.maxDrawdown,
+      currentDrawdown: response.risk.currentDrawdown,
+      var95: response.risk.var95,
+      cvar95: response.risk.cvar95,
+      var99: response.risk.var99,
+      cvar99: response.risk.cvar99,
+      benchmark: response.risk.benchmark
+    } : null,
+    sentiment: sentiment && {
+      score: num(sentiment.score),
+      message: sentiment.message || null,
+      articleCount: sentiment.articleCount ?? null,
+      distribution: sentiment.distribution || null
+    },
+    recommendation: recommendation && {
+      signal: recommendation.recommendation,
+      action: recommendation.action,
+      score: recommendation.score ?? null,
+      confidence: recommendation.confidence || null,
+      riskLevel: recommendation.riskLevel || null,
+      profile: recommendation.profile || null,
+      message: recommendation.message || null,
+      reasons: recommendation.reasons || [],
+      riskFactors: recommendation.riskFactors || [],
+      rules: ((recommendation.breakdown && recommendation.breakdown.rules) || []).map(rule => ({
+        label: rule.label,
+        category: rule.category,
+        value: rule.value ?? null,
+        score: rule.score ?? null,
+        contribution: rule.contribution ?? null
+      }))
+    },
+    position: response.position || null,
+    news: articles.slice(0, MAX_NEWS).map(article => ({
+      title: article.title,
+      source: article.source || null,
+      url: article.url || null,
+      publishedAt: article.publishedAt || null,
+      sentiment: scores.has(article.url) ? scores.get(article.url) : null
+    }))
+  };
+}
+
+// One chat answer as a report entry; answers without analyses (alerts, portfolio,
+// clarifications) keep their summary text only
+function toEntry({ query, response }) {
+  const entry = {
+    type: response.type || 'analysis',
+    query: query || null,
+    timestamp: response.timestamp || null,
+    summary: null,
+    verdict: null,
+    ranking: null,
+    analyses: []
+  };
+  if (response.type === 'comparison') {
+    entry.verdict = response.verdict;
+    entry.ranking = response.ranking;
+    entry.analyses = response.assets.map(toAnalysis);
+  } else if (response.symbol && (response.technical || response.quote || response.recommendation)) {
+    entry.analyses = [toAnalysis(response)];
+    if (response.type === 'explanation') entry.summary = response.summary;
+  } else {
+    entry.summary = response.summary || null;
+  }
+  return entry;
+}
+
+// turns: [{ query, response }]
+export function buildReport(source, turns) {
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    source,
+    entries: turns.map(toEntry)
+  };
+}
+
+// Symbols whose price series the HTML report draws
+export function reportSymbols(report) {
+  return [...new Set(report.entries.flatMap(entry => entry.analyses.map(analysis => analysis.symbol)))];
+}
+
+// Formatting shared by the Markdown, CSV and HTML output
+
+const fixed = (value, digits = 2) => (value === null ? 'N/A' : value.toFixed(digits));
+const money = value => (value === null ? 'N/A' : `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+const percent = value => (value === null ? 'N/A' : `${fixed(value)}%`);
+const signed = (value, suffix = '%') => (value === null ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(2)}${suffix}`);
+const count = value => (value === null ? 'N/A' : Math.round(value).toLocaleString('en-US'));
+
+function largeNumber(value) {
+  if (value === null) return 'N/A';
+  const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M']];
+  const [divisor, unit] = units.find(([size]) => Math.abs(value) >= size) || [1, ''];
+  return `$${(value / divisor).toFixed(2)}${unit}`;
+}
+
+const date = value => (value ? String(value).slice(0, 10) : 'N/A');
+
+// Report content as renderer-neutral blocks: { title, paragraphs, table: { head, rows }, list, links }
+function analysisBlocks(analysis) {
+  const blocks = [];
+  const { recommendation, position, price, performance, indicators, fundamentals, financials, fund, carry, events, risk, sentiment } = analysis;
+  // Exchange rates are plain numbers; other prices are money in the quote currency
+  const quoted = value => {
+    if (value === null) return 'N/A';
+    if (analysis.assetClass === 'forex') return String(value);
+    return analysis.currency === 'USD' ? money(value) : `${value} ${analysis.currency}`;
+  };
+
+  if (recommendation) {
+    blocks.push({
+      title: 'Signal',
+      paragraphs: [
+        `${recommendation.action} — score ${recommendation.score ?? 'N/A'}/100, ${recommendation.confidence} confidence, ` +
+          `${recommendation.riskLevel} risk${recommendation.profile ? ` (${recommendation.profile} profile)` : ''}`,
+        recommendation.message
+      ].filter(Boolean),
+      list: [
+        ...recommendation.reasons,
+        ...recommendation.riskFactors.map(factor => `⚠️ ${factor}`)
+      ]
+    });
+  }
+
+  if (position) {
+    blocks.push({
+      title: 'Position',
+      table: {
+        head: ['Shares', 'Avg Cost', 'Value', 'Unrealized P&L', 'Weight'],
+        rows: [[
+          String(position.quantity),
+          money(position.averageCost),
+          money(position.marketValue),
+          `${money(position.unrealizedPnl)} (${signed(position.unrealizedPnlPercent)})`,
+          `${fixed(position.allocationPercent)}%`
+        ]]
+      }
+    });
+  }
+
+  blocks.push({
+    title: 'Price & Performance',
+    table: {
+      head: ['Metric', 'Value'],
+      rows: [
+        ['Last price', quoted(price.last)],
+        ['Change', `${signed(price.change, '')} (${signed(price.changePercent)})`],
+        ['Volume', count(price.volume)],
+        ['As of', date(analysis.asOf)],
+        ['1 week', signed(performance.week)],
+        ['1 month', signed(performance.month)],
+        ['3 months', signed(performance.threeMonth)],
+        ['6 months', signed(performance.sixMonth)],
+        ['1 year', signed(performance.year)]
+      ]
+    }
+  });
+
+  if (indicators.sma20 !== null || indicators.rsi14 !== null) {
+    blocks.push({
+      title: 'Technical Indicators',
+      table: {
+        head: ['Indicator', 'Value'],
+        rows: [
+          ['SMA 20 / 50 / 200', [indicators.sma20, indicators.sma50, indicators.sma200].map(value => fixed(value)).join(' / ')],
+          ['EMA 20 / 50 / 200', [indicators.ema20, indicators.ema50, indicators.ema200].map(value => fixed(value)).join(' / ')],
+          ['RSI 14', fixed(indicators.rsi14)],
+          ['MACD / signal / histogram', [indicators.macd, indicators.macdSignal, indicators.macdHistogram].map(value => fixed(value)).join(' / ')],
+          ['Bollinger upper / lower (%B)', `${fixed(indicators.bollingerUpper)} / ${fixed(indicators.bollingerLower)} (${fixed(indicators.bollingerPercentB)})`],
+          ['ATR 14', `${fixed(indicators.atr14)} (${fixed(indicators.atrPercent)}%)`],
+          ['52-week high / low', `${fixed(indicators.week52High)} / ${fixed(indicators.week52Low)}`],
+          ['Realized volatility (30d)', indicators.realizedVolatility === null ? 'N/A' : `${fixed(indicators.realizedVolatility)}%`],
+          ['Trend', indicators.trend || 'N/A']
+        ]
+      }
+    });
+  }
+
+  if (analysis.assetClass === 'equity' && Object.values(fundamentals).some(value => value !== null)) {
+    blocks.push({
+      title: 'Fundamentals',
+      table: {
+        head: ['Metric', 'Value'],
+        rows: [
+          ['Market cap', largeNumber(fundamentals.marketCap)],
+          ['P/E ratio', fixed(fundamentals.peRatio)],
+          ['Dividend yield', fundamentals.dividendYield === null ? 'N/A' : `${(fundamentals.dividendYield * 100).toFixed(2)}%`],
+          ['EPS', money(fundamentals.eps)],
+          ['Book value', money(fundamentals.bookValue)]
+        ]
+      }
+    });
+  }
+
+  if (financials) {
+    const { ratios } = financials;
+    blocks.push({
+      title: 'Financial Ratios',
+      paragraphs: [`${financials.basis === 'ttm' ? 'Trailing twelve months' : 'Fiscal year'} to ${date(financials.asOf)}`],
+      table: {
+        head: ['Metric', 'Value'],
+        rows: [
+          ['Revenue growth (3y CAGR)', `${signed(ratios.revenueGrowth)} (${signed(ratios.revenueCagr3y)})`],
+          ['EPS growth (3y CAGR)', `${signed(ratios.epsGrowth)} (${signed(ratios.epsCagr3y)})`],
+          ['Gross / operating / net margin', [ratios.grossMargin, ratios.operatingMargin, ratios.netMargin].map(percent).join(' / ')],
+          ['Operating margin change (3y)', ratios.operatingMarginTrend === null ? 'N/A' : `${signed(ratios.operatingMarginTrend, '')} pts`],
+          ['ROE / ROIC', [ratios.roe, ratios.roic].map(percent).join(' / ')],
+          ['Debt / equity', fixed(ratios.debtToEquity)],
+          ['Current ratio', fixed(ratios.currentRatio)],
+          ['Free cash flow (yield)', `${largeNumber(ratios.freeCashFlow)} (${percent(ratios.fcfYield)})`],
+          ['PEG ratio', fixed(ratios.peg)]
+        ]
+      }
+    });
+
+    if (financials.annual.length > 1) {
+      blocks.push({
+        title: 'Annual Trend',
+        table: {
+          head: ['Fiscal year', 'Revenue', 'EPS', 'Gross margin', 'Operating margin', 'Net margin', 'Free cash flow'],
+          rows: financials.annual.map(year => [
+            date(year.fiscalDateEnding),
+            largeNumber(year.revenue),
+            money(year.eps),
+            percent(year.grossMargin),
+            percent(year.operatingMargin),
+            percent(year.netMargin),
+            largeNumber(year.freeCashFlow)
+          ])
+        }
+      });
+    }
+  }
+
+  if (events) {
+    const { nextEarnings, nextDividend, lastSplit } = events;
+    blocks.push({
+      title: 'Corporate Events',
+      table: {
+        head: ['Event', 'Date', 'Detail'],
+        rows: [
+          ['Next earnings', nextEarnings ? date(nextEarnings.date) : 'N/A',
+            nextEarnings ? `in ${nextEarnings.daysUntil} days, EPS estimate ${fixed(nextEarnings.estimate)}` : ''],
+          ['Next ex-dividend', nextDividend ? date(nextDividend.exDate) : 'N/A', nextDividend ? money(nextDividend.amount) : ''],
+          ['Last split', lastSplit ? date(lastSplit.date) : 'N/A', lastSplit && lastSplit.factor ? `${lastSplit.factor}-for-1` : '']
+        ]
+      }
+    });
+    if (events.earningsHistory.length > 0) {
+      blocks.push({
+        title: 'Earnings History',
+        table: {
+          head: ['Reported', 'Quarter', 'EPS estimate', 'EPS actual', 'Surprise'],
+          rows: events.earningsHistory.map(quarter => [
+            date(quarter.reportedDate),
+            date(quarter.fiscalDateEnding),
+            fixed(quarter.estimatedEps),
+            fixed(quarter.reportedEps),
+            signed(quarter.surprisePercent)
+          ])
+        }
+      });
+    }
+  }
+
+  if (risk) {
+    const { benchmark } = risk;
+    blocks.push({
+      title: 'Risk Metrics',
+      paragraphs: [`${risk.level} risk, from daily returns ${date(risk.from)} to ${date(risk.to)}. VaR and CVaR are 1-day losses.`],
+      table: {
+        head: ['Metric', 'Value'],
+        rows: [
+          ['Volatility (annualized)', percent(risk.volatility)],
+          ['Downside deviation', percent(risk.downsideDeviation)],
+          ['Max drawdown', `${signed(risk.maxDrawdown.percent)} (${date(risk.maxDrawdown.peakDate)} → ${date(risk.maxDrawdown.troughDate)})`],
+          ['Below peak', signed(risk.currentDrawdown)],
+          ['VaR 95% (historical / parametric)', `${percent(risk.var95.historical)} / ${percent(risk.var95.parametric)}`],
+          ['CVaR 95% (historical / parametric)', `${percent(risk.cvar95.historical)} / ${percent(risk.cvar95.parametric)}`],
+          ['VaR 99% (historical / parametric)', `${percent(risk.var99.historical)} / ${percent(risk.var99.parametric)}`],
+          ['CVaR 99% (historical / parametric)', `${percent(risk.cvar99.historical)} / ${percent(risk.cvar99.parametric)}`],
+          [`Beta vs ${benchmark ? benchmark.symbol : 'benchmark'}`, benchmark ? fixed(benchmark.beta) : 'N/A'],
+          ['Correlation', benchmark ? fixed(benchmark.correlation) : 'N/A']
+        ]
+      }
+    });
+  }
+
+  if (fund) {
+    blocks.push({
+      title: 'Fund Profile',
+      table: {
+        head: ['Metric', 'Value'],
+        rows: [
+          ['Expense ratio', fund.expenseRatio === null ? 'N/A' : `${fund.expenseRatio}%`],
+          ['Net assets', largeNumber(fund.netAssets)],
+          ['Dividend yield', fundamentals.dividendYield === null ? 'N/A' : `${(fundamentals.dividendYield * 100).toFixed(2)}%`],
+          ['Turnover', fund.turnover === null ? 'N/A' : `${fund.turnover}%`],
+          ['Top sectors', fund.sectors.slice(0, 3).map(sector => `${sector.sector} ${sector.weight}%`).join(', ') || 'N/A']
+        ]
+      }
+    });
+    if (fund.holdings.length > 0) {
+      blocks.push({
+        title: 'Top Holdings',
+        table: {
+          head: ['Holding', 'Weight'],
+          rows: fund.holdings.map(holding => [holding.symbol || holding.name, holding.weight === null ? 'N/A' : `${holding.weight}%`])
+        }
+      });
+    }
+  }
+
+  if (carry) {
+    blocks.push({
+      title: 'Interest-Rate Carry',
+      paragraphs: [`Policy rates as of ${date(carry.ratesAsOf)}`],
+      table: {
+        head: ['Currency', 'Policy rate'],
+        rows: [
+          [`${carry.base.code} (${carry.base.name})`, `${carry.base.rate}%`],
+          [`${carry.quote.code} (${carry.quote.name})`, `${carry.quote.rate}%`],
+          ['Carry (long the pair)', signed(carry.carry)]
+        ]
+      }
+    });
+  }
+
+  if (sentiment) {
+    const { distribution } = sentiment;
+    blocks.push({
+      title: 'Sentiment',
+      paragraphs: [
+        `${sentiment.message || 'N/A'} — score ${fixed(sentiment.score)}` +
+          (distribution ? ` over ${sentiment.articleCount} articles (${distribution.positive} positive, ${distribution.neutral} neutral, ${distribution.negative} negative)` : '')
+      ]
+    });
+  }
+
+  if (recommendation && recommendation.rules.length > 0) {
+    blocks.push({
+      title: 'Score Breakdown',
+      table: {
+        head: ['Rule', 'Category', 'Value', 'Score', 'Contribution'],
+        rows: recommendation.rules.map(rule => [
+          rule.label,
+          rule.category,
+          rule.value === null ? 'N/A' : String(rule.value),
+          rule.score === null ? 'N/A' : String(rule.score),
+          rule.contribution === null ? 'N/A' : String(rule.contribution)
+        ])
+      }
+    });
+  }
+
+  if (analysis.news.length > 0) {
+    blocks.push({
+      title: 'News',
+      links: analysis.news.map(article => ({
+        text: article.title,
+        url: article.url,
+        note: [article.source, date(article.publishedAt), article.sentiment === null ? null : `sentiment ${signed(article.sentiment, '')}`]
+          .filter(Boolean).join(', ')
+      }))
+    });
+  }
+
+  return blocks;
+}
+
+function entryHeading(entry) {
+  const symbols = entry.analyses.map(analysis => analysis.symbol);
+  const subject = symbols.length > 0 ? symbols.join(' vs ') : entry.type.charAt(0).toUpperCase() + entry.type.slice(1);
+  return `${subject} — ${entry.timestamp ? new Date(entry.timestamp).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'N/A'}`;
+}
+
+function comparisonBlocks(entry) {
+  return [
+    {
+      title: 'Ranking',
+      table: {
+        head: ['Rank', 'Symbol', 'Signal', 'Score'],
+        rows: entry.ranking.map(row => [String(row.rank), row.symbol, row.action || 'N/A', String(row.score ?? 'N/A')])
+      }
+    },
+    { title: 'Verdict', paragraphs: [entry.verdict].filter(Boolean) }
+  ];
+}
+
+// Markdown
+
+const mdCell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function markdownBlock(block, level) {
+  let md = `${'#'.repeat(level)} ${block.title}\n\n`;
+  (block.paragraphs || []).forEach(paragraph => {
+    md += `${paragraph}\n\n`;
+  });
+  if (block.table) {
+    md += `| ${block.table.head.map(mdCell).join(' | ')} |\n|${block.table.head.map(() => '---').join('|')}|\n`;
+    block.table.rows.forEach(row => {
+      md += `| ${row.map(mdCell).join(' | ')} |\n`;
+    });
+    md += '\n';
+  }
+  if (block.list && block.list.length > 0) {
+    md += block.list.map(item => `- ${item}`).join('\n') + '\n\n';
+  }
+  if (block.links) {
+    md += block.links.map(link => `- ${link.url ? `[${link.text}](${link.url})` : link.text}${link.note ? ` — ${link.note}` : ''}`).join('\n') + '\n\n';
+  }
+  return md;
+}
+
+export function renderMarkdown(report) {
+  let md = `# ${report.source.title}\n\n`;
+  md += `_Generated ${report.generatedAt}. For information only, not financial advice._\n\n`;
+  report.entries.forEach(entry => {
+    md += `## ${entryHeading(entry)}\n\n`;
+    if (entry.query) md += `> ${entry.query}\n\n`;
+    if (entry.summary) md += `${entry.summary}\n\n`;
+    if (entry.ranking) {
+      comparisonBlocks(entry).forEach(block => {
+        md += markdownBlock(block, 3);
+      });
+    }
+    entry.analyses.forEach(analysis => {
+      if (entry.analyses.length > 1) md += `### ${analysis.symbol}\n\n`;
+      analysisBlocks(analysis).forEach(block => {
+        md += markdownBlock(block, entry.analyses.length > 1 ? 4 : 3);
+      });
+    });
+  });
+  return md;
+}
+
+// CSV: one row per analysed symbol
+
+const CSV_COLUMNS = [
+  ['timestamp', (entry) => entry.timestamp],
+  ['query', (entry) => entry.query],
+  ['symbol', (entry, a) => a.symbol],
+  ['assetClass', (entry, a) => a.assetClass],
+  ['asOf', (entry, a) => a.asOf],
+  ['price', (entry, a) => a.price.last],
+  ['change', (entry, a) => a.price.change],
+  ['changePercent', (entry, a) => a.price.changePercent],
+  ['volume', (entry, a) => a.price.volume],
+  ['perfWeek', (entry, a) => a.performance.week],
+  ['perfMonth', (entry, a) => a.performance.month],
+  ['perfThreeMonth', (entry, a) => a.performance.threeMonth],
+  ['perfSixMonth', (entry, a) => a.performance.sixMonth],
+  ['perfYear', (entry, a) => a.performance.year],
+  ...['sma20', 'sma50', 'sma200', 'ema20', 'ema50', 'ema200', 'rsi14', 'macd', 'macdSignal', 'macdHistogram',
+    'bollingerUpper', 'bollingerLower', 'bollingerPercentB', 'atr14', 'atrPercent', 'week52High', 'week52Low',
+    'realizedVolatility', 'trend']
+    .map(field => [field, (entry, a) => a.indicators[field]]),
+  ...['marketCap', 'peRatio', 'dividendYield', 'eps', 'bookValue'].map(field => [field, (entry, a) => a.fundamentals[field]]),
+  ...['revenueGrowth', 'epsGrowth', 'revenueCagr3y', 'epsCagr3y', 'grossMargin', 'operatingMargin', 'netMargin',
+    'operatingMarginTrend', 'roe', 'roic', 'debtToEquity', 'currentRatio', 'freeCashFlow', 'fcfYield', 'peg']
+    .map(field => [field, (entry, a) => (a.financials ? a.financials.ratios[field] : null)]),
+  ['expenseRatio', (entry, a) => (a.fund ? a.fund.expenseRatio : null)],
+  ['carry', (entry, a) => (a.carry ? a.carry.carry : null)],
+  ['nextEarningsDate', (entry, a) => (a.events && a.events.nextEarnings ? a.events.nextEarnings.date : null)],
+  ['daysToEarnings', (entry, a) => (a.events && a.events.nextEarnings ? a.events.nextEarnings.daysUntil : null)],
+  ['lastEpsSurprisePercent', (entry, a) => (a.events && a.events.earningsHistory[0] ? a.events.earningsHistory[0].surprisePercent : null)],
+  ['nextExDividendDate', (entry, a) => (a.events && a.events.nextDividend ? a.events.nextDividend.exDate : null)],
+  ...['volatility', 'downsideDeviation', 'currentDrawdown'].map(field => [field, (entry, a) => (a.risk ? a.risk[field] : null)]),
+  ['maxDrawdown', (entry, a) => (a.risk ? a.risk.maxDrawdown.percent : null)],
+  ['var95Historical', (entry, a) => (a.risk ? a.risk.var95.historical : null)],
+  ['var95Parametric', (entry, a) => (a.risk ? a.risk.var95.parametric : null)],
+  ['cvar95Historical', (entry, a) => (a.risk ? a.risk.cvar95.historical : null)],
+  ['beta', (entry, a) => (a.risk && a.risk.benchmark ? a.risk.benchmark.beta : null)],
+  ['correlation', (entry, a) => (a.risk && a.risk.benchmark ? a.risk.benchmark.correlation : null)],
+  ['sentimentScore', (entry, a) => (a.sentiment ? a.sentiment.score : null)],
+  ['articleCount', (entry, a) => (a.sentiment ? a.sentiment.articleCount : null)],
+  ['signal', (entry, a) => (a.recommendation ? a.recommendation.signal : null)],
+  ['score', (entry, a) => (a.recommendation ? a.recommendation.score : null)],
+  ['confidence', (entry, a) => (a.recommendation ? a.recommendation.confidence : null)],
+  ['riskLevel', (entry, a) => (a.recommendation ? a.recommendation.riskLevel : null)],
+  ['profile', (entry, a) => (a.recommendation ? a.recommendation.profile : null)],
+  ['positionQuantity', (entry, a) => (a.position ? a.position.quantity : null)],
+  ['positionValue', (entry, a) => (a.position ? a.position.marketValue : null)],
+  ['positionPnlPercent', (entry, a) => (a.position ? a.position.unrealizedPnlPercent : null)],
+  ['dataStatus', (entry, a) => a.dataStatus.technical]
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  // Leading formula characters are neutralized so spreadsheets do not evaluate them
+  const safe = /^[=+\-@]/.test(text) && !Number.isFinite(Number(text)) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+export function renderCsv(report) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+  report.entries.forEach(entry => {
+    entry.analyses.forEach(analysis => {
+      lines.push(CSV_COLUMNS.map(([, value]) => csvCell(value(entry, analysis))).join(','));
+    });
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+// HTML
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const SVG_WIDTH = 720;
+const PRICE_HEIGHT = 220;
+const VOLUME_HEIGHT = 50;
+
+// Closing prices with SMA 50/200 and a volume strip, as inline SVG
+export function svgPriceChart(series) {
+  if (!series || series.close.length < 2) return '';
+  const n = series.close.length;
+  const values = [...series.close, ...series.sma50, ...series.sma200].filter(value => value !== null);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const maxVolume = Math.max(...series.volume, 1);
+  const x = i => ((i / (n - 1)) * (SVG_WIDTH - 60)).toFixed(1);
+  const y = value => (10 + (1 - (value - min) / (max - min || 1)) * (PRICE_HEIGHT - 20)).toFixed(1);
+
+  const path = points => {
+    let d = '';
+    points.forEach((value, i) => {
+      if (value === null) return;
+      d += `${d && points[i - 1] !== null ? 'L' : 'M'}${x(i)},${y(value)}`;
+    });
+    return d;
+  };
+
+  const barWidth = Math.max((SVG_WIDTH - 60) / n - 1, 1).toFixed(1);
+  const volume = series.volume.map((value, i) => {
+    const height = (value / maxVolume) * (VOLUME_HEIGHT - 5);
+    return `<rect x="${x(i)}" y="${(PRICE_HEIGHT + VOLUME_HEIGHT - height).toFixed(1)}" width="${barWidth}" height="${height.toFixed(1)}"/>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${SVG_WIDTH} ${PRICE_HEIGHT + VOLUME_HEIGHT + 20}" xmlns="http://www.w3.org/2000/svg" role="img">` +
+    `<g class="volume">${volume}</g>` +
+    `<path class="sma200" d="${path(series.sma200)}"/>` +
+    `<path class="sma50" d="${path(series.sma50)}"/>` +
+    `<path class="close" d="${path(series.close)}"/>` +
+    `<text x="${SVG_WIDTH - 55}" y="${y(max)}">${max.toFixed(2)}</text>` +
+    `<text x="${SVG_WIDTH - 55}" y="${y(min)}">${min.toFixed(2)}</text>` +
+    `<text x="0" y="${PRICE_HEIGHT + VOLUME_HEIGHT + 15}">${escapeHtml(series.dates[0])}</text>` +
+    `<text x="${SVG_WIDTH - 130}" y="${PRICE_HEIGHT + VOLUME_HEIGHT + 15}">${escapeHtml(series.dates[n - 1])}</text>` +
+    `</svg>` +
+    `<p class="legend"><span class="close">■ Close</span> <span class="sma50">■ SMA 50</span> <span class="sma200">■ SMA 200</span></p>`;
+}
+
+function htmlBlock(block, level) {
+  let html = `<h${level}>${escapeHtml(block.title)}</h${level}>`;
+  (block.paragraphs || []).forEach(paragraph => {
+    html += `<p>${escapeHtml(paragraph)}</p>`;
+  });
+  if (block.table) {
+    html += `<table><thead><tr>${block.table.head.map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead><tbody>`;
+    block.table.rows.forEach(row => {
+      html += `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`;
+    });
+    html += `</tbody></table>`;
+  }
+  if (block.list && block.list.length > 0) {
+    html += `<ul>${block.list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  }
+  if (block.links) {
+    html += `<ul>${block.links.map(link => {
+      const text = /^https?:\/\//.test(link.url || '') ? `<a href="${escapeHtml(link.url)}">${escapeHtml(link.text)}</a>` : escapeHtml(link.text);
+      return `<li>${text}${link.note ? ` <span class="muted">— ${escapeHtml(link.note)}</span>` : ''}</li>`;
+    }).join('')}</ul>`;
+  }
+  return html;
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 800px; margin: 2em auto; padding: 0 1em; line-height: 1.45; }
+h1 { font-size: 1.6em; margin-bottom: 0.2em; }
+h2 { border-bottom: 2px solid #667eea; padding-bottom: 0.2em; margin-top: 2em; }
+h3, h4 { margin-bottom: 0.4em; }
+table { border-collapse: collapse; width: 100%; margin: 0.5em 0 1em; font-size: 0.9em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+th { background: #f4f5fb; }
+blockquote { margin: 0.5em 0; padding: 0.3em 1em; border-left: 4px solid #ccc; color: #555; }
+pre { white-space: pre-wrap; background: #f8f9fa; padding: 0.8em; border-radius: 4px; }
+.muted, .legend { color: #777; font-size: 0.85em; }
+.chart { width: 100%; height: auto; }
+.chart path { fill: none; stroke-width: 1.5; }
+.chart path.close { stroke: #333; }
+.chart path.sma50, .legend .sma50 { stroke: #f39c12; color: #f39c12; }
+.chart path.sma200, .legend .sma200 { stroke: #667eea; color: #667eea; }
+.chart .volume rect { fill: #cfd4e8; }
+.chart text { font-size: 11px; fill: #777; }
+.print { float: right; }
+@media print {
+  .print { display: none; }
+  body { margin: 0; max-width: none; }
+  h2 { page-break-before: always; }
+  h2:first-of-type { page-break-before: avoid; }
+  table, svg { page-break-inside: avoid; }
+}
+`;
+
+// charts: { SYMBOL: daily series } drawn above each analysis when present
+export function renderHtml(report, charts = {}) {
+  let body = `<button class="print" onclick="window.print()">Print</button>`;
+  body += `<h1>${escapeHtml(report.source.title)}</h1>`;
+  body += `<p class="muted">Generated ${escapeHtml(report.generatedAt)}. For information only, not financial advice.</p>`;
+  report.entries.forEach(entry => {
+    body += `<h2>${escapeHtml(entryHeading(entry))}</h2>`;
+    if (entry.query) body += `<blockquote>${escapeHtml(entry.query)}</blockquote>`;
+    if (entry.summary) body += `<pre>${escapeHtml(entry.summary)}</pre>`;
+    if (entry.ranking) {
+      comparisonBlocks(entry).forEach(block => {
+        body += htmlBlock(block, 3);
+      });
+    }
+    entry.analyses.forEach(analysis => {
+      const level = entry.analyses.length > 1 ? 4 : 3;
+      if (entry.analyses.length > 1) body += `<h3>${escapeHtml(analysis.symbol)}</h3>`;
+      body += svgPriceChart(charts[analysis.symbol]);
+      analysisBlocks(analysis).forEach(block => {
+        body += htmlBlock(block, level);
+      });
+    });
+  });
+
+  return `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n` +
+    `<title>${escapeHtml(report.source.title)}</title>\n<style>${HTML_STYLE}</style>\n</head>\n` +
+    `<body>\n${body}\n</body>\n</html>\n`;
+}
+
+export function renderReport(report, format, charts) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(report, null, 2);
+    case 'csv':
+      return renderCsv(report);
+    case 'html':
+      return renderHtml(report, charts);
+    default:
+      return renderMarkdown(report);
+  }
+}
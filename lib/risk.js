@@ -0,0 +1,158 @@
+// Quantitative risk from daily price history: volatility, downside deviation,
+// drawdown, beta and correlation against a benchmark, and 1-day Value-at-Risk
+// and Conditional VaR (expected shortfall).
+//
+// Everything uses simple daily returns over the last LOOKBACK bars. VaR and CVaR
+// are losses reported as positive percentages of the position: historical from the
+// empirical return distribution, parametric from a normal fit. Beta and
+// correlation use the dates both series traded, so coins trading at weekends line
+// up with a stock benchmark.
+import { barsPerYear } from './indicators.js';
+
+const LOOKBACK = 252;
+const MIN_OBSERVATIONS = 30;
+// One-sided normal quantiles for the parametric VaR
+const Z_SCORES = { 95: 1.6449, 99: 2.3263 };
+
+// Where each measure turns Medium and High risk: [medium from, high from]
+export const RISK_BANDS = {
+  volatility: [20, 40],
+  var95: [2, 4],
+  maxDrawdown: [20, 40],
+  beta: [1.2, 1.6]
+};
+const LEVELS = ['Low', 'Medium', 'High'];
+
+const round = value => (value === null || !Number.isFinite(value) ? null : Math.round(value * 100) / 100);
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+function deviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+const returnsOf = closes => closes.slice(1).map((close, i) => close / closes[i] - 1);
+
+function valueAtRisk(returns, confidence) {
+  const sorted = [...returns].sort((a, b) => a - b);
+  const cutoff = Math.max(1, Math.floor(sorted.length * (1 - confidence / 100)));
+  const tail = sorted.slice(0, cutoff);
+
+  const average = mean(returns);
+  const sd = deviation(returns);
+  const z = Z_SCORES[confidence];
+  const density = Math.exp(-(z ** 2) / 2) / Math.sqrt(2 * Math.PI);
+
+  return {
+    var: { historical: round(-tail[tail.length - 1] * 100), parametric: round(-(average - z * sd) * 100) },
+    cvar: { historical: round(-mean(tail) * 100), parametric: round(-(average - (sd * density) / (1 - confidence / 100)) * 100) }
+  };
+}
+
+function drawdowns(bars) {
+  let peak = bars[0];
+  let worst = { percent: 0, peakDate: bars[0].date, troughDate: bars[0].date };
+  bars.forEach(bar => {
+    if (bar.close > peak.close) peak = bar;
+    const drawdown = (bar.close / peak.close - 1) * 100;
+    if (drawdown < worst.percent) worst = { percent: drawdown, peakDate: peak.date, troughDate: bar.date };
+  });
+  const last = bars[bars.length - 1];
+  return {
+    maxDrawdown: { percent: round(worst.percent), peakDate: worst.peakDate, troughDate: worst.troughDate },
+    currentDrawdown: round((last.close / peak.close - 1) * 100)
+  };
+}
+
+// Beta and correlation of daily returns on the dates both series have a close
+function versusBenchmark(bars, benchmarkBars) {
+  const benchmarkCloses = new Map(benchmarkBars.map(bar => [bar.date, bar.close]));
+  const common = bars.filter(bar => benchmarkCloses.has(bar.date));
+  if (common.length <= MIN_OBSERVATIONS) return { beta: null, correlation: null, observations: Math.max(common.length - 1, 0) };
+
+  const asset = returnsOf(common.map(bar => bar.close));
+  const market = returnsOf(common.map(bar => benchmarkCloses.get(bar.date)));
+  const assetMean = mean(asset);
+  const marketMean = mean(market);
+  const covariance = asset.reduce((sum, value, i) => sum + (value - assetMean) * (market[i] - marketMean), 0) / (asset.length - 1);
+  const marketSd = deviation(market);
+  const assetSd = deviation(asset);
+
+  return {
+    beta: marketSd > 0 ? round(covariance / marketSd ** 2) : null,
+    correlation: marketSd > 0 && assetSd > 0 ? round(covariance / (marketSd * assetSd)) : null,
+    observations: asset.length
+  };
+}
+
+// Low / Medium / High from the average band of the measures that are available,
+// plus the measures in their High band
+export function riskLevel(metrics) {
+  const measures = {
+    volatility: metrics.volatility,
+    var95: metrics.var95 ? metrics.var95.historical : null,
+    maxDrawdown: metrics.maxDrawdown ? Math.abs(metrics.maxDrawdown.percent) : null,
+    beta: metrics.benchmark ? metrics.benchmark.beta : null
+  };
+  const bands = Object.entries(measures)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => [name, RISK_BANDS[name].filter(threshold => value >= threshold).length]);
+  if (bands.length === 0) return { level: null, drivers: [] };
+
+  const average = mean(bands.map(([, band]) => band));
+  return {
+    level: LEVELS[Math.round(average)],
+    drivers: bands.filter(([, band]) => band === 2).map(([name]) => name)
+  };
+}
+
+// bars: oldest-first daily bars of the asset; benchmark: the benchmark's bars (or
+// null to skip beta). Null when there is too little history.
+export function computeRisk(bars, { benchmark = null, benchmarkSymbol = null } = {}) {
+  const window = bars.slice(-(LOOKBACK + 1));
+  if (window.length <= MIN_OBSERVATIONS) return null;
+
+  const returns = returnsOf(window.map(bar => bar.close));
+  const annualize = Math.sqrt(barsPerYear(bars));
+  const downside = Math.sqrt(mean(returns.map(value => Math.min(value, 0) ** 2)));
+  const tail95 = valueAtRisk(returns, 95);
+  const tail99 = valueAtRisk(returns, 99);
+
+  const metrics = {
+    from: window[0].date,
+    to: window[window.length - 1].date,
+    observations: returns.length,
+    volatility: round(deviation(returns) * annualize * 100),
+    downsideDeviation: round(downside * annualize * 100),
+    ...drawdowns(window),
+    var95: tail95.var,
+    cvar95: tail95.cvar,
+    var99: tail99.var,
+    cvar99: tail99.cvar,
+    benchmark: benchmark ? { symbol: benchmarkSymbol, ...versusBenchmark(window, benchmark) } : null
+  };
+  return { ...metrics, ...riskLevel(metrics) };
+}
+
+const DRIVER_LABELS = { volatility: 'volatility', var95: 'Value-at-Risk', maxDrawdown: 'drawdown', beta: 'beta' };
+
+export function describeRisk(risk) {
+  if (!risk) return '';
+  const sentences = [`${risk.volatility}% annualized volatility (downside deviation ${risk.downsideDeviation}%).`];
+
+  sentences.push(`Worst drawdown over the period ${risk.maxDrawdown.percent}%` +
+    (risk.currentDrawdown < 0 ? `, currently ${Math.abs(risk.currentDrawdown)}% below the peak.` : ', now at a new high.'));
+  sentences.push(`On a typical bad day (95% VaR) the position could lose ${risk.var95.historical}%, ` +
+    `averaging ${risk.cvar95.historical}% on days worse than that.`);
+
+  const { benchmark } = risk;
+  if (benchmark && benchmark.beta !== null) {
+    sentences.push(`Beta ${benchmark.beta} against ${benchmark.symbol} (correlation ${benchmark.correlation}).`);
+  }
+  if (risk.drivers.length > 0) {
+    const labels = risk.drivers.map(driver => DRIVER_LABELS[driver]);
+    const list = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+    sentences.push(`Elevated ${list}.`);
+  }
+  return sentences.join(' ');
+}
@@ -0,0 +1,204 @@
+// Weight-based scoring model behind generateRecommendation.
+//
+// Profiles live in config/scoring-profiles.json (override with SCORING_CONFIG).
+// Each rule maps one metric onto a score in [-1, 1] through ordered bands; the
+// first band whose [min, max) range contains the value wins. A category score is
+// the weighted mean of its rules that have data, and the overall score is the
+// category-weighted mean rescaled to 0-100 (50 = neutral). Rules with weight 0
+// never move the score but can still raise risk factors. Crypto, forex, ETFs and
+// indices score with the profile "assetProfiles" names for their class unless the
+// caller picks one.
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ApiError } from './errors.js';
+
+const DEFAULT_CONFIG = fileURLToPath(new URL('../config/scoring-profiles.json', import.meta.url));
+
+let config = null;
+
+export function loadScoringConfig(file = process.env.SCORING_CONFIG || DEFAULT_CONFIG) {
+  config = JSON.parse(readFileSync(file, 'utf8'));
+  return config;
+}
+
+function getConfig() {
+  return config || loadScoringConfig();
+}
+
+export function listProfiles() {
+  const { profiles, defaultProfile } = getConfig();
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    description: profile.description,
+    isDefault: name === defaultProfile
+  }));
+}
+
+// Resolves "extends", "removeRules", "addRules" and per-rule "overrides" into a
+// flat profile
+export function getProfile(name, assetClass) {
+  const { profiles, defaultProfile, assetProfiles = {} } = getConfig();
+  const profileName = name || assetProfiles[assetClass] || process.env.SCORING_PROFILE || defaultProfile;
+  const profile = profiles[profileName];
+  if (!profile) {
+    throw new ApiError(400, `Unknown scoring profile "${profileName}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const base = profile.extends ? getProfile(profile.extends) : { weights: {}, thresholds: {}, rules: [] };
+  const overrides = profile.overrides || {};
+  const removed = profile.removeRules || [];
+  const rules = (profile.rules || base.rules)
+    .filter(rule => !removed.includes(rule.id))
+    .concat(profile.addRules || [])
+    .map(rule => ({ ...rule, ...overrides[rule.id] }));
+
+  return {
+    name: profileName,
+    description: profile.description,
+    weights: { ...base.weights, ...profile.weights },
+    thresholds: { ...base.thresholds, ...profile.thresholds },
+    rules
+  };
+}
+
+function number(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function percentDiff(value, reference) {
+  return value !== null && reference ? ((value - reference) / reference) * 100 : null;
+}
+
+// Flat metric map the rules refer to; null means "no data"
+export function extractMetrics(technical, fundamental, sentiment, events) {
+  const indicators = technical.indicators || {};
+  const price = number(technical.price);
+  const sma50 = number(indicators.sma50);
+  const pe = number(fundamental.peRatio);
+  const dividendYield = number(fundamental.dividendYield);
+  const ratios = fundamental.ratios || {};
+  const holdings = fundamental.holdings || [];
+  const hasNews = Boolean(sentiment && sentiment.headlines && sentiment.headlines.length > 0);
+  const earnings = (events && events.earnings) || {};
+
+  return {
+    changePercent: number(technical.changePercent),
+    priceVsSma20: percentDiff(price, number(indicators.sma20)),
+    sma50VsSma200: percentDiff(sma50, number(indicators.sma200)),
+    rsi14: number(indicators.rsi14),
+    macdHistogram: indicators.macd ? number(indicators.macd.histogram) : null,
+    atrPercent: number(indicators.atrPercent),
+    fromHigh52w: indicators.week52 ? number(indicators.week52.fromHighPercent) : null,
+    return3m: technical.performance ? number(technical.performance.threeMonth) : null,
+    realizedVolatility: number(indicators.realizedVolatility),
+    // Negative earnings make P/E meaningless
+    peRatio: pe !== null && pe > 0 ? pe : null,
+    // Alpha Vantage reports DividendYield as a fraction (0.0041 = 0.41%)
+    dividendYield: dividendYield === null ? null : dividendYield * 100,
+    // Statement ratios (lib/fundamentals.js), already in percent or multiples
+    revenueGrowth: number(ratios.revenueGrowth),
+    epsCagr3y: number(ratios.epsCagr3y),
+    operatingMargin: number(ratios.operatingMargin),
+    operatingMarginTrend: number(ratios.operatingMarginTrend),
+    roic: number(ratios.roic),
+    debtToEquity: number(ratios.debtToEquity),
+    currentRatio: number(ratios.currentRatio),
+    fcfYield: number(ratios.fcfYield),
+    peg: number(ratios.peg),
+    // Fund profile (ETFs) and rate differential (forex), in percent
+    expenseRatio: number(fundamental.expenseRatio),
+    topHoldingsWeight: holdings.length > 0 ? holdings.reduce((sum, holding) => sum + (holding.weight || 0), 0) : null,
+    carry: number(fundamental.carry),
+    sentimentScore: hasNews ? number(sentiment.score) : null,
+    // Corporate events (lib/events.js)
+    daysToEarnings: earnings.next ? earnings.next.daysUntil : null
+  };
+}
+
+function matchBand(bands, value) {
+  return bands.find(band =>
+    (band.min === undefined || value >= band.min) && (band.max === undefined || value < band.max)
+  );
+}
+
+function fill(template, value) {
+  const rounded = Math.round(value * 100) / 100;
+  return template.replace('{value}', rounded).replace('{abs}', Math.abs(rounded));
+}
+
+export function scoreMetrics(metrics, profile) {
+  const categories = {};
+  Object.keys(profile.weights).forEach(category => {
+    categories[category] = { weight: profile.weights[category], weightedScore: 0, ruleWeight: 0, totalRuleWeight: 0 };
+  });
+
+  const evaluated = profile.rules.map(rule => {
+    const category = categories[rule.category];
+    const value = metrics[rule.metric];
+    if (category) category.totalRuleWeight += rule.weight;
+
+    if (value === null || value === undefined) {
+      return { rule, value: null, score: null, band: null };
+    }
+
+    const band = matchBand(rule.bands, value) || { score: 0 };
+    if (category) {
+      category.weightedScore += rule.weight * band.score;
+      category.ruleWeight += rule.weight;
+    }
+    return { rule, value, score: band.score, band };
+  });
+
+  // Categories without any data drop out and the remaining weights are renormalized
+  const active = Object.entries(categories).filter(([, category]) => category.ruleWeight > 0);
+  const totalWeight = active.reduce((sum, [, category]) => sum + category.weight, 0);
+  const raw = totalWeight > 0
+    ? active.reduce((sum, [, category]) => sum + category.weight * (category.weightedScore / category.ruleWeight), 0) / totalWeight
+    : 0;
+
+  const reasons = [];
+  const riskFactors = [];
+  const rules = evaluated.map(({ rule, value, score, band }) => {
+    const category = categories[rule.category];
+    let contribution = 0;
+    if (score !== null && category && category.ruleWeight > 0 && totalWeight > 0) {
+      // Points this rule moved the 0-100 score away from 50
+      contribution = (category.weight / totalWeight) * (rule.weight / category.ruleWeight) * score * 50;
+    }
+
+    const reason = band && band.reason ? fill(band.reason, value) : null;
+    if (reason && rule.weight > 0) reasons.push({ text: reason, contribution });
+    if (band && band.risk) riskFactors.push(fill(band.risk, value));
+
+    return {
+      id: rule.id,
+      label: rule.label,
+      category: rule.category,
+      metric: rule.metric,
+      value: value === null ? null : Math.round(value * 100) / 100,
+      score,
+      weight: rule.weight,
+      contribution: Math.round(contribution * 10) / 10,
+      reason
+    };
+  });
+
+  const totalRuleWeight = Object.values(categories).reduce((sum, category) => sum + category.totalRuleWeight, 0);
+  const availableRuleWeight = Object.values(categories).reduce((sum, category) => sum + category.ruleWeight, 0);
+
+  return {
+    profile: profile.name,
+    score: Math.round((raw + 1) * 50),
+    rawScore: Math.round(raw * 1000) / 1000,
+    coverage: totalRuleWeight > 0 ? Math.round((availableRuleWeight / totalRuleWeight) * 100) / 100 : 0,
+    categories: Object.fromEntries(Object.entries(categories).map(([name, category]) => [name, {
+      weight: category.weight,
+      score: category.ruleWeight > 0 ? Math.round((category.weightedScore / category.ruleWeight) * 1000) / 1000 : null
+    }])),
+    rules,
+    // Strongest drivers first
+    reasons: reasons.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)).map(reason => reason.text),
+    riskFactors
+  };
+}
@@ -0,0 +1,367 @@
+// Stock screener: a filter expression evaluated over a universe of symbols, on the
+// same metrics the technical and fundamental sections produce.
+//
+// An expression is conditions joined by "and" (also "," or "&&") and "or" ("||"),
+// with parentheses for grouping; "and" binds tighter than "or":
+//   pe < 15 and dividend > 3%
+//   P/E under 15, dividend over 3% and price above the 50-day average
+//   (rsi below 30 or price below sma200) and market cap over 100B
+// A condition compares a field (FIELDS, by any of its aliases) with a number or
+// with another field, or puts it between two numbers. Numbers may carry a % sign
+// (percentage fields are in percent already) and K/M/B/T multipliers. A symbol
+// missing a field's value never matches a condition on it.
+//
+// The universe is config/screen-universe.json (override with SCREEN_UNIVERSE).
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { extractMetrics } from './scoring.js';
+import { ApiError } from './errors.js';
+
+const DEFAULT_UNIVERSE = fileURLToPath(new URL('../config/screen-universe.json', import.meta.url));
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+function number(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+const performance = period => ({ technical }) => (technical.performance ? number(technical.performance[period]) : null);
+const ratio = name => ({ fundamental }) => (fundamental.ratios ? number(fundamental.ratios[name]) : null);
+
+function movingAverages(kind, label, words) {
+  return [20, 50, 200].map(days => ({
+    key: `${kind}${days}`,
+    label: `${days}-day ${label}`,
+    section: 'technical',
+    unit: 'price',
+    aliases: [`${kind}${days}`, `${kind} ${days}`, `${days} day ${kind}`, `${days} d${kind === 'sma' ? '' : 'e'}ma`,
+      ...words.map(word => `${days} day ${word}`)],
+    value: ({ technical }) => number((technical.indicators || {})[`${kind}${days}`])
+  }));
+}
+
+// key: column in the results; section: what has to be fetched for it; statements:
+// the value comes from the financial statements (three more calls a stock); unit:
+// how it is shown; order: default sort direction; value: read from the sections, or
+// from the scoring metrics (extractMetrics) where those already normalize it
+export const FIELDS = [
+  { key: 'price', label: 'Price', section: 'technical', unit: 'price', aliases: ['price', 'share price', 'last price', 'stock price', 'close'],
+    value: ({ technical }) => number(technical.price) },
+  { key: 'changePercent', label: 'Change', section: 'technical', unit: 'percent',
+    aliases: ['change', 'daily change', 'day change', 'change today', 'percent change', '% change'],
+    value: ({ metrics }) => metrics.changePercent },
+  { key: 'volume', label: 'Volume', section: 'technical', unit: 'count', aliases: ['volume', 'daily volume'],
+    value: ({ technical }) => number(technical.volume) },
+  ...movingAverages('sma', 'SMA', ['average', 'moving average', 'simple moving average', 'ma']),
+  ...movingAverages('ema', 'EMA', ['exponential moving average', 'exponential average']),
+  { key: 'rsi14', label: 'RSI', section: 'technical', unit: 'number', aliases: ['rsi', 'rsi14', 'rsi 14', 'relative strength index', 'relative strength'],
+    value: ({ metrics }) => metrics.rsi14 },
+  { key: 'macdHistogram', label: 'MACD histogram', section: 'technical', unit: 'number', aliases: ['macd', 'macd histogram'],
+    value: ({ metrics }) => metrics.macdHistogram },
+  { key: 'atrPercent', label: 'ATR %', section: 'technical', unit: 'percent', order: 'asc', aliases: ['atr', 'atr %', 'atr percent', 'average true range'],
+    value: ({ metrics }) => metrics.atrPercent },
+  { key: 'realizedVolatility', label: 'Volatility', section: 'technical', unit: 'percent', order: 'asc',
+    aliases: ['volatility', 'realized volatility', 'historical volatility'],
+    value: ({ metrics }) => metrics.realizedVolatility },
+  { key: 'week52High', label: '52-week high', section: 'technical', unit: 'price', aliases: ['52 week high', 'yearly high'],
+    value: ({ technical }) => number(((technical.indicators || {}).week52 || {}).high) },
+  { key: 'week52Low', label: '52-week low', section: 'technical', unit: 'price', aliases: ['52 week low', 'yearly low'],
+    value: ({ technical }) => number(((technical.indicators || {}).week52 || {}).low) },
+  { key: 'fromHigh52w', label: 'From 52-week high', section: 'technical', unit: 'percent',
+    aliases: ['distance from 52 week high', 'from 52 week high', 'from the high', 'off the high'],
+    value: ({ metrics }) => metrics.fromHigh52w },
+  { key: 'perfWeek', label: '1W return', section: 'technical', unit: 'percent', aliases: ['1 week return', '1 week performance', 'weekly return', 'week return', '1w return'],
+    value: performance('week') },
+  { key: 'perfMonth', label: '1M return', section: 'technical', unit: 'percent',
+    aliases: ['1 month return', '1 month performance', 'monthly return', 'month return', '1m return'],
+    value: performance('month') },
+  { key: 'perfThreeMonth', label: '3M return', section: 'technical', unit: 'percent',
+    aliases: ['3 month return', '3 month performance', 'quarterly return', '3m return'],
+    value: performance('threeMonth') },
+  { key: 'perfSixMonth', label: '6M return', section: 'technical', unit: 'percent', aliases: ['6 month return', '6 month performance', '6m return'],
+    value: performance('sixMonth') },
+  { key: 'perfYear', label: '1Y return', section: 'technical', unit: 'percent',
+    aliases: ['1 year return', '1 year performance', '12 month return', 'annual return', 'yearly return', '1y return'],
+    value: performance('year') },
+  { key: 'peRatio', label: 'P/E', section: 'fundamental', unit: 'number', order: 'asc',
+    aliases: ['p/e', 'pe', 'p/e ratio', 'pe ratio', 'price to earnings', 'price earnings ratio', 'price/earnings'],
+    value: ({ metrics }) => metrics.peRatio },
+  { key: 'marketCap', label: 'Market cap', section: 'fundamental', unit: 'money', aliases: ['market cap', 'market capitalization', 'mkt cap', 'size'],
+    value: ({ fundamental }) => number(fundamental.marketCap) },
+  { key: 'dividendYield', label: 'Dividend yield', section: 'fundamental', unit: 'percent', aliases: ['dividend yield', 'dividend', 'yield'],
+    value: ({ metrics }) => metrics.dividendYield },
+  { key: 'eps', label: 'EPS', section: 'fundamental', unit: 'number', aliases: ['eps', 'earnings per share'],
+    value: ({ fundamental }) => number(fundamental.eps) },
+  { key: 'bookValue', label: 'Book value', section: 'fundamental', unit: 'number', aliases: ['book value', 'book value per share'],
+    value: ({ fundamental }) => number(fundamental.bookValue) },
+  { key: 'revenueGrowth', label: 'Revenue growth', section: 'fundamental', statements: true, unit: 'percent', aliases: ['revenue growth', 'sales growth'],
+    value: ratio('revenueGrowth') },
+  { key: 'epsGrowth', label: 'EPS growth', section: 'fundamental', statements: true, unit: 'percent', aliases: ['eps growth', 'earnings growth'],
+    value: ratio('epsGrowth') },
+  { key: 'grossMargin', label: 'Gross margin', section: 'fundamental', statements: true, unit: 'percent', aliases: ['gross margin'],
+    value: ratio('grossMargin') },
+  { key: 'operatingMargin', label: 'Operating margin', section: 'fundamental', statements: true, unit: 'percent', aliases: ['operating margin'],
+    value: ratio('operatingMargin') },
+  { key: 'netMargin', label: 'Net margin', section: 'fundamental', statements: true, unit: 'percent', aliases: ['net margin', 'profit margin', 'margin'],
+    value: ratio('netMargin') },
+  { key: 'roe', label: 'ROE', section: 'fundamental', statements: true, unit: 'percent', aliases: ['roe', 'return on equity'],
+    value: ratio('roe') },
+  { key: 'roic', label: 'ROIC', section: 'fundamental', statements: true, unit: 'percent', aliases: ['roic', 'return on invested capital', 'return on capital'],
+    value: ratio('roic') },
+  { key: 'debtToEquity', label: 'Debt/equity', section: 'fundamental', statements: true, unit: 'number', order: 'asc',
+    aliases: ['debt to equity', 'debt/equity', 'd/e', 'leverage'],
+    value: ratio('debtToEquity') },
+  { key: 'currentRatio', label: 'Current ratio', section: 'fundamental', statements: true, unit: 'number', aliases: ['current ratio'],
+    value: ratio('currentRatio') },
+  { key: 'fcfYield', label: 'FCF yield', section: 'fundamental', statements: true, unit: 'percent', aliases: ['fcf yield', 'free cash flow yield'],
+    value: ratio('fcfYield') },
+  { key: 'peg', label: 'PEG', section: 'fundamental', statements: true, unit: 'number', order: 'asc', aliases: ['peg', 'peg ratio'],
+    value: ({ metrics }) => metrics.peg },
+  { key: 'expenseRatio', label: 'Expense ratio', section: 'fundamental', unit: 'percent', order: 'asc', aliases: ['expense ratio', 'fees'],
+    value: ({ metrics }) => metrics.expenseRatio }
+];
+
+// Longest alias first, so "dividend yield" wins over "dividend" and "pe ratio" over "pe"
+const escape = text => text.replace(/[.*+?^${}()|[\]\\/%]/g, '\\$&');
+const phrase = text => text.split(' ').map(escape).join('[\\s-]+');
+const FIELD_ALIASES = FIELDS
+  .flatMap(field => field.aliases.map(alias => ({ alias, field })))
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ alias, field }) => ({ pattern: new RegExp(`(?:the\\s+)?${phrase(alias)}(?![\\w/])`, 'y'), field }));
+
+const OPERATORS = [
+  ['>=', ['>=', '=>', 'at least', 'no less than', 'greater than or equal to', 'not below', 'not under']],
+  ['<=', ['<=', '=<', 'at most', 'no more than', 'less than or equal to', 'not above', 'not over']],
+  ['!=', ['!=', '<>', 'not equal to']],
+  ['>', ['>', 'above', 'over', 'greater than', 'more than', 'higher than', 'exceeds', 'exceeding']],
+  ['<', ['<', 'below', 'under', 'less than', 'lower than', 'beneath']],
+  ['=', ['==', '=', 'equals', 'equal to']]
+]
+  .flatMap(([op, words]) => words.map(word => ({ op, word })))
+  .sort((a, b) => b.word.length - a.word.length)
+  .map(({ op, word }) => ({ op, pattern: new RegExp(`${phrase(word)}${/\w$/.test(word) ? '(?!\\w)' : ''}`, 'y') }));
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+// Words that read naturally in a filter but carry no meaning
+const FILLER = /(?:is|are|be|has|have|with|where|that|which|whose|of|its|their|stocks?|tickers?|symbols?|companies|shares|the|a|an)(?!\w)/y;
+
+const TOKENS = [
+  ['(', /\(/y],
+  [')', /\)/y],
+  ['and', /(?:,(?:\s*and(?!\w))?|and(?!\w)|&&|&)/y],
+  ['or', /(?:or(?!\w)|\|\|)/y],
+  ['between', /between(?!\w)/y]
+];
+
+function tokenize(expression) {
+  const text = expression.toLowerCase();
+  const tokens = [];
+  let position = 0;
+
+  const at = pattern => {
+    pattern.lastIndex = position;
+    return pattern.exec(text);
+  };
+
+  while (position < text.length) {
+    const space = at(/\s+/y);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+
+    let match;
+    const token = TOKENS.find(([, pattern]) => (match = at(pattern)));
+    if (token) {
+      tokens.push({ type: token[0], position });
+    } else if ((match = OPERATORS.map(({ op, pattern }) => ({ op, match: at(pattern) })).find(entry => entry.match))) {
+      tokens.push({ type: 'op', op: match.op, position });
+      match = match.match;
+    } else if ((match = FIELD_ALIASES.map(({ pattern, field }) => ({ field, match: at(pattern) })).find(entry => entry.match))) {
+      tokens.push({ type: 'field', field: match.field, position });
+      match = match.match;
+    } else if ((match = at(/(-?)\$?(\d+(?:\.\d+)?)\s*(%|x(?!\w)|[kmbt](?!\w))?/y))) {
+      const value = parseFloat(`${match[1]}${match[2]}`) * (MULTIPLIERS[match[3]] || 1);
+      tokens.push({ type: 'number', value, text: match[0].trim(), position });
+    } else if (!(match = at(FILLER))) {
+      const word = expression.slice(position).match(/^\S+/)[0];
+      throw new ApiError(400, `Unrecognized "${word}" in the screen filter (position ${position + 1})`);
+    }
+    position += match[0].length;
+  }
+  return tokens;
+}
+
+// Recursive descent over the tokens: or → and → condition
+function parse(tokens, expression) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describeToken = token => (token ? `"${expression.slice(token.position).split(/\s+/)[0]}"` : 'the end of the filter');
+  const expect = (type, what) => {
+    const token = tokens[index];
+    if (!token || token.type !== type) {
+      throw new ApiError(400, `Expected ${what} in the screen filter, found ${describeToken(token)}`);
+    }
+    index++;
+    return token;
+  };
+
+  const list = (type, next) => {
+    const items = [next()];
+    while (peek() && peek().type === type) {
+      index++;
+      items.push(next());
+    }
+    return items.length === 1 ? items[0] : { type, conditions: items };
+  };
+
+  const condition = () => {
+    if (peek() && peek().type === '(') {
+      index++;
+      const inner = or();
+      expect(')', 'a closing parenthesis');
+      return inner;
+    }
+    const { field } = expect('field', 'a field such as P/E, price or dividend yield');
+    if (peek() && peek().type === 'between') {
+      index++;
+      const low = expect('number', `a number after "between"`).value;
+      expect('and', '"and" between the two numbers');
+      const high = expect('number', 'a second number').value;
+      return { type: 'between', field, low: Math.min(low, high), high: Math.max(low, high) };
+    }
+    const { op } = expect('op', `a comparison such as "under" or ">" after ${field.label}`);
+    const token = peek();
+    if (token && token.type === 'number') {
+      index++;
+      return { type: 'compare', field, op, value: token.value };
+    }
+    return { type: 'compare', field, op, other: expect('field', 'a number or a field to compare with').field };
+  };
+
+  const and = () => list('and', condition);
+  const or = () => list('or', and);
+
+  if (tokens.length === 0) {
+    throw new ApiError(400, 'The screen filter is empty');
+  }
+  const tree = or();
+  if (index < tokens.length) {
+    throw new ApiError(400, `Unexpected ${describeToken(tokens[index])} in the screen filter`);
+  }
+  return tree;
+}
+
+const COMPARE = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '=': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+function evaluate(node, row) {
+  switch (node.type) {
+    case 'and':
+      return node.conditions.every(condition => evaluate(condition, row));
+    case 'or':
+      return node.conditions.some(condition => evaluate(condition, row));
+    case 'between': {
+      const value = row[node.field.key];
+      return value !== null && value >= node.low && value <= node.high;
+    }
+    default: {
+      const value = row[node.field.key];
+      const other = node.other ? row[node.other.key] : node.value;
+      return value !== null && other !== null && COMPARE[node.op](value, other);
+    }
+  }
+}
+
+function fieldsOf(node) {
+  if (node.type === 'and' || node.type === 'or') return node.conditions.flatMap(fieldsOf);
+  return node.other ? [node.field, node.other] : [node.field];
+}
+
+export function formatValue(field, value) {
+  if (value === null || value === undefined) return 'N/A';
+  if (field.unit === 'percent') return `${Math.round(value * 100) / 100}%`;
+  if (field.unit === 'money' || field.unit === 'count') {
+    const [size, suffix] = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']].find(([size]) => Math.abs(value) >= size) || [1, ''];
+    return `${field.unit === 'money' ? '$' : ''}${Math.round((value / size) * 100) / 100}${suffix}`;
+  }
+  return String(Math.round(value * 100) / 100);
+}
+
+// Canonical text of a parsed filter ("P/E < 15 and Dividend yield > 3%")
+function describe(node, parent = null) {
+  if (node.type === 'and' || node.type === 'or') {
+    const text = node.conditions.map(condition => describe(condition, node.type)).join(` ${node.type} `);
+    return parent === 'and' && node.type === 'or' ? `(${text})` : text;
+  }
+  if (node.type === 'between') {
+    return `${node.field.label} between ${formatValue(node.field, node.low)} and ${formatValue(node.field, node.high)}`;
+  }
+  return `${node.field.label} ${node.op} ${node.other ? node.other.label : formatValue(node.field, node.value)}`;
+}
+
+// { tree, filter (canonical text), fields (in order of mention), sections to fetch }
+export function compileScreen(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new ApiError(400, 'A screen filter is required, e.g. "P/E under 15 and dividend over 3%"');
+  }
+  const tree = parse(tokenize(expression), expression);
+  const fields = [...new Set(fieldsOf(tree))];
+  return {
+    expression: expression.trim(),
+    filter: describe(tree),
+    tree,
+    fields,
+    sections: [...new Set(fields.map(field => field.section))]
+  };
+}
+
+export function matches(screen, row) {
+  return evaluate(screen.tree, row);
+}
+
+// Every field's value for one symbol; a missing section leaves its fields null
+export function screenRow(technical, fundamental) {
+  const sources = {
+    technical: technical || {},
+    fundamental: fundamental || {},
+    metrics: extractMetrics(technical || {}, fundamental || {}, null)
+  };
+  return Object.fromEntries(FIELDS.map(field => {
+    const missing = (field.section === 'technical' ? technical : fundamental) === null;
+    return [field.key, missing ? null : field.value(sources)];
+  }));
+}
+
+// "dividend yield", "-pe", "market cap desc", "p/e ascending", "rsi lowest first"
+export function parseSort(text) {
+  const match = String(text).trim().toLowerCase()
+    .match(/^(-)?\s*(.+?)(?:\s+(asc|ascending|desc|descending|lowest first|highest first))?$/);
+  const field = match && FIELD_ALIASES.find(({ pattern }) => {
+    pattern.lastIndex = 0;
+    const found = pattern.exec(match[2]);
+    return found && found[0].length === match[2].length;
+  });
+  if (!field) {
+    throw new ApiError(400, `Cannot sort by "${text}"`);
+  }
+  const words = match[3] || '';
+  const direction = match[1] || /desc|highest/.test(words) ? 'desc' : /asc|lowest/.test(words) ? 'asc' : field.field.order || 'desc';
+  return { field: field.field, direction };
+}
+
+export function loadUniverse(file = process.env.SCREEN_UNIVERSE || DEFAULT_UNIVERSE) {
+  const universe = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(universe.symbols) || universe.symbols.length === 0) {
+    throw new Error(`Screen universe ${file} lists no symbols`);
+  }
+  return { name: universe.name || 'Universe', symbols: [...new Set(universe.symbols)] };
+}
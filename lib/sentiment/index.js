@@ -0,0 +1,203 @@
+// Local, lexicon-based news sentiment.
+//
+// Text is tokenized and stemmed, multi-word phrases are matched before single
+// words, negators flip (and damp) the next few sentiment terms and intensifiers
+// scale the next one. An article's title counts double its description and the
+// sum is squashed into [-1, 1]. The aggregate is the mean article score weighted
+// by recency and by how much the source is trusted.
+import {
+  POSITIVE,
+  NEGATIVE,
+  UNCERTAINTY,
+  LITIGIOUS,
+  CATEGORY_SCORES,
+  PHRASES,
+  NEGATORS,
+  INTENSIFIERS
+} from './lexicon.js';
+
+const TITLE_WEIGHT = 2;
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.75;
+const INTENSIFIER_WINDOW = 2;
+// Larger alpha = more evidence needed before an article scores near +/-1
+const NORMALIZATION_ALPHA = 15;
+const NEUTRAL_BAND = 0.05;
+const HALF_LIFE_HOURS = 72;
+const MIN_RECENCY_WEIGHT = 0.1;
+
+// Wire services and major outlets count more than aggregators and press releases
+const SOURCE_WEIGHTS = {
+  'reuters': 1.5,
+  'bloomberg': 1.5,
+  'the wall street journal': 1.5,
+  'financial times': 1.5,
+  'associated press': 1.2,
+  'cnbc': 1.2,
+  "barron's": 1.2,
+  'marketwatch': 1,
+  'seeking alpha': 0.8,
+  'the motley fool': 0.8,
+  'benzinga': 0.8,
+  'yahoo entertainment': 0.7,
+  'pr newswire': 0.5,
+  'globenewswire': 0.5,
+  'business wire': 0.5,
+  'accesswire': 0.5
+};
+
+const PUNCTUATION = /^[.!?;:,]$/;
+
+// Deliberately crude suffix stripper; it only has to map the lexicon and the
+// text onto the same keys.
+export function stem(word) {
+  let w = word;
+  if (w.length <= 3) return w;
+
+  let stripped = false;
+  if (/[^aeiou]ies$/.test(w) || /ied$/.test(w)) {
+    w = w.slice(0, -3) + 'y';
+  } else if (w.endsWith('ing') && w.length > 5) {
+    w = w.slice(0, -3);
+    stripped = true;
+  } else if (w.endsWith('ed') && w.length > 4) {
+    w = w.slice(0, -2);
+    stripped = true;
+  } else if (/(s|x|z|ch|sh)es$/.test(w)) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (w.endsWith('ly') && w.length > 5) w = w.slice(0, -2);
+  // dropped -> drop, slipping -> slip
+  if (stripped && /([bdgmnprt])\1$/.test(w)) w = w.slice(0, -1);
+  if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+  return w;
+}
+
+export function tokenize(text) {
+  return (text || '').toLowerCase().replace(/[‘’]/g, "'").match(/[a-z]+(?:'[a-z]+)?|[.!?;:,]/g) || [];
+}
+
+const lexicon = new Map();
+[['positive', POSITIVE], ['negative', NEGATIVE], ['uncertainty', UNCERTAINTY], ['litigious', LITIGIOUS]]
+  .forEach(([category, words]) => {
+    words.forEach(word => lexicon.set(stem(word), { score: CATEGORY_SCORES[category], category }));
+  });
+
+const phrases = new Map(Object.entries(PHRASES).map(([phrase, score]) => [
+  phrase.split(' ').map(stem).join(' '),
+  score
+]));
+const MAX_PHRASE_LENGTH = Math.max(...Object.keys(PHRASES).map(phrase => phrase.split(' ').length));
+const negators = new Set(NEGATORS);
+
+const round = value => Math.round(value * 100) / 100;
+
+// Returns the sentiment terms found in one piece of text
+export function scoreText(text) {
+  const tokens = tokenize(text);
+  const stems = tokens.map(token => (PUNCTUATION.test(token) ? token : stem(token)));
+  const matches = [];
+  let negateUntil = -1;
+  let modifier = 1;
+  let modifierUntil = -1;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (PUNCTUATION.test(token)) {
+      negateUntil = -1;
+      modifierUntil = -1;
+      continue;
+    }
+
+    const start = i;
+    let term = null;
+    for (let length = Math.min(MAX_PHRASE_LENGTH, tokens.length - i); length >= 2 && !term; length--) {
+      const key = stems.slice(i, i + length).join(' ');
+      if (phrases.has(key)) {
+        term = { text: tokens.slice(i, i + length).join(' '), score: phrases.get(key), category: 'phrase' };
+        i += length - 1;
+      }
+    }
+
+    if (!term) {
+      if (negators.has(token)) {
+        negateUntil = i + NEGATION_WINDOW;
+        continue;
+      }
+      if (INTENSIFIERS[token]) {
+        modifier = i <= modifierUntil ? modifier * INTENSIFIERS[token] : INTENSIFIERS[token];
+        modifierUntil = i + INTENSIFIER_WINDOW;
+        continue;
+      }
+      const entry = lexicon.get(stems[i]);
+      if (!entry) continue;
+      term = { text: token, score: entry.score, category: entry.category };
+    }
+
+    let score = term.score;
+    if (start <= modifierUntil) score *= modifier;
+    const negated = start <= negateUntil;
+    if (negated) score *= NEGATION_FACTOR;
+    modifierUntil = -1;
+
+    matches.push({ term: term.text, score: round(score), category: term.category, negated });
+  }
+
+  return matches;
+}
+
+export function scoreArticle(article) {
+  const title = scoreText(article.title).map(match => ({ ...match, field: 'title' }));
+  const description = scoreText(article.description).map(match => ({ ...match, field: 'description' }));
+  const sum = matches => matches.reduce((total, match) => total + match.score, 0);
+  const raw = TITLE_WEIGHT * sum(title) + sum(description);
+
+  return {
+    title: article.title,
+    url: article.url,
+    source: article.source,
+    publishedAt: article.publishedAt,
+    score: round(raw / Math.sqrt(raw * raw + NORMALIZATION_ALPHA)),
+    matches: [...title, ...description]
+  };
+}
+
+function recencyWeight(publishedAt, now) {
+  const published = Date.parse(publishedAt);
+  if (Number.isNaN(published)) return MIN_RECENCY_WEIGHT;
+  const ageHours = Math.max(0, (now - published) / 3600000);
+  return Math.max(0.5 ** (ageHours / HALF_LIFE_HOURS), MIN_RECENCY_WEIGHT);
+}
+
+function sourceWeight(source) {
+  const weight = SOURCE_WEIGHTS[String(source || '').toLowerCase()];
+  return weight === undefined ? 1 : weight;
+}
+
+export function analyzeSentiment(articles, { now = Date.now() } = {}) {
+  const scored = articles
+    .filter(article => article.title || article.description)
+    .map(article => ({
+      ...scoreArticle(article),
+      weight: recencyWeight(article.publishedAt, now) * sourceWeight(article.source)
+    }));
+
+  const totalWeight = scored.reduce((sum, article) => sum + article.weight, 0);
+  const score = totalWeight > 0
+    ? scored.reduce((sum, article) => sum + article.score * article.weight, 0) / totalWeight
+    : 0;
+
+  return {
+    score: round(score),
+    articleCount: scored.length,
+    distribution: {
+      positive: scored.filter(article => article.score > NEUTRAL_BAND).length,
+      neutral: scored.filter(article => Math.abs(article.score) <= NEUTRAL_BAND).length,
+      negative: scored.filter(article => article.score < -NEUTRAL_BAND).length
+    },
+    articles: scored.map(article => ({ ...article, weight: round(article.weight) }))
+  };
+}
@@ -0,0 +1,118 @@
+// Finance-specific word lists in the spirit of the Loughran–McDonald dictionary.
+// Entries are base forms; lib/sentiment/index.js stems both the lexicon and the
+// text, so "beats", "beating" and "beat" all match "beat". Irregular forms that
+// stemming cannot reach (rose, fell, grew, ...) are listed explicitly.
+
+export const POSITIVE = [
+  'accelerate', 'achieve', 'advance', 'advantage', 'attractive', 'beat', 'benefit',
+  'best', 'better', 'boom', 'boost', 'breakthrough', 'bullish', 'climb', 'confident',
+  'exceed', 'excellent', 'favorable', 'gain', 'grew', 'growth', 'improve',
+  'innovative', 'jump', 'leading', 'opportunity', 'optimistic', 'outpace', 'outperform',
+  'positive', 'profit', 'profitable', 'progress', 'rally', 'rebound', 'recover',
+  'resilient', 'rise', 'risen', 'robust', 'rose', 'soar', 'solid', 'strength', 'strengthen',
+  'strong', 'stronger', 'strongest', 'success', 'successful', 'surge', 'surpass',
+  'upbeat', 'upgrade', 'win', 'won'
+];
+
+export const NEGATIVE = [
+  'adverse', 'bankrupt', 'bankruptcy', 'bearish', 'breach', 'collapse', 'concern',
+  'crash', 'crisis', 'decline', 'default', 'deficit', 'delay', 'deteriorate', 'disappoint',
+  'downgrade', 'drop', 'fail', 'failure', 'fall', 'fallen', 'fell', 'fraud',
+  'halt', 'impairment', 'layoff', 'lose', 'loss', 'lost', 'miss', 'negative', 'plummet',
+  'plunge', 'poor', 'recall', 'recession', 'restructure', 'shortfall', 'sink', 'slip',
+  'slow', 'slowdown', 'slump', 'sank', 'struggle', 'tumble', 'underperform', 'volatile',
+  'warn', 'warning', 'weak', 'weaken', 'weaker', 'weakness', 'worse', 'worst', 'writedown'
+];
+
+// Uncertainty and litigation weigh less than outright negative language
+export const UNCERTAINTY = [
+  'uncertain', 'uncertainty', 'unclear', 'unpredictable', 'doubt', 'risk', 'risky',
+  'speculative', 'volatility', 'turbulence'
+];
+
+export const LITIGIOUS = [
+  'antitrust', 'investigate', 'investigation', 'lawsuit', 'litigation', 'probe',
+  'regulator', 'sue', 'sued', 'subpoena', 'settlement', 'indictment'
+];
+
+export const CATEGORY_SCORES = {
+  positive: 1,
+  negative: -1,
+  uncertainty: -0.5,
+  litigious: -0.5
+};
+
+// Multi-word expressions win over the single words inside them
+export const PHRASES = {
+  'all time high': 1.5,
+  'record high': 1.5,
+  'record low': -1.5,
+  'better than expected': 1.5,
+  'worse than expected': -1.5,
+  'above expectations': 1.5,
+  'ahead of expectations': 1.5,
+  'below expectations': -1.5,
+  'short of expectations': -1.5,
+  'top estimates': 1.5,
+  'beat estimates': 1.5,
+  'miss estimates': -1.5,
+  'raise guidance': 1.5,
+  'raise outlook': 1.5,
+  'cut guidance': -1.5,
+  'guidance raised': 1.5,
+  'guidance cut': -1.5,
+  'cut outlook': -1.5,
+  'lower guidance': -1.5,
+  'profit warning': -2,
+  'price target raised': 1,
+  'price target cut': -1,
+  'raise price target': 1,
+  'cut price target': -1,
+  'upgraded to buy': 1.5,
+  'downgraded to sell': -1.5,
+  'share buyback': 1,
+  'share repurchase': 1,
+  'raise dividend': 1,
+  'dividend increase': 1,
+  'cut dividend': -1.5,
+  'dividend cut': -1.5,
+  'job cuts': -1,
+  'class action': -1,
+  'going concern': -2,
+  'data breach': -1.5,
+  'market share gains': 1
+};
+
+// Flip (and damp) the polarity of the next few sentiment terms
+export const NEGATORS = [
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without',
+  'hardly', 'barely', 'cannot', "isn't", "aren't", "wasn't", "weren't", "don't",
+  "doesn't", "didn't", "won't", "wouldn't", "can't", "couldn't", "hasn't", "haven't",
+  "hadn't", "shouldn't"
+];
+
+export const INTENSIFIERS = {
+  very: 1.5,
+  record: 1.5,
+  extremely: 1.5,
+  highly: 1.3,
+  sharply: 1.5,
+  sharp: 1.5,
+  steep: 1.5,
+  steeply: 1.5,
+  significantly: 1.4,
+  significant: 1.4,
+  substantially: 1.4,
+  dramatically: 1.6,
+  massive: 1.6,
+  huge: 1.5,
+  deeply: 1.4,
+  heavily: 1.4,
+  slightly: 0.5,
+  slight: 0.5,
+  modestly: 0.6,
+  modest: 0.6,
+  marginally: 0.5,
+  somewhat: 0.6,
+  mildly: 0.6
+};
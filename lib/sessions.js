@@ -0,0 +1,246 @@
+// Chat sessions persisted under data/
+//
+// A session keeps the conversation history (to restore the chat after a reload)
+// and the latest analysis of every symbol discussed, so follow-ups such as "why?"
+// are answered from what the server produced rather than from anything the
+// client sends back. Sessions expire SESSION_TTL_HOURS (default 168) after
+// their last message.
+//
+// Each session lives in its own file, data/sessions/<id>.json, so a chat turn
+// only rewrites that conversation; data/sessions.json is a small index of their
+// summaries used for expiry and the MAX_SESSIONS cap. Session ids are random and
+// act as the key to a conversation: nothing here lists sessions the caller did not
+// name.
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+import { ApiError } from './errors.js';
+
+const MAX_SESSIONS = 100;
+const MAX_TURNS = 50;
+const MAX_CONTEXT_SYMBOLS = 10;
+const TITLE_LENGTH = 60;
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const index = createJsonStore('sessions.json', { sessions: {} });
+const files = new Map();
+
+function sessionFile(id) {
+  if (!files.has(id)) {
+    files.set(id, createJsonStore(path.join('sessions', `${id}.json`), {}));
+  }
+  return files.get(id);
+}
+
+function removeSessionFile(id) {
+  const file = sessionFile(id);
+  files.delete(id);
+  return file.remove();
+}
+
+function ttlMs() {
+  return (parseInt(process.env.SESSION_TTL_HOURS, 10) || 168) * 3600 * 1000;
+}
+
+function isExpired(session, now = Date.now()) {
+  return Date.parse(session.expiresAt) <= now;
+}
+
+function summarize(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    symbols: session.symbols,
+    turns: session.history.length,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+// Index entries are summaries; older versions kept whole sessions in the index
+const summaryOf = entry => (entry.history ? summarize(entry) : entry);
+
+function newSession(now) {
+  return {
+    id: randomUUID(),
+    title: 'New conversation',
+    symbols: [],
+    analyses: {},
+    history: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttlMs()).toISOString()
+  };
+}
+
+// Moves sessions an older version stored inline into their own files
+async function migrate(data) {
+  for (const entry of Object.values(data.sessions)) {
+    if (!entry.history) continue;
+    await sessionFile(entry.id).update(file => Object.assign(file, entry));
+    data.sessions[entry.id] = summarize(entry);
+  }
+}
+
+// Drops expired sessions, then the least recently used beyond MAX_SESSIONS;
+// resolves to the number removed
+async function prune(data, now = Date.now()) {
+  await migrate(data);
+  const live = Object.values(data.sessions)
+    .filter(session => !isExpired(session, now))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, MAX_SESSIONS);
+  const kept = new Set(live.map(session => session.id));
+  const removed = Object.keys(data.sessions).filter(id => !kept.has(id));
+  await Promise.all(removed.map(removeSessionFile));
+  data.sessions = Object.fromEntries(live.map(session => [session.id, session]));
+  return removed.length;
+}
+
+async function findSession(id) {
+  if (!id || !ID_PATTERN.test(id)) return null;
+  const { sessions } = await index.read();
+  const entry = sessions[id];
+  if (!entry || isExpired(entry)) return null;
+  if (entry.history) return entry;
+  const session = await sessionFile(id).read();
+  return session.id ? session : null;
+}
+
+// Summaries of the given sessions that are still live, most recent first
+export async function listSessions(ids) {
+  const { sessions } = await index.read();
+  return [...new Set(ids)]
+    .filter(id => Object.hasOwn(sessions, id) && !isExpired(sessions[id]))
+    .map(id => summaryOf(sessions[id]))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getSession(id) {
+  const session = await findSession(id);
+  if (!session) {
+    throw new ApiError(404, `Session "${id}" not found or expired`);
+  }
+  return session;
+}
+
+export function createSession() {
+  return index.update(async data => {
+    await prune(data);
+    const session = newSession(new Date());
+    await sessionFile(session.id).update(file => Object.assign(file, session));
+    data.sessions[session.id] = summarize(session);
+    return session;
+  });
+}
+
+export function deleteSession(id) {
+  return index.update(async data => {
+    const entry = ID_PATTERN.test(id || '') ? data.sessions[id] : null;
+    if (!entry || isExpired(entry)) {
+      throw new ApiError(404, `Session "${id}" not found or expired`);
+    }
+    delete data.sessions[id];
+    await removeSessionFile(id);
+    return { deleted: id };
+  });
+}
+
+export function purgeExpiredSessions() {
+  return index.update(data => prune(data));
+}
+
+// What the analyzer may use from earlier turns: the symbols discussed (most
+// recent first) and the analysis last shown for each of them. Unknown or
+// expired ids give an empty context; the turn then starts a new session.
+export async function getContext(id) {
+  const session = await findSession(id);
+  return {
+    sessionId: session ? session.id : null,
+    symbols: session ? session.symbols : [],
+    analyses: session ? session.analyses : {}
+  };
+}
+
+// Price series are large and refetched with the next analysis, so sessions keep
+// everything but the chart
+function withoutCharts(response) {
+  const copy = { ...response };
+  ['technical', 'quote'].forEach(section => {
+    if (copy[section] && copy[section].chart) {
+      const { chart, ...rest } = copy[section];
+      copy[section] = rest;
+    }
+  });
+  return copy;
+}
+
+// Analyses a response contributes to the context; a comparison adds every asset
+function analysesIn(response) {
+  if (response.type === 'comparison') {
+    const leader = response.ranking[0].symbol;
+    return [...response.assets]
+      .sort((a, b) => (a.symbol === leader ? -1 : b.symbol === leader ? 1 : 0))
+      .map(asset => ({ ...asset, timestamp: response.timestamp }));
+  }
+  if (response.symbol && !['alert', 'portfolio'].includes(response.type)) {
+    const { cache, ...analysis } = response;
+    return [analysis];
+  }
+  return [];
+}
+
+// Stores one question/answer pair, creating the session when id is unknown or
+// expired. Resolves to the session summary and the number of the new turn.
+export function recordTurn(id, query, fullResponse) {
+  const response = withoutCharts(fullResponse);
+  return index.update(async data => {
+    await prune(data);
+    const now = new Date();
+    const known = ID_PATTERN.test(id || '') && Object.hasOwn(data.sessions, id);
+    const sessionId = known ? id : randomUUID();
+
+    const summary = await sessionFile(sessionId).update(session => {
+      if (!known) {
+        Object.assign(session, newSession(now), { id: sessionId });
+      }
+
+      if (session.history.length === 0 && query) {
+        session.title = query.length > TITLE_LENGTH ? `${query.slice(0, TITLE_LENGTH - 1)}…` : query;
+      }
+      // Turns are numbered from 1 and keep their number when older ones are dropped
+      const last = session.history[session.history.length - 1];
+      const turn = (last ? last.turn || session.history.length : 0) + 1;
+      session.history.push({ turn, query, response, timestamp: now.toISOString() });
+      session.history.splice(0, session.history.length - MAX_TURNS);
+
+      // Keep the richer analysis when the answer only covers part of it (a price check)
+      // or merely restates it (an explanation)
+      analysesIn(response).reverse().forEach(analysis => {
+        const previous = session.analyses[analysis.symbol];
+        if (!previous || (analysis.recommendation && analysis.type !== 'explanation')) {
+          session.analyses[analysis.symbol] = analysis;
+        }
+        session.symbols = [analysis.symbol, ...session.symbols.filter(symbol => symbol !== analysis.symbol)];
+      });
+      session.symbols.slice(MAX_CONTEXT_SYMBOLS).forEach(symbol => {
+        delete session.analyses[symbol];
+      });
+      session.symbols = session.symbols.slice(0, MAX_CONTEXT_SYMBOLS);
+
+      session.updatedAt = now.toISOString();
+      session.expiresAt = new Date(now.getTime() + ttlMs()).toISOString();
+      return { ...summarize(session), turn };
+    });
+
+    const { turn, ...entry } = summary;
+    data.sessions[sessionId] = entry;
+    return summary;
+  });
+}
+
+// Stored turns, numbered; an old session's turns are numbered by position
+export function sessionTurns(session) {
+  return session.history.map((entry, i) => ({ ...entry, turn: entry.turn || i + 1 }));
+}
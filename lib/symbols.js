@@ -0,0 +1,216 @@
+// Symbol search and resolution over a local listings file.
+//
+// config/listings.json (override with LISTINGS_FILE) holds
+//   [{ symbol, name, exchange, type, proxy, aliases: [...] }]
+// type is etf, crypto, forex or index (equity when omitted); proxy is the ETF
+// whose prices stand in for an index (see lib/assets.js).
+// searchSymbols() ranks listings against free text for /api/symbols;
+// findMentions() picks the companies and tickers named in a chat message and
+// flags names that fit several listings (or only fit after a typo) as ambiguous.
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LISTINGS = fileURLToPath(new URL('../config/listings.json', import.meta.url));
+const MAX_RESULTS = 50;
+
+// Legal suffixes dropped when comparing company names
+const NAME_SUFFIXES = /\b(inc|incorporated|corp|corporation|co|com|company|ltd|limited|plc|p\.l\.c|s\.a|n\.v|a s|group|holdings?|class [a-c]|the)\b\.?/g;
+
+// Words that look like company names to the fuzzy matcher but are just English
+const COMMON_WORDS = new Set([
+  'about', 'analysis', 'analyze', 'apply', 'chart', 'compare', 'explain', 'happen', 'market',
+  'metal', 'money', 'price', 'stock', 'stocks', 'shares', 'should', 'today', 'trend', 'where',
+  'which', 'worth', 'would', 'other', 'their', 'there', 'these', 'think', 'versus'
+]);
+
+let listings = null;
+let bySymbol = null;
+
+export function loadListings(file = process.env.LISTINGS_FILE || DEFAULT_LISTINGS) {
+  listings = JSON.parse(readFileSync(file, 'utf8')).map(listing => ({
+    symbol: listing.symbol.toUpperCase(),
+    name: listing.name,
+    exchange: listing.exchange || null,
+    type: listing.type || 'equity',
+    proxy: listing.proxy || null,
+    aliases: (listing.aliases || []).map(alias => alias.toLowerCase()),
+    shortName: shortName(listing.name)
+  }));
+  bySymbol = new Map(listings.map(listing => [listing.symbol, listing]));
+  return listings;
+}
+
+function getListings() {
+  return listings || loadListings();
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9&.' -]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// "Apple Inc." -> "apple", "The Walt Disney Company" -> "walt disney"
+export function shortName(name) {
+  return normalize(name)
+    .replace(NAME_SUFFIXES, ' ')
+    .replace(/[.,]/g, ' ')
+    .replace(/(\s(&|and))+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Names matched inside chat messages. Single-word legal names ("Target", "Block")
+// are too often plain English, so only aliases and multi-word names count.
+function chatNames(listing) {
+  return listing.shortName.includes(' ') ? [listing.shortName, ...listing.aliases] : listing.aliases;
+}
+
+function describe(listing) {
+  return { symbol: listing.symbol, name: listing.name, exchange: listing.exchange, type: listing.type };
+}
+
+export function getListing(symbol) {
+  getListings();
+  return bySymbol.get(String(symbol || '').toUpperCase()) || null;
+}
+
+export function isListed(symbol) {
+  return getListing(symbol) !== null;
+}
+
+// Search name and relevance keywords for news about a symbol
+export function newsTerms(symbol) {
+  const listing = getListing(symbol);
+  if (!listing) {
+    return { name: symbol, keywords: [symbol.toLowerCase()] };
+  }
+  return {
+    name: listing.shortName.replace(/\b\w/g, letter => letter.toUpperCase()),
+    // One- and two-letter tickers ("F", "GE") would match almost any text
+    keywords: [...(symbol.length > 2 ? [symbol.toLowerCase()] : []), listing.shortName, ...listing.aliases]
+  };
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a word of this length
+function maxDistance(length) {
+  if (length < 5) return 0;
+  return length < 8 ? 1 : 2;
+}
+
+function similarity(a, b) {
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function scoreListing(listing, query) {
+  const ticker = query.toUpperCase();
+  if (listing.symbol === ticker) return { score: 100, matchedOn: 'symbol' };
+
+  const names = [listing.shortName, ...listing.aliases];
+  if (names.includes(query)) return { score: 95, matchedOn: 'name' };
+  if (listing.symbol.startsWith(ticker)) return { score: 85 - (listing.symbol.length - ticker.length), matchedOn: 'symbol' };
+  if (names.some(name => name.startsWith(query))) return { score: 80, matchedOn: 'name' };
+  if (names.some(name => name.split(' ').some(word => word.startsWith(query)))) return { score: 70, matchedOn: 'name' };
+  if (query.length >= 3 && names.some(name => name.includes(query))) return { score: 60, matchedOn: 'name' };
+
+  // Typos: compare against whole names and their individual words
+  const candidates = names.flatMap(name => [name, ...name.split(' ')]);
+  const best = Math.max(...candidates.map(candidate => similarity(candidate, query)), similarity(listing.symbol.toLowerCase(), query));
+  if (query.length >= 4 && best >= 0.7) return { score: Math.round(50 * best), matchedOn: 'fuzzy' };
+  return null;
+}
+
+export function searchSymbols(text, { limit = 10 } = {}) {
+  const query = normalize(String(text || ''));
+  if (!query) return [];
+
+  return getListings()
+    .map(listing => ({ listing, match: scoreListing(listing, query) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score || a.listing.symbol.localeCompare(b.listing.symbol))
+    .slice(0, Math.min(Math.max(limit, 1), MAX_RESULTS))
+    .map(({ listing, match }) => ({ ...describe(listing), score: match.score, matchedOn: match.matchedOn }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Company names, aliases and tickers named in a message, in order of appearance.
+// Returns { symbols, ambiguous: [{ text, candidates }] }.
+export function findMentions(message, { nonSymbolWords = new Set() } = {}) {
+  const lower = message.toLowerCase();
+  const found = [];
+  const ambiguous = [];
+  const covered = [];
+  const isCovered = (start, end) => covered.some(([s, e]) => start < e && end > s);
+
+  // Explicit tickers ("AAPL", "BRK.B"), pairs ("BTC-USD", "EUR/USD") and indices
+  // ("^GSPC"). An unlisted ticker that is the alias of exactly one listing ("BTC")
+  // means that listing; other unknown ones are kept unless they are common words.
+  for (const match of message.matchAll(/\^[A-Z]{2,6}\b|\b[A-Z0-9]{2,10}[-/][A-Z]{3}\b|\b[A-Z]{1,5}(?:\.[A-Z]{1,2})?\b/g)) {
+    if (nonSymbolWords.has(match[0])) continue;
+    const aliased = isListed(match[0]) ? [] : getListings().filter(listing => listing.aliases.includes(match[0].toLowerCase()));
+    const symbol = aliased.length === 1 ? aliased[0].symbol : match[0];
+    if (isListed(symbol) || symbol.length >= 2) {
+      found.push({ symbol, index: match.index });
+      covered.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  // Names and aliases, longest first so "bank of america" wins over "america"
+  const names = new Map();
+  getListings().forEach(listing => {
+    chatNames(listing).forEach(name => {
+      if (!names.has(name)) names.set(name, new Set());
+      names.get(name).add(listing.symbol);
+    });
+  });
+  [...names.keys()].sort((a, b) => b.length - a.length).forEach(name => {
+    const match = lower.match(new RegExp(`(?<![\\w&])${escapeRegExp(name)}(?![\\w&])`));
+    if (!match || isCovered(match.index, match.index + name.length)) return;
+    covered.push([match.index, match.index + name.length]);
+
+    const symbols = [...names.get(name)];
+    if (symbols.length === 1) {
+      found.push({ symbol: symbols[0], index: match.index });
+    } else {
+      ambiguous.push({ text: message.substr(match.index, name.length), candidates: symbols.map(symbol => describe(getListing(symbol))) });
+    }
+  });
+
+  // Near-misses ("microsft") are only suggested, never assumed
+  for (const match of lower.matchAll(/[a-z]{5,}/g)) {
+    const word = match[0];
+    if (COMMON_WORDS.has(word) || isCovered(match.index, match.index + word.length)) continue;
+    const candidates = getListings().filter(listing =>
+      chatNames(listing).some(name => {
+        const distance = levenshtein(name, word);
+        return distance > 0 && distance <= maxDistance(word.length);
+      })
+    );
+    if (candidates.length > 0) {
+      ambiguous.push({ text: message.substr(match.index, word.length), candidates: candidates.map(describe) });
+    }
+  }
+
+  return {
+    symbols: [...new Set(found.sort((a, b) => a.index - b.index).map(entry => entry.symbol))],
+    ambiguous
+  };
+}
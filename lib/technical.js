@@ -0,0 +1,62 @@
+// Technical section of an analysis for a price history (oldest first): the
+// latest price and change, the indicators and a plain-language reading of them.
+// The chat (api/analyze.js) and the backtester (lib/backtest.js) both build it
+// here, so a replayed day is scored from the same inputs as a live one.
+import { computeIndicators, performance } from './indicators.js';
+
+// Prices keep `decimals` places (see priceDecimals in lib/assets.js)
+export function buildTechnical(bars, { decimals = 2 } = {}) {
+  const latest = bars[bars.length - 1];
+  const previous = bars[bars.length - 2];
+
+  const currentPrice = latest.close;
+  const change = currentPrice - previous.close;
+  const changePercent = (change / previous.close) * 100;
+
+  const indicators = computeIndicators(bars, { decimals });
+
+  return {
+    price: currentPrice.toFixed(decimals),
+    change: change.toFixed(decimals),
+    changePercent: changePercent.toFixed(2),
+    // Exchange rates trade without a reported volume
+    volume: bars.some(bar => bar.volume > 0) ? String(latest.volume) : 'N/A',
+    asOf: latest.date,
+    indicators,
+    performance: performance(bars),
+    message: interpretTechnicalAnalysis(changePercent, currentPrice, indicators),
+    dataStatus: 'live'
+  };
+}
+
+function interpretTechnicalAnalysis(changePercent, currentPrice, indicators) {
+  let message = '';
+  if (changePercent > 2) message = 'Strong upward momentum today. ';
+  else if (changePercent > 0) message = 'Positive movement today. ';
+  else if (changePercent < -2) message = 'Significant decline today. ';
+  else if (changePercent < 0) message = 'Slight downward pressure. ';
+  else message = 'Flat trading today. ';
+
+  const sma20 = parseFloat(indicators.sma20);
+  if (currentPrice > sma20) message += 'Price is above 20-day average, indicating short-term strength. ';
+  else message += 'Price is below 20-day average, suggesting short-term weakness. ';
+
+  const sma50 = parseFloat(indicators.sma50);
+  const sma200 = parseFloat(indicators.sma200);
+  if (sma50 && sma200) {
+    if (sma50 > sma200) message += '50-day average is above the 200-day, a long-term uptrend. ';
+    else message += '50-day average is below the 200-day, a long-term downtrend. ';
+  }
+
+  const rsi = parseFloat(indicators.rsi14);
+  if (rsi > 70) message += `RSI ${indicators.rsi14} signals overbought conditions. `;
+  else if (rsi < 30) message += `RSI ${indicators.rsi14} signals oversold conditions. `;
+
+  if (indicators.macd) {
+    const histogram = parseFloat(indicators.macd.histogram);
+    if (histogram > 0) message += 'MACD is above its signal line.';
+    else if (histogram < 0) message += 'MACD is below its signal line.';
+  }
+
+  return message.trim();
+}
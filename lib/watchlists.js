@@ -0,0 +1,118 @@
+// Named watchlists persisted in data/watchlists.json
+import { createJsonStore } from './jsonStore.js';
+import { ApiError } from './errors.js';
+import { normalizeSymbol } from './assets.js';
+
+const MAX_SYMBOLS = 25;
+const NAME_PATTERN = /^[\w .-]{1,40}$/;
+// Watchlists are keyed by name on a plain object, where "__proto__" would set the
+// prototype instead of storing anything
+const RESERVED_NAMES = new Set(Object.getOwnPropertyNames(Object.prototype));
+const SYMBOL_PATTERN = /^[A-Z0-9.^=\/-]{1,15}$/;
+
+const store = createJsonStore('watchlists.json', {
+  watchlists: {
+    Favorites: {
+      name: 'Favorites',
+      symbols: ['AAPL', 'TSLA', 'MSFT', 'GOOGL'],
+      createdAt: new Date(0).toISOString(),
+      updatedAt: new Date(0).toISOString()
+    }
+  }
+});
+
+function normalizeSymbols(symbols) {
+  if (!Array.isArray(symbols)) {
+    throw new ApiError(400, 'symbols must be an array of ticker symbols');
+  }
+  const unique = [...new Set(symbols.map(normalizeSymbol).filter(Boolean))];
+  const invalid = unique.find(symbol => !SYMBOL_PATTERN.test(symbol));
+  if (invalid) {
+    throw new ApiError(400, `"${invalid}" is not a valid symbol`);
+  }
+  if (unique.length > MAX_SYMBOLS) {
+    throw new ApiError(400, `A watchlist can hold at most ${MAX_SYMBOLS} symbols`);
+  }
+  return unique;
+}
+
+function validateName(name) {
+  if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) {
+    throw new ApiError(400, 'Watchlist name must be 1-40 letters, digits, spaces, dots, dashes or underscores');
+  }
+  if (RESERVED_NAMES.has(name.trim())) {
+    throw new ApiError(400, `"${name.trim()}" is a reserved name`);
+  }
+  return name.trim();
+}
+
+// Names are matched case-insensitively but stored as typed
+function findKey(watchlists, name) {
+  return Object.keys(watchlists).find(key => key.toLowerCase() === String(name).toLowerCase());
+}
+
+export async function listWatchlists() {
+  const { watchlists } = await store.read();
+  return Object.values(watchlists).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getWatchlist(name) {
+  const { watchlists } = await store.read();
+  const key = findKey(watchlists, name);
+  if (!key) {
+    throw new ApiError(404, `Watchlist "${name}" not found`);
+  }
+  return watchlists[key];
+}
+
+export function createWatchlist(name, symbols = []) {
+  const cleanName = validateName(name);
+  const cleanSymbols = normalizeSymbols(symbols);
+
+  return store.update(data => {
+    if (findKey(data.watchlists, cleanName)) {
+      throw new ApiError(409, `Watchlist "${cleanName}" already exists`);
+    }
+    const now = new Date().toISOString();
+    data.watchlists[cleanName] = { name: cleanName, symbols: cleanSymbols, createdAt: now, updatedAt: now };
+    return data.watchlists[cleanName];
+  });
+}
+
+// Accepts { name, symbols }; either may be omitted
+export function updateWatchlist(name, changes) {
+  const cleanSymbols = changes.symbols === undefined ? undefined : normalizeSymbols(changes.symbols);
+  const newName = changes.name === undefined ? undefined : validateName(changes.name);
+
+  return store.update(data => {
+    const key = findKey(data.watchlists, name);
+    if (!key) {
+      throw new ApiError(404, `Watchlist "${name}" not found`);
+    }
+
+    const watchlist = data.watchlists[key];
+    if (cleanSymbols) watchlist.symbols = cleanSymbols;
+    if (newName && newName !== key) {
+      const clash = findKey(data.watchlists, newName);
+      if (clash && clash !== key) {
+        throw new ApiError(409, `Watchlist "${newName}" already exists`);
+      }
+      delete data.watchlists[key];
+      watchlist.name = newName;
+      data.watchlists[newName] = watchlist;
+    }
+    watchlist.updatedAt = new Date().toISOString();
+    return watchlist;
+  });
+}
+
+export function deleteWatchlist(name) {
+  return store.update(data => {
+    const key = findKey(data.watchlists, name);
+    if (!key) {
+      throw new ApiError(404, `Watchlist "${name}" not found`);
+    }
+    delete data.watchlists[key];
+    return { deleted: key };
+  });
+}
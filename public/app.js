@@ -8,7 +8,10 @@ function initializeApp() {
     const messageInput = document.getElementById('messageInput');
     const sendButton = document.getElementById('sendButton');
     const typingIndicator = document.getElementById('typingIndicator');
-    const quickButtons = document.querySelectorAll('.quick-btn');
+    const watchlistContainer = document.getElementById('watchlists');
+    const sessionBar = document.getElementById('sessionBar');
+    const portfolioBar = document.getElementById('portfolioBar');
+    const importFile = document.getElementById('importFile');
 
     if (!chatMessages || !messageInput || !sendButton || !typingIndicator) {
         console.error('Required DOM elements not found');
@@ -23,75 +26,385 @@ messageInput.addEventListener('keypress', (e) => {
     }
 });
 
-quickButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-        const query = btn.dataset.query;
-        messageInput.value = `Analyze ${query}`;
-        sendMessage();
-    });
+// "Did you mean" buttons inside bot messages re-send the corrected query
+chatMessages.addEventListener('click', (event) => {
+    const button = event.target.closest('.clarification-options button');
+    if (!button) return;
+    messageInput.value = button.dataset.query;
+    sendMessage();
 });
 
+// Watchlists replace the fixed quick-action buttons
+if (watchlistContainer) {
+    watchlistContainer.addEventListener('click', handleWatchlistClick);
+    loadWatchlists();
+}
+
+// Conversation history lives on the server; only the session ids are kept locally.
+// The server lists no sessions but the ones this browser names.
+const MAX_KNOWN_SESSIONS = 20;
+let sessionId = localStorage.getItem('sessionId');
+let knownSessions = JSON.parse(localStorage.getItem('sessionIds') || '[]');
+const welcomeMessage = chatMessages.firstElementChild;
+
+if (sessionBar) {
+    sessionBar.addEventListener('click', (event) => {
+        if (event.target.closest('[data-action="new-session"]')) startNewSession();
+    });
+    sessionBar.addEventListener('change', (event) => {
+        if (event.target.id === 'sessionSelect') restoreSession(event.target.value);
+    });
+}
+if (sessionId) {
+    restoreSession(sessionId);
+} else {
+    loadSessions();
+}
+
+if (portfolioBar && importFile) {
+    portfolioBar.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        if (button.dataset.action === 'portfolio') {
+            messageInput.value = 'Show my portfolio';
+            sendMessage();
+        } else if (button.dataset.action === 'import') {
+            importFile.click();
+        }
+    });
+    importFile.addEventListener('change', () => {
+        const [file] = importFile.files;
+        importFile.value = '';
+        if (file) importBrokerCsv(file);
+    });
+}
+
+// Uploads a broker export; the template is detected from the header row
+async function importBrokerCsv(file) {
+    displayUserMessage(`Import ${file.name}`);
+    typingIndicator.style.display = 'block';
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await fetch('/api/portfolio/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ csv: await file.text() })
+        });
+        const data = await response.json();
+        typingIndicator.style.display = 'none';
+        if (!response.ok) {
+            displayError(data.error || 'Import failed');
+            return;
+        }
+        displayAnalysisResult({ type: 'portfolio-import', ...data });
+    } catch (error) {
+        typingIndicator.style.display = 'none';
+        displayError('Sorry, I could not import that file.');
+    }
+}
+
+function setSession(id) {
+    sessionId = id;
+    if (id) {
+        localStorage.setItem('sessionId', id);
+        rememberSessions([id, ...knownSessions.filter(known => known !== id)]);
+    } else {
+        localStorage.removeItem('sessionId');
+    }
+}
+
+function rememberSessions(ids) {
+    knownSessions = ids.slice(0, MAX_KNOWN_SESSIONS);
+    localStorage.setItem('sessionIds', JSON.stringify(knownSessions));
+}
+
+async function loadSessions() {
+    if (!sessionBar) return;
+    if (knownSessions.length === 0) {
+        renderSessions([]);
+        return;
+    }
+    try {
+        const response = await fetch(`/api/sessions?ids=${knownSessions.map(encodeURIComponent).join(',')}`);
+        if (!response.ok) {
+            throw new Error('Failed to load sessions');
+        }
+        const data = await response.json();
+        // Forget the ones that expired
+        rememberSessions(knownSessions.filter(id => data.sessions.some(session => session.id === id)));
+        renderSessions(data.sessions);
+    } catch (error) {
+        console.error('Session list error:', error);
+    }
+}
+
+function renderSessions(sessions) {
+    let html = `<button class="quick-btn" data-action="new-session">＋ New chat</button>`;
+    if (sessions.length > 0) {
+        html += `<select id="sessionSelect" class="session-select">`;
+        if (!sessions.some(session => session.id === sessionId)) {
+            html += `<option value="" selected disabled>Past conversations</option>`;
+        }
+        sessions.forEach(session => {
+            const selected = session.id === sessionId ? ' selected' : '';
+            const label = `${session.title} · ${new Date(session.updatedAt).toLocaleString()}`;
+            html += `<option value="${escapeHtml(session.id)}"${selected}>${escapeHtml(label)}</option>`;
+        });
+        html += `</select>`;
+    }
+    if (sessionId) {
+        html += exportMenu(`session=${encodeURIComponent(sessionId)}`, '⤓ Export chat');
+    }
+    sessionBar.innerHTML = html;
+}
+
+function clearChat() {
+    chatMessages.innerHTML = '';
+    if (welcomeMessage) chatMessages.appendChild(welcomeMessage);
+}
+
+function startNewSession() {
+    setSession(null);
+    clearChat();
+    loadSessions();
+    messageInput.focus();
+}
+
+// Replays a stored conversation into the chat
+async function restoreSession(id) {
+    try {
+        const response = await fetch(`/api/sessions/${encodeURIComponent(id)}`);
+        if (response.status === 404) {
+            // Expired or deleted: carry on with a fresh session
+            setSession(null);
+            rememberSessions(knownSessions.filter(known => known !== id));
+            return;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load session');
+        }
+        const session = await response.json();
+        setSession(session.id);
+        clearChat();
+        session.history.forEach(turn => {
+            displayUserMessage(turn.query);
+            displayAnalysisResult({ ...turn.response, sessionId: session.id, turn: turn.turn });
+        });
+    } catch (error) {
+        console.error('Session restore error:', error);
+        displayError('Sorry, I could not restore that conversation.');
+    } finally {
+        loadSessions();
+    }
+}
+
+// Poll the alert inbox and post triggered alerts into the chat
+const ALERT_POLL_INTERVAL = 30000;
+pollAlertInbox();
+setInterval(pollAlertInbox, ALERT_POLL_INTERVAL);
+
+async function pollAlertInbox() {
+    try {
+        const response = await fetch('/api/alerts/inbox?unread=true');
+        if (!response.ok) return;
+        const data = await response.json();
+        if (data.inbox.length === 0) return;
+
+        // Inbox is newest first; show oldest first
+        [...data.inbox].reverse().forEach(displayAlert);
+
+        await fetch('/api/alerts/inbox', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ids: data.inbox.map(entry => entry.id) })
+        });
+    } catch (error) {
+        console.error('Alert inbox poll error:', error);
+    }
+}
+
+function displayAlert(entry) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message bot-message';
+    messageDiv.innerHTML = `
+        <div class="message-content">
+            <strong>🔔 Alert</strong>
+            <div class="alert-message">${escapeHtml(entry.message)}</div>
+            <div class="alert-time">${new Date(entry.triggeredAt).toLocaleString()}</div>
+        </div>
+    `;
+    chatMessages.appendChild(messageDiv);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+async function loadWatchlists() {
+    try {
+        const response = await fetch('/api/watchlists');
+        if (!response.ok) {
+            throw new Error('Failed to load watchlists');
+        }
+        const data = await response.json();
+        renderWatchlists(data.watchlists);
+    } catch (error) {
+        console.error('Watchlist load error:', error);
+        watchlistContainer.innerHTML = '';
+    }
+}
+
+function renderWatchlists(watchlists) {
+    let html = '';
+    watchlists.forEach(watchlist => {
+        const name = escapeHtml(watchlist.name);
+        html += `<div class="watchlist" data-name="${name}">`;
+        html += `<button class="quick-btn watchlist-name" data-action="refresh" title="Refresh all">📋 ${name} ↻</button>`;
+        watchlist.symbols.forEach(symbol => {
+            html += `<button class="quick-btn" data-action="analyze" data-query="${escapeHtml(symbol)}">${escapeHtml(symbol)}</button>`;
+        });
+        html += `<button class="quick-btn watchlist-edit" data-action="edit" title="Edit symbols">✎</button>`;
+        html += `<button class="quick-btn watchlist-delete" data-action="delete" title="Delete watchlist">×</button>`;
+        html += exportMenu(`watchlist=${encodeURIComponent(watchlist.name)}`, '⤓');
+        html += `</div>`;
+    });
+    html += `<button class="quick-btn" data-action="create">＋ New watchlist</button>`;
+    watchlistContainer.innerHTML = html;
+}
+
+async function handleWatchlistClick(event) {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    const group = button.closest('.watchlist');
+    const name = group ? group.dataset.name : null;
+
+    switch (button.dataset.action) {
+        case 'analyze':
+            messageInput.value = `Analyze ${button.dataset.query}`;
+            sendMessage();
+            break;
+        case 'refresh':
+            await refreshWatchlist(name);
+            break;
+        case 'create': {
+            const newName = prompt('Watchlist name:');
+            if (!newName) return;
+            const symbols = prompt('Symbols (comma separated):', '') || '';
+            await saveWatchlist('POST', '/api/watchlists', { name: newName, symbols: parseSymbolList(symbols) });
+            break;
+        }
+        case 'edit': {
+            const current = [...group.querySelectorAll('[data-action="analyze"]')].map(btn => btn.dataset.query);
+            const symbols = prompt(`Symbols in ${name} (comma separated):`, current.join(', '));
+            if (symbols === null) return;
+            await saveWatchlist('PUT', `/api/watchlists/${encodeURIComponent(name)}`, { symbols: parseSymbolList(symbols) });
+            break;
+        }
+        case 'delete':
+            if (!confirm(`Delete watchlist "${name}"?`)) return;
+            await saveWatchlist('DELETE', `/api/watchlists/${encodeURIComponent(name)}`);
+            break;
+    }
+}
+
+function parseSymbolList(text) {
+    return text.split(/[\s,]+/).map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+}
+
+async function saveWatchlist(method, url, body) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            displayError(data.error || 'Watchlist update failed');
+            return;
+        }
+        await loadWatchlists();
+    } catch (error) {
+        displayError('Sorry, I could not update that watchlist.');
+    }
+}
+
+async function refreshWatchlist(name) {
+    displayUserMessage(`Refresh watchlist ${name}`);
+    typingIndicator.style.display = 'block';
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+
+    try {
+        const response = await fetch(`/api/watchlists/${encodeURIComponent(name)}/refresh`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error('Watchlist refresh failed');
+        }
+        const data = await response.json();
+        typingIndicator.style.display = 'none';
+        displayAnalysisResult(data);
+    } catch (error) {
+        typingIndicator.style.display = 'none';
+        displayError('Sorry, I could not refresh that watchlist.');
+    }
+}
+
 async function sendMessage() {
     const message = messageInput.value.trim();
     if (!message) return;
 
     // Display user message
     displayUserMessage(message);
-    
-    // Extract symbol from message
-    const symbol = extractSymbol(message);
-    if (!symbol) {
-        displayError('Please specify a stock symbol (e.g., AAPL, TSLA, MSFT)');
-        return;
-    }
 
     // Show typing indicator
     typingIndicator.style.display = 'block';
     chatMessages.scrollTop = chatMessages.scrollHeight;
     
     try {
-        // Check if this is a follow-up
-        const isFollowUp = conversationContext.lastSymbol === symbol && conversationContext.lastAnalysis;
-        
-        console.log('Request:', { symbol, isFollowUp: !!isFollowUp, message });
-        
-        // Send to serverless function for analysis
+        // The server parses intent, symbols and time range, and answers follow-ups
+        // like "why?" from the analyses stored in the session
+        // Single-symbol analyses stream their sections; everything else comes back as JSON
         const response = await fetch('/api/analyze', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                'Accept': 'text/event-stream, application/json'
             },
             body: JSON.stringify({ 
-                symbol, 
                 query: message,
-                context: conversationContext.lastAnalysis,
-                isFollowUp: isFollowUp
+                sessionId
             })
         });
         
+        const streamed = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+        const data = streamed ? await receiveAnalysisStream(response) : await response.json();
+        if (!data) {
+            // The stream already reported its error in the chat
+            messageInput.value = '';
+            return;
+        }
         if (!response.ok) {
-            throw new Error('Analysis request failed');
+            typingIndicator.style.display = 'none';
+            displayError(data.error || 'Sorry, I encountered an error analyzing that asset.');
+            messageInput.value = '';
+            return;
         }
         
-        const data = await response.json();
-        
-        // Update conversation context
-        conversationContext.lastSymbol = symbol;
-        conversationContext.lastAnalysis = data;
-        conversationContext.conversationHistory.push({
-            query: message,
-            response: data,
-            timestamp: new Date()
-        });
-        
-        console.log('Context updated:', { 
-            lastSymbol: conversationContext.lastSymbol, 
-            hasAnalysis: !!conversationContext.lastAnalysis 
-        });
+        // A new session is started when ours was unknown or had expired
+        if (data.sessionId !== sessionId) {
+            setSession(data.sessionId);
+            loadSessions();
+        }
         
         // Hide typing indicator and display result
         typingIndicator.style.display = 'none';
-        displayAnalysisResult(data);
+        if (!streamed) {
+            displayAnalysisResult(data);
+        }
     } catch (error) {
         typingIndicator.style.display = 'none';
         displayError('Sorry, I encountered an error analyzing that asset.');
@@ -101,70 +414,6 @@ async function sendMessage() {
     messageInput.value = '';
 }
 
-// Enhanced company recognition
-const companyMap = {
-    // Tech giants
-    'apple': 'AAPL', 'iphone': 'AAPL', 'mac': 'AAPL', 'ipad': 'AAPL',
-    'tesla': 'TSLA', 'elon': 'TSLA', 'musk': 'TSLA', 'electric car': 'TSLA',
-    'microsoft': 'MSFT', 'windows': 'MSFT', 'xbox': 'MSFT', 'office': 'MSFT',
-    'google': 'GOOGL', 'alphabet': 'GOOGL', 'youtube': 'GOOGL', 'android': 'GOOGL',
-    'amazon': 'AMZN', 'aws': 'AMZN', 'bezos': 'AMZN', 'prime': 'AMZN',
-    'meta': 'META', 'facebook': 'META', 'instagram': 'META', 'whatsapp': 'META',
-    'netflix': 'NFLX', 'streaming': 'NFLX',
-    'nvidia': 'NVDA', 'ai chip': 'NVDA', 'gpu': 'NVDA',
-    
-    // Finance & others
-    'berkshire': 'BRK.B', 'buffett': 'BRK.B', 'warren': 'BRK.B',
-    'jpmorgan': 'JPM', 'jp morgan': 'JPM',
-    'disney': 'DIS', 'mickey': 'DIS',
-    'coca cola': 'KO', 'coke': 'KO',
-    'walmart': 'WMT',
-    'boeing': 'BA',
-    'intel': 'INTC',
-    'amd': 'AMD',
-    'paypal': 'PYPL',
-    'salesforce': 'CRM',
-    'zoom': 'ZM',
-    'uber': 'UBER',
-    'airbnb': 'ABNB',
-    'spotify': 'SPOT',
-    'twitter': 'TWTR', 'x corp': 'TWTR'
-};
-
-// Conversation context storage
-let conversationContext = {
-    lastSymbol: null,
-    lastAnalysis: null,
-    conversationHistory: []
-};
-
-function extractSymbol(message) {
-    const lowerMessage = message.toLowerCase().trim();
-    
-    // Simple follow-up patterns
-    const followUpWords = ['why', 'how', 'what', 'should', 'risk', 'price', 'news', 'explain', 'tell', 'more'];
-    const isFollowUp = followUpWords.some(word => lowerMessage.includes(word)) || message.includes('?');
-    
-    if (isFollowUp && conversationContext.lastSymbol) {
-        return conversationContext.lastSymbol;
-    }
-    
-    // Look for explicit stock symbols first (3-5 uppercase letters)
-    const symbolMatch = message.match(/\b[A-Z]{1,5}\b/);
-    if (symbolMatch) {
-        return symbolMatch[0];
-    }
-    
-    // Enhanced company name recognition
-    for (const [keyword, symbol] of Object.entries(companyMap)) {
-        if (lowerMessage.includes(keyword)) {
-            return symbol;
-        }
-    }
-    
-    return null;
-}
-
 function displayUserMessage(message) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message user-message';
@@ -180,20 +429,181 @@ function displayUserMessage(message) {
 function displayAnalysisResult(analysis) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message bot-message';
-    
+    // Attached before rendering so charts can measure their width
+    chatMessages.appendChild(messageDiv);
+    renderAnalysisInto(messageDiv, analysis);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
+}
+
+function renderAnalysisInto(messageDiv, analysis, pending) {
     let content = `<strong>🤖 Financial Analyst</strong>`;
     content += `<div style="margin-top: 10px;">${formatAnalysis(analysis)}</div>`;
-    
+    if (pending) {
+        content += `<div class="stream-pending"><div class="typing-dots"><span></span><span></span><span></span></div> ${escapeHtml(pending)}</div>`;
+    } else if (analysis.sessionId && analysis.turn) {
+        content += exportMenu(`session=${encodeURIComponent(analysis.sessionId)}&turn=${analysis.turn}`);
+    }
     messageDiv.innerHTML = `<div class="message-content">${content}</div>`;
-    chatMessages.appendChild(messageDiv);
-    chatMessages.scrollTop = chatMessages.scrollHeight;
+    mountCharts(messageDiv);
+}
+
+// Download links for /api/report; the printable HTML opens in a new tab
+const REPORT_FORMATS = [['md', 'Markdown'], ['json', 'JSON'], ['csv', 'CSV'], ['html', 'Printable HTML']];
+
+function exportMenu(params, label = '⤓ Export') {
+    let html = `<details class="export-menu"><summary>${label}</summary><div class="export-options">`;
+    REPORT_FORMATS.forEach(([format, name]) => {
+        const href = escapeHtml(`/api/report?${params}&format=${format}`);
+        html += format === 'html'
+            ? `<a href="${href}&amp;disposition=inline" target="_blank" rel="noopener">${name}</a>`
+            : `<a href="${href}" download>${name}</a>`;
+    });
+    return html + `</div></details>`;
+}
+
+// Chart data for the placeholders formatAnalysis emits; drawn once the HTML is in the page
+const pendingCharts = new Map();
+let chartCounter = 0;
+
+function chartPlaceholder(chart, analysis) {
+    if (!chart || typeof mountPriceChart !== 'function') return '';
+    const id = `price-chart-${++chartCounter}`;
+    // Scored headlines color the news markers by sentiment
+    const articles = (analysis.sentiment && analysis.sentiment.headlines) || (analysis.news && analysis.news.articles) || [];
+    pendingCharts.set(id, { chart, articles });
+    return `<div class="price-chart" id="${id}"></div>`;
+}
+
+function mountCharts(element) {
+    element.querySelectorAll('.price-chart').forEach(container => {
+        const entry = pendingCharts.get(container.id);
+        if (!entry) return;
+        pendingCharts.delete(container.id);
+        mountPriceChart(container, entry.chart, entry.articles);
+    });
+}
+
+// Reads a Server-Sent Events analysis and redraws one bubble as each section lands.
+// Resolves to the final analysis, or null after showing an error.
+async function receiveAnalysisStream(response) {
+    typingIndicator.style.display = 'none';
+    const sectionLabels = { technical: 'price data', fundamental: 'fundamentals', news: 'news', events: 'events', risk: 'risk metrics', recommendation: 'signal' };
+    let analysis = {};
+    let remaining = [];
+    let messageDiv = null;
+
+    const pendingText = () => (remaining.length > 0 ? `Loading ${remaining.map(name => sectionLabels[name]).join(', ')}…` : 'Summarizing…');
+    const redraw = () => {
+        renderAnalysisInto(messageDiv, analysis, pendingText());
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    };
+
+    for await (const { event, data } of readEventStream(response)) {
+        switch (event) {
+            case 'start':
+                analysis = data;
+                // The server lists the sections it will send ("Why?" and risk questions
+                // arrive in one piece with the done event)
+                remaining = [...data.pending];
+                messageDiv = displayAnalysisResult(analysis);
+                redraw();
+                break;
+            case 'technical':
+            case 'fundamental':
+            case 'news':
+            case 'events':
+            case 'risk':
+            case 'recommendation':
+                Object.assign(analysis, data);
+                remaining = remaining.filter(name => name !== event);
+                redraw();
+                break;
+            case 'done':
+                renderAnalysisInto(messageDiv, data);
+                return data;
+            case 'error':
+                if (messageDiv) messageDiv.remove();
+                displayError(data.error || 'Sorry, I encountered an error analyzing that asset.');
+                return null;
+        }
+    }
+    throw new Error('Analysis stream ended early');
 }
 
+// Minimal text/event-stream parser over a fetch() body
+async function* readEventStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = 'message';
+            const lines = [];
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) lines.push(line.slice(5).trimStart());
+            });
+            if (lines.length > 0) {
+                yield { event, data: JSON.parse(lines.join('\n')) };
+            }
+        }
+    }
+}
+
+const metricGroups = [
+    ['volume', 'sma', 'ema', 'rsi14', 'macd', 'bollinger', 'atr', 'volatility', 'week52'],
+    ['peRatio', 'marketCap', 'dividendYield', 'eps', 'growth', 'margins', 'returnOnCapital', 'leverage', 'freeCashFlow', 'peg']
+];
+
 function formatAnalysis(analysis) {
+    if (analysis.type === 'comparison') {
+        return formatComparison(analysis);
+    }
+    if (analysis.type === 'watchlist') {
+        return formatWatchlist(analysis);
+    }
+    if (analysis.type === 'clarification') {
+        return formatClarification(analysis);
+    }
+    if (analysis.type === 'portfolio') {
+        return formatPortfolio(analysis);
+    }
+    if (analysis.type === 'screen') {
+        return formatScreen(analysis);
+    }
+    if (analysis.type === 'portfolio-import') {
+        return formatImport(analysis);
+    }
+    if (analysis.type === 'alert') {
+        return `<div class="analysis-result"><div class="analysis-section"><p>${escapeHtml(analysis.summary)}</p></div></div>`;
+    }
+
+    // A section is narrowed to the metrics the user asked about, if any of them belong to it
+    const metrics = (analysis.intent && analysis.intent.metrics) || [];
+    const wants = metric => {
+        const group = metricGroups.find(members => members.includes(metric));
+        const asked = metrics.filter(id => group.includes(id));
+        return asked.length === 0 || asked.includes(metric);
+    };
+
+    // Dollar sign only for dollar prices; exchange rates are plain numbers
+    const cur = pricePrefix(analysis.asset);
+
     let html = `<div class="analysis-result">`;
+
+    if (analysis.asset && analysis.asset.assetClass !== 'equity') {
+        html += `<div class="asset-class-badge">${escapeHtml(analysis.asset.label)}${analysis.asset.name ? ` · ${escapeHtml(analysis.asset.name)}` : ''}</div>`;
+    }
     
-    // Check if this is a follow-up response
-    if (analysis.isFollowUp && analysis.summary) {
+    // "Why?" and risk questions get a focused answer
+    if (analysis.type === 'explanation') {
         html += `<div class="analysis-section">`;
         html += `<h4>💬 Follow-up Response</h4>`;
         html += `<div class="follow-up-response">${formatMarkdown(analysis.summary)}</div>`;
@@ -211,12 +621,14 @@ function formatAnalysis(analysis) {
         html += `<div class="rec-details">`;
         html += `<p><strong>Confidence:</strong> ${analysis.recommendation.confidence}</p>`;
         html += `<p><strong>Risk:</strong> ${analysis.recommendation.riskLevel}</p>`;
-        html += `<p><strong>Score:</strong> ${analysis.recommendation.score}/5</p>`;
+        if (analysis.recommendation.score !== null) {
+            html += `<p><strong>Score:</strong> ${analysis.recommendation.score}/100</p>`;
+        }
         html += `</div>`;
         html += `<p class="rec-message">${analysis.recommendation.message}</p>`;
         if (analysis.recommendation.reasons.length > 0) {
             html += `<div class="rec-reasons">`;
-            html += `<strong>📈 Bullish Factors:</strong>`;
+            html += `<strong>📈 Key Factors:</strong>`;
             html += `<ul>`;
             analysis.recommendation.reasons.forEach(reason => {
                 html += `<li>✓ ${reason}</li>`;
@@ -234,42 +646,122 @@ function formatAnalysis(analysis) {
             html += `</ul>`;
             html += `</div>`;
         }
+        if (analysis.recommendation.breakdown) {
+            html += formatScoreBreakdown(analysis.recommendation);
+        }
         html += `</div>`;
         html += `</div>`;
     }
 
+    // What we hold in this symbol
+    if (analysis.position) {
+        const position = analysis.position;
+        const pnl = position.unrealizedPnlPercent;
+        html += `<div class="analysis-section">`;
+        html += `<h4>💼 Your Position</h4>`;
+        html += `<p><strong>Shares:</strong> ${position.quantity} @ $${position.averageCost} avg (${position.lotCount} lot${position.lotCount === 1 ? '' : 's'})</p>`;
+        html += `<p><strong>Value:</strong> $${formatMoney(position.marketValue)} • <strong>P&L:</strong> <span class="position-pnl ${position.unrealizedPnl >= 0 ? 'positive' : 'negative'}">${position.unrealizedPnl >= 0 ? '+' : '-'}$${formatMoney(Math.abs(position.unrealizedPnl))}${pnl === null ? '' : ` (${pnl > 0 ? '+' : ''}${pnl}%)`}</span></p>`;
+        html += `<p><strong>Portfolio weight:</strong> ${position.allocationPercent}%</p>`;
+        html += `</div>`;
+    }
+
+    // Price only
+    if (analysis.quote && analysis.quote.price !== 'N/A') {
+        const quote = analysis.quote;
+        html += `<div class="analysis-section">`;
+        html += `<h4>💵 Price ${dataBadge(quote)}</h4>`;
+        html += `<p><strong>Price:</strong> ${cur}${quote.price} (${quote.change >= 0 ? '+' : ''}${quote.change}, ${quote.changePercent}%)</p>`;
+        if (quote.volume !== 'N/A') {
+            html += `<p><strong>Volume:</strong> ${formatNumber(quote.volume)}</p>`;
+        }
+        html += chartPlaceholder(quote.chart, analysis);
+        if (quote.range && quote.range.changePercent) {
+            html += `<p><strong>${escapeHtml(quote.range.label)}:</strong> ${quote.range.changePercent}% (${cur}${quote.range.startPrice} → ${cur}${quote.range.endPrice}, range ${cur}${quote.range.low} – ${cur}${quote.range.high})</p>`;
+        } else if (quote.performance) {
+            html += `<p><strong>1M / 3M / 1Y:</strong> ${quote.performance.month || 'N/A'}% / ${quote.performance.threeMonth || 'N/A'}% / ${quote.performance.year || 'N/A'}%</p>`;
+        }
+        html += `</div>`;
+    } else if (analysis.quote && analysis.quote.dataStatus === 'unavailable') {
+        html += `<div class="analysis-section">`;
+        html += `<h4>💵 Price ${dataBadge(analysis.quote)}</h4>`;
+        html += `<p>Price data is currently unavailable.</p>`;
+        html += `</div>`;
+    }
+
     // Technical Analysis
     if (analysis.technical && analysis.technical.price !== 'N/A') {
         html += `<div class="analysis-section">`;
-        html += `<h4>📈 Technical Analysis</h4>`;
-        html += `<p><strong>Price:</strong> $${analysis.technical.price} (${analysis.technical.change >= 0 ? '+' : ''}${analysis.technical.change})</p>`;
-        html += `<p><strong>Volume:</strong> ${formatNumber(analysis.technical.volume)}</p>`;
-        if (analysis.technical.indicators.sma20) {
-            html += `<p><strong>20-day SMA:</strong> $${analysis.technical.indicators.sma20}</p>`;
+        html += `<h4>📈 Technical Analysis ${dataBadge(analysis.technical)}</h4>`;
+        html += `<p><strong>Price:</strong> ${cur}${analysis.technical.price} (${analysis.technical.change >= 0 ? '+' : ''}${analysis.technical.change})</p>`;
+        if (analysis.technical.proxy) {
+            html += `<p class="statement-basis">Priced through ${escapeHtml(analysis.technical.proxy)}, an ETF tracking the index</p>`;
+        }
+        html += chartPlaceholder(analysis.technical.chart, analysis);
+        if (analysis.technical.volume !== 'N/A' && wants('volume')) {
+            html += `<p><strong>Volume:</strong> ${formatNumber(analysis.technical.volume)}</p>`;
+        }
+        if (analysis.technical.range && analysis.technical.range.changePercent) {
+            html += `<p><strong>${escapeHtml(analysis.technical.range.label)}:</strong> ${analysis.technical.range.changePercent}%</p>`;
+        }
+        const indicators = analysis.technical.indicators;
+        if (indicators.sma20 && wants('sma')) {
+            html += `<p><strong>SMA 20/50/200:</strong> ${cur}${indicators.sma20} / ${indicators.sma50 ? cur + indicators.sma50 : 'N/A'} / ${indicators.sma200 ? cur + indicators.sma200 : 'N/A'}</p>`;
+        }
+        if (indicators.ema20 && wants('ema')) {
+            html += `<p><strong>EMA 20/50/200:</strong> ${cur}${indicators.ema20} / ${indicators.ema50 ? cur + indicators.ema50 : 'N/A'} / ${indicators.ema200 ? cur + indicators.ema200 : 'N/A'}</p>`;
+        }
+        if (indicators.rsi14 && wants('rsi14')) {
+            html += `<p><strong>RSI (14):</strong> ${indicators.rsi14}</p>`;
         }
-        if (analysis.technical.indicators.trend) {
-            html += `<p><strong>Trend:</strong> ${analysis.technical.indicators.trend}</p>`;
+        if (indicators.macd && wants('macd')) {
+            html += `<p><strong>MACD:</strong> ${indicators.macd.macd} (signal ${indicators.macd.signal}, histogram ${indicators.macd.histogram})</p>`;
         }
+        if (indicators.bollinger && wants('bollinger')) {
+            html += `<p><strong>Bollinger Bands:</strong> ${cur}${indicators.bollinger.lower} – ${cur}${indicators.bollinger.upper}</p>`;
+        }
+        if (indicators.atr14 && wants('atr')) {
+            html += `<p><strong>ATR (14):</strong> ${cur}${indicators.atr14} (${indicators.atrPercent}% of price)</p>`;
+        }
+        if (indicators.realizedVolatility && wants('volatility')) {
+            html += `<p><strong>Realized Volatility (30d):</strong> ${indicators.realizedVolatility}% annualized</p>`;
+        }
+        if (indicators.week52 && wants('week52')) {
+            html += `<p><strong>52-Week Range:</strong> ${cur}${indicators.week52.low} – ${cur}${indicators.week52.high} (${indicators.week52.fromHighPercent}% from high)</p>`;
+        }
+        if (indicators.trend) {
+            html += `<p><strong>Trend:</strong> ${indicators.trend}</p>`;
+        }
+        html += `</div>`;
+    } else if (analysis.technical && analysis.technical.dataStatus === 'unavailable') {
+        html += `<div class="analysis-section">`;
+        html += `<h4>📈 Technical Analysis ${dataBadge(analysis.technical)}</h4>`;
+        html += `<p>${escapeHtml(analysis.technical.message)}</p>`;
         html += `</div>`;
     }
     
     // 4. COMBINED SENTIMENT & NEWS
     if (analysis.news && analysis.news.articles && analysis.news.articles.length > 0) {
         html += `<div class="analysis-section">`;
-        html += `<h4>📰 Market Sentiment & News</h4>`;
+        html += `<h4>📰 Market Sentiment & News ${dataBadge(analysis.news)}</h4>`;
         
         // Sentiment summary first
         if (analysis.sentiment && analysis.sentiment.score !== undefined) {
             html += `<div class="sentiment-summary">`;
             html += `<p><strong>Overall Sentiment:</strong> ${analysis.sentiment.message} (Score: ${analysis.sentiment.score})</p>`;
+            if (analysis.sentiment.distribution) {
+                const { positive, neutral, negative } = analysis.sentiment.distribution;
+                html += `<p>${positive} positive • ${neutral} neutral • ${negative} negative articles</p>`;
+            }
             html += `</div>`;
         }
         
         // Top news articles
         html += `<div class="news-articles">`;
+        const scored = (analysis.sentiment && analysis.sentiment.headlines) || [];
         analysis.news.articles.slice(0, 3).forEach(article => {
+            const sentiment = scored.find(headline => headline.url === article.url);
             html += `<div class="news-item">`;
-            html += `<h5>${escapeHtml(article.title)}</h5>`;
+            html += `<h5>${escapeHtml(article.title)} ${sentiment ? articleSentimentBadge(sentiment) : ''}</h5>`;
             if (article.description) {
                 html += `<p>${escapeHtml(article.description.substring(0, 120))}...</p>`;
             }
@@ -288,18 +780,44 @@ function formatAnalysis(analysis) {
         html += `</div>`;
     }
     
+    // Upcoming and recent earnings, dividends and splits
+    if (analysis.events) {
+        html += formatEvents(analysis.events);
+    }
+
+    // Volatility, drawdown, Value-at-Risk and beta from the price history
+    if (analysis.risk) {
+        html += formatRisk(analysis.risk);
+    }
+
+    // Fund profile (ETFs) and interest-rate carry (forex) take the place of company fundamentals
+    const assetClass = analysis.asset ? analysis.asset.assetClass : 'equity';
+    if (assetClass === 'etf' && analysis.fundamental) {
+        html += formatFundProfile(analysis.fundamental);
+    }
+    if (assetClass === 'forex' && analysis.fundamental) {
+        html += formatCarry(analysis.fundamental);
+    }
+
     // Fundamental Analysis
-    if (analysis.fundamental && analysis.fundamental.peRatio !== 'N/A') {
+    if (assetClass === 'equity' && analysis.fundamental && analysis.fundamental.peRatio !== 'N/A') {
         html += `<div class="analysis-section">`;
-        html += `<h4>📊 Fundamental Analysis</h4>`;
-        html += `<p><strong>P/E Ratio:</strong> ${analysis.fundamental.peRatio}</p>`;
-        html += `<p><strong>Market Cap:</strong> ${analysis.fundamental.marketCap}</p>`;
-        if (analysis.fundamental.dividendYield !== 'N/A') {
+        html += `<h4>📊 Fundamental Analysis ${dataBadge(analysis.fundamental)}</h4>`;
+        if (wants('peRatio')) {
+            html += `<p><strong>P/E Ratio:</strong> ${analysis.fundamental.peRatio}</p>`;
+        }
+        if (wants('marketCap')) {
+            html += `<p><strong>Market Cap:</strong> ${analysis.fundamental.marketCap}</p>`;
+        }
+        if (analysis.fundamental.dividendYield !== 'N/A' && wants('dividendYield')) {
             html += `<p><strong>Dividend Yield:</strong> ${analysis.fundamental.dividendYield}%</p>`;
         }
-        if (analysis.fundamental.eps !== 'N/A') {
+        if (analysis.fundamental.eps !== 'N/A' && wants('eps')) {
             html += `<p><strong>EPS:</strong> ${analysis.fundamental.eps}</p>`;
         }
+        if (analysis.fundamental.ratios) {
+            html += formatFinancials(analysis.fundamental, wants);
+        }
         html += `</div>`;
     }
     
@@ -307,6 +825,400 @@ function formatAnalysis(analysis) {
     return html;
 }
 
+// "Did you mean" prompt; each candidate re-sends the query with the ticker filled in
+function formatClarification(clarification) {
+    let html = `<div class="analysis-result"><div class="analysis-section">`;
+    clarification.ambiguous.forEach(({ text, candidates }) => {
+        html += `<p>Did you mean… <em>(for "${escapeHtml(text)}")</em></p>`;
+        html += `<div class="clarification-options">`;
+        candidates.forEach(candidate => {
+            const query = clarification.intent.query.replace(text, candidate.symbol);
+            html += `<button class="quick-btn" data-query="${escapeHtml(query).replace(/"/g, '&quot;')}">${escapeHtml(candidate.name)} (${escapeHtml(candidate.symbol)})</button>`;
+        });
+        html += `</div>`;
+    });
+    html += `</div></div>`;
+    return html;
+}
+
+// Article score with the matched lexicon terms as a tooltip
+function articleSentimentBadge(article) {
+    const terms = article.matches
+        .map(match => `${match.negated ? 'not ' : ''}${match.term} (${match.score > 0 ? '+' : ''}${match.score})`)
+        .join(', ');
+    const tone = article.score > 0.05 ? 'positive' : article.score < -0.05 ? 'negative' : 'neutral';
+    return `<span class="sentiment-badge ${tone}" title="${escapeHtml(terms || 'No sentiment terms')}">${article.score > 0 ? '+' : ''}${article.score}</span>`;
+}
+
+// Per-rule contributions behind the 0-100 score (50 = neutral)
+function formatScoreBreakdown(recommendation) {
+    const rules = recommendation.breakdown.rules.filter(rule => rule.weight > 0);
+    let html = `<details class="score-breakdown">`;
+    html += `<summary>Score breakdown (${escapeHtml(recommendation.profile)} profile)</summary>`;
+    html += `<table class="comparison-table">`;
+    html += `<thead><tr><th>Rule</th><th>Value</th><th>Points</th></tr></thead><tbody>`;
+    rules.forEach(rule => {
+        const points = rule.value === null
+            ? 'N/A'
+            : `<span class="${rule.contribution >= 0 ? 'positive' : 'negative'}">${rule.contribution > 0 ? '+' : ''}${rule.contribution}</span>`;
+        html += `<tr><td>${escapeHtml(rule.label)}</td><td>${rule.value === null ? 'N/A' : rule.value}</td><td>${points}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+    html += `</details>`;
+    return html;
+}
+
+// Statement ratios (rows the question did not ask about are left out) and the annual trend
+const ratioRows = [
+    ['growth', 'Revenue Growth', ratios => signedPercent(ratios.revenueGrowth), ratios => ratios.revenueCagr3y === null ? '' : ` (3y CAGR ${signedPercent(ratios.revenueCagr3y)})`],
+    ['growth', 'EPS Growth', ratios => signedPercent(ratios.epsGrowth), ratios => ratios.epsCagr3y === null ? '' : ` (3y CAGR ${signedPercent(ratios.epsCagr3y)})`],
+    ['margins', 'Gross / Operating / Net Margin', ratios => [ratios.grossMargin, ratios.operatingMargin, ratios.netMargin].map(value => value === null ? 'N/A' : `${value}%`).join(' / ')],
+    ['returnOnCapital', 'ROE / ROIC', ratios => [ratios.roe, ratios.roic].map(value => value === null ? 'N/A' : `${value}%`).join(' / ')],
+    ['leverage', 'Debt / Equity', ratios => ratios.debtToEquity ?? 'N/A', ratios => ratios.currentRatio === null ? '' : ` (current ratio ${ratios.currentRatio})`],
+    ['freeCashFlow', 'FCF Yield', ratios => ratios.fcfYield === null ? 'N/A' : `${ratios.fcfYield}%`],
+    ['peg', 'PEG Ratio', ratios => ratios.peg ?? 'N/A']
+];
+
+function signedPercent(value) {
+    if (value === null) return 'N/A';
+    return `${value > 0 ? '+' : ''}${value}%`;
+}
+
+function formatFinancials(fundamental, wants) {
+    const { ratios, statements, trends } = fundamental;
+    let html = '';
+    ratioRows.filter(([metric]) => wants(metric)).forEach(([, label, value, detail]) => {
+        html += `<p><strong>${label}:</strong> ${value(ratios)}${detail ? detail(ratios) : ''}</p>`;
+    });
+    if (statements) {
+        html += `<p class="statement-basis">${statements.basis === 'ttm' ? 'Trailing twelve months' : 'Fiscal year'} to ${escapeHtml(statements.asOf)}</p>`;
+    }
+    if (trends && trends.annual.length > 1) {
+        html += `<details class="score-breakdown">`;
+        html += `<summary>Annual trend</summary>`;
+        html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+        html += `<thead><tr><th>Fiscal year</th><th>Revenue</th><th>EPS</th><th>Op. margin</th><th>FCF</th></tr></thead><tbody>`;
+        trends.annual.forEach(year => {
+            html += `<tr><td>${escapeHtml(year.fiscalDateEnding)}</td><td>${formatLargeNumber(year.revenue)}</td>`;
+            html += `<td>${year.eps ?? 'N/A'}</td><td>${year.operatingMargin === null ? 'N/A' : `${year.operatingMargin}%`}</td>`;
+            html += `<td>${formatLargeNumber(year.freeCashFlow)}</td></tr>`;
+        });
+        html += `</tbody></table></div>`;
+        html += `</details>`;
+    }
+    return html;
+}
+
+function formatEvents(events) {
+    let html = `<div class="analysis-section">`;
+    html += `<h4>📅 Corporate Events ${dataBadge(events)}</h4>`;
+    if (!events.earnings) {
+        html += `<p>${escapeHtml(events.message)}</p></div>`;
+        return html;
+    }
+    const { earnings, dividends, splits } = events;
+    if (earnings.next) {
+        const soon = earnings.next.daysUntil <= 7;
+        html += `<p><strong>Next Earnings:</strong> ${escapeHtml(earnings.next.date)} `;
+        html += `<span class="${soon ? 'event-soon' : 'statement-basis'}">${earnings.next.daysUntil === 0 ? 'today' : `in ${earnings.next.daysUntil} day${earnings.next.daysUntil === 1 ? '' : 's'}`}</span>`;
+        html += `${earnings.next.estimate === null ? '' : ` • EPS estimate ${earnings.next.estimate}`}</p>`;
+    }
+    if (dividends.next) {
+        html += `<p><strong>Next Ex-Dividend:</strong> ${escapeHtml(dividends.next.exDate)}${dividends.next.amount === null ? '' : ` • $${dividends.next.amount} a share`}`;
+        html += `${dividends.next.paymentDate ? ` (paid ${escapeHtml(dividends.next.paymentDate)})` : ''}</p>`;
+    } else if (dividends.recent.length > 0) {
+        html += `<p><strong>Last Ex-Dividend:</strong> ${escapeHtml(dividends.recent[0].exDate)}${dividends.recent[0].amount === null ? '' : ` • $${dividends.recent[0].amount} a share`}</p>`;
+    }
+    if (splits.length > 0) {
+        html += `<p><strong>Last Split:</strong> ${splits[0].factor}-for-1 on ${escapeHtml(splits[0].date)}</p>`;
+    }
+    html += `<p>${escapeHtml(events.message)}</p>`;
+    if (earnings.history.length > 0) {
+        html += `<details class="score-breakdown">`;
+        html += `<summary>Last ${earnings.history.length} earnings reports</summary>`;
+        html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+        html += `<thead><tr><th>Reported</th><th>Quarter</th><th>Estimate</th><th>Actual</th><th>Surprise</th></tr></thead><tbody>`;
+        earnings.history.forEach(quarter => {
+            const surprise = quarter.surprisePercent;
+            html += `<tr><td>${escapeHtml(quarter.reportedDate)}</td><td>${escapeHtml(quarter.fiscalDateEnding)}</td>`;
+            html += `<td>${quarter.estimatedEps ?? 'N/A'}</td><td>${quarter.reportedEps ?? 'N/A'}</td>`;
+            html += `<td>${surprise === null ? 'N/A' : `<span class="${surprise >= 0 ? 'positive' : 'negative'}">${surprise > 0 ? '+' : ''}${surprise.toFixed(1)}%</span>`}</td></tr>`;
+        });
+        html += `</tbody></table></div>`;
+        html += `</details>`;
+    }
+    html += `</div>`;
+    return html;
+}
+
+function formatRisk(risk) {
+    let html = `<div class="analysis-section">`;
+    html += `<h4>⚖️ Risk Metrics ${dataBadge(risk)}</h4>`;
+    if (!risk.level) {
+        html += `<p>${escapeHtml(risk.message)}</p></div>`;
+        return html;
+    }
+    html += `<p><strong>Risk Level:</strong> ${risk.level}</p>`;
+    html += `<p><strong>Volatility:</strong> ${risk.volatility}% annualized (downside ${risk.downsideDeviation}%)</p>`;
+    html += `<p><strong>Max Drawdown:</strong> <span class="negative">${risk.maxDrawdown.percent}%</span> `;
+    html += `<span class="statement-basis">${escapeHtml(risk.maxDrawdown.peakDate)} → ${escapeHtml(risk.maxDrawdown.troughDate)}</span></p>`;
+    if (risk.benchmark && risk.benchmark.beta !== null) {
+        html += `<p><strong>Beta vs ${escapeHtml(risk.benchmark.symbol)}:</strong> ${risk.benchmark.beta} (correlation ${risk.benchmark.correlation})</p>`;
+    }
+    html += `<p>${escapeHtml(risk.message)}</p>`;
+    html += `<details class="score-breakdown">`;
+    html += `<summary>1-day Value-at-Risk</summary>`;
+    html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+    html += `<thead><tr><th></th><th>Historical</th><th>Parametric</th></tr></thead><tbody>`;
+    [['VaR 95%', risk.var95], ['CVaR 95%', risk.cvar95], ['VaR 99%', risk.var99], ['CVaR 99%', risk.cvar99]].forEach(([label, value]) => {
+        html += `<tr><td>${label}</td><td>${value.historical}%</td><td>${value.parametric}%</td></tr>`;
+    });
+    html += `</tbody></table></div>`;
+    html += `<p class="statement-basis">Losses as a share of the position, from ${risk.observations} daily returns (${escapeHtml(risk.from)} to ${escapeHtml(risk.to)}).</p>`;
+    html += `</details>`;
+    html += `</div>`;
+    return html;
+}
+
+function pricePrefix(asset) {
+    return !asset || (asset.currency === 'USD' && asset.assetClass !== 'forex') ? '$' : '';
+}
+
+function formatFundProfile(fund) {
+    let html = `<div class="analysis-section">`;
+    html += `<h4>🧺 Fund Profile ${dataBadge(fund)}</h4>`;
+    if (fund.dataStatus === 'unavailable') {
+        html += `<p>${escapeHtml(fund.message)}</p></div>`;
+        return html;
+    }
+    html += `<p><strong>Expense Ratio:</strong> ${fund.expenseRatio === null ? 'N/A' : `${fund.expenseRatio}%`}</p>`;
+    html += `<p><strong>Net Assets:</strong> ${fund.netAssets === 'N/A' ? 'N/A' : formatLargeNumber(parseFloat(fund.netAssets))}</p>`;
+    if (fund.dividendYield !== 'N/A') {
+        html += `<p><strong>Dividend Yield:</strong> ${(parseFloat(fund.dividendYield) * 100).toFixed(2)}%</p>`;
+    }
+    if (fund.sectors.length > 0) {
+        html += `<p><strong>Top Sectors:</strong> ${fund.sectors.slice(0, 3).map(sector => `${escapeHtml(sector.sector)} ${sector.weight}%`).join(', ')}</p>`;
+    }
+    html += `<p>${escapeHtml(fund.message)}</p>`;
+    if (fund.holdings.length > 0) {
+        html += `<details class="score-breakdown">`;
+        html += `<summary>Top ${fund.holdings.length} holdings</summary>`;
+        html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+        html += `<thead><tr><th>Holding</th><th>Weight</th></tr></thead><tbody>`;
+        fund.holdings.forEach(holding => {
+            html += `<tr><td>${escapeHtml(holding.name || holding.symbol)}${holding.symbol ? ` (${escapeHtml(holding.symbol)})` : ''}</td>`;
+            html += `<td>${holding.weight === null ? 'N/A' : `${holding.weight}%`}</td></tr>`;
+        });
+        html += `</tbody></table></div>`;
+        html += `</details>`;
+    }
+    html += `</div>`;
+    return html;
+}
+
+function formatCarry(carry) {
+    let html = `<div class="analysis-section">`;
+    html += `<h4>💱 Interest Rates & Carry</h4>`;
+    if (carry.carry !== null) {
+        html += `<p><strong>${escapeHtml(carry.base.code)}:</strong> ${carry.base.rate}% • <strong>${escapeHtml(carry.quote.code)}:</strong> ${carry.quote.rate}%</p>`;
+        html += `<p><strong>Carry (long):</strong> <span class="${carry.carry >= 0 ? 'positive' : 'negative'}">${carry.carry > 0 ? '+' : ''}${carry.carry}%</span> a year</p>`;
+    }
+    html += `<p>${escapeHtml(carry.message)}</p>`;
+    html += `</div>`;
+    return html;
+}
+
+function formatComparison(comparison) {
+    const assets = comparison.assets;
+    const percent = value => {
+        if (value === null || value === undefined || value === 'N/A') return 'N/A';
+        const number = parseFloat(value);
+        return `<span class="${number >= 0 ? 'positive' : 'negative'}">${number > 0 ? '+' : ''}${value}%</span>`;
+    };
+    const rows = [
+        ['Signal', asset => asset.recommendation.action],
+        ['Score', asset => (asset.recommendation.score === null ? 'N/A' : asset.recommendation.score)],
+        ['Risk', asset => asset.recommendation.riskLevel],
+        ['Price', asset => (asset.price === 'N/A' ? 'N/A' : `${pricePrefix(asset.asset)}${asset.price} ${dataBadge(asset.technical)}`)],
+        ['1D', asset => percent(asset.changePercent)],
+        ['1M', asset => percent(asset.performance.month)],
+        ['3M', asset => percent(asset.performance.threeMonth)],
+        ['1Y', asset => percent(asset.performance.year)],
+        ['P/E', asset => asset.valuation.peRatio],
+        ['Market Cap', asset => (asset.valuation.marketCap === 'N/A' ? 'N/A' : formatNumber(asset.valuation.marketCap))],
+        ['Dividend Yield', asset => asset.valuation.dividendYield],
+        ['EPS', asset => asset.valuation.eps],
+        // Risk measures are missing for symbols with too little history
+        ['Volatility', asset => (asset.risk && asset.risk.level ? `${asset.risk.volatility}%` : 'N/A')],
+        ['Max Drawdown', asset => (asset.risk && asset.risk.level ? percent(asset.risk.maxDrawdown.percent) : 'N/A')],
+        ['1D VaR 95%', asset => (asset.risk && asset.risk.level ? `${asset.risk.var95.historical}%` : 'N/A')],
+        ['Beta', asset => (asset.risk && asset.risk.benchmark && asset.risk.benchmark.beta !== null ? asset.risk.benchmark.beta : 'N/A')],
+        ['Sentiment', asset => asset.sentiment.score]
+    ];
+
+    let html = `<div class="analysis-result">`;
+    html += `<div class="analysis-section">`;
+    html += `<h4>⚖️ ${comparison.symbols.join(' vs ')}</h4>`;
+    html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+    html += `<thead><tr><th>Metric</th>`;
+    assets.forEach(asset => {
+        const rank = comparison.ranking.find(entry => entry.symbol === asset.symbol).rank;
+        html += `<th>${escapeHtml(asset.symbol)} <span class="rank">#${rank}</span></th>`;
+    });
+    html += `</tr></thead><tbody>`;
+    rows.forEach(([label, value]) => {
+        html += `<tr><td>${label}</td>`;
+        assets.forEach(asset => {
+            html += `<td>${value(asset)}</td>`;
+        });
+        html += `</tr>`;
+    });
+    html += `</tbody></table></div>`;
+    html += `</div>`;
+
+    html += `<div class="analysis-section recommendation-section">`;
+    html += `<h4>🏆 Verdict</h4>`;
+    html += `<p>${escapeHtml(comparison.verdict)}</p>`;
+    html += `</div>`;
+    html += `</div>`;
+    return html;
+}
+
+function formatPortfolio(portfolio) {
+    let html = `<div class="analysis-result">`;
+    html += `<div class="analysis-section">`;
+    if (portfolio.action === 'add' || portfolio.positions.length === 0) {
+        html += `<p>${escapeHtml(portfolio.summary)}</p>`;
+        html += `</div></div>`;
+        return html;
+    }
+
+    const { totals, concentration } = portfolio;
+    html += `<h4>💼 Portfolio</h4>`;
+    html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+    html += `<thead><tr><th>Symbol</th><th>Shares</th><th>Avg Cost</th><th>Price</th><th>Value</th><th>P&L</th><th>Weight</th></tr></thead><tbody>`;
+    portfolio.positions.forEach(position => {
+        const pnl = position.unrealizedPnlPercent;
+        html += `<tr><td>${escapeHtml(position.symbol)}</td>`;
+        html += `<td>${position.quantity}</td>`;
+        html += `<td>$${formatMoney(position.averageCost)}</td>`;
+        html += `<td>${position.price === null ? 'N/A' : '$' + formatMoney(position.price)} ${dataBadge(position)}</td>`;
+        html += `<td>$${formatMoney(position.marketValue)}</td>`;
+        html += `<td>${pnl === null ? 'N/A' : `<span class="${pnl >= 0 ? 'positive' : 'negative'}">${pnl > 0 ? '+' : ''}${pnl}%</span>`}</td>`;
+        html += `<td>${position.allocationPercent}%</td></tr>`;
+    });
+    html += `</tbody></table></div>`;
+    html += `<p><strong>Total:</strong> $${formatMoney(totals.marketValue)} (cost $${formatMoney(totals.costBasis)}, ${totals.unrealizedPnl >= 0 ? '+' : '-'}$${formatMoney(Math.abs(totals.unrealizedPnl))})</p>`;
+    html += `<p><strong>Concentration:</strong> ${concentration.level} — largest ${escapeHtml(concentration.largest.symbol)} at ${concentration.largest.allocationPercent}%, top 3 at ${concentration.top3Percent}%</p>`;
+    if (totals.realizedPnl || totals.dividends) {
+        html += `<p><strong>Realized:</strong> ${totals.realizedPnl >= 0 ? '+' : '-'}$${formatMoney(Math.abs(totals.realizedPnl))}, dividends $${formatMoney(totals.dividends)}</p>`;
+    }
+    [...concentration.warnings, ...(portfolio.warnings || [])].forEach(warning => {
+        html += `<p>⚠️ ${escapeHtml(warning)}</p>`;
+    });
+    html += `</div>`;
+    html += `</div>`;
+    return html;
+}
+
+function formatImport(report) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    let html = `<div class="analysis-result">`;
+    html += `<div class="analysis-section">`;
+    html += `<h4>📥 Import (${escapeHtml(report.template)})</h4>`;
+    html += `<p>${plural(report.imported, 'transaction')} imported from ${plural(report.rows, 'row')}`;
+    if (report.duplicates.length > 0) {
+        html += `, ${report.duplicates.length} already imported before`;
+    }
+    if (report.skipped.length > 0) {
+        html += `, ${report.skipped.length} skipped (transfers, interest and other non-trading activity)`;
+    }
+    html += `.</p>`;
+    if (report.errors.length > 0) {
+        html += `<p><strong>${plural(report.errors.length, 'row')} could not be read:</strong></p><ul>`;
+        report.errors.forEach(row => {
+            html += `<li>Line ${row.line}: ${escapeHtml(row.error)}</li>`;
+        });
+        html += `</ul>`;
+    }
+    report.warnings.forEach(warning => {
+        html += `<p>⚠️ ${escapeHtml(warning)}</p>`;
+    });
+    html += `</div>`;
+    html += `</div>`;
+    return html;
+}
+
+function formatWatchlist(watchlist) {
+    let html = `<div class="analysis-result">`;
+    html += `<div class="analysis-section">`;
+    html += `<h4>📋 ${escapeHtml(watchlist.name)}</h4>`;
+    html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+    html += `<thead><tr><th>Symbol</th><th>Price</th><th>Change</th><th>Signal</th><th>Risk</th></tr></thead><tbody>`;
+    watchlist.rows.forEach(row => {
+        html += `<tr><td>${escapeHtml(row.symbol)}</td>`;
+        if (row.error) {
+            html += `<td colspan="4">${escapeHtml(row.error)}</td></tr>`;
+            return;
+        }
+        const change = parseFloat(row.changePercent);
+        html += `<td>${row.price === 'N/A' ? 'N/A' : pricePrefix(row.asset) + row.price} ${dataBadge(row)}</td>`;
+        html += `<td>${isNaN(change) ? 'N/A' : `<span class="${change >= 0 ? 'positive' : 'negative'}">${change > 0 ? '+' : ''}${row.changePercent}%</span>`}</td>`;
+        html += `<td>${row.action}</td>`;
+        html += `<td>${row.riskLevel}</td></tr>`;
+    });
+    html += `</tbody></table></div>`;
+    html += `</div>`;
+    html += `</div>`;
+    return html;
+}
+
+function formatScreen(screen) {
+    const format = (column, value) => {
+        if (value === null || value === undefined) return 'N/A';
+        if (column.unit === 'percent') return `${Math.round(value * 100) / 100}%`;
+        if (column.unit === 'money') return `$${formatNumber(value)}`;
+        if (column.unit === 'count') return formatNumber(value);
+        return Math.round(value * 100) / 100;
+    };
+    let html = `<div class="analysis-result">`;
+    html += `<div class="analysis-section">`;
+    html += `<h4>🔎 Screen: ${escapeHtml(screen.filter)}</h4>`;
+    html += `<p>${screen.matched} of ${screen.universe.size} symbols in ${escapeHtml(screen.universe.name)} match${screen.matched > screen.rows.length ? ` (showing ${screen.rows.length})` : ''}.</p>`;
+    if (screen.rows.length > 0) {
+        html += `<div class="comparison-table-wrapper"><table class="comparison-table">`;
+        html += `<thead><tr><th>Symbol</th>${screen.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead><tbody>`;
+        screen.rows.forEach(row => {
+            html += `<tr><td title="${escapeHtml(row.name || '')}">${escapeHtml(row.symbol)} ${dataBadge(row)}</td>`;
+            html += screen.columns.map(column => `<td>${format(column, row.values[column.key])}</td>`).join('');
+            html += `</tr>`;
+        });
+        html += `</tbody></table></div>`;
+    }
+    if (screen.skipped.length > 0) {
+        html += `<p class="statement-basis">Skipped for missing data: ${screen.skipped.map(entry => `<span title="${escapeHtml(entry.reason)}">${escapeHtml(entry.symbol)}</span>`).join(', ')}</p>`;
+    }
+    html += `</div>`;
+    html += `</div>`;
+    return html;
+}
+
+// Visible marker for sections served from the last-known cache or missing entirely
+function dataBadge(section) {
+    if (!section || !section.dataStatus || section.dataStatus === 'live') return '';
+    if (section.dataStatus === 'stale') {
+        return `<span class="data-badge stale" title="Live fetch failed; showing last known data">Stale · ${formatAge(section.ageSeconds)} old</span>`;
+    }
+    return `<span class="data-badge unavailable">Data unavailable</span>`;
+}
+
+function formatAge(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.round(seconds / 3600)}h`;
+    return `${Math.round(seconds / 86400)}d`;
+}
+
 function displayError(message) {
     const messageDiv = document.createElement('div');
     messageDiv.className = 'message bot-message';
@@ -334,6 +1246,18 @@ function formatMarkdown(text) {
         .replace(/\n/g, '<br>');
 }
 
+function formatMoney(value) {
+    return Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// 416161000000 -> "$416.2B"
+function formatLargeNumber(value) {
+    if (value === null || value === undefined) return 'N/A';
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M']];
+    const [size, suffix] = units.find(([unit]) => Math.abs(value) >= unit) || [1, ''];
+    return `${value < 0 ? '-' : ''}$${(Math.abs(value) / size).toFixed(1)}${suffix}`;
+}
+
 function formatNumber(num) {
     if (!num) return 'N/A';
     return parseInt(num).toLocaleString();
@@ -0,0 +1,381 @@
+// Interactive price chart drawn on a <canvas>; no external libraries.
+//
+// mountPriceChart(container, chart, articles) renders the series from
+// technical.chart (see lib/chart.js): candlesticks or a close line, volume bars,
+// SMA 20/50/200 and Bollinger overlays, 1M/3M/1Y/5Y ranges and a marker for each
+// news article on the session it was published.
+
+// Calendar months back from the last bar, so coins trading every day and stocks
+// trading five days a week show the same span
+const CHART_RANGES = {
+    '1M': { series: 'daily', months: 1 },
+    '3M': { series: 'daily', months: 3 },
+    '1Y': { series: 'daily', months: 12 },
+    '5Y': { series: 'weekly', months: Infinity }
+};
+
+const CHART_COLORS = {
+    up: '#28a745',
+    down: '#dc3545',
+    line: '#007AFF',
+    grid: '#e9ecef',
+    text: '#888',
+    sma20: '#f0ad4e',
+    sma50: '#007AFF',
+    sma200: '#6f42c1',
+    bollinger: '#adb5bd',
+    news: '#495057',
+    crosshair: '#666'
+};
+
+const CHART_HEIGHT = 320;
+const CHART_PADDING = { top: 10, right: 64, bottom: 24, left: 8 };
+const VOLUME_SHARE = 0.22;
+
+// Ranges the history fills; 5Y (everything up to five years) needs more than a year.
+// A compact Alpha Vantage series (100 sessions) stops at 3M.
+function chartRanges(chart) {
+    if (chart.months === undefined) return Object.keys(CHART_RANGES);
+    const ranges = Object.keys(CHART_RANGES).filter(range => {
+        const { months } = CHART_RANGES[range];
+        return months === Infinity ? chart.months > 12 : chart.months >= months;
+    });
+    return ranges.length > 0 ? ranges : ['1M'];
+}
+
+function mountPriceChart(container, chart, articles) {
+    const ranges = chartRanges(chart);
+    const state = { range: ranges.includes('3M') ? '3M' : ranges[ranges.length - 1], style: 'candles', sma: true, bollinger: false, hover: null };
+
+    container.innerHTML = `
+        <div class="chart-toolbar">
+            <div class="chart-group">
+                ${ranges.map(range => `<button type="button" data-range="${range}">${range}</button>`).join('')}
+            </div>
+            <div class="chart-group">
+                <button type="button" data-style="candles">Candles</button>
+                <button type="button" data-style="line">Line</button>
+            </div>
+            <div class="chart-group">
+                <label><input type="checkbox" data-overlay="sma" checked> SMA</label>
+                <label><input type="checkbox" data-overlay="bollinger"> Bollinger</label>
+            </div>
+        </div>
+        <div class="chart-canvas-wrapper">
+            <canvas></canvas>
+            <div class="chart-tooltip" hidden></div>
+        </div>
+    `;
+    const canvas = container.querySelector('canvas');
+    const tooltip = container.querySelector('.chart-tooltip');
+    let layout = null;
+
+    container.querySelector('.chart-toolbar').addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+        if (button.dataset.range) state.range = button.dataset.range;
+        if (button.dataset.style) state.style = button.dataset.style;
+        state.hover = null;
+        draw();
+    });
+    container.querySelector('.chart-toolbar').addEventListener('change', (event) => {
+        const overlay = event.target.dataset.overlay;
+        if (overlay) {
+            state[overlay] = event.target.checked;
+            draw();
+        }
+    });
+    canvas.addEventListener('mousemove', (event) => {
+        if (!layout) return;
+        const rect = canvas.getBoundingClientRect();
+        const index = Math.floor((event.clientX - rect.left - layout.left) / layout.step);
+        state.hover = index >= 0 && index < layout.view.dates.length ? index : null;
+        draw();
+    });
+    canvas.addEventListener('mouseleave', () => {
+        state.hover = null;
+        draw();
+    });
+    if (window.ResizeObserver) {
+        new ResizeObserver(() => draw()).observe(container);
+    }
+
+    function draw() {
+        const width = container.clientWidth;
+        if (width === 0) return;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = width * ratio;
+        canvas.height = CHART_HEIGHT * ratio;
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${CHART_HEIGHT}px`;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, CHART_HEIGHT);
+
+        container.querySelectorAll('[data-range]').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === state.range);
+        });
+        container.querySelectorAll('[data-style]').forEach(button => {
+            button.classList.toggle('active', button.dataset.style === state.style);
+        });
+
+        const view = chartView(chart, state.range);
+        if (view.dates.length === 0) {
+            layout = null;
+            ctx.fillStyle = CHART_COLORS.text;
+            ctx.font = '13px sans-serif';
+            ctx.fillText('No price history for this range', CHART_PADDING.left, CHART_HEIGHT / 2);
+            return;
+        }
+
+        layout = chartLayout(view, width, state);
+        drawGrid(ctx, layout, chart);
+        if (state.bollinger) drawBollinger(ctx, layout);
+        drawVolume(ctx, layout);
+        if (state.style === 'candles') {
+            drawCandles(ctx, layout);
+        } else {
+            drawLine(ctx, layout, view.close, CHART_COLORS.line, 2);
+        }
+        if (state.sma) {
+            drawLine(ctx, layout, view.sma20, CHART_COLORS.sma20, 1);
+            drawLine(ctx, layout, view.sma50, CHART_COLORS.sma50, 1);
+            drawLine(ctx, layout, view.sma200, CHART_COLORS.sma200, 1);
+        }
+        const markers = newsMarkers(view, articles);
+        drawNewsMarkers(ctx, layout, markers);
+        drawDateLabels(ctx, layout);
+        drawHover(ctx, layout, markers, state.hover, tooltip);
+    }
+
+    draw();
+}
+
+function escapeChartText(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// The slice of the daily or weekly series shown for a range
+function chartView(chart, range) {
+    const { series, months } = CHART_RANGES[range];
+    const source = chart[series];
+    let start = 0;
+    if (months !== Infinity && source.dates.length > 0) {
+        const from = new Date(`${source.dates[source.dates.length - 1]}T00:00:00Z`);
+        from.setUTCMonth(from.getUTCMonth() - months);
+        const index = source.dates.findIndex(date => date > from.toISOString().slice(0, 10));
+        start = index === -1 ? 0 : index;
+    }
+    const view = {};
+    Object.keys(source).forEach(field => {
+        view[field] = source[field].slice(start);
+    });
+    view.weekly = series === 'weekly';
+    return view;
+}
+
+function chartLayout(view, width, state) {
+    const left = CHART_PADDING.left;
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const volumeHeight = plotHeight * VOLUME_SHARE;
+    const priceHeight = plotHeight - volumeHeight - 8;
+
+    // Price scale covers the bars plus whichever overlays are visible
+    const values = [...view.high, ...view.low];
+    if (state.sma) values.push(...view.sma20, ...view.sma50, ...view.sma200);
+    if (state.bollinger) values.push(...view.bollingerUpper, ...view.bollingerLower);
+    const prices = values.filter(value => value !== null && value !== undefined);
+    let min = Math.min(...prices);
+    let max = Math.max(...prices);
+    const padding = (max - min) * 0.05 || max * 0.01 || 1;
+    min -= padding;
+    max += padding;
+    const maxVolume = Math.max(...view.volume, 1);
+
+    const priceTop = CHART_PADDING.top;
+    const volumeTop = priceTop + priceHeight + 8;
+    return {
+        view,
+        width,
+        left,
+        plotWidth,
+        step: plotWidth / view.dates.length,
+        priceTop,
+        priceHeight,
+        volumeTop,
+        volumeHeight,
+        min,
+        max,
+        x: index => left + (index + 0.5) * (plotWidth / view.dates.length),
+        y: price => priceTop + (1 - (price - min) / (max - min)) * priceHeight,
+        volumeY: volume => volumeTop + volumeHeight * (1 - volume / maxVolume)
+    };
+}
+
+// Axis labels at the series' price precision; "$" only for dollar prices
+function drawGrid(ctx, layout, chart) {
+    const decimals = chart.decimals ?? 2;
+    const prefix = (chart.currency || 'USD') === 'USD' ? '$' : '';
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const price = layout.min + ((layout.max - layout.min) * i) / 4;
+        const y = Math.round(layout.y(price)) + 0.5;
+        ctx.strokeStyle = CHART_COLORS.grid;
+        ctx.beginPath();
+        ctx.moveTo(layout.left, y);
+        ctx.lineTo(layout.left + layout.plotWidth, y);
+        ctx.stroke();
+        ctx.fillStyle = CHART_COLORS.text;
+        ctx.fillText(`${prefix}${price.toFixed(decimals)}`, layout.left + layout.plotWidth + 6, y);
+    }
+}
+
+function drawCandles(ctx, layout) {
+    const { view } = layout;
+    const bodyWidth = Math.max(1, layout.step * 0.6);
+    view.dates.forEach((date, i) => {
+        const x = layout.x(i);
+        const up = view.close[i] >= view.open[i];
+        ctx.strokeStyle = ctx.fillStyle = up ? CHART_COLORS.up : CHART_COLORS.down;
+        ctx.beginPath();
+        ctx.moveTo(x, layout.y(view.high[i]));
+        ctx.lineTo(x, layout.y(view.low[i]));
+        ctx.stroke();
+        const top = layout.y(Math.max(view.open[i], view.close[i]));
+        const bottom = layout.y(Math.min(view.open[i], view.close[i]));
+        ctx.fillRect(x - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top));
+    });
+}
+
+// Polyline that skips the leading nulls of an overlay
+function drawLine(ctx, layout, values, color, lineWidth) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    let drawing = false;
+    values.forEach((value, i) => {
+        if (value === null || value === undefined) {
+            drawing = false;
+            return;
+        }
+        if (drawing) {
+            ctx.lineTo(layout.x(i), layout.y(value));
+        } else {
+            ctx.moveTo(layout.x(i), layout.y(value));
+            drawing = true;
+        }
+    });
+    ctx.stroke();
+    ctx.lineWidth = 1;
+}
+
+function drawBollinger(ctx, layout) {
+    const { view } = layout;
+    const indexes = view.dates.map((date, i) => i).filter(i => view.bollingerUpper[i] !== null);
+    if (indexes.length === 0) return;
+
+    ctx.fillStyle = 'rgba(173, 181, 189, 0.15)';
+    ctx.beginPath();
+    indexes.forEach((i, n) => {
+        const point = [layout.x(i), layout.y(view.bollingerUpper[i])];
+        if (n === 0) ctx.moveTo(...point);
+        else ctx.lineTo(...point);
+    });
+    [...indexes].reverse().forEach(i => ctx.lineTo(layout.x(i), layout.y(view.bollingerLower[i])));
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.setLineDash([4, 3]);
+    drawLine(ctx, layout, view.bollingerUpper, CHART_COLORS.bollinger, 1);
+    drawLine(ctx, layout, view.bollingerLower, CHART_COLORS.bollinger, 1);
+    ctx.setLineDash([]);
+}
+
+function drawVolume(ctx, layout) {
+    const { view } = layout;
+    const barWidth = Math.max(1, layout.step * 0.6);
+    view.dates.forEach((date, i) => {
+        const up = i === 0 ? view.close[i] >= view.open[i] : view.close[i] >= view.close[i - 1];
+        ctx.fillStyle = up ? 'rgba(40, 167, 69, 0.35)' : 'rgba(220, 53, 69, 0.35)';
+        const top = layout.volumeY(view.volume[i]);
+        ctx.fillRect(layout.x(i) - barWidth / 2, top, barWidth, layout.volumeTop + layout.volumeHeight - top);
+    });
+}
+
+// Articles grouped by the bar (day, or week on the 5Y view) they were published in
+function newsMarkers(view, articles) {
+    const markers = new Map();
+    (articles || []).forEach(article => {
+        if (!article.publishedAt) return;
+        const day = article.publishedAt.slice(0, 10);
+        if (day < view.dates[0] && !view.weekly) return;
+        const index = view.dates.findIndex(date => date >= day);
+        if (index === -1) return;
+        if (!markers.has(index)) markers.set(index, []);
+        markers.get(index).push(article);
+    });
+    return markers;
+}
+
+function drawNewsMarkers(ctx, layout, markers) {
+    const y = layout.priceTop + layout.priceHeight - 6;
+    markers.forEach((articles, index) => {
+        const score = articles.reduce((sum, article) => sum + (article.score || 0), 0) / articles.length;
+        ctx.fillStyle = score > 0.05 ? CHART_COLORS.up : score < -0.05 ? CHART_COLORS.down : CHART_COLORS.news;
+        ctx.beginPath();
+        ctx.moveTo(layout.x(index), y - 7);
+        ctx.lineTo(layout.x(index) - 5, y + 2);
+        ctx.lineTo(layout.x(index) + 5, y + 2);
+        ctx.closePath();
+        ctx.fill();
+    });
+}
+
+function drawDateLabels(ctx, layout) {
+    const { dates } = layout.view;
+    const labels = Math.min(5, dates.length);
+    ctx.fillStyle = CHART_COLORS.text;
+    ctx.font = '11px sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'center';
+    for (let n = 0; n < labels; n++) {
+        const index = labels === 1 ? 0 : Math.round((n * (dates.length - 1)) / (labels - 1));
+        const x = Math.min(Math.max(layout.x(index), layout.left + 30), layout.left + layout.plotWidth - 30);
+        ctx.fillText(dates[index], x, CHART_HEIGHT - CHART_PADDING.bottom + 6);
+    }
+    ctx.textAlign = 'left';
+}
+
+function drawHover(ctx, layout, markers, index, tooltip) {
+    if (index === null) {
+        tooltip.hidden = true;
+        return;
+    }
+    const { view } = layout;
+    const x = Math.round(layout.x(index)) + 0.5;
+    ctx.strokeStyle = CHART_COLORS.crosshair;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, layout.priceTop);
+    ctx.lineTo(x, layout.volumeTop + layout.volumeHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    let html = `<strong>${view.weekly ? 'Week to ' : ''}${escapeChartText(view.dates[index])}</strong><br>`;
+    html += `O ${view.open[index]} H ${view.high[index]} L ${view.low[index]} C ${view.close[index]}<br>`;
+    html += `Vol ${Number(view.volume[index]).toLocaleString()}`;
+    (markers.get(index) || []).forEach(article => {
+        html += `<div class="chart-tooltip-news">📰 ${escapeChartText(article.title || '')}</div>`;
+    });
+    tooltip.innerHTML = html;
+    tooltip.hidden = false;
+    // Keep the tooltip on the side away from the cursor
+    const onRight = layout.x(index) < layout.width / 2;
+    tooltip.style.left = onRight ? `${layout.x(index) + 12}px` : '';
+    tooltip.style.right = onRight ? '' : `${layout.width - layout.x(index) + 12}px`;
+}
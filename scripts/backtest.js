@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Backtest the recommendation model from the command line.
+//
+//   npm run backtest -- AAPL [--from 2024-01-01] [--to 2025-01-01]
+//                          [--warmup 50] [--horizon 5] [--profile value] [--short] [--json]
+//
+// History is read from fixtures/history/<SYMBOL>.csv|json (override with HISTORY_DIR).
+require('dotenv').config();
+const { backtestSymbol } = require('../lib/backtest.js');
+
+function parseArgs(argv) {
+  const options = { symbols: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--short') options.allowShort = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--')) options[arg.slice(2)] = argv[++i];
+    else options.symbols.push(arg.toUpperCase());
+  }
+  return options;
+}
+
+function format(value, suffix = '%') {
+  return value === null || value === undefined ? 'n/a' : `${value}${suffix}`;
+}
+
+function printReport(result) {
+  const { strategy, buyAndHold, hitRate, signals, period } = result;
+  console.log(`\n📊 ${result.symbol}  ${period.from} → ${period.to} (${period.tradingDays} trading days, ${result.profile} profile)`);
+  console.log(`Signals: ${signals.BUY} BUY / ${signals.HOLD} HOLD / ${signals.SELL} SELL, ${strategy.trades} trades, ${format(strategy.exposure)} exposure`);
+  console.log(`Hit rate (${hitRate.horizonDays}-day): ${format(hitRate.overall)} overall, ${format(hitRate.buy)} BUY, ${format(hitRate.sell)} SELL\n`);
+  console.table({
+    Strategy: {
+      'Total return': format(strategy.totalReturn),
+      'Annualized': format(strategy.annualizedReturn),
+      'Max drawdown': format(strategy.maxDrawdown),
+      'Sharpe': format(strategy.sharpe, '')
+    },
+    'Buy & hold': {
+      'Total return': format(buyAndHold.totalReturn),
+      'Annualized': format(buyAndHold.annualizedReturn),
+      'Max drawdown': format(buyAndHold.maxDrawdown),
+      'Sharpe': format(buyAndHold.sharpe, '')
+    }
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.symbols.length === 0) {
+    console.error('Usage: npm run backtest -- SYMBOL [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--warmup N] [--horizon N] [--profile NAME] [--short] [--json]');
+    process.exit(1);
+  }
+
+  for (const symbol of options.symbols) {
+    const result = await backtestSymbol(symbol, {
+      from: options.from,
+      to: options.to,
+      warmup: options.warmup === undefined ? undefined : parseInt(options.warmup, 10),
+      horizon: options.horizon === undefined ? undefined : parseInt(options.horizon, 10),
+      allowShort: Boolean(options.allowShort),
+      profile: options.profile
+    });
+    if (options.json) console.log(JSON.stringify(result, null, 2));
+    else printReport(result);
+  }
+}
+
+main().catch(error => {
+  console.error(`Backtest failed: ${error.message}`);
+  process.exit(1);
+});
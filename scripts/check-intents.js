@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Runs the query parser over the example corpus in fixtures/queries.json and
+// reports every query whose parsed intent, symbols, time range, metrics,
+// ambiguous names, alert, portfolio command or screen differ from the expected ones.
+//
+//   npm run check:intents [-- --verbose]
+const path = require('path');
+const { parseQuery, INTENTS } = require('../lib/intent.js');
+
+const corpus = require(path.join(__dirname, '..', 'fixtures', 'queries.json'));
+const verbose = process.argv.includes('--verbose');
+
+function differences(parsed, expect) {
+  const problems = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (parsed.intent !== expect.intent) problems.push(`intent ${parsed.intent} != ${expect.intent}`);
+  if (!INTENTS.includes(parsed.intent)) problems.push(`intent ${parsed.intent} is not listed in INTENTS`);
+  if (!same(parsed.symbols, expect.symbols)) problems.push(`symbols ${parsed.symbols.join(',')} != ${expect.symbols.join(',')}`);
+  if ('timeRange' in expect) {
+    const label = parsed.timeRange ? parsed.timeRange.label : null;
+    if (label !== expect.timeRange) problems.push(`time range ${label} != ${expect.timeRange}`);
+  }
+  if ('metrics' in expect && !same(parsed.metrics, expect.metrics)) {
+    problems.push(`metrics ${parsed.metrics.join(',')} != ${expect.metrics.join(',')}`);
+  }
+  if ('ambiguous' in expect) {
+    const texts = parsed.ambiguous.map(entry => entry.text);
+    if (!same(texts, expect.ambiguous)) problems.push(`ambiguous ${texts.join(',')} != ${expect.ambiguous.join(',')}`);
+  }
+  if ('alert' in expect && !same(parsed.alert, expect.alert)) {
+    problems.push(`alert ${JSON.stringify(parsed.alert)} != ${JSON.stringify(expect.alert)}`);
+  }
+  if ('portfolio' in expect && !same(parsed.portfolio, expect.portfolio)) {
+    problems.push(`portfolio ${JSON.stringify(parsed.portfolio)} != ${JSON.stringify(expect.portfolio)}`);
+  }
+  if ('screen' in expect && !same(parsed.screen, expect.screen)) {
+    problems.push(`screen ${JSON.stringify(parsed.screen)} != ${JSON.stringify(expect.screen)}`);
+  }
+  return problems;
+}
+
+let failures = 0;
+corpus.forEach(({ query, lastSymbol, expect }) => {
+  const parsed = parseQuery(query, { lastSymbol });
+  const problems = differences(parsed, expect);
+  if (problems.length > 0) {
+    failures++;
+    console.log(`✗ ${query}\n    ${problems.join('\n    ')}`);
+  } else if (verbose) {
+    console.log(`✓ ${query} → ${parsed.intent} ${parsed.symbols.join(',')}`);
+  }
+});
+
+console.log(`\n${corpus.length - failures}/${corpus.length} queries parsed as expected`);
+process.exit(failures > 0 ? 1 : 0);
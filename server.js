@@ -6,10 +6,64 @@ const url = require('url');
 // Load environment variables
 require('dotenv').config();
 
-// Import the analyze function
+// Import the API handlers
 const analyzeHandler = require('./api/analyze.js');
+const statusHandler = require('./api/status.js');
+const watchlistsHandler = require('./api/watchlists.js');
+const alertsHandler = require('./api/alerts.js');
+const backtestHandler = require('./api/backtest.js');
+const symbolsHandler = require('./api/symbols.js');
+const sessionsHandler = require('./api/sessions.js');
+const portfolioHandler = require('./api/portfolio.js');
+const reportHandler = require('./api/report.js');
+const screenHandler = require('./api/screen.js');
+const { evaluateAlerts, alertCheckInterval } = require('./lib/alerts.js');
+const { purgeExpiredSessions } = require('./lib/sessions.js');
 
-const PORT = 3000;
+// API routes, served by the same handlers Vercel deploys from api/.
+// :params are passed to the handler in req.query (mirrors the rewrites in vercel.json).
+const apiRoutes = [
+  ['/api/analyze', analyzeHandler],
+  ['/api/status', statusHandler],
+  ['/api/watchlists', watchlistsHandler],
+  ['/api/watchlists/:name', watchlistsHandler],
+  ['/api/watchlists/:name/:action', watchlistsHandler],
+  ['/api/alerts', alertsHandler],
+  ['/api/alerts/:id', alertsHandler],
+  ['/api/backtest', backtestHandler],
+  ['/api/symbols', symbolsHandler],
+  ['/api/sessions', sessionsHandler],
+  ['/api/sessions/:id', sessionsHandler],
+  ['/api/portfolio', portfolioHandler],
+  ['/api/portfolio/:resource', portfolioHandler],
+  ['/api/portfolio/:resource/:id', portfolioHandler],
+  ['/api/report', reportHandler],
+  ['/api/screen', screenHandler]
+].map(([template, handler]) => {
+  const params = [];
+  const pattern = template.replace(/:(\w+)/g, (match, param) => {
+    params.push(param);
+    return '([^/]+)';
+  });
+  return { pattern: new RegExp(`^${pattern}$`), params, handler };
+});
+
+function matchRoute(pathname) {
+  for (const route of apiRoutes) {
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      const params = {};
+      route.params.forEach((param, i) => {
+        params[param] = decodeURIComponent(match[i + 1]);
+      });
+      return { handler: route.handler, params };
+    }
+  }
+  return null;
+}
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const SESSION_PURGE_INTERVAL = 60 * 60 * 1000;
 
 // MIME types
 const mimeTypes = {
@@ -30,6 +84,48 @@ const mimeTypes = {
   '.wasm': 'application/wasm'
 };
 
+// Wrap the Node response in the Vercel-style helpers the handlers expect
+function createResponse(res) {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader: function(name, value) {
+      this.headers[name] = value;
+    },
+    status: function(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json: function(data) {
+      res.writeHead(this.statusCode, {
+        'Content-Type': 'application/json',
+        ...this.headers
+      });
+      res.end(JSON.stringify(data));
+    },
+    send: function(body) {
+      res.writeHead(this.statusCode, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        ...this.headers
+      });
+      res.end(body);
+    },
+    // Streaming responses (Server-Sent Events) send the head with the first chunk
+    write: function(chunk) {
+      if (!res.headersSent) {
+        res.writeHead(this.statusCode, this.headers);
+      }
+      res.write(chunk);
+    },
+    end: function() {
+      if (!res.headersSent) {
+        res.writeHead(this.statusCode, this.headers);
+      }
+      res.end();
+    }
+  };
+}
+
 const server = http.createServer(async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -46,7 +142,8 @@ const server = http.createServer(async (req, res) => {
   const pathname = parsedUrl.pathname;
 
   // Handle API routes
-  if (pathname === '/api/analyze' && req.method === 'POST') {
+  const route = matchRoute(pathname);
+  if (route) {
     let body = '';
     req.on('data', chunk => {
       body += chunk.toString();
@@ -54,33 +151,10 @@ const server = http.createServer(async (req, res) => {
     
     req.on('end', async () => {
       try {
-        req.body = JSON.parse(body);
-        
-        // Create a mock response object
-        const mockRes = {
-          statusCode: 200,
-          headers: {},
-          setHeader: function(name, value) {
-            this.headers[name] = value;
-          },
-          status: function(code) {
-            this.statusCode = code;
-            return this;
-          },
-          json: function(data) {
-            res.writeHead(this.statusCode, {
-              'Content-Type': 'application/json',
-              ...this.headers
-            });
-            res.end(JSON.stringify(data));
-          },
-          end: function() {
-            res.writeHead(this.statusCode, this.headers);
-            res.end();
-          }
-        };
-
-        await analyzeHandler.default(req, mockRes);
+        req.body = body ? JSON.parse(body) : {};
+        req.query = { ...parsedUrl.query, ...route.params };
+
+        await route.handler.default(req, createResponse(res));
       } catch (error) {
         console.error('API Error:', error);
         res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -116,7 +190,37 @@ const server = http.createServer(async (req, res) => {
   });
 });
 
+// Background alert evaluation; a slow run is never overlapped by the next tick
+let alertCheckRunning = false;
+setInterval(async () => {
+  if (alertCheckRunning) return;
+  alertCheckRunning = true;
+  try {
+    const triggered = await evaluateAlerts(analyzeHandler.analyzeAsset);
+    if (triggered.length > 0) {
+      console.log(`🔔 ${triggered.length} alert(s) triggered`);
+    }
+  } catch (error) {
+    console.error('Alert check error:', error);
+  } finally {
+    alertCheckRunning = false;
+  }
+}, alertCheckInterval() * 1000);
+
+// Expired chat sessions are also skipped on read; this just keeps the file small
+setInterval(async () => {
+  try {
+    const purged = await purgeExpiredSessions();
+    if (purged > 0) {
+      console.log(`🧹 ${purged} expired session(s) removed`);
+    }
+  } catch (error) {
+    console.error('Session purge error:', error);
+  }
+}, SESSION_PURGE_INTERVAL);
+
 server.listen(PORT, () => {
   console.log(`🚀 Financial Chat Analyzer running at http://localhost:${PORT}`);
   console.log(`📊 API endpoint: http://localhost:${PORT}/api/analyze`);
+  console.log(`📡 Status: http://localhost:${PORT}/api/status`);
 });
@@ -0,0 +1,91 @@
+// Alert evaluation through the API handler, against the mock upstream
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream } from './helpers/mockUpstream.js';
+import { useMockUpstream, invoke } from './helpers/environment.js';
+
+const upstream = await startMockUpstream();
+useMockUpstream(upstream);
+const { default: handler } = await import('../api/alerts.js');
+const { default: analyzeHandler } = await import('../api/analyze.js');
+const { upstreamCache } = await import('../lib/cache.js');
+
+before(() => upstreamCache.clear());
+beforeEach(() => upstream.reset());
+after(() => upstream.close());
+
+test('a price alert fires from the price history alone', async () => {
+  const created = await invoke(handler, { body: { type: 'price', symbol: 'MSFT', operator: 'above', value: 1 } });
+  assert.equal(created.status, 201);
+
+  const { status, body } = await invoke(handler, { query: { id: 'check' } });
+  assert.equal(status, 200);
+  assert.equal(body.triggered.length, 1);
+  assert.equal(body.triggered[0].alertId, created.body.id);
+  assert.match(body.triggered[0].message, /MSFT above 1 \(now [\d.]+\)/);
+  assert.deepEqual(upstream.requests.map(request => request.route), ['TIME_SERIES_DAILY:MSFT']);
+
+  // A one-off alert is done once it fires
+  const { body: list } = await invoke(handler, { method: 'GET' });
+  assert.equal(list.alerts.find(alert => alert.id === created.body.id).active, false);
+});
+
+test('a recommendation alert watches the signal the chat gives', async () => {
+  const created = await invoke(handler, { body: { type: 'recommendation', symbol: 'AAPL', to: 'SELL' } });
+  assert.equal(created.status, 201);
+
+  const check = await invoke(handler, { query: { id: 'check' } });
+  // The first check only records the current signal
+  assert.deepEqual(check.body.triggered, []);
+  // Scored with the earnings calendar and the measured risk, as in the chat
+  assert.ok(upstream.requestsFor('EARNINGS:AAPL').length > 0);
+  assert.ok(upstream.requestsFor('TIME_SERIES_DAILY:SPY').length > 0);
+
+  const chat = await invoke(analyzeHandler, { body: { symbol: 'AAPL' } });
+  const { body: list } = await invoke(handler, { method: 'GET' });
+  const alert = list.alerts.find(entry => entry.id === created.body.id);
+  assert.equal(alert.lastValue, chat.body.recommendation.recommendation);
+  assert.equal(alert.active, true);
+});
+
+test('creates an indicator alert from a chat query', async () => {
+  const created = await invoke(handler, { body: { query: 'alert me when BTC-USD realized volatility goes above 60' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.type, 'indicator');
+  assert.equal(created.body.symbol, 'BTC-USD');
+  assert.equal(created.body.indicator, 'realizedVolatility');
+  assert.equal(created.body.operator, 'above');
+  assert.equal(created.body.value, 60);
+
+  await invoke(handler, { query: { id: 'check' } });
+  const { body: list } = await invoke(handler, { method: 'GET' });
+  const alert = list.alerts.find(entry => entry.id === created.body.id);
+  assert.equal(typeof alert.lastValue, 'number');
+  assert.equal(alert.conditionMet, alert.lastValue > 60);
+});
+
+test('reuses a symbol\'s data until the next check is due', async t => {
+  process.env.ALERT_CHECK_INTERVAL = '3600';
+  t.after(() => delete process.env.ALERT_CHECK_INTERVAL);
+
+  const created = await invoke(handler, { body: { type: 'price', symbol: 'SPY', operator: 'below', value: 1, repeat: true } });
+  await invoke(handler, { query: { id: 'check' } });
+  await invoke(handler, { query: { id: 'check' } });
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:SPY').length, 1);
+
+  const { body: list } = await invoke(handler, { method: 'GET' });
+  assert.ok(list.alerts.find(alert => alert.id === created.body.id).lastCheckedAt);
+});
+
+test('leaves the last calls of the day to the chat', async t => {
+  process.env.ALERT_QUOTA_RESERVE = '1000000';
+  t.after(() => delete process.env.ALERT_QUOTA_RESERVE);
+
+  const created = await invoke(handler, { body: { type: 'price', symbol: 'EUR/USD', operator: 'below', value: 0.5 } });
+  const { status } = await invoke(handler, { query: { id: 'check' } });
+  assert.equal(status, 200);
+  assert.deepEqual(upstream.requestsFor('FX_DAILY:EUR-USD'), []);
+
+  const { body: list } = await invoke(handler, { method: 'GET' });
+  assert.equal(list.alerts.find(alert => alert.id === created.body.id).lastCheckedAt, null);
+});
@@ -0,0 +1,237 @@
+// The analyze handler end to end, against the mock Alpha Vantage and NewsAPI
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockUpstream } from './helpers/mockUpstream.js';
+import { useMockUpstream, invoke } from './helpers/environment.js';
+
+const upstream = await startMockUpstream();
+useMockUpstream(upstream);
+const { default: handler, analyzeAsset, getTechnicalAnalysis } = await import('../api/analyze.js');
+const { upstreamCache } = await import('../lib/cache.js');
+
+before(() => upstreamCache.clear());
+beforeEach(() => upstream.reset());
+after(() => upstream.close());
+
+test('answers CORS preflight and rejects other methods', async () => {
+  const preflight = await invoke(handler, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 200);
+  assert.equal(preflight.headers['access-control-allow-origin'], '*');
+
+  const get = await invoke(handler, { method: 'GET' });
+  assert.equal(get.status, 405);
+  assert.deepEqual(get.body, { error: 'Method not allowed' });
+});
+
+test('asks for a symbol when the query has none', async () => {
+  const { status, body } = await invoke(handler, { body: { query: 'how is the market doing?' } });
+  assert.equal(status, 400);
+  assert.match(body.error, /specify a symbol/);
+  assert.equal(upstream.requests.length, 0);
+});
+
+test('analyzes a stock from the vendor payloads', async () => {
+  const { status, body, headers } = await invoke(handler, { body: { query: 'Should I buy AAPL?' } });
+  assert.equal(status, 200);
+  assert.equal(headers['x-cache'], 'MISS');
+  assert.equal(body.symbol, 'AAPL');
+  assert.ok(body.sessionId);
+  assert.equal(body.turn, 1);
+
+  assert.equal(body.technical.dataStatus, 'live');
+  assert.ok(Number(body.technical.price) > 0);
+  assert.ok(Number(body.technical.indicators.rsi14) > 0);
+  assert.equal(body.fundamental.dataStatus, 'live');
+  assert.equal(body.news.dataStatus, 'live');
+  assert.ok(body.news.articles.length > 0);
+  assert.equal(body.sentiment.articleCount, body.news.articles.length);
+  assert.ok(['Low', 'Medium', 'High'].includes(body.risk.level));
+  assert.equal(body.risk.benchmark.symbol, 'SPY');
+
+  assert.ok(['BUY', 'HOLD', 'SELL'].includes(body.recommendation.recommendation));
+  assert.equal(body.recommendation.dataQuality, 'live');
+  assert.equal(body.recommendation.riskLevel, body.risk.level);
+  assert.match(body.summary, /AAPL/);
+
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:AAPL').length, 1);
+  assert.equal(upstream.requestsFor('OVERVIEW:AAPL').length, 1);
+  assert.equal(upstream.requestsFor('news:AAPL').length, 1);
+  assert.equal(upstream.requestsFor('news:AAPL')[0].params.q, '"Apple" OR "AAPL"');
+});
+
+test('serves a repeated analysis from the cache', async () => {
+  const { headers, body } = await invoke(handler, { body: { symbol: 'AAPL' } });
+  assert.equal(headers['x-cache'], 'HIT');
+  assert.equal(body.technical.dataStatus, 'live');
+  assert.equal(upstream.requests.length, 0);
+});
+
+test('answers follow-ups from the analysis stored in the session', async () => {
+  const first = await invoke(handler, { body: { query: 'Analyze MSFT' } });
+  assert.equal(first.status, 200);
+  const { sessionId } = first.body;
+  upstream.reset();
+
+  const why = await invoke(handler, { body: { query: 'why?', sessionId } });
+  assert.equal(why.body.type, 'explanation');
+  assert.equal(why.body.symbol, 'MSFT');
+  assert.equal(why.body.intent.isFollowUp, true);
+  assert.equal(why.body.sessionId, sessionId);
+  assert.equal(why.body.turn, 2);
+  assert.match(why.body.summary, /Here's why I recommend .* for MSFT/);
+  assert.deepEqual(why.body.recommendation, first.body.recommendation);
+
+  const risks = await invoke(handler, { body: { query: 'what are the risks?', sessionId } });
+  assert.equal(risks.body.type, 'explanation');
+  assert.match(risks.body.summary, /^Risk assessment for MSFT/);
+  assert.match(risks.body.summary, new RegExp(`Risk Level: ${first.body.recommendation.riskLevel}`));
+  assert.match(risks.body.summary, /1-day VaR 95%/);
+
+  // Neither follow-up went back to the vendors
+  assert.equal(upstream.requests.length, 0);
+});
+
+test('runs a fresh analysis for a follow-up without a stored one', async () => {
+  const { body } = await invoke(handler, { body: { query: 'why?', symbol: 'SPY', isFollowUp: true } });
+  assert.equal(body.type, 'explanation');
+  assert.equal(body.symbol, 'SPY');
+  assert.ok(body.recommendation);
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:SPY').length, 1);
+});
+
+test('fetches only the price history for a price question', async () => {
+  upstreamCache.clear();
+  const { body } = await invoke(handler, { body: { query: "What's the price of MSFT?" } });
+  assert.equal(body.intent.intent, 'price');
+  assert.ok(Number(body.quote.price) > 0);
+  assert.equal(body.recommendation, null);
+  assert.deepEqual(upstream.requests.map(request => request.route), ['TIME_SERIES_DAILY:MSFT']);
+});
+
+test('uses the per-class endpoints for coins and currency pairs', async () => {
+  const crypto = await invoke(handler, { body: { symbol: 'BTC-USD' } });
+  assert.equal(crypto.body.asset.assetClass, 'crypto');
+  assert.equal(crypto.body.technical.dataStatus, 'live');
+  assert.equal(crypto.body.fundamental, null);
+  assert.equal(upstream.requestsFor('DIGITAL_CURRENCY_DAILY:BTC-USD').length, 1);
+  assert.equal(upstream.requestsFor('OVERVIEW:BTC').length, 0);
+
+  const forex = await invoke(handler, { body: { symbol: 'EUR/USD' } });
+  assert.equal(forex.body.asset.assetClass, 'forex');
+  assert.equal(forex.body.technical.dataStatus, 'live');
+  assert.equal(upstream.requestsFor('FX_DAILY:EUR-USD').length, 1);
+});
+
+test('compares several symbols side by side', async () => {
+  const { status, body } = await invoke(handler, { body: { query: 'Compare AAPL and MSFT' } });
+  assert.equal(status, 200);
+  assert.equal(body.type, 'comparison');
+  assert.deepEqual(body.assets.map(asset => asset.symbol), ['AAPL', 'MSFT']);
+  body.assets.forEach(asset => assert.ok(asset.recommendation));
+});
+
+test('streams sections as Server-Sent Events', async () => {
+  upstreamCache.clear();
+  const { status, headers, events } = await invoke(handler, {
+    body: { symbol: 'MSFT' },
+    headers: { accept: 'text/event-stream' }
+  });
+  assert.equal(status, 200);
+  assert.equal(headers['content-type'], 'text/event-stream');
+
+  const names = events.map(event => event.event);
+  assert.equal(names[0], 'start');
+  assert.equal(names[names.length - 1], 'done');
+  assert.deepEqual(
+    [...names.slice(1, -2)].sort(),
+    ['events', 'fundamental', 'news', 'risk', 'technical']
+  );
+  assert.equal(names[names.length - 2], 'recommendation');
+  assert.deepEqual([...events[0].data.pending].sort(), ['events', 'fundamental', 'news', 'recommendation', 'risk', 'technical']);
+  assert.ok(events[names.length - 1].data.sessionId);
+});
+
+test('screens the universe from a chat query', async t => {
+  t.mock.method(console, 'error', () => {});
+  const { status, body } = await invoke(handler, { body: { query: 'screen for RSI below 100, sort by price, limit 2' } });
+  assert.equal(status, 200);
+  assert.equal(body.type, 'screen');
+  // Only the symbols with recorded history have prices; the rest are listed as skipped
+  assert.equal(body.matched, 3);
+  assert.equal(body.rows.length, 2);
+  assert.equal(body.skipped.length, body.universe.size - 3);
+  assert.equal(body.skipped.find(entry => entry.symbol === 'NVDA').reason, 'Price data unavailable');
+  assert.match(body.summary, /Skipped for missing data/);
+});
+
+test('analyzeAsset limits the fetch to the sections of the intent', async () => {
+  upstreamCache.clear();
+  const technicalOnly = { intent: 'technical', sections: ['technical'], isFollowUp: false };
+  const analysis = await analyzeAsset('AAPL', 'AAPL technicals', null, false, { intent: technicalOnly, chart: false });
+  assert.equal(analysis.technical.dataStatus, 'live');
+  assert.equal(analysis.technical.chart, undefined);
+  assert.equal(analysis.fundamental, null);
+  assert.equal(analysis.news, null);
+  assert.equal(analysis.recommendation, null);
+  assert.deepEqual(upstream.requests.map(request => request.route), ['TIME_SERIES_DAILY:AAPL']);
+});
+
+test('fetches the statements and the event calendar only when asked about them, then reuses them', async () => {
+  upstreamCache.clear();
+  const analysis = await invoke(handler, { body: { query: 'Analyze MSFT' } });
+  assert.equal(analysis.body.fundamental.ratios, null);
+  assert.match(analysis.body.fundamental.message, /Ask about the fundamentals/);
+  ['INCOME_STATEMENT', 'BALANCE_SHEET', 'CASH_FLOW', 'EARNINGS_CALENDAR', 'SPLITS'].forEach(fn => {
+    assert.equal(upstream.requestsFor(`${fn}:MSFT`).length, 0, `${fn} was fetched`);
+  });
+
+  const fundamentals = await invoke(handler, { body: { query: 'MSFT fundamentals' } });
+  assert.equal(fundamentals.body.intent.intent, 'fundamental');
+  assert.ok(fundamentals.body.fundamental.ratios);
+  assert.equal(upstream.requestsFor('INCOME_STATEMENT:MSFT').length, 1);
+
+  // Once fetched, the cached statements are scored in every analysis
+  const again = await invoke(handler, { body: { query: 'Analyze MSFT' } });
+  assert.ok(again.body.fundamental.ratios);
+  assert.doesNotMatch(again.body.fundamental.message, /Ask about the fundamentals/);
+  assert.equal(upstream.requestsFor('INCOME_STATEMENT:MSFT').length, 1);
+
+  const events = await invoke(handler, { body: { query: 'When does MSFT report earnings?' } });
+  assert.equal(events.body.intent.intent, 'events');
+  assert.equal(events.body.events.earnings.next.date, '2026-10-28');
+  assert.equal(upstream.requestsFor('EARNINGS_CALENDAR:MSFT').length, 1);
+  assert.equal(upstream.requestsFor('SPLITS:MSFT').length, 1);
+});
+
+// Regression: the technical section once referenced an undefined `timeSeries`
+test('getTechnicalAnalysis builds indicators from the live adapter', async () => {
+  upstreamCache.clear();
+  const technical = await getTechnicalAnalysis('MSFT');
+  assert.equal(technical.dataStatus, 'live');
+  assert.ok(Number(technical.price) > 0);
+  assert.ok(Number(technical.indicators.sma20) > 0);
+  assert.ok(technical.chart);
+  assert.equal(technical.cache.hit, false);
+});
+
+test('asks for the compact series and leaves out what 100 sessions cannot fill', async () => {
+  upstreamCache.clear();
+  const technical = await getTechnicalAnalysis('MSFT');
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:MSFT')[0].params.outputsize, 'compact');
+  assert.ok(Number(technical.indicators.sma50) > 0);
+  assert.equal(technical.indicators.sma200, null);
+  assert.equal(technical.indicators.week52, null);
+  assert.equal(technical.performance.year, null);
+  assert.ok(technical.chart.months < 12);
+});
+
+test('ALPHA_VANTAGE_OUTPUTSIZE=full asks for the whole history', async t => {
+  upstreamCache.clear();
+  process.env.ALPHA_VANTAGE_OUTPUTSIZE = 'full';
+  t.after(() => delete process.env.ALPHA_VANTAGE_OUTPUTSIZE);
+  const technical = await getTechnicalAnalysis('MSFT');
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:MSFT')[0].params.outputsize, 'full');
+  assert.ok(Number(technical.indicators.sma200) > 0);
+  assert.ok(technical.indicators.week52);
+  assert.ok(technical.chart.months >= 12);
+});
@@ -0,0 +1,92 @@
+// Backtest replay and its metrics, on hand-built price histories
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runBacktest, parseCsvBars } from '../lib/backtest.js';
+
+// Daily bars drifting by `drift` a day, with a wobble so the oscillators stay
+// off their extremes
+function trendingBars(drift, days = 260) {
+  const start = Date.UTC(2024, 0, 1);
+  return Array.from({ length: days }, (_, i) => {
+    const close = 100 * (1 + drift) ** i * (1 + 0.01 * Math.sin(i));
+    return {
+      date: new Date(start + i * 86400000).toISOString().slice(0, 10),
+      open: close,
+      high: close * 1.01,
+      low: close * 0.99,
+      close,
+      volume: 1000000
+    };
+  });
+}
+
+// 80 days up 1% a day, then 40 days down 1% a day
+function riseAndFall() {
+  const start = Date.UTC(2024, 0, 1);
+  return Array.from({ length: 120 }, (_, i) => {
+    const close = 100 * (i < 80 ? 1.01 ** i : 1.01 ** 79 * 0.99 ** (i - 79));
+    const date = new Date(start + i * 86400000).toISOString().slice(0, 10);
+    return { date, open: close, high: close, low: close, close, volume: 1000 };
+  });
+}
+
+const round2 = value => Math.round(value * 10000) / 100;
+
+test('measures buy and hold over the replayed days', () => {
+  const result = runBacktest(riseAndFall(), { warmup: 20 });
+  assert.deepEqual(result.period, { from: '2024-01-21', to: '2024-04-29', tradingDays: 99 });
+
+  const totalReturn = 1.01 ** 59 * 0.99 ** 40 - 1;
+  assert.equal(result.buyAndHold.totalReturn, round2(totalReturn));
+  assert.equal(result.buyAndHold.annualizedReturn, round2((1 + totalReturn) ** (252 / 99) - 1));
+  // From the top on day 79 to the last close
+  assert.equal(result.buyAndHold.maxDrawdown, round2(0.99 ** 40 - 1));
+  assert.ok(Math.abs(result.excessReturn - (result.strategy.totalReturn - result.buyAndHold.totalReturn)) <= 0.01);
+});
+
+test('follows the signal into and out of the market', () => {
+  const long = runBacktest(riseAndFall(), { warmup: 20 });
+  assert.deepEqual(long.trades.map(trade => [trade.action, trade.position]), [['BUY', 1], ['SELL', 0]]);
+  assert.equal(long.strategy.trades, 2);
+  assert.ok(long.strategy.exposure > 50 && long.strategy.exposure < 100);
+  assert.ok(long.strategy.maxDrawdown > long.buyAndHold.maxDrawdown);
+  assert.ok(long.strategy.totalReturn > long.buyAndHold.totalReturn);
+  assert.equal(long.signals.BUY + long.signals.HOLD + long.signals.SELL, 99);
+
+  // Going short on SELL earns the fall too
+  const short = runBacktest(riseAndFall(), { warmup: 20, allowShort: true });
+  assert.deepEqual(short.trades.map(trade => trade.position), [1, -1]);
+  assert.ok(short.strategy.totalReturn > long.strategy.totalReturn);
+});
+
+test('refuses a range too short for the warmup', () => {
+  assert.throws(() => runBacktest(riseAndFall().slice(0, 30)),
+    error => error.status === 400 && /need more than 51 bars/.test(error.message));
+});
+
+test('reads price history CSVs oldest first', () => {
+  const bars = parseCsvBars('timestamp,open,high,low,close\n2024-01-03,1,2,0.5,1.5\n2024-01-02,1,1,1,1\n');
+  assert.deepEqual(bars.map(bar => [bar.date, bar.close, bar.volume]), [['2024-01-02', 1, 0], ['2024-01-03', 1.5, 0]]);
+  assert.throws(() => parseCsvBars('date,close\n2024-01-01,1'), /needs date \(or timestamp\), open, high, low and close/);
+});
+
+test('scores a call only once its whole horizon has passed', () => {
+  const bars = trendingBars(0.003);
+  // A last-day drop below the closes of the 19 days before it, but above the close
+  // 20 days earlier: only calls whose horizon ends exactly there may be scored
+  const last = bars[bars.length - 1];
+  last.close = bars[bars.length - 21].close * 1.03;
+  Object.assign(last, { open: last.close, high: last.close, low: last.close });
+
+  const result = runBacktest(bars, { horizon: 20 });
+  assert.ok(result.signals.BUY > 0);
+  assert.equal(result.hitRate.buy, 100);
+  assert.equal(result.hitRate.horizonDays, 20);
+});
+
+test('leaves the hit rate empty when no call reaches its horizon', () => {
+  const result = runBacktest(trendingBars(0.003, 80), { horizon: 100 });
+  assert.ok(result.signals.BUY > 0);
+  assert.equal(result.hitRate.overall, null);
+  assert.equal(result.hitRate.buy, null);
+});
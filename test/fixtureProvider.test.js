@@ -0,0 +1,23 @@
+// The fixture provider's file layout
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createFixtureProvider } from '../lib/providers/fixture.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+test('reads fixtures from a relative FIXTURE_DIR', async () => {
+  const provider = createFixtureProvider({ dir: path.relative(process.cwd(), FIXTURES) });
+  const bars = await provider.getDailySeries('AAPL');
+  assert.ok(bars.length > 100);
+  const overview = await provider.getOverview('AAPL');
+  assert.ok(overview.name);
+});
+
+test('maps pair symbols to the same file name for every function', async () => {
+  const provider = createFixtureProvider({ dir: FIXTURES });
+  assert.ok((await provider.getDailySeries('EUR/USD')).length > 0);
+  assert.ok(Array.isArray(await provider.getArticles('EUR/USD')));
+  await assert.rejects(provider.getOverview('EUR/USD'), /No fixture recorded at alphavantage\/OVERVIEW\/EUR-USD\.json/);
+});
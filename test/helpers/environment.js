@@ -0,0 +1,66 @@
+// Shared setup: point the live providers at the mock upstream, keep server-side
+// state in a throwaway directory, and call Vercel-style handlers without a server.
+//
+// Modules read parts of the environment when they load (cache TTLs, quotas), so
+// test files call useMockUpstream() before importing anything from api/ or lib/.
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+export function useMockUpstream(upstream) {
+  const env = {
+    MARKET_DATA_PROVIDER: 'alphavantage',
+    NEWS_PROVIDER: 'newsapi',
+    ALPHA_VANTAGE_API_KEY: 'test',
+    NEWS_API_KEY: 'test',
+    ALPHA_VANTAGE_BASE_URL: upstream.alphaVantageUrl,
+    NEWS_API_BASE_URL: upstream.newsApiUrl,
+    // High quotas keep the scheduler from pacing the tests; its back-off after a
+    // throttled call is a fraction of a second at this rate
+    ALPHA_VANTAGE_CALLS_PER_MINUTE: '100000',
+    ALPHA_VANTAGE_CALLS_PER_DAY: '100000',
+    NEWS_API_CALLS_PER_MINUTE: '100000',
+    NEWS_API_CALLS_PER_DAY: '100000',
+    DATA_DIR: mkdtempSync(path.join(os.tmpdir(), 'fca-test-'))
+  };
+  Object.assign(process.env, env);
+  return env;
+}
+
+// Calls a handler with a fake request and the response helpers server.js provides.
+// Resolves once the handler has answered: { status, headers, body } for JSON and
+// { status, headers, events } for Server-Sent Events.
+export async function invoke(handler, { method = 'POST', body = {}, query = {}, headers = {} } = {}) {
+  const result = { status: 200, headers: {}, body: undefined, events: [] };
+  let stream = '';
+
+  const res = {
+    setHeader(name, value) {
+      result.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      result.status = code;
+      return this;
+    },
+    json(data) {
+      result.body = JSON.parse(JSON.stringify(data));
+    },
+    send(data) {
+      result.body = data;
+    },
+    write(chunk) {
+      stream += chunk;
+    },
+    end() {}
+  };
+
+  await handler({ method, body, query, headers }, res);
+
+  if (stream) {
+    result.events = stream.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+  }
+  return result;
+}
@@ -0,0 +1,151 @@
+// Local stand-in for the Alpha Vantage and NewsAPI endpoints. Requests are answered
+// from the recorded vendor responses in fixtures/ (the same files the fixture
+// provider replays) unless a test overrides the route with respond(). Unknown
+// symbols get the vendors' own "invalid call" and empty-result payloads.
+//
+// Routes are "<FUNCTION>:<SYMBOL>" for Alpha Vantage (pairs as "EUR-USD",
+// coins as "BTC-USD") and "news:<SYMBOL>" for NewsAPI. Like the vendor, stock and
+// FX series are cut to the latest 100 sessions unless outputsize=full.
+import http from 'http';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES = fileURLToPath(new URL('../../fixtures/', import.meta.url));
+
+// Vendor payloads the tests reuse
+export const PAYLOADS = {
+  minuteLimit: {
+    Information: 'Thank you for using Alpha Vantage! Please consider spreading out your free API requests more sparingly (1 request per second). Our standard API rate limit is 5 requests per minute.'
+  },
+  dailyLimit: {
+    Information: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day.'
+  },
+  invalidCall: {
+    'Error Message': 'Invalid API call. Please retry or visit the documentation (https://www.alphavantage.co/documentation/) for TIME_SERIES_DAILY.'
+  },
+  emptySeries: {
+    'Meta Data': { '1. Information': 'Daily Prices (open, high, low, close) and Volumes', '2. Symbol': 'EMPTY' },
+    'Time Series (Daily)': {}
+  },
+  noArticles: { status: 'ok', totalResults: 0, articles: [] },
+  newsRateLimited: {
+    status: 'error',
+    code: 'rateLimited',
+    message: 'You have made too many requests recently. Developer accounts are limited to 100 requests over a 24 hour period.'
+  },
+  newsKeyInvalid: {
+    status: 'error',
+    code: 'apiKeyInvalid',
+    message: 'Your API key is invalid or incorrect.'
+  }
+};
+
+function alphaVantageRoute(params) {
+  const fn = params.get('function');
+  if (params.has('from_symbol')) return `${fn}:${params.get('from_symbol')}-${params.get('to_symbol')}`;
+  if (params.has('market')) return `${fn}:${params.get('symbol')}-${params.get('market')}`;
+  return `${fn}:${params.get('symbol')}`;
+}
+
+// The news search is `"Company" OR "SYMBOL"`
+function newsRoute(params) {
+  const match = (params.get('q') || '').match(/"([^"]+)"\s*$/);
+  return `news:${match ? match[1] : params.get('q')}`;
+}
+
+async function fixture(...segments) {
+  try {
+    return await readFile(path.join(FIXTURES, ...segments), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+const COMPACT_SESSIONS = 100;
+const COMPACT_SERIES = { TIME_SERIES_DAILY: 'Time Series (Daily)', FX_DAILY: 'Time Series FX (Daily)' };
+
+function compact(body, seriesKey) {
+  const data = JSON.parse(body);
+  const dates = Object.keys(data[seriesKey] || {}).sort().slice(-COMPACT_SESSIONS);
+  data[seriesKey] = Object.fromEntries(dates.map(date => [date, data[seriesKey][date]]));
+  return JSON.stringify(data);
+}
+
+async function recorded(route, params) {
+  const [fn, symbol] = route.split(':');
+  if (fn === 'news') {
+    const body = await fixture('newsapi', `${symbol.replace(/\//g, '-')}.json`);
+    return body ? { status: 200, body } : { status: 200, body: PAYLOADS.noArticles };
+  }
+  // The earnings calendar is the one CSV endpoint
+  const body = fn === 'EARNINGS_CALENDAR'
+    ? await fixture('alphavantage', fn, `${symbol}.csv`)
+    : await fixture('alphavantage', fn, `${symbol}.json`);
+  if (body && COMPACT_SERIES[fn] && params.get('outputsize') !== 'full') {
+    return { status: 200, body: compact(body, COMPACT_SERIES[fn]) };
+  }
+  if (body) {
+    return { status: 200, body, contentType: fn === 'EARNINGS_CALENDAR' ? 'text/csv' : 'application/json' };
+  }
+  return { status: 200, body: fn === 'EARNINGS_CALENDAR' ? 'symbol,name,reportDate,fiscalDateEnding,estimate,currency\r\n' : PAYLOADS.invalidCall };
+}
+
+export async function startMockUpstream() {
+  const overrides = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname === '/query' ? alphaVantageRoute(url.searchParams)
+      : url.pathname === '/v2/everything' ? newsRoute(url.searchParams)
+        : null;
+    requests.push({ route, path: url.pathname, params: Object.fromEntries(url.searchParams) });
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Unknown mock route' }));
+      return;
+    }
+
+    try {
+      const override = overrides.get(route);
+      const reply = override ? (typeof override === 'function' ? override(url.searchParams) : override) : await recorded(route, url.searchParams);
+      const body = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body);
+      res.writeHead(reply.status || 200, { 'Content-Type': reply.contentType || 'application/json' });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(String(error));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    alphaVantageUrl: `${base}/query`,
+    newsApiUrl: `${base}/v2/everything`,
+    requests,
+
+    // reply: { status?, body, contentType? } or a function of the query parameters
+    respond(route, reply) {
+      overrides.set(route, reply);
+    },
+
+    // Requests made to one route (or all of them) since the last reset
+    requestsFor(route) {
+      return route ? requests.filter(request => request.route === route) : requests;
+    },
+
+    reset() {
+      overrides.clear();
+      requests.length = 0;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
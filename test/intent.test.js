@@ -0,0 +1,54 @@
+// Chat query parsing beyond the query corpus (scripts/check-intents.js):
+// time ranges against a fixed date, metrics and conversation context
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, parseTimeRange, extractMetrics, extractSymbols } from '../lib/intent.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+test('reads time ranges relative to now', () => {
+  const range = text => {
+    const parsed = parseTimeRange(text, NOW);
+    return parsed && [parsed.label, parsed.from, parsed.days];
+  };
+  assert.deepEqual(range('AAPL over the last 3 months'), ['last 3 months', '2026-07-19', 92]);
+  assert.deepEqual(range('past year'), ['last 1 year', '2025-10-19', 365]);
+  assert.deepEqual(range('MSFT 6mo'), ['last 6 months', '2026-04-19', 183]);
+  assert.deepEqual(range('ytd'), ['year to date', '2026-01-01', 292]);
+  assert.deepEqual(range('since 2024'), ['since 2024', '2024-01-01', 1023]);
+  assert.deepEqual(range('today'), ['today', '2026-10-18', 1]);
+  // A start in the future is no range
+  assert.equal(range('since 2030'), null);
+  assert.equal(range('Should I buy AAPL?'), null);
+});
+
+test('finds the metrics a question asks about', () => {
+  assert.deepEqual(extractMetrics('What is the P/E and RSI of AAPL?'), ['rsi14', 'peRatio']);
+  assert.deepEqual(extractMetrics('Should I buy AAPL?'), []);
+});
+
+test('does not read "P/E" as a ticker', () => {
+  assert.deepEqual(extractSymbols('P/E of MSFT').symbols, ['MSFT']);
+  assert.deepEqual(extractSymbols('EUR-USD and btc/usd').symbols, ['EUR/USD', 'BTC-USD']);
+});
+
+test('answers follow-ups about the last symbol discussed', () => {
+  const followUp = parseQuery('why?', { lastSymbol: 'NVDA' }, NOW);
+  assert.equal(followUp.intent, 'explain');
+  assert.deepEqual(followUp.symbols, ['NVDA']);
+  assert.equal(followUp.isFollowUp, true);
+
+  // A named symbol wins over the context
+  const named = parseQuery('What about MSFT?', { lastSymbol: 'NVDA' }, NOW);
+  assert.deepEqual(named.symbols, ['MSFT']);
+});
+
+test('reads lots and alert conditions out of the sentence', () => {
+  const lot = parseQuery('I bought 10 AAPL at 150 on 2024-03-01', {}, NOW);
+  assert.equal(lot.intent, 'portfolio');
+  assert.deepEqual(lot.portfolio, { action: 'add', lot: { quantity: 10, costBasis: 150, date: '2024-03-01' } });
+
+  const alert = parseQuery('notify me when NVDA turns to SELL', {}, NOW);
+  assert.equal(alert.intent, 'alert');
+  assert.deepEqual(alert.alert, { type: 'recommendation', from: null, to: 'SELL' });
+});
@@ -0,0 +1,80 @@
+// Broker CSV parsing
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber, parseDate, parseBrokerCsv } from '../lib/portfolioImport.js';
+
+test('reads amounts the way broker exports write them', () => {
+  assert.equal(parseNumber('$1,234.50'), 1234.5);
+  assert.equal(parseNumber('+3'), 3);
+  assert.equal(parseNumber(' 0.25 '), 0.25);
+  assert.equal(parseNumber(''), null);
+  assert.equal(parseNumber('--'), null);
+  assert.equal(parseNumber('N/A'), null);
+  assert.ok(Number.isNaN(parseNumber('abc')));
+});
+
+test('keeps the sign wherever the export puts it', () => {
+  ['-12.50', '-$12.50', '$-12.50', '$ -12.50', '12.50-', '$12.50-', '($12.50)'].forEach(value => {
+    assert.equal(parseNumber(value), -12.5, value);
+  });
+});
+
+test('reads dates in the export\'s format and rejects impossible ones', () => {
+  assert.equal(parseDate('2024-02-29'), '2024-02-29');
+  assert.equal(parseDate('08/15/2024 as of 08/14/2024'), '2024-08-15');
+  assert.equal(parseDate('15/08/2024', 'DD/MM/YYYY'), '2024-08-15');
+  assert.equal(parseDate('2023-02-29'), null);
+  assert.equal(parseDate('yesterday'), null);
+});
+
+const SCHWAB = [
+  '"Transactions for account XXXX-1234 as of 09/01/2024"',
+  '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"',
+  '"08/15/2024 as of 08/14/2024","Buy","AAPL","APPLE INC","10","$150.00","$1.00","-$1,501.00"',
+  '"08/20/2024","Sell","AAPL","APPLE INC","-4","$160.00","$0.50","$639.50"',
+  '"08/22/2024","Qualified Dividend","AAPL","APPLE INC","","","","$2.50"',
+  '"08/23/2024","Journal","","CASH","","","","$100.00"',
+  '"13/45/2024","Buy","MSFT","MICROSOFT","1","$400.00","","-$400.00"',
+  '"08/26/2024","Buy","AAPL","APPLE INC","1","$150.00","","-$150.00"',
+  '"08/26/2024","Buy","AAPL","APPLE INC","1","$150.00","","-$150.00"'
+].join('\n');
+
+test('recognizes a broker export below its title line', () => {
+  const parsed = parseBrokerCsv(SCHWAB);
+  assert.equal(parsed.template, 'schwab');
+  assert.equal(parsed.rows, 7);
+
+  const [{ fingerprint, ...buy }, sell, dividend] = parsed.transactions;
+  assert.deepEqual(buy, { line: 3, type: 'buy', symbol: 'AAPL', date: '2024-08-15', quantity: 10, price: 150, fees: 1 });
+  assert.match(fingerprint, /^[0-9a-f]{24}$/);
+  // Sells are exported with negative share counts
+  assert.equal(sell.quantity, 4);
+  assert.equal(sell.fees, 0.5);
+  assert.equal(dividend.amount, 2.5);
+
+  assert.deepEqual(parsed.skipped, [{ line: 6, reason: 'Unsupported action "Journal"' }]);
+  assert.deepEqual(parsed.errors, [{ line: 7, error: 'Unreadable date "13/45/2024"' }]);
+});
+
+test('fingerprints identical rows apart, and the same way on every import', () => {
+  const first = parseBrokerCsv(SCHWAB).transactions;
+  const [a, b] = first.slice(-2);
+  assert.notEqual(a.fingerprint, b.fingerprint);
+  assert.deepEqual(parseBrokerCsv(SCHWAB).transactions.map(row => row.fingerprint), first.map(row => row.fingerprint));
+});
+
+test('reads a holdings snapshot as one buy per row', () => {
+  const csv = 'Symbol,Quantity,Cost Basis,Date Acquired\nMSFT,4,"$1,200.00",2023-05-01\nNVDA,10,$500.00,';
+  const parsed = parseBrokerCsv(csv, 'generic-positions');
+  assert.deepEqual(parsed.errors, []);
+  const [msft, nvda] = parsed.transactions;
+  assert.equal(msft.type, 'buy');
+  assert.equal(msft.price, 300);
+  assert.equal(msft.date, '2023-05-01');
+  assert.equal(nvda.price, 50);
+});
+
+test('names the templates when it cannot tell the layout', () => {
+  assert.throws(() => parseBrokerCsv('a,b\n1,2'), error => error.status === 400 && /Could not recognize the CSV layout/.test(error.message));
+  assert.throws(() => parseBrokerCsv('  '), error => error.status === 400);
+});
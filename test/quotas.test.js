@@ -0,0 +1,70 @@
+// The vendors' free-tier quotas: Alpha Vantage's default 5 calls a minute and 25 a
+// day must cover a cold analysis without queueing, and a screen the quota cannot
+// cover is refused before it spends any of it. The cases share one rate limiter,
+// so they run in order.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockUpstream } from './helpers/mockUpstream.js';
+import { useMockUpstream, invoke } from './helpers/environment.js';
+
+const upstream = await startMockUpstream();
+useMockUpstream(upstream);
+['ALPHA_VANTAGE', 'NEWS_API'].forEach(vendor => {
+  delete process.env[`${vendor}_CALLS_PER_MINUTE`];
+  delete process.env[`${vendor}_CALLS_PER_DAY`];
+});
+const { default: handler } = await import('../api/analyze.js');
+const { default: screenHandler } = await import('../api/screen.js');
+const { getRateLimiter } = await import('../lib/rateLimiter.js');
+
+after(() => upstream.close());
+
+const alphaVantageCalls = () => upstream.requests.filter(request => !request.route.startsWith('news:'));
+
+test('a cold stock analysis fits in one minute of the free tier', async () => {
+  const started = Date.now();
+  const { status, body } = await invoke(handler, { body: { query: 'Should I buy AAPL?' } });
+  assert.equal(status, 200);
+  assert.ok(Date.now() - started < 5000, 'the analysis waited in the rate-limit queue');
+
+  ['technical', 'fundamental', 'news', 'events', 'risk'].forEach(section => {
+    assert.equal(body[section].dataStatus, 'live', `${section} is ${body[section].dataStatus}`);
+  });
+  // The next report comes from EARNINGS, without the calendar call
+  assert.equal(body.events.earnings.next.date, '2026-10-29');
+  assert.equal(body.risk.benchmark.symbol, 'SPY');
+  assert.equal(body.recommendation.dataQuality, 'live');
+
+  const routes = alphaVantageCalls().map(request => request.route.split(':')[0]).sort();
+  assert.deepEqual(routes, ['DIVIDENDS', 'EARNINGS', 'OVERVIEW', 'TIME_SERIES_DAILY', 'TIME_SERIES_DAILY']);
+  assert.equal(getRateLimiter('alphavantage').status().remaining.day, 20);
+});
+
+test('refuses a screen the remaining quota cannot cover', async () => {
+  const before = upstream.requests.length;
+  const { status, body } = await invoke(screenHandler, { method: 'GET', query: { filter: 'price above 0' } });
+  assert.equal(status, 429);
+  assert.match(body.error, /needs 49 Alpha Vantage calls for data that is not cached, but only 2 can be made now \(20 left today\)/);
+
+  const chat = await invoke(handler, { body: { query: 'screen for P/E under 30' } });
+  assert.equal(chat.status, 429);
+  assert.match(chat.body.error, /Screen a smaller universe/);
+  assert.equal(upstream.requests.length, before);
+});
+
+test('runs a screen the quota covers, reading what it can from the cache', async t => {
+  const file = path.join(mkdtempSync(path.join(os.tmpdir(), 'fca-test-')), 'universe.json');
+  writeFileSync(file, JSON.stringify({ name: 'Cached', symbols: ['AAPL', 'SPY'] }));
+  process.env.SCREEN_UNIVERSE = file;
+  t.after(() => delete process.env.SCREEN_UNIVERSE);
+
+  const before = upstream.requests.length;
+  const { status, body } = await invoke(screenHandler, { method: 'GET', query: { filter: 'price above 0' } });
+  assert.equal(status, 200);
+  assert.equal(body.matched, 2);
+  // AAPL's series is cached from the analysis; SPY's was only fetched as the benchmark
+  assert.deepEqual(upstream.requests.slice(before).map(request => request.route), ['TIME_SERIES_DAILY:SPY']);
+});
@@ -0,0 +1,124 @@
+// Scoring and news sentiment, on hand-built inputs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSentimentFromNews } from '../api/analyze.js';
+import { buildTechnical } from '../lib/technical.js';
+import { generateRecommendation } from '../lib/recommendation.js';
+
+// A year of daily bars drifting by `drift` a day, with a wobble so the
+// oscillators stay off their extremes
+function trendingBars(drift, days = 260) {
+  const start = Date.UTC(2024, 0, 1);
+  return Array.from({ length: days }, (_, i) => {
+    const close = 100 * (1 + drift) ** i * (1 + 0.01 * Math.sin(i));
+    return {
+      date: new Date(start + i * 86400000).toISOString().slice(0, 10),
+      open: close,
+      high: close * 1.01,
+      low: close * 0.99,
+      close,
+      volume: 1000000
+    };
+  });
+}
+
+const hoursAgo = hours => new Date(Date.now() - hours * 3600000).toISOString();
+const article = (title, description, hours = 2) => ({
+  title,
+  description,
+  url: 'https://news.example.com/' + encodeURIComponent(title),
+  source: { name: 'Reuters' },
+  publishedAt: hoursAgo(hours)
+});
+
+const GOOD_NEWS = {
+  articles: [
+    article('Acme beats estimates as record profit lifts shares', 'Strong growth and raised guidance.'),
+    article('Acme shares surge after upbeat outlook', 'Analysts upgrade the stock on robust demand.', 5)
+  ]
+};
+const BAD_NEWS = {
+  articles: [
+    article('Acme misses estimates and cuts guidance', 'Weak demand and falling margins hit results.'),
+    article('Acme shares plunge on fraud probe', 'Regulators sue over losses; analysts downgrade.', 5)
+  ]
+};
+const FAIR_VALUE = { peRatio: '14', dividendYield: '3.0', dataStatus: 'live' };
+const EXPENSIVE = { peRatio: '80', dividendYield: '0', dataStatus: 'live' };
+
+test('no news scores a neutral sentiment', () => {
+  const sentiment = getSentimentFromNews({ articles: [] });
+  assert.equal(sentiment.score, 0);
+  assert.equal(sentiment.articleCount, 0);
+  assert.equal(sentiment.message, 'No news articles available for sentiment analysis');
+  assert.deepEqual(getSentimentFromNews({}).headlines, []);
+});
+
+test('sentiment follows the tone of the headlines', () => {
+  const positive = getSentimentFromNews(GOOD_NEWS);
+  assert.ok(positive.score > 0.05, `expected a positive score, got ${positive.score}`);
+  assert.match(positive.message, /Positive sentiment/);
+  assert.equal(positive.articleCount, 2);
+  assert.equal(positive.headlines.length, 2);
+
+  const negative = getSentimentFromNews(BAD_NEWS);
+  assert.ok(negative.score < -0.05, `expected a negative score, got ${negative.score}`);
+  assert.match(negative.message, /Negative sentiment/);
+});
+
+test('withholds the signal without a price', () => {
+  const technical = { price: 'N/A', indicators: {}, dataStatus: 'unavailable', unavailableReason: 'rate_limited' };
+  const result = generateRecommendation(technical, FAIR_VALUE, getSentimentFromNews(GOOD_NEWS));
+  assert.equal(result.recommendation, 'WITHHELD');
+  assert.equal(result.score, null);
+  assert.equal(result.dataQuality, 'unavailable');
+  assert.deepEqual(result.riskFactors, ['Live price data unavailable']);
+});
+
+test('an uptrend with cheap fundamentals and good news is a buy', () => {
+  const result = generateRecommendation(buildTechnical(trendingBars(0.003)), FAIR_VALUE, getSentimentFromNews(GOOD_NEWS));
+  assert.equal(result.recommendation, 'BUY');
+  assert.equal(result.dataQuality, 'live');
+  assert.ok(result.reasons.length > 0);
+  assert.ok(result.breakdown.coverage > 0.5);
+});
+
+test('a downtrend with rich fundamentals and bad news is a sell', () => {
+  const result = generateRecommendation(buildTechnical(trendingBars(-0.003)), EXPENSIVE, getSentimentFromNews(BAD_NEWS));
+  assert.equal(result.recommendation, 'SELL');
+  assert.ok(result.riskFactors.length > 0);
+});
+
+test('buy scores rank above sell scores', () => {
+  const up = generateRecommendation(buildTechnical(trendingBars(0.003)), FAIR_VALUE, getSentimentFromNews(GOOD_NEWS));
+  const down = generateRecommendation(buildTechnical(trendingBars(-0.003)), EXPENSIVE, getSentimentFromNews(BAD_NEWS));
+  assert.ok(up.score > down.score);
+});
+
+test('stale and missing sections degrade the confidence', () => {
+  const technical = { ...buildTechnical(trendingBars(0.003)), dataStatus: 'stale', ageSeconds: 7200 };
+  const fundamental = { dataStatus: 'unavailable', unavailableReason: 'upstream_error' };
+  const result = generateRecommendation(technical, fundamental, getSentimentFromNews(GOOD_NEWS));
+  assert.equal(result.dataQuality, 'degraded');
+  assert.notEqual(result.confidence, 'High');
+  assert.equal(result.riskFactors[0], 'Fundamental data unavailable');
+  assert.equal(result.riskFactors[1], 'Price data is 2h old');
+  assert.match(result.message, /stale or missing data/);
+});
+
+test('the measured risk level takes precedence over the risk-factor count', () => {
+  const technical = buildTechnical(trendingBars(0.003));
+  const sentiment = getSentimentFromNews(GOOD_NEWS);
+  const measured = generateRecommendation(technical, FAIR_VALUE, sentiment, { risk: { level: 'High' } });
+  assert.equal(measured.riskLevel, 'High');
+
+  const counted = generateRecommendation(technical, FAIR_VALUE, sentiment);
+  const expected = counted.riskFactors.length >= 3 ? 'High' : counted.riskFactors.length >= 1 ? 'Medium' : 'Low';
+  assert.equal(counted.riskLevel, expected);
+});
+
+test('scores crypto without a fundamental section', () => {
+  const result = generateRecommendation(buildTechnical(trendingBars(0.003)), null, getSentimentFromNews(GOOD_NEWS), { assetClass: 'crypto' });
+  assert.ok(['BUY', 'HOLD', 'SELL'].includes(result.recommendation));
+  assert.equal(result.dataQuality, 'live');
+});
@@ -0,0 +1,51 @@
+// Risk metrics on hand-built return series
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeRisk, riskLevel } from '../lib/risk.js';
+
+// Daily closes from a list of simple returns, starting at 100
+function series(returns) {
+  const start = Date.UTC(2024, 0, 1);
+  let close = 100;
+  return returns.map((value, i) => {
+    close *= 1 + value;
+    return { date: new Date(start + i * 86400000).toISOString().slice(0, 10), close };
+  });
+}
+
+const market = Array.from({ length: 100 }, (_, i) => (i % 2 ? 0.01 : -0.008));
+
+test('measures a leveraged copy of the benchmark', () => {
+  const risk = computeRisk(series(market.map(value => 2 * value)), { benchmark: series(market), benchmarkSymbol: 'SPY' });
+  assert.equal(risk.observations, 99);
+  assert.deepEqual(risk.benchmark, { symbol: 'SPY', beta: 2, correlation: 1, observations: 99 });
+  // The worst day is the only kind of down day: -1.6%
+  assert.equal(risk.var95.historical, 1.6);
+  assert.equal(risk.cvar95.historical, 1.6);
+  assert.deepEqual(risk.maxDrawdown, { percent: -1.6, peakDate: '2024-01-02', troughDate: '2024-01-03' });
+  assert.equal(risk.currentDrawdown, 0);
+  assert.ok(risk.var99.parametric > risk.var95.parametric);
+  assert.ok(risk.downsideDeviation < risk.volatility);
+});
+
+test('compares only the dates both series traded', () => {
+  // A coin trading every day against a benchmark with every other day missing
+  const coin = series(market);
+  const benchmark = coin.filter((bar, i) => i % 2 === 0);
+  const risk = computeRisk(coin, { benchmark, benchmarkSymbol: 'SPY' });
+  assert.equal(risk.benchmark.observations, 49);
+  assert.equal(risk.benchmark.beta, 1);
+});
+
+test('needs more than 30 bars', () => {
+  assert.equal(computeRisk(series(market.slice(0, 30))), null);
+  assert.equal(computeRisk(series(market)).benchmark, null);
+});
+
+test('bands the level on the measures available', () => {
+  assert.deepEqual(riskLevel({ volatility: 10 }), { level: 'Low', drivers: [] });
+  assert.deepEqual(riskLevel({ volatility: 50, var95: { historical: 5 }, maxDrawdown: { percent: -10 } }),
+    { level: 'Medium', drivers: ['volatility', 'var95'] });
+  assert.deepEqual(riskLevel({ volatility: 45, benchmark: { beta: 1.8 } }), { level: 'High', drivers: ['volatility', 'beta'] });
+  assert.deepEqual(riskLevel({}), { level: null, drivers: [] });
+});
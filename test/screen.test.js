@@ -0,0 +1,66 @@
+// Screener filter language and sort parsing
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileScreen, matches, parseSort, screenRow } from '../lib/screen.js';
+
+const rejects = (fn, message) => assert.throws(fn, error => error.status === 400 && message.test(error.message));
+
+test('reads comparisons written as symbols or words', () => {
+  assert.equal(compileScreen('pe < 15 and dividend > 3%').filter, 'P/E < 15 and Dividend yield > 3%');
+
+  const screen = compileScreen('P/E under 15, dividend over 3% and price above the 50-day average');
+  assert.equal(screen.filter, 'P/E < 15 and Dividend yield > 3% and Price > 50-day SMA');
+  assert.deepEqual(screen.fields.map(field => field.key), ['peRatio', 'dividendYield', 'price', 'sma50']);
+  assert.deepEqual(screen.sections, ['fundamental', 'technical']);
+});
+
+test('reads multipliers, ranges and parentheses', () => {
+  assert.equal(compileScreen('market cap between 1T and 10B').filter, 'Market cap between $10B and $1T');
+  assert.equal(compileScreen('(rsi below 30 or price below sma200) and market cap over 100B').filter,
+    '(RSI < 30 or Price < 200-day SMA) and Market cap > $100B');
+});
+
+test('binds "and" tighter than "or"', () => {
+  const screen = compileScreen('rsi below 30 or price below sma200 and pe < 20');
+  assert.equal(screen.tree.type, 'or');
+  assert.equal(matches(screen, { rsi14: 25, price: 100, sma200: 90, peRatio: 30 }), true);
+  assert.equal(matches(screen, { rsi14: 50, price: 80, sma200: 90, peRatio: 15 }), true);
+  assert.equal(matches(screen, { rsi14: 50, price: 80, sma200: 90, peRatio: 30 }), false);
+});
+
+test('never matches a symbol missing the value', () => {
+  const screen = compileScreen('pe < 15 or dividend yield between 2 and 5');
+  assert.equal(matches(screen, { peRatio: null, dividendYield: null }), false);
+  assert.equal(matches(screen, { peRatio: null, dividendYield: 3 }), true);
+  assert.equal(matches(compileScreen('price > sma50'), { price: 10, sma50: null }), false);
+});
+
+test('builds rows from the analysis sections', () => {
+  const row = screenRow({ price: '101.50', indicators: { sma50: '99.00' } }, null);
+  assert.equal(row.price, 101.5);
+  assert.equal(row.sma50, 99);
+  assert.equal(row.peRatio, null);
+});
+
+test('explains what it could not read', () => {
+  rejects(() => compileScreen(''), /A screen filter is required/);
+  rejects(() => compileScreen('pe < 15 xyz'), /Unrecognized "xyz" in the screen filter \(position 9\)/);
+  rejects(() => compileScreen('pe <'), /Expected a number or a field to compare with/);
+  rejects(() => compileScreen('pe < 15)'), /Unexpected "\)"/);
+  rejects(() => compileScreen('between 1 and 2'), /Expected a field such as P\/E/);
+});
+
+test('parses sort fields and directions', () => {
+  const sort = text => {
+    const { field, direction } = parseSort(text);
+    return [field.key, direction];
+  };
+  assert.deepEqual(sort('dividend yield'), ['dividendYield', 'desc']);
+  assert.deepEqual(sort('market cap desc'), ['marketCap', 'desc']);
+  assert.deepEqual(sort('-pe'), ['peRatio', 'desc']);
+  assert.deepEqual(sort('p/e ascending'), ['peRatio', 'asc']);
+  assert.deepEqual(sort('rsi lowest first'), ['rsi14', 'asc']);
+  // Fields where lower is better sort ascending by default
+  assert.deepEqual(sort('debt to equity'), ['debtToEquity', 'asc']);
+  rejects(() => parseSort('colour'), /Cannot sort by "colour"/);
+});
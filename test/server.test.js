@@ -0,0 +1,144 @@
+// server.js as deployed locally: routing, route parameters, static files and error
+// handling, with the API talking to the mock upstream
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import { startMockUpstream } from './helpers/mockUpstream.js';
+import { useMockUpstream } from './helpers/environment.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const upstream = await startMockUpstream();
+let server;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+before(async () => {
+  const port = await freePort();
+  const env = { ...process.env, ...useMockUpstream(upstream), PORT: String(port) };
+  server = spawn(process.execPath, ['--no-warnings', 'server.js'], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server.js did not start:\n${output}`)), 10000);
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('running at')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    server.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server.js exited with ${code}:\n${output}`));
+    });
+  });
+  base = `http://127.0.0.1:${port}`;
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    await new Promise(resolve => {
+      server.once('exit', resolve);
+      server.kill();
+    });
+  }
+  await upstream.close();
+});
+
+const post = (pathname, body) => fetch(base + pathname, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+test('serves the app and its assets from public/', async () => {
+  const index = await fetch(`${base}/`);
+  assert.equal(index.status, 200);
+  assert.equal(index.headers.get('content-type'), 'text/html');
+  assert.match(await index.text(), /<html/i);
+
+  const styles = await fetch(`${base}/styles.css`);
+  assert.equal(styles.status, 200);
+  assert.equal(styles.headers.get('content-type'), 'text/css');
+  await styles.arrayBuffer();
+});
+
+test('answers unknown paths with a 404', async () => {
+  const response = await fetch(`${base}/missing.html`);
+  assert.equal(response.status, 404);
+  assert.equal(await response.text(), '404 Not Found');
+});
+
+test('answers preflight requests with the CORS headers', async () => {
+  const response = await fetch(`${base}/api/analyze`, { method: 'OPTIONS' });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  assert.match(response.headers.get('access-control-allow-methods'), /POST/);
+});
+
+test('routes chat queries to the analyze handler', async () => {
+  const response = await post('/api/analyze', { query: 'Should I buy AAPL?' });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-cache'), 'MISS');
+  const body = await response.json();
+  assert.equal(body.symbol, 'AAPL');
+  assert.equal(body.technical.dataStatus, 'live');
+  assert.ok(body.recommendation.recommendation);
+
+  // The turn is stored in the session named in the reply
+  const session = await fetch(`${base}/api/sessions/${body.sessionId}`);
+  assert.equal(session.status, 200);
+  const { history } = await session.json();
+  assert.equal(history.length, 1);
+
+  const get = await fetch(`${base}/api/analyze`);
+  assert.equal(get.status, 405);
+});
+
+test('passes route parameters to the handler', async () => {
+  const watchlist = await fetch(`${base}/api/watchlists/Favorites`);
+  assert.equal(watchlist.status, 200);
+  assert.equal((await watchlist.json()).name, 'Favorites');
+
+  const action = await post('/api/watchlists/Favorites/share', {});
+  assert.equal(action.status, 404);
+  assert.match((await action.json()).error, /Unknown watchlist action "share"/);
+
+  const session = await fetch(`${base}/api/sessions/does-not-exist`);
+  assert.equal(session.status, 404);
+});
+
+test('passes the query string to GET handlers', async () => {
+  const response = await fetch(`${base}/api/screen?filter=${encodeURIComponent('price above 0')}&limit=2`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.type, 'screen');
+  assert.equal(body.limit, 2);
+  assert.equal(body.rows.length, 2);
+
+  const status = await fetch(`${base}/api/status`);
+  assert.equal(status.status, 200);
+  await status.arrayBuffer();
+});
+
+test('answers a malformed JSON body with a 500', async () => {
+  const response = await post('/api/analyze', '{"query": ');
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: 'Internal server error' });
+});
@@ -0,0 +1,80 @@
+// Session storage through the API handler
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { invoke } from './helpers/environment.js';
+
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'fca-test-'));
+process.env.DATA_DIR = dataDir;
+
+// A session as an older version stored it, inline in the index
+const legacyId = '00000000-0000-4000-8000-000000000000';
+const now = new Date().toISOString();
+writeFileSync(path.join(dataDir, 'sessions.json'), JSON.stringify({
+  sessions: {
+    [legacyId]: {
+      id: legacyId,
+      title: 'Should I buy AAPL?',
+      symbols: ['AAPL'],
+      analyses: { AAPL: { symbol: 'AAPL' } },
+      history: [{ query: 'Should I buy AAPL?', response: { symbol: 'AAPL' }, timestamp: now }],
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+    }
+  }
+}));
+
+const { default: handler } = await import('../api/sessions.js');
+const { recordTurn } = await import('../lib/sessions.js');
+
+const readIndex = () => JSON.parse(readFileSync(path.join(dataDir, 'sessions.json'), 'utf8'));
+const sessionPath = id => path.join(dataDir, 'sessions', `${id}.json`);
+
+test('lists only the sessions the caller names', async () => {
+  const mine = await invoke(handler, { body: {} });
+  const theirs = await invoke(handler, { body: {} });
+  assert.equal(mine.status, 201);
+
+  const list = await invoke(handler, { method: 'GET', query: { ids: `${mine.body.id},not-a-session` } });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.sessions.map(session => session.id), [mine.body.id]);
+  assert.ok(!list.body.sessions.some(session => session.id === theirs.body.id));
+
+  const all = await invoke(handler, { method: 'GET' });
+  assert.equal(all.status, 400);
+  assert.match(all.body.error, /Pass the ids of your sessions/);
+});
+
+test('keeps each conversation in its own file', async () => {
+  const first = await recordTurn(null, 'Should I buy MSFT?', { symbol: 'MSFT', type: 'analysis' });
+  await recordTurn(first.id, 'why?', { symbol: 'MSFT', type: 'explanation' });
+
+  const stored = JSON.parse(readFileSync(sessionPath(first.id), 'utf8'));
+  assert.deepEqual(stored.history.map(entry => entry.turn), [1, 2]);
+  // The index holds summaries only
+  const entry = readIndex().sessions[first.id];
+  assert.equal(entry.turns, 2);
+  assert.equal(entry.history, undefined);
+
+  const read = await invoke(handler, { method: 'GET', query: { id: first.id } });
+  assert.equal(read.body.history.length, 2);
+
+  const deleted = await invoke(handler, { method: 'DELETE', query: { id: first.id } });
+  assert.equal(deleted.status, 200);
+  assert.equal(existsSync(sessionPath(first.id)), false);
+  const gone = await invoke(handler, { method: 'GET', query: { id: first.id } });
+  assert.equal(gone.status, 404);
+});
+
+test('moves sessions stored inline in the index into their own files', async () => {
+  // The earlier writes migrated it
+  assert.equal(readIndex().sessions[legacyId].history, undefined);
+  assert.ok(existsSync(sessionPath(legacyId)));
+
+  const { body } = await invoke(handler, { method: 'GET', query: { id: legacyId } });
+  assert.equal(body.title, 'Should I buy AAPL?');
+  assert.deepEqual(body.history.map(turn => turn.turn), [1]);
+});
@@ -0,0 +1,158 @@
+// Vendor failures: throttling, errors and empty payloads should come back as typed
+// "unavailable" or "stale" sections, never as made-up numbers or a 500
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { startMockUpstream, PAYLOADS } from './helpers/mockUpstream.js';
+import { useMockUpstream, invoke } from './helpers/environment.js';
+
+const upstream = await startMockUpstream();
+useMockUpstream(upstream);
+const { default: handler, getTechnicalAnalysis, getNewsAnalysis, getSentimentFromNews } = await import('../api/analyze.js');
+const { upstreamCache } = await import('../lib/cache.js');
+
+before(() => upstreamCache.clear());
+beforeEach(t => {
+  upstream.reset();
+  // The failures below are logged by design
+  t.mock.method(console, 'error', () => {});
+});
+after(() => upstream.close());
+
+// Last-known values are kept for the life of the process, so each case that expects
+// "unavailable" uses a symbol no earlier case has fetched
+
+test('retries a throttled call, then reports the price as rate limited', async () => {
+  upstream.respond('TIME_SERIES_DAILY:THRT', { body: PAYLOADS.minuteLimit });
+  const technical = await getTechnicalAnalysis('THRT');
+  assert.equal(technical.dataStatus, 'unavailable');
+  assert.equal(technical.unavailableReason, 'rate_limited');
+  assert.equal(technical.price, 'N/A');
+  // The first attempt plus two retries
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:THRT').length, 3);
+});
+
+test('recovers when a retry gets through', async () => {
+  const recorded = readFileSync(new URL('../fixtures/alphavantage/TIME_SERIES_DAILY/MSFT.json', import.meta.url), 'utf8');
+  let calls = 0;
+  upstream.respond('TIME_SERIES_DAILY:MSFT', () => {
+    calls += 1;
+    return { body: calls === 1 ? PAYLOADS.minuteLimit : recorded };
+  });
+  const technical = await getTechnicalAnalysis('MSFT');
+  assert.equal(calls, 2);
+  assert.equal(technical.dataStatus, 'live');
+  assert.ok(Number(technical.price) > 0);
+});
+
+test('withholds the recommendation when the price is unavailable', async () => {
+  upstream.respond('TIME_SERIES_DAILY:WTHD', { body: PAYLOADS.minuteLimit });
+  const { status, body } = await invoke(handler, { body: { symbol: 'WTHD' } });
+  assert.equal(status, 200);
+  assert.equal(body.technical.dataStatus, 'unavailable');
+  assert.equal(body.recommendation.recommendation, 'WITHHELD');
+  assert.equal(body.recommendation.score, null);
+  assert.match(body.summary, /WTHD/);
+});
+
+test('reports a vendor error message as an upstream error without retrying', async () => {
+  const technical = await getTechnicalAnalysis('NOPE');
+  assert.equal(technical.dataStatus, 'unavailable');
+  assert.equal(technical.unavailableReason, 'upstream_error');
+  assert.match(technical.message, /Invalid API call/);
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:NOPE').length, 1);
+});
+
+test('reports an HTTP failure as an upstream error', async () => {
+  upstream.respond('TIME_SERIES_DAILY:DOWN', { status: 500, body: 'Internal Server Error', contentType: 'text/plain' });
+  const technical = await getTechnicalAnalysis('DOWN');
+  assert.equal(technical.unavailableReason, 'upstream_error');
+  assert.match(technical.message, /Alpha Vantage API error: 500/);
+});
+
+test('treats an empty price series as unavailable', async () => {
+  upstream.respond('TIME_SERIES_DAILY:EMPT', { body: PAYLOADS.emptySeries });
+  const technical = await getTechnicalAnalysis('EMPT');
+  assert.equal(technical.dataStatus, 'unavailable');
+  assert.match(technical.message, /No price history available/);
+});
+
+test('falls back to the last good answer, marked stale', async () => {
+  const fresh = await getTechnicalAnalysis('AAPL');
+  assert.equal(fresh.dataStatus, 'live');
+
+  upstreamCache.clear();
+  upstream.respond('TIME_SERIES_DAILY:AAPL', { body: PAYLOADS.minuteLimit });
+  const { body } = await invoke(handler, { body: { symbol: 'AAPL' } });
+  assert.equal(body.technical.dataStatus, 'stale');
+  assert.equal(body.technical.staleReason, 'rate_limited');
+  assert.equal(body.technical.price, fresh.price);
+  assert.equal(typeof body.technical.ageSeconds, 'number');
+  assert.equal(body.recommendation.dataQuality, 'degraded');
+  assert.notEqual(body.recommendation.recommendation, 'WITHHELD');
+  assert.match(body.recommendation.message, /stale or missing data/);
+});
+
+test('marks missing fundamentals and still scores the stock', async () => {
+  upstreamCache.clear();
+  upstream.respond('OVERVIEW:MSFT', { body: PAYLOADS.invalidCall });
+  const { body } = await invoke(handler, { body: { symbol: 'MSFT' } });
+  assert.equal(body.technical.dataStatus, 'live');
+  assert.equal(body.fundamental.dataStatus, 'unavailable');
+  assert.equal(body.recommendation.dataQuality, 'degraded');
+  assert.ok(body.recommendation.riskFactors.includes('Fundamental data unavailable'));
+});
+
+test('an empty news search scores a neutral sentiment', async () => {
+  const news = await getNewsAnalysis('QUIET');
+  assert.equal(news.dataStatus, 'live');
+  assert.deepEqual(news.articles, []);
+  assert.equal(getSentimentFromNews(news).score, 0);
+  assert.equal(upstream.requestsFor('news:QUIET').length, 1);
+});
+
+test('a NewsAPI error payload leaves the news unavailable', async () => {
+  upstream.respond('news:BADKEY', { status: 401, body: PAYLOADS.newsKeyInvalid });
+  const news = await getNewsAnalysis('BADKEY');
+  assert.equal(news.dataStatus, 'unavailable');
+  assert.equal(news.unavailableReason, 'upstream_error');
+  assert.match(news.summary, /News API error: 401/);
+
+  upstream.respond('news:ERRBODY', { body: PAYLOADS.newsKeyInvalid });
+  const erroredBody = await getNewsAnalysis('ERRBODY');
+  assert.equal(erroredBody.dataStatus, 'unavailable');
+  assert.match(erroredBody.summary, /API key is invalid/);
+});
+
+// A daily-quota answer marks the rest of the day as spent for that vendor, so
+// these run last
+
+test('stops calling NewsAPI once it reports the daily quota spent', async () => {
+  upstreamCache.clear();
+  upstream.respond('news:SPY', { status: 429, body: PAYLOADS.newsRateLimited });
+  const { status, body } = await invoke(handler, { body: { symbol: 'SPY' } });
+  assert.equal(status, 200);
+  assert.equal(body.technical.dataStatus, 'live');
+  assert.equal(body.news.dataStatus, 'unavailable');
+  assert.equal(body.news.unavailableReason, 'rate_limited');
+  assert.equal(body.sentiment.score, 0);
+  assert.notEqual(body.recommendation.recommendation, 'WITHHELD');
+  assert.equal(upstream.requestsFor('news:SPY').length, 1);
+
+  const later = await getNewsAnalysis('LATER');
+  assert.equal(later.unavailableReason, 'rate_limited');
+  assert.equal(upstream.requestsFor('news:LATER').length, 0);
+});
+
+test('stops calling Alpha Vantage once it reports the daily quota spent', async () => {
+  upstream.respond('TIME_SERIES_DAILY:DAYQ', { body: PAYLOADS.dailyLimit });
+  const technical = await getTechnicalAnalysis('DAYQ');
+  assert.equal(technical.unavailableReason, 'rate_limited');
+  // No retries against a spent daily quota
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:DAYQ').length, 1);
+
+  const later = await getTechnicalAnalysis('LATER');
+  assert.equal(later.dataStatus, 'unavailable');
+  assert.match(later.message, /daily quota of 100000 calls exhausted/);
+  assert.equal(upstream.requestsFor('TIME_SERIES_DAILY:LATER').length, 0);
+});
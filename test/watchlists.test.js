@@ -0,0 +1,49 @@
+// Watchlist storage through the API handler
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { invoke } from './helpers/environment.js';
+
+process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'fca-test-'));
+process.env.MARKET_DATA_PROVIDER = 'fixture';
+process.env.NEWS_PROVIDER = 'fixture';
+const { default: handler } = await import('../api/watchlists.js');
+
+test('creates, reads and renames a watchlist', async () => {
+  const created = await invoke(handler, { body: { name: 'Tech', symbols: ['nvda', 'AMD', 'nvda'] } });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.symbols, ['NVDA', 'AMD']);
+
+  const read = await invoke(handler, { method: 'GET', query: { name: 'tech' } });
+  assert.equal(read.body.name, 'Tech');
+
+  const renamed = await invoke(handler, { method: 'PUT', query: { name: 'Tech' }, body: { name: 'Chips' } });
+  assert.equal(renamed.body.name, 'Chips');
+  const list = await invoke(handler, { method: 'GET' });
+  assert.deepEqual(list.body.watchlists.map(watchlist => watchlist.name), ['Chips', 'Favorites']);
+});
+
+test('rejects names that clash with object internals', async () => {
+  for (const name of ['__proto__', 'constructor', 'hasOwnProperty']) {
+    const created = await invoke(handler, { body: { name, symbols: ['AAPL'] } });
+    assert.equal(created.status, 400, name);
+    assert.equal(created.body.error, `"${name}" is a reserved name`);
+
+    const renamed = await invoke(handler, { method: 'PUT', query: { name: 'Favorites' }, body: { name } });
+    assert.equal(renamed.status, 400, name);
+  }
+  const list = await invoke(handler, { method: 'GET' });
+  assert.deepEqual(list.body.watchlists.map(watchlist => watchlist.name), ['Chips', 'Favorites']);
+});
+
+test('shows each member\'s price in its own currency', async () => {
+  await invoke(handler, { body: { name: 'Mixed', symbols: ['AAPL', 'EUR/USD'] } });
+  const { status, body } = await invoke(handler, { query: { name: 'Mixed', action: 'refresh' } });
+  assert.equal(status, 200);
+  const [stock, pair] = body.rows;
+  assert.match(body.summary, new RegExp(`\\| AAPL \\| \\$${stock.price} \\|`));
+  assert.match(body.summary, new RegExp(`\\| EUR/USD \\| ${pair.price} \\|`));
+  assert.equal(pair.asset.assetClass, 'forex');
+});